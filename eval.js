@@ -0,0 +1,138 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 DIGEST EVAL HARNESS
+// ═══════════════════════════════════════════════════════════════════════════
+// Runs saved Techmeme pages through prompt versions × models side by side,
+// scores every digest (see lib/eval) and writes a comparison report, so a
+// prompt or model change can be judged before it reaches the channel.
+//
+// Usage: node eval.js [options]
+//   e.g. node eval.js                                   → fixture × current prompt × stub
+//        node eval.js --config eval.json                → the comparison in eval.json
+//        node eval.js --prompt current --prompt prompts/digest-strict.txt \
+//                     --model gemini --model ollama:llama3.1
+//
+// The "stub" model runs offline, so CI can check the harness (and the
+// current prompt's plumbing) without API keys.
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Load environment variables
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const llm = require('./lib/llm');
+const { loadRetryPolicy } = require('./lib/retry');
+const { EVAL_USAGE, parseEvalArgs } = require('./lib/cli');
+const { loadSnapshot, loadPrompt, runEval, rankCombinations, renderReport } = require('./lib/eval');
+const { DEFAULT_STORY_COUNT } = require('./lib/profiles');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// COMMAND-LINE OPTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+let cliOptions;
+try {
+  cliOptions = parseEvalArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ Error: ${error.message}\n`);
+  console.error(EVAL_USAGE);
+  process.exit(1);
+}
+if (cliOptions.help) {
+  console.log(EVAL_USAGE);
+  process.exit(0);
+}
+
+// Used when neither the flags nor the config name any
+const DEFAULT_SNAPSHOTS = [path.join(__dirname, 'test', 'fixtures', 'techmeme.html')];
+const DEFAULT_PROMPTS = ['current'];
+const DEFAULT_MODELS = ['stub'];
+
+const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || llm.DEFAULT_TIMEOUT_MS;
+
+/**
+ * Reads the eval config file, resolving its paths against the file's directory
+ *
+ * @param {string} file - Config file (see eval.example.json)
+ * @returns {{snapshots: string[], prompts: string[], models: string[], storyCount?: number, minScore?: number}}
+ * @throws {Error} If the file can't be read or isn't valid
+ */
+function loadConfig(file) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const dir = path.dirname(file);
+  const list = key => {
+    if (config[key] === undefined) return [];
+    if (!Array.isArray(config[key]) || !config[key].every(value => typeof value === 'string')) {
+      throw new Error(`"${key}" in ${file} must be an array of strings`);
+    }
+    return config[key];
+  };
+
+  return {
+    snapshots: list('snapshots').map(snapshot => path.resolve(dir, snapshot)),
+    prompts: list('prompts').map(prompt => (prompt === 'current' ? prompt : path.resolve(dir, prompt))),
+    models: list('models'),
+    storyCount: config.storyCount,
+    minScore: config.minScore
+  };
+}
+
+/**
+ * Runs the comparison and writes the report
+ */
+async function main() {
+  const config = cliOptions.config ? loadConfig(cliOptions.config) : { snapshots: [], prompts: [], models: [] };
+  const pick = (flags, configured, defaults) => {
+    if (flags.length > 0) return flags;
+    return configured.length > 0 ? configured : defaults;
+  };
+  const storyCount = cliOptions.storyCount || config.storyCount || DEFAULT_STORY_COUNT;
+  const minScore = cliOptions.minScore !== undefined ? cliOptions.minScore : config.minScore;
+
+  const snapshots = pick(cliOptions.snapshots, config.snapshots, DEFAULT_SNAPSHOTS).map(loadSnapshot);
+  const prompts = pick(cliOptions.prompts, config.prompts, DEFAULT_PROMPTS).map(loadPrompt);
+  const models = pick(cliOptions.models, config.models, DEFAULT_MODELS).map(spec => llm.loadProvider(spec));
+
+  console.log('═══════════════════════════════════════════════════════════════════════════');
+  console.log('🧪 DIGEST EVAL');
+  console.log('═══════════════════════════════════════════════════════════════════════════');
+  console.log(`Snapshots: ${snapshots.map(snapshot => `${snapshot.name} (${snapshot.items.length} items)`).join(', ')}`);
+  console.log(`Prompts:   ${prompts.map(prompt => prompt.name).join(', ')}`);
+  console.log(`Models:    ${models.map(model => `${model.name}/${model.model}`).join(', ')}`);
+  console.log(`Stories:   ${storyCount}`);
+
+  const results = await runEval({
+    snapshots,
+    prompts,
+    models,
+    storyCount,
+    timeout: LLM_TIMEOUT_MS,
+    retryPolicy: loadRetryPolicy()
+  });
+
+  const generatedAt = new Date();
+  const outDir = cliOptions.out || path.join('data', 'evals');
+  const base = path.join(outDir, `eval-${generatedAt.toISOString().replace(/[:.]/g, '-')}`);
+  const report = renderReport(results, { generatedAt, storyCount });
+  const ranking = rankCombinations(results);
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(`${base}.md`, report);
+  fs.writeFileSync(`${base}.json`, `${JSON.stringify({ generatedAt: generatedAt.toISOString(), storyCount, ranking, results }, null, 2)}\n`);
+
+  console.log('\n═══════════════════════════════════════════════════════════════════════════');
+  console.log('📊 RANKING');
+  console.log('═══════════════════════════════════════════════════════════════════════════');
+  ranking.forEach((row, index) => {
+    console.log(`${index + 1}. ${row.score.toFixed(1).padStart(5)}  ${row.prompt} × ${row.model}`);
+  });
+  console.log(`\n✓ Report written to ${base}.md (and .json)`);
+
+  if (minScore !== undefined && (ranking.length === 0 || ranking[0].score < minScore)) {
+    console.error(`❌ Best score ${ranking.length > 0 ? ranking[0].score : 0} is below the minimum of ${minScore}`);
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ Eval failed: ${error.message}`);
+  process.exit(1);
+});
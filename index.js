@@ -2,299 +2,836 @@
 // 📰 TECHMEME DIGEST BOT
 // ═══════════════════════════════════════════════════════════════════════════
 // This script automates the daily tech news digest by:
-// 1. Scraping the latest headlines from Techmeme
-// 2. Using Google's Gemini AI to intelligently summarize the top stories
-// 3. Posting a beautifully formatted digest to your Slack channel
+// 1. Scraping the latest headlines from Techmeme (and optional extra sources)
+// 2. Using an LLM (Gemini, OpenAI-compatible or Ollama) to summarize the top stories
+// 3. Posting a beautifully formatted digest to your Slack channel, and to
+//    any other configured destination (email, Teams, Discord, a Markdown
+//    archive, an RSS/Atom feed - see lib/publishers)
+// 4. Archiving every day's scrape and digest for weekly and monthly roll-ups
+// 5. Between digests, alerting the channel to breaking news (--breaking)
+//
+// Every run has a run id and records per-stage metrics; a failed run (or
+// one with warnings) is reported to the ops channel (see lib/telemetry).
+//
+// Run `node index.js --help` for the offline and dry-run options.
 // ═══════════════════════════════════════════════════════════════════════════
 
 // Load environment variables from .env file
 require('dotenv').config();
 
-// Dependencies for HTTP requests, HTML parsing, AI, and Slack integration
-const axios = require('axios');
-const cheerio = require('cheerio');
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+// Dependencies for news sources, AI, and Slack integration
 const { WebClient } = require('@slack/web-api');
+const path = require('path');
+const history = require('./lib/history');
+const llm = require('./lib/llm');
+const newsSources = require('./lib/sources');
+const { RIVER_SITES, fetchTechmemeContent } = require('./lib/sources/river');
+const profiles = require('./lib/profiles');
+const { USAGE, parseCliArgs } = require('./lib/cli');
+const { createRecorder } = require('./lib/recorder');
+const { createReplayProvider } = require('./lib/llm/replay');
+const { createSummarizer, annotateStories } = require('./lib/summarizer');
+const { saveLastDigest } = require('./lib/last-digest');
+const { loadRetryPolicy, withRetry } = require('./lib/retry');
+const snapshotCache = require('./lib/snapshots');
+const archive = require('./lib/archive');
+const articles = require('./lib/articles');
+const rollups = require('./lib/rollup');
+const breaking = require('./lib/breaking');
+const { isValidTimezone } = require('./lib/cron');
+const { createTelemetry, renderOpsAlert } = require('./lib/telemetry');
+const publishers = require('./lib/publishers');
+const { recordMessageSize } = require('./lib/publishers/slack');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// COMMAND-LINE OPTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+let cliOptions;
+try {
+  cliOptions = parseCliArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ Error: ${error.message}\n`);
+  console.error(USAGE);
+  process.exit(1);
+}
+if (cliOptions.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+// Run id, structured logs (LOG_FORMAT=json) and metrics of this run
+const telemetry = createTelemetry({ runId: process.env.RUN_ID || undefined, json: process.env.LOG_FORMAT === 'json' });
+
+// Keeps the scraped HTML, LLM responses and Slack payloads of this run
+const recorder = cliOptions.record ? createRecorder(cliOptions.record) : null;
 
 // ═══════════════════════════════════════════════════════════════════════════
 // CONFIGURATION
 // ═══════════════════════════════════════════════════════════════════════════
 
-// Techmeme source URL
-const TECHMEME_URL = 'https://techmeme.com/';
+// Retry policy shared by every external call (see lib/retry), and the
+// per-attempt timeout of each stage
+const RETRY_POLICY = loadRetryPolicy();
+const FETCH_TIMEOUT_MS = Number(process.env.FETCH_TIMEOUT_MS) || 15000;
+const SLACK_TIMEOUT_MS = Number(process.env.SLACK_TIMEOUT_MS) || 10000;
+const PUBLISH_TIMEOUT_MS = Number(process.env.PUBLISH_TIMEOUT_MS) || 15000;
+
+// Last good page of every River site, used when the site is down (see lib/snapshots)
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(__dirname, 'data', 'snapshots');
+const SNAPSHOT_MAX_AGE_HOURS = Number(process.env.SNAPSHOT_MAX_AGE_HOURS) || snapshotCache.DEFAULT_MAX_AGE_HOURS;
+
+// Optional article stage: fetch the linked articles so summaries are
+// grounded in their text, not just the headline (see lib/articles)
+const FETCH_ARTICLES = process.env.FETCH_ARTICLES === 'true';
+const ARTICLE_CONCURRENCY = Number(process.env.ARTICLE_CONCURRENCY) || articles.DEFAULT_CONCURRENCY;
+const ARTICLE_MAX_COUNT = Number(process.env.ARTICLE_MAX_COUNT) || articles.DEFAULT_MAX_ARTICLES;
+const ARTICLE_MAX_TOKENS = Number(process.env.ARTICLE_MAX_TOKENS) || articles.DEFAULT_MAX_TOKENS;
+
+// LLM configuration: providers are tried in LLM_PROVIDERS order (see lib/llm)
+const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || llm.DEFAULT_TIMEOUT_MS;
 
-// Google Gemini AI configuration
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-pro-latest'; // Fallback to latest if not specified
+// How many times to ask the LLM for a digest that passes schema validation
+const MAX_SUMMARY_ATTEMPTS = Number(process.env.MAX_SUMMARY_ATTEMPTS) || 3;
 
 // Slack integration configuration
 const SLACK_TOKEN = process.env.SLACK_BOT_TOKEN;
 const SLACK_CHANNEL = process.env.SLACK_CHANNEL_ID;
 
+// Slack Web API base URL (only changed to point the bot at a fake Slack)
+const SLACK_API_URL = process.env.SLACK_API_URL || undefined;
+
+// Failed runs, and runs with warnings, are reported to this channel
+const OPS_CHANNEL = process.env.OPS_CHANNEL_ID;
+
+// Where digests go besides (or instead of) Slack (see lib/publishers); the
+// Markdown archive and the feed are written to the data directory by default
+const DATA_DIR = path.join(__dirname, 'data');
+
+// Digest profiles: one tailored digest per channel (see lib/profiles).
+// Without this file, a single digest goes to SLACK_CHANNEL_ID.
+const DIGEST_PROFILES_FILE = process.env.DIGEST_PROFILES_FILE || path.join(__dirname, 'digest-profiles.json');
+
+// Cross-run deduplication: stories posted within the window are dropped
+// ('filter') or pushed to the end of the list ('demote') on the next run
+const HISTORY_FILE = process.env.HISTORY_FILE || path.join(__dirname, 'data', 'history.json');
+const HISTORY_WINDOW_DAYS = Number(process.env.HISTORY_WINDOW_DAYS) || 3;
+const HISTORY_MODE = process.env.HISTORY_MODE === 'demote' ? 'demote' : 'filter';
+
+// Latest digest per channel, used by the slash command server to explain
+// stories and to answer replies in the digest's thread
+const LAST_DIGEST_FILE = process.env.LAST_DIGEST_FILE || path.join(__dirname, 'data', 'last-digest.json');
+
+// Every day's items and digests, read back by --rollup week|month (see lib/archive)
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || path.join(__dirname, 'data', 'archive');
+const ARCHIVE_RETENTION_DAYS = Number(process.env.ARCHIVE_RETENTION_DAYS) || archive.DEFAULT_RETENTION_DAYS;
+
+// Breaking-news alerts (--breaking, see lib/breaking): the previous check,
+// where and when alerts go, and how urgent a story must look
+const BREAKING_STATE_FILE = process.env.BREAKING_STATE_FILE || path.join(__dirname, 'data', 'breaking.json');
+const BREAKING_THRESHOLD = Number(process.env.BREAKING_THRESHOLD) || breaking.DEFAULT_THRESHOLD;
+const BREAKING_MAX_PER_HOUR = Number(process.env.BREAKING_MAX_PER_HOUR) || breaking.DEFAULT_MAX_PER_HOUR;
+const BREAKING_MAX_PER_DAY = Number(process.env.BREAKING_MAX_PER_DAY) || breaking.DEFAULT_MAX_PER_DAY;
+const BREAKING_TIMEZONE = process.env.BREAKING_TIMEZONE || 'UTC';
+const BREAKING_KEYWORDS = breaking.DEFAULT_KEYWORDS.concat(breaking.parseKeywords(process.env.BREAKING_KEYWORDS));
+
+// Slack client for digests, alerts and the ops channel. Its built-in
+// retries are turned off so rate limits go through our own retry policy.
+const slackClient = SLACK_TOKEN
+  ? new WebClient(SLACK_TOKEN, {
+    slackApiUrl: SLACK_API_URL,
+    timeout: SLACK_TIMEOUT_MS,
+    retryConfig: { retries: 0 },
+    rejectRateLimitedCalls: true
+  })
+  : null;
+
+// Built from the environment by configure(), before anything runs
+let digestProfiles;
+let llmProviders;
+let snapshots;
+let sources;
+let summarizer;
+let digestPublishers;
+let articleFetcher;
+let breakingChannel;
+let BREAKING_QUIET_HOURS;
+
 // ═══════════════════════════════════════════════════════════════════════════
 // ENVIRONMENT VALIDATION
 // ═══════════════════════════════════════════════════════════════════════════
-// Ensure all required environment variables are present before proceeding
-if (!GEMINI_API_KEY || !SLACK_TOKEN || !SLACK_CHANNEL) {
-  console.error('❌ Error: Missing required environment variables!');
-  console.error('   Please check your .env file and ensure the following are set:');
-  console.error('   - GEMINI_API_KEY');
-  console.error('   - SLACK_BOT_TOKEN');
-  console.error('   - SLACK_CHANNEL_ID');
-  process.exit(1);
+
+/**
+ * Builds an error for an invalid or missing setting
+ * 
+ * @param {string} message - What is wrong
+ * @param {string} [hint] - How to fix it
+ * @returns {Error} Error of the `config` stage
+ */
+function configError(message, hint) {
+  return Object.assign(new Error(message), { stage: 'config', hint });
 }
 
-console.log('✓ Environment variables validated successfully');
+/**
+ * Validates the environment and builds the profiles, LLM providers, news
+ * sources and publishers of this run
+ * 
+ * @throws {Error} If a setting is missing or invalid (stage `config`)
+ */
+function configure() {
+  // Digests only need Slack when it's one of their destinations; breaking-news
+  // alerts always go to Slack
+  let publisherNames;
+  try {
+    publisherNames = publishers.publisherNames();
+  } catch (error) {
+    throw configError(error.message);
+  }
+  const needsSlack = publisherNames.includes('slack') || cliOptions.breaking;
+
+  // Ensure all required environment variables are present before proceeding
+  // (a dry run never talks to Slack, so it doesn't need a token)
+  if (!SLACK_TOKEN && needsSlack && !cliOptions.dryRun) {
+    throw configError(
+      'Missing required environment variables: SLACK_BOT_TOKEN',
+      'Please check your .env file and set SLACK_BOT_TOKEN and SLACK_CHANNEL_ID (or a digest-profiles.json file)'
+    );
+  }
+  if (OPS_CHANNEL && !SLACK_TOKEN && !cliOptions.dryRun) {
+    throw configError(
+      'OPS_CHANNEL_ID is set but SLACK_BOT_TOKEN is not, so failures could not be reported',
+      'Set SLACK_BOT_TOKEN, or remove OPS_CHANNEL_ID'
+    );
+  }
+
+  // Load the digest profiles - each one becomes a separate digest
+  try {
+    digestProfiles = profiles.loadProfiles(DIGEST_PROFILES_FILE, {
+      channel: SLACK_CHANNEL || (cliOptions.dryRun ? 'dry-run' : undefined) || (needsSlack ? undefined : 'none')
+    });
+  } catch (error) {
+    throw configError(error.message);
+  }
 
-// ═══════════════════════════════════════════════════════════════════════════
-// INITIALIZE API CLIENTS
-// ═══════════════════════════════════════════════════════════════════════════
+  // Build the LLM fallback chain - at least one provider must be usable.
+  // A recorded response (--llm-fixture) replaces every provider.
+  try {
+    llmProviders = cliOptions.llmFixture
+      ? [createReplayProvider({ file: cliOptions.llmFixture })]
+      : llm.loadProviders();
+    if (recorder) {
+      llmProviders = llmProviders.map(provider => recorder.wrapProvider(provider));
+    }
+    llmProviders = llmProviders.map(provider => telemetry.wrapProvider(provider));
+  } catch (error) {
+    throw configError(error.message);
+  }
+  // Breaking-news alerts are scored in code and never need a model
+  if (llmProviders.length === 0 && !cliOptions.breaking) {
+    throw configError(
+      'No LLM provider is configured!',
+      'Set GEMINI_API_KEY, or configure another provider in LLM_PROVIDERS'
+    );
+  }
+
+  // Build the news source adapters (see lib/sources)
+  snapshots = snapshotCache.createSnapshotCache(SNAPSHOT_DIR, { maxAgeHours: SNAPSHOT_MAX_AGE_HOURS });
+  try {
+    sources = newsSources.loadSources(process.env, {
+      fixture: cliOptions.fixture,
+      recorder,
+      snapshots,
+      timeout: FETCH_TIMEOUT_MS,
+      retryPolicy: RETRY_POLICY,
+      telemetry
+    });
+  } catch (error) {
+    throw configError(error.message);
+  }
+  if (sources.length === 0) {
+    throw configError('No news source is configured! Check SOURCES in your .env file');
+  }
+
+  // Breaking-news alerts go to their own channel when there is one
+  breakingChannel = process.env.BREAKING_CHANNEL_ID || SLACK_CHANNEL || digestProfiles[0].channel;
+  try {
+    BREAKING_QUIET_HOURS = breaking.parseQuietHours(process.env.BREAKING_QUIET_HOURS);
+  } catch (error) {
+    throw configError(error.message);
+  }
+  if (!isValidTimezone(BREAKING_TIMEZONE)) {
+    throw configError(`Unknown BREAKING_TIMEZONE "${BREAKING_TIMEZONE}"`);
+  }
+
+  // Destinations of every digest. One that isn't configured is skipped with
+  // a warning, but there must be at least one.
+  try {
+    digestPublishers = publishers.loadPublishers(process.env, {
+      dataDir: DATA_DIR,
+      slackClient,
+      dryRun: cliOptions.dryRun,
+      recorder,
+      telemetry,
+      timeout: PUBLISH_TIMEOUT_MS,
+      retryPolicy: RETRY_POLICY
+    });
+  } catch (error) {
+    throw configError(error.message);
+  }
+  if (digestPublishers.length === 0 && !cliOptions.breaking) {
+    throw configError('No digest destination is configured! Check PUBLISHERS in your .env file');
+  }
+
+  console.log('✓ Environment variables validated successfully');
+
+  // LLM providers were built during validation; show the fallback order
+  const providerChain = llmProviders.map(provider => `${provider.name} (${provider.model})`).join(' → ');
+  console.log(`✓ LLM providers initialized: ${providerChain}`);
+  console.log(`✓ News sources: ${sources.map(source => source.label).join(', ')}`);
+
+  // The summarizer labels each item with the sources carrying it
+  summarizer = createSummarizer({
+    providers: llmProviders,
+    timeout: LLM_TIMEOUT_MS,
+    maxAttempts: MAX_SUMMARY_ATTEMPTS,
+    retryPolicy: RETRY_POLICY,
+    sourceLabel: name => (sources.find(source => source.name === name) || { label: name }).label
+  });
 
-// Initialize Google Gemini AI client for content generation
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-console.log(`✓ Gemini AI client initialized (Model: ${GEMINI_MODEL})`);
+  if (slackClient) {
+    console.log('✓ Slack client initialized');
+  }
+  console.log(`✓ Publishing to: ${digestPublishers.map(publisher => publisher.label).join(', ')}`);
+  if (cliOptions.dryRun) {
+    console.log('✓ Dry run: payloads will be printed, nothing is posted, sent or written');
+  }
+  if (recorder) {
+    console.log(`✓ Recording this run into ${recorder.dir}`);
+  }
+  console.log(`✓ Digest profiles: ${digestProfiles.map(profile => `${profile.name} → ${profile.channel}`).join(', ')}`);
 
-// Initialize Slack Web API client for posting messages
-const slackClient = new WebClient(SLACK_TOKEN);
-console.log(`✓ Slack client initialized (Channel: ${SLACK_CHANNEL})`);
+  // Article stage, shared by every profile so each article is fetched once.
+  // A fixture run is meant to be offline, so it never fetches articles.
+  articleFetcher = FETCH_ARTICLES && !cliOptions.fixture
+    ? articles.createArticleFetcher({
+      concurrency: ARTICLE_CONCURRENCY,
+      maxArticles: ARTICLE_MAX_COUNT,
+      maxTokens: ARTICLE_MAX_TOKENS,
+      timeout: FETCH_TIMEOUT_MS,
+      retryPolicy: RETRY_POLICY
+    })
+    : null;
+  if (articleFetcher) {
+    console.log(`✓ Article stage on: up to ${ARTICLE_MAX_COUNT} articles per digest, ${ARTICLE_MAX_TOKENS} tokens each`);
+  } else if (FETCH_ARTICLES) {
+    console.log('ℹ️  Article stage skipped: --fixture runs stay offline');
+  }
+}
 
 // ═══════════════════════════════════════════════════════════════════════════
 // CORE FUNCTIONS
 // ═══════════════════════════════════════════════════════════════════════════
 
 /**
- * Fetches and parses the latest headlines from Techmeme
+ * Builds the structured digest every publisher receives (see lib/publishers)
+ * 
+ * @param {Array<Object>} stories - Validated digest stories, sorted by rank
+ * @param {Object} options
+ * @param {Object} options.profile - Digest profile
+ * @param {string} options.title - Digest title (e.g. "Techmeme Top 10 Digest")
+ * @param {string} options.generatedBy - Provider/model credited in the footer
+ * @param {string[]} [options.sources] - Sites the stories come from,
+ *   credited in the footer (see sourceUrlsOf())
+ * @param {string} [options.kind='daily'] - "daily", or the roll-up period
+ * @param {string} [options.date] - Date line under the title (defaults to today)
+ * @param {string|null} [options.staleSince] - When the cached page the
+ *   digest was built from was scraped
+ * @param {Array<Object>} [options.sections] - Extra sections after the
+ *   stories (see rollups.rollupSections())
+ * @returns {Object} Structured digest
+ */
+function buildDigest(stories, { profile, title, generatedBy, sources: sourceUrls = [], kind = 'daily', date, staleSince = null, sections = [] }) {
+  const now = new Date();
+  return {
+    kind,
+    profile: profile.name,
+    channel: profile.channel,
+    title,
+    date: date || now.toLocaleDateString('en-US', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    }),
+    publishedAt: now.toISOString(),
+    generatedBy,
+    sources: sourceUrls,
+    staleSince,
+    stories,
+    sections
+  };
+}
+
+/**
+ * Returns the sites a list of merged items was found on
+ * 
+ * @param {Array<Object>} items - Merged items
+ * @returns {string[]} Site URLs, in SOURCES order
+ */
+function sourceUrlsOf(items) {
+  return sources
+    .filter(source => items.some(item => (item.sources || [item.source]).includes(source.name)))
+    .map(source => source.url);
+}
+
+/**
+ * Returns the history file used by a digest profile
+ * 
+ * The default profile keeps using HISTORY_FILE itself; other profiles get
+ * their own file next to it, so a story posted to one channel can still be
+ * posted to another.
+ * 
+ * @param {Object} profile - Digest profile
+ * @returns {string} Path to the profile's history file
+ */
+function historyFileFor(profile) {
+  if (profile.name === 'default') return HISTORY_FILE;
+  const { dir, name, ext } = path.parse(HISTORY_FILE);
+  return path.join(dir, `${name}-${profile.name}${ext || '.json'}`);
+}
+
+/**
+ * Builds and posts the digest of a single profile from the shared scrape
  * 
- * Uses Cheerio to parse the HTML and extract headline text and URLs.
- * Attempts to find items using the main '.ii' class selector, with a
- * fallback strategy if the page structure has changed.
+ * Steps:
+ * 1. Keep the items matching the profile's topics
+ * 2. Skip or demote stories already posted to this profile
+ * 3. Optionally fetch the candidates' articles and format the data for
+ *    AI processing
+ * 4. Generate a structured, validated summary with the LLM fallback chain
+ * 5. Publish the digest to every destination (the profile's Slack
+ *    channel, email, webhooks, files - see lib/publishers). If Slack fails
+ *    partway through a split digest, the stories already posted are still
+ *    recorded in the history.
+ * 6. Record the posted stories in the profile's history, as the
+ *    channel's last digest and in today's archive
  * 
- * @returns {Promise<Array<{text: string, url: string}>>} Array of news items
- * @throws {Error} If the HTTP request fails
+ * @param {Array<Object>} items - Merged items from every source
+ * @param {Object} profile - Digest profile
+ * @param {Object} [options]
+ * @param {string|null} [options.staleSince] - Set when the items come from a
+ *   cached snapshot (see newsSources.staleSince())
+ * @throws {Error} If summarizing fails, or publishing fails everywhere
  */
-async function fetchTechmemeContent() {
-  console.log('\n📡 Fetching content from Techmeme...');
+async function runProfileDigest(items, profile, { staleSince = null } = {}) {
+  console.log('\n───────────────────────────────────────────────────────────────────────────');
+  console.log(`🎯 PROFILE: ${profile.name} (channel ${profile.channel}, ${profile.storyCount} stories)`);
+  console.log('───────────────────────────────────────────────────────────────────────────');
+  
+  // STEP 1: Keep only what this profile cares about
+  const profileItems = profiles.filterItemsForProfile(items, profile);
+  console.log(`✓ ${profileItems.length}/${items.length} items match the profile's topics`);
+  
+  if (profileItems.length === 0) {
+    console.log('ℹ️  No stories match this profile today. Nothing to send.');
+    return;
+  }
+  
+  // STEP 2: Drop or demote stories already posted in recent digests
+  console.log('\n🗂️  Checking digest history...');
+  const historyFile = historyFileFor(profile);
+  const postedHistory = history.loadHistory(historyFile);
+  const classified = history.classifyItems(profileItems, postedHistory, { windowDays: HISTORY_WINDOW_DAYS });
+  let candidates = history.applyHistoryPolicy(classified, HISTORY_MODE);
+  const countByStatus = status => classified.filter(item => item.history.status === status).length;
+  console.log(`✓ ${countByStatus('new')} new, ${countByStatus('developing')} developing, ${countByStatus('repeat')} already posted (mode: ${HISTORY_MODE}, window: ${HISTORY_WINDOW_DAYS} days)`);
+  
+  if (candidates.length === 0) {
+    console.log('ℹ️  Every story was already posted in a recent digest. Nothing to send today.');
+    return;
+  }
   
+  // STEP 3: Ground the candidates in their article text (when enabled),
+  // then format them as readable text for the AI
+  if (articleFetcher) {
+    candidates = await telemetry.stage('articles', () => articleFetcher.addArticles(candidates), { profile: profile.name });
+  }
+  console.log('\n📝 Formatting content for AI processing...');
+  const content = summarizer.formatContentForLLM(candidates);
+  console.log(`✓ Formatted ${candidates.length} items for AI`);
+  
+  // STEP 4: Generate a validated, structured summary with the LLM
+  const { stories, generatedBy } = await telemetry.stage('summarize',
+    () => summarizer.summarizeWithLLM(content, candidates, profile), { profile: profile.name });
+  
+  // Attach each story's Techmeme position and coverage count, flag
+  // returning stories so the renderer can label them as developing, and
+  // record whether each summary came from the article or the headline
+  const postedItems = annotateStories(stories, candidates);
+  if (articleFetcher) {
+    const grounded = stories.filter(story => story.grounding === 'article').length;
+    console.log(`✓ ${grounded}/${stories.length} stories grounded in article text, the rest in headlines only`);
+  }
+  
+  // STEP 5: Publish to every destination; one failing doesn't stop the others
+  let results;
   try {
-    // Make HTTP request to Techmeme homepage
-    const { data } = await axios.get(TECHMEME_URL);
-    console.log('✓ Successfully retrieved HTML content');
-    
-    // Load HTML into Cheerio for jQuery-like parsing
-    const $ = cheerio.load(data);
-    
-    // Array to store extracted headline items
-    let items = [];
-    
-    // Select the main column headlines (usually inside .ii class)
-    $('.ii').each((i, el) => {
-        if (items.length >= 15) return;
-        const $el = $(el);
-        const $link = $el.find('a').first();
-        const text = $el.text().trim();
-        let url = $link.attr('href');
-        
-        if (text && url) {
-            // Make URL absolute if it's relative
-            if (url.startsWith('/')) {
-                url = 'https://techmeme.com' + url;
-            }
-            items.push({ text, url });
-        }
-    });
-
-    if (items.length === 0) {
-        console.log('⚠️  No items found with .ii selector, trying fallback method...');
-        
-        // FALLBACK EXTRACTION STRATEGY
-        // If the page structure has changed, try extracting from <strong> tags
-        // This is a more general approach that should catch headlines
-        $('strong').each((i, el) => {
-            if (items.length >= 15) return;
-            const $el = $(el);
-            const text = $el.text().trim();
-            const $link = $el.find('a').first().length ? $el.find('a').first() : $el.closest('a');
-            let url = $link.attr('href');
-            
-            if (text.length > 20 && url) {
-                if (url.startsWith('/')) {
-                    url = 'https://techmeme.com' + url;
-                }
-                items.push({ text, url });
-            }
-        });
+    ({ results } = await publishers.publishDigest(digestPublishers, buildDigest(stories, {
+      profile,
+      title: profile.title || `Techmeme Top ${stories.length} Digest`,
+      generatedBy,
+      sources: sourceUrlsOf(postedItems),
+      staleSince
+    }), { telemetry }));
+  } catch (error) {
+    // Part of a split Slack digest may already be in the channel: remember
+    // those stories, so that running again doesn't post them twice
+    const posted = publishers.partiallyPublished(error);
+    if (posted) {
+      const postedStoryItems = postedItems.filter((item, index) => posted.stories.includes(stories[index]));
+      history.recordPosted(postedHistory, postedStoryItems, { retentionDays: HISTORY_WINDOW_DAYS });
+      history.saveHistory(historyFile, postedHistory);
+      console.warn(`⚠️  Recorded the ${postedStoryItems.length} stories already posted to ${posted.channel} in digest history`);
     }
+    throw error;
+  }
+  
+  // STEP 6: Remember what was posted so tomorrow's digest can skip it
+  // (a dry run posts nothing, so it leaves the history untouched)
+  if (cliOptions.dryRun) {
+    console.log('ℹ️  Dry run: digest history not updated');
+    return;
+  }
+  await telemetry.stage('history', async () => {
+    history.recordPosted(postedHistory, postedItems, { retentionDays: HISTORY_WINDOW_DAYS });
+    history.saveHistory(historyFile, postedHistory);
+    console.log(`✓ Recorded ${postedItems.length} stories in digest history`);
     
-    console.log(`✓ Successfully extracted ${items.length} headlines`);
-    
-    // Log a preview of the first few items for debugging
-    if (items.length > 0) {
-      console.log('   Preview of first item:');
-      console.log(`   - Title: ${items[0].text.substring(0, 60)}...`);
-      console.log(`   - URL: ${items[0].url}`);
-    } else {
-      console.warn('⚠️  Warning: No items were extracted!');
+    // Keep the posted stories so "/techmeme explain <n>" can answer in the thread
+    if (results.slack) {
+      saveLastDigest(LAST_DIGEST_FILE, { channel: profile.channel, ts: results.slack.ts, stories, items: postedItems });
     }
     
-    return items;
-  } catch (error) {
-    console.error('❌ Error fetching Techmeme:', error.message);
-    if (error.response) {
-      console.error(`   HTTP Status: ${error.response.status}`);
-      console.error(`   Status Text: ${error.response.statusText}`);
+    // Keep the digest for the weekly and monthly roll-ups (like its items,
+    // a digest built from a cached page isn't archived)
+    if (!staleSince) {
+      archive.archiveDigest(ARCHIVE_DIR, profile.name, { channel: profile.channel, generatedBy, stories });
     }
-    throw error;
+  }, { profile: profile.name });
+}
+
+/**
+ * Formats the date range covered by a roll-up, e.g. "Jan 22 – Jan 28, 2026"
+ * 
+ * @param {Array<Object>} days - Archived days, oldest first
+ * @returns {string} Human-readable date range
+ */
+function formatRollupDates(days) {
+  const format = (date, options) => new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', ...options });
+  const first = days[0].date;
+  const last = days[days.length - 1].date;
+  const end = format(last, { month: 'short', day: 'numeric', year: 'numeric' });
+  return first === last ? end : `${format(first, { month: 'short', day: 'numeric' })} – ${end}`;
+}
+
+/**
+ * Builds and posts the weekly or monthly roll-up of a single profile
+ * 
+ * Steps:
+ * 1. Group the profile's archived items into per-story timelines
+ * 2. Ask the LLM for the biggest stories, recurring themes, most-mentioned
+ *    companies and stories that grew over several days
+ * 3. Publish the roll-up to every destination with its own header
+ * 
+ * Roll-ups are not recorded in the digest history: they look back on
+ * stories that were already posted.
+ * 
+ * @param {Array<Object>} days - Archived days of the period, oldest first
+ * @param {Object} period - Roll-up period (see rollups.ROLLUP_PERIODS)
+ * @param {Object} profile - Digest profile
+ * @throws {Error} If summarizing fails, or publishing fails everywhere
+ */
+async function runProfileRollup(days, period, profile) {
+  console.log('\n───────────────────────────────────────────────────────────────────────────');
+  console.log(`🎯 PROFILE: ${profile.name} (channel ${profile.channel}, ${period.name}ly roll-up)`);
+  console.log('───────────────────────────────────────────────────────────────────────────');
+  
+  // STEP 1: One timeline per story, limited to the profile's topics
+  const timelines = rollups.buildTimelines(days, {
+    profileName: profile.name,
+    filterItems: items => profiles.filterItemsForProfile(items, profile)
+  });
+  console.log(`✓ ${timelines.length} stories in the archive match the profile's topics`);
+  
+  if (timelines.length === 0) {
+    console.log(`ℹ️  Nothing archived for this profile over the past ${period.name}. Nothing to send.`);
+    return;
+  }
+  
+  // STEP 2: Generate a validated roll-up with the LLM
+  const { rollup, generatedBy } = await telemetry.stage('summarize',
+    () => summarizer.summarizeRollup(timelines, period, profile), { profile: profile.name });
+  annotateStories(rollup.stories, timelines.map(timeline => timeline.item));
+  
+  // STEP 3: Publish it with the roll-up header and its extra sections
+  await publishers.publishDigest(digestPublishers, buildDigest(rollup.stories, {
+    profile,
+    kind: period.name,
+    title: profile.title ? `${profile.title}: ${period.label} in Review` : `Techmeme ${period.label} in Review`,
+    date: formatRollupDates(days),
+    generatedBy,
+    sources: sourceUrlsOf(days.flatMap(day => day.items)),
+    sections: rollups.rollupSections(rollup)
+  }), { telemetry });
+}
+
+/**
+ * Posts the weekly or monthly roll-up of every profile from the archive
+ * 
+ * @param {Object} period - Roll-up period (see rollups.ROLLUP_PERIODS)
+ * @throws {Error} If the archive is empty or any profile fails
+ */
+async function runRollups(period) {
+  console.log(`\n🗄️  Loading the archive of the past ${period.days} days from ${ARCHIVE_DIR}...`);
+  const days = await telemetry.stage('archive', async () => {
+    const archived = archive.loadArchive(ARCHIVE_DIR, { days: period.days });
+    if (archived.length === 0) {
+      throw new Error(`No archived digests in ${ARCHIVE_DIR} for the past ${period.days} days. Cannot build a roll-up.`);
+    }
+    return archived;
+  });
+  console.log(`✓ Loaded ${days.length} archived day(s)`);
+  
+  const failedProfiles = [];
+  for (const profile of digestProfiles) {
+    try {
+      await runProfileRollup(days, period, profile);
+    } catch (error) {
+      console.error(`❌ Profile "${profile.name}" failed: ${error.message}`);
+      telemetry.fail(error, { profile: profile.name });
+      failedProfiles.push(profile.name);
+    }
+  }
+  
+  if (failedProfiles.length > 0) {
+    throw new Error(`${failedProfiles.length}/${digestProfiles.length} roll-up(s) failed: ${failedProfiles.join(', ')}`);
+  }
+}
+
+/**
+ * Posts a breaking-news alert to the breaking-news channel
+ * 
+ * @param {Object} candidate - Scored cluster (see breaking.detectBreaking())
+ * @returns {Promise<void>}
+ * @throws {Error} If the Slack API call still fails after retries
+ */
+async function postBreakingAlert(candidate) {
+  const message = breaking.renderBreakingAlert(candidate);
+  const payload = { channel: breakingChannel, text: message.text, blocks: message.blocks, unfurl_links: false };
+  recordMessageSize(telemetry, payload);
+  if (recorder) {
+    recorder.recordSlack(payload);
   }
+  
+  if (cliOptions.dryRun) {
+    console.log('\n🧪 DRY RUN - Slack payload (not posted):');
+    console.log(JSON.stringify(payload, null, 2));
+    return;
+  }
+  
+  await withRetry(() => slackClient.chat.postMessage(payload), {
+    label: 'Slack chat.postMessage',
+    policy: RETRY_POLICY
+  });
+  console.log(`✅ Posted a breaking-news alert to ${breakingChannel}: ${candidate.item.headline || candidate.item.text}`);
 }
 
 /**
- * Uses Google's Gemini AI to generate an intelligent summary of news items
+ * Checks Techmeme for breaking news and posts alerts for urgent stories
+ * 
+ * Steps:
+ * 1. Scrape Techmeme (the other sources don't rank their stories)
+ * 2. Compare it with the previous check and score the new and rising
+ *    clusters (see lib/breaking)
+ * 3. Keep the stories above the threshold that weren't alerted yet and
+ *    aren't repeats of a recent digest
+ * 4. Post them, within the quiet hours and rate limits. Each alert is
+ *    saved as soon as it's posted, so a failed post repeats none of them.
+ * 5. Save this check as the baseline for the next one
  * 
- * Sends the raw headline data to Gemini with specific instructions to:
- * - Identify the top 10 most important stories
- * - Format for Slack with emojis and proper markdown
- * - Keep summaries concise and actionable
+ * The first check only records a baseline: without a previous check,
+ * every story would look new.
  * 
- * @param {string} content - Formatted string of news items with URLs
- * @returns {Promise<string>} Formatted summary text ready for Slack
- * @throws {Error} If the AI generation fails
+ * @throws {Error} If Techmeme can't be fetched or posting fails
  */
-async function summarizeWithGemini(content) {
-  console.log('\n🤖 Generating summary with Gemini AI...');
+async function runBreakingCheck() {
+  const now = new Date();
   
-  try {
-    // Initialize the Gemini model
-    const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
-    console.log(`   Using model: ${GEMINI_MODEL}`);
-    
-    // Craft the prompt with specific instructions for the AI
-    const prompt = `
-     You are a high-signal tech and business news aggregator.
-Your goal is to identify the top 10 most important new stories by synthesizing information from multiple reliable sources, not just the provided text.
-
-Primary source:
-Techmeme (provided below)
-Secondary sources to cross-check and enrich context:
-X (formerly Twitter): verified accounts, founders, VCs, researchers, reputable journalists
-Reddit: relevant high-quality subreddits (e.g. r/startups, r/technology, r/MachineLearning, r/artificial)
-Major tech/business outlets (e.g. Bloomberg, The Information, WSJ, FT, The Verge, Wired)
-
-Selection criteria:
-At least 50% of the selected items must be focused on business, startups, AI, or core technology trends
-
-Prioritize stories with:
-Strategic business impact
-Market or industry implications
-Notable funding, acquisitions, IPOs, or shutdowns
-Breakthroughs or setbacks in AI, infrastructure, or platforms
-De-prioritize shallow product launches or incremental updates unless they have outsized impact
-
-Instructions:
-Read the raw Techmeme content below
-Cross-check and validate importance using the secondary sources
-Merge duplicates into a single, stronger story when appropriate
-Rank by real-world significance, not volume of coverage
-
-Output format (for Slack):
-Use a clean bulleted list (• or -)
-Start each bullet with a relevant emoji
-Use single asterisks for bold titles (e.g. Title)
-Keep summaries concise (1–2 sentences max)
-Clearly state why the story matters
-Add a link to the most authoritative original article for each item
-Raw Content:
-      ${content}
-    `;
-
-    console.log('   Sending prompt to Gemini...');
-    const startTime = Date.now();
-    
-    // Send the request to Gemini
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    let text = response.text();
-    
-    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.log(`✓ Received response from Gemini (${duration}s)`);
-    console.log(`   Generated text length: ${text.length} characters`);
-    console.log(`   Preview: ${text.substring(0, 100)}...`);
-    
-    // POST-PROCESSING: Clean up the AI output for optimal Slack formatting
-    console.log('   Applying Slack formatting...');
-    
-    // Convert double asterisks to single asterisks (Slack uses single * for bold)
-    text = text.replace(/\*\*/g, '*');
-    
-    // Remove any triple asterisks that might accidentally appear
-    text = text.replace(/\*\*\*/g, '*');
-    
-    // Remove markdown-style links [text](url) and convert to Slack format <url|text>
-    // This prevents duplicate "read more" issues
-    text = text.replace(/\[([^\]]+)\]\((https?:\/\/[^\)]+)\)/g, (match, linkText, url) => {
-      return `<${url}|${linkText}>`;
+  // STEP 1: Scrape Techmeme, deeper than a digest does (see lib/breaking)
+  const items = await telemetry.stage('scrape', async () => {
+    const scraped = await fetchTechmemeContent({
+      maxItems: breaking.BASELINE_ITEMS,
+      fixture: cliOptions.fixture,
+      recorder,
+      snapshots,
+      timeout: FETCH_TIMEOUT_MS,
+      retryPolicy: RETRY_POLICY,
+      telemetry
     });
-    
-    // Replace any remaining bare URLs with Slack's link format
-    // Only match URLs that are NOT already inside < > brackets (Slack format)
-    text = text.replace(/(?<!<)(https?:\/\/[^\s<>\)\]]+)(?![^<]*>)/g, (url) => {
-      return `<${url}|read more>`;
+    if (scraped.length === 0) {
+      throw new Error('No items fetched from Techmeme. Cannot check for breaking news.');
+    }
+    return scraped;
+  });
+  if (newsSources.staleSince(items)) {
+    console.warn('⚠️  Techmeme is unreachable and its snapshot says nothing new. Skipping this check.');
+    return;
+  }
+  
+  // STEP 2: Compare with the previous check
+  const state = breaking.loadBreakingState(BREAKING_STATE_FILE);
+  const saveState = () => {
+    if (cliOptions.dryRun) {
+      console.log('ℹ️  Dry run: breaking-news state not updated');
+      return;
+    }
+    breaking.saveBreakingState(BREAKING_STATE_FILE, state, items, { now });
+  };
+  // Remembers the alerts posted so far, still against the previous baseline,
+  // so that a failed post is retried next time without repeating the others
+  const saveAlerts = () => {
+    if (cliOptions.dryRun) return;
+    breaking.saveBreakingState(BREAKING_STATE_FILE, state, state.items, { now: new Date(state.polledAt) });
+  };
+  if (!state.polledAt) {
+    console.log(`ℹ️  First check: recording ${items.length} stories as the baseline, no alerts yet`);
+    saveState();
+    return;
+  }
+  
+  const changes = breaking.detectBreaking(items, state.items, { keywords: BREAKING_KEYWORDS });
+  console.log(`\n🔎 ${changes.length} new or rising stories since ${state.polledAt}`);
+  changes.forEach(({ item, change, score, reasons }) => {
+    console.log(`   ${String(score).padStart(3)}  ${change.padEnd(6)}  ${(item.headline || item.text).substring(0, 70)} (${reasons.join(', ')})`);
+  });
+  
+  // STEP 3: Keep the urgent stories that weren't alerted or posted yet
+  const postedHistory = history.loadHistory(HISTORY_FILE);
+  const urgent = changes
+    .filter(change => change.score >= BREAKING_THRESHOLD)
+    .filter(change => !breaking.wasAlerted(change.item, state.alerts))
+    .filter(change => history.classifyItems([change.item], postedHistory, { windowDays: 1 })[0].history.status !== 'repeat');
+  console.log(`✓ ${urgent.length} story(ies) at or above the threshold of ${BREAKING_THRESHOLD}`);
+  
+  // STEP 4: Post them, unless it's quiet hours or the alert budget is spent
+  if (urgent.length > 0 && breaking.isQuietTime(now, BREAKING_QUIET_HOURS, BREAKING_TIMEZONE)) {
+    console.log(`🔕 Quiet hours (${BREAKING_QUIET_HOURS.start}-${BREAKING_QUIET_HOURS.end} ${BREAKING_TIMEZONE}): not posting ${urgent.length} alert(s)`);
+    urgent.length = 0;
+  }
+  const left = breaking.alertsLeft(state.alerts, now, { maxPerHour: BREAKING_MAX_PER_HOUR, maxPerDay: BREAKING_MAX_PER_DAY });
+  if (urgent.length > left) {
+    console.log(`🔕 Rate limit (${BREAKING_MAX_PER_HOUR}/hour, ${BREAKING_MAX_PER_DAY}/day): posting ${left} of ${urgent.length} alert(s)`);
+  }
+  
+  await telemetry.stage('slack', async () => {
+    for (const candidate of urgent.slice(0, left)) {
+      await postBreakingAlert(candidate);
+      state.alerts.push(breaking.alertRecord(candidate, now));
+      saveAlerts();
+    }
+  });
+  
+  // STEP 5: This check is the baseline for the next one
+  saveState();
+}
+
+/**
+ * Fetches today's headlines, archives them and posts every profile's digest
+ * 
+ * A failing profile doesn't stop the others; the run fails at the end if
+ * any profile did.
+ * 
+ * @throws {Error} If nothing could be fetched or any profile fails
+ */
+async function runDailyDigests() {
+  // STEP 1: Fetch content from every source and merge duplicate stories
+  const items = await telemetry.stage('scrape', async () => {
+    const merged = await newsSources.fetchAllSources(sources, { telemetry });
+    if (merged.length === 0) {
+      throw new Error('No items fetched from any source. Cannot proceed.');
+    }
+    return merged;
+  });
+  
+  // A source that was down was replaced by its cached snapshot
+  const staleSince = newsSources.staleSince(items);
+  if (staleSince) {
+    console.warn(`⚠️  Building a stale digest from the snapshot saved at ${staleSince}`);
+  }
+  
+  // Keep today's scrape for the roll-ups (a dry run or a cached page
+  // says nothing new about today, so neither is archived)
+  if (!cliOptions.dryRun && !staleSince) {
+    await telemetry.stage('archive', async () => {
+      archive.archiveItems(ARCHIVE_DIR, items, { retentionDays: ARCHIVE_RETENTION_DAYS });
+      console.log(`✓ Archived ${items.length} items in ${ARCHIVE_DIR}`);
     });
-    
-    const urlCount = (text.match(/</g) || []).length;
-    console.log(`✓ Formatted URLs as Slack links`);
-    
-    return text;
-  } catch (error) {
-    console.error('❌ Error during Gemini summarization:', error.message);
-    if (error.response) {
-      console.error(`   Response data:`, error.response.data);
+  }
+  
+  // STEP 2: One digest per profile, all from the same scrape
+  const failedProfiles = [];
+  for (const profile of digestProfiles) {
+    try {
+      await runProfileDigest(items, profile, { staleSince });
+    } catch (error) {
+      console.error(`❌ Profile "${profile.name}" failed: ${error.message}`);
+      telemetry.fail(error, { profile: profile.name });
+      failedProfiles.push(profile.name);
     }
-    throw error;
+  }
+  
+  if (failedProfiles.length > 0) {
+    throw new Error(`${failedProfiles.length}/${digestProfiles.length} digest profile(s) failed: ${failedProfiles.join(', ')}`);
   }
 }
 
 /**
- * Posts the formatted digest to the specified Slack channel
+ * Tells the ops channel that the run failed, or finished with warnings
  * 
- * Prepends a header with the current date and newspaper emoji,
- * then sends the message using Slack's Web API with markdown enabled.
+ * Never throws: a broken ops alert must not hide how the run itself went.
  * 
- * @param {string} text - The formatted summary text to post
- * @throws {Error} If the Slack API call fails
+ * @param {Object} summary - Run summary (see telemetry.summary())
+ * @returns {Promise<void>}
  */
-async function postToSlack(text) {
-  console.log('\n📤 Posting to Slack...');
+async function alertOps(summary) {
+  const task = cliOptions.rollup
+    ? `Techmeme ${cliOptions.rollup}ly roll-up`
+    : cliOptions.breaking ? 'Techmeme breaking-news check' : 'Techmeme digest';
+  const message = renderOpsAlert(summary, { task });
+  if (!message) return;
+  if (!OPS_CHANNEL) {
+    console.log('ℹ️  OPS_CHANNEL_ID is not set, so the ops channel was not alerted');
+    return;
+  }
+  
+  const payload = { channel: OPS_CHANNEL, text: message.text, blocks: message.blocks, unfurl_links: false };
+  if (cliOptions.dryRun) {
+    console.log('\n🧪 DRY RUN - ops alert (not posted):');
+    console.log(JSON.stringify(payload, null, 2));
+    return;
+  }
+  if (!slackClient) {
+    console.error(`❌ Could not alert the ops channel ${OPS_CHANNEL}: SLACK_BOT_TOKEN is not set`);
+    return;
+  }
   
   try {
-    // Create a beautiful header with today's date
-    const formattedDate = new Date().toLocaleDateString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
-    const header = `*Techmeme Top 10 Digest - ${formattedDate}* :newspaper:\n\n`;
-    
-    console.log(`   Target channel: ${SLACK_CHANNEL}`);
-    console.log(`   Message length: ${(header + text).length} characters`);
-    
-    // Send the message to Slack
-    const result = await slackClient.chat.postMessage({
-      channel: SLACK_CHANNEL,
-      text: header + text,
-      mrkdwn: true  // Enable Slack markdown formatting
+    await withRetry(() => slackClient.chat.postMessage(payload), {
+      label: 'Slack chat.postMessage',
+      policy: RETRY_POLICY
     });
-    
-    console.log('✅ Successfully posted to Slack!');
-    console.log(`   Message timestamp: ${result.ts}`);
-    console.log(`   Channel: ${result.channel}`);
+    console.log(`📟 Alerted the ops channel ${OPS_CHANNEL}`);
   } catch (error) {
-    console.error('❌ Error posting to Slack:', error.message);
-    if (error.data) {
-      console.error(`   Error code: ${error.data.error}`);
-      console.error(`   Details:`, error.data);
-    }
-    throw error;
+    console.error(`❌ Could not alert the ops channel: ${error.message}`);
   }
 }
 
@@ -302,42 +839,48 @@ async function postToSlack(text) {
  * Main orchestration function - coordinates the entire digest workflow
  * 
  * Workflow:
- * 1. Fetch headlines from Techmeme
- * 2. Format the data for AI processing
- * 3. Generate intelligent summary with Gemini
- * 4. Post the digest to Slack
+ * 1. Fetch headlines from every configured source, merge duplicates and
+ *    archive them
+ * 2. Build and post one tailored digest per profile (see runProfileDigest())
+ * 
+ * With --rollup, the weekly or monthly roll-up is posted from the archive
+ * instead (see runRollups()); with --breaking, Techmeme is checked for
+ * breaking news (see runBreakingCheck()).
  * 
- * @throws {Error} If any step in the workflow fails
+ * The run ends with its metrics. A failed run, or one with warnings, is
+ * reported to the ops channel (see alertOps()) and a failed run exits
+ * with code 1. So is a run that can't start because of its configuration.
  */
 async function main() {
+  try {
+    configure();
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    if (error.hint) {
+      console.error(`   ${error.hint}`);
+    }
+    telemetry.fail(error);
+    await alertOps(telemetry.summary({ ok: false }));
+    process.exit(1);
+  }
+
   console.log('\n═══════════════════════════════════════════════════════════════════════════');
   console.log('🚀 STARTING TECHMEME DIGEST BOT');
   console.log('═══════════════════════════════════════════════════════════════════════════');
   console.log(`Started at: ${new Date().toLocaleString()}`);
+  console.log(`Run ID: ${telemetry.runId}`);
   
   const workflowStartTime = Date.now();
   
   try {
-    // STEP 1: Fetch content from Techmeme
-    const items = await fetchTechmemeContent();
-    
-    if (items.length === 0) {
-      throw new Error('No items fetched from Techmeme. Cannot proceed.');
+    if (cliOptions.rollup) {
+      await runRollups(rollups.ROLLUP_PERIODS[cliOptions.rollup]);
+    } else if (cliOptions.breaking) {
+      await runBreakingCheck();
+    } else {
+      await runDailyDigests();
     }
     
-    // STEP 2: Format items as readable text for the AI
-    console.log('\n📝 Formatting content for AI processing...');
-    const content = items.map((item, index) => 
-      `${index + 1}. ${item.text}\n   URL: ${item.url}`
-    ).join('\n\n');
-    console.log(`✓ Formatted ${items.length} items for AI`);
-    
-    // STEP 3: Generate summary with Gemini AI
-    const summary = await summarizeWithGemini(content);
-    
-    // STEP 4: Post to Slack
-    await postToSlack(summary);
-    
     // Calculate and display total execution time
     const totalDuration = ((Date.now() - workflowStartTime) / 1000).toFixed(2);
     
@@ -348,6 +891,10 @@ async function main() {
     console.log(`Completed at: ${new Date().toLocaleString()}`);
     console.log('═══════════════════════════════════════════════════════════════════════════\n');
     
+    const summary = telemetry.summary();
+    telemetry.logSummary(summary);
+    await alertOps(summary);
+    
   } catch (error) {
     console.error('\n═══════════════════════════════════════════════════════════════════════════');
     console.error('❌ WORKFLOW FAILED');
@@ -355,6 +902,14 @@ async function main() {
     console.error('Error details:', error.message);
     console.error('Stack trace:', error.stack);
     console.error('═══════════════════════════════════════════════════════════════════════════\n');
+    
+    // Profile failures were recorded one by one; anything else is recorded here
+    if (telemetry.summary().failures.length === 0) {
+      telemetry.fail(error);
+    }
+    const summary = telemetry.summary({ ok: false });
+    telemetry.logSummary(summary);
+    await alertOps(summary);
     process.exit(1);
   }
 }
@@ -0,0 +1,161 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🗄️  DIGEST ARCHIVE
+// ═══════════════════════════════════════════════════════════════════════════
+// Keeps every day's scrape and the digests posted from it, so weekly and
+// monthly roll-ups (lib/rollup) can look back over a whole period.
+//
+// One JSON file per UTC day in ARCHIVE_DIR (default data/archive):
+//
+//   data/archive/2026-01-28.json
+//   {
+//     "date": "2026-01-28",
+//     "items": [ ...merged items of the latest scrape that day... ],
+//     "digests": {
+//       "<profile name>": { "channel", "generatedBy", "postedAt", "stories": [...] }
+//     }
+//   }
+//
+// A second run on the same day replaces that day's items and the digests
+// of the profiles it posts. Days older than ARCHIVE_RETENTION_DAYS
+// (default 90) are deleted.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RETENTION_DAYS = 90;
+
+// Archive files are named after their day
+const DAY_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+/**
+ * Returns the UTC day of a date as YYYY-MM-DD
+ *
+ * @param {Date} [date=new Date()] - Date
+ * @returns {string} Day key
+ */
+function dayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Reads one archived day
+ *
+ * @param {string} file - Path to the day file
+ * @param {string} date - Day key, used when the file is missing
+ * @returns {Object} Archived day (empty if the file is missing or corrupt)
+ */
+function readDay(file, date) {
+  if (!fs.existsSync(file)) {
+    return { date, items: [], digests: {} };
+  }
+
+  try {
+    const day = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { date, items: day.items || [], digests: day.digests || {} };
+  } catch (error) {
+    console.warn(`⚠️  Could not read archive file ${file} (${error.message}), starting the day fresh`);
+    return { date, items: [], digests: {} };
+  }
+}
+
+/**
+ * Writes one archived day, creating the directory if needed
+ *
+ * @param {string} dir - Archive directory
+ * @param {Object} day - Archived day
+ */
+function writeDay(dir, day) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${day.date}.json`), JSON.stringify(day, null, 2));
+}
+
+/**
+ * Archives the merged items of today's scrape and prunes old days
+ *
+ * @param {string} dir - Archive directory
+ * @param {Array<Object>} items - Merged items from every source
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Current time
+ * @param {number} [options.retentionDays=90] - Days to keep
+ */
+function archiveItems(dir, items, { now = new Date(), retentionDays = DEFAULT_RETENTION_DAYS } = {}) {
+  const date = dayKey(now);
+  const day = readDay(path.join(dir, `${date}.json`), date);
+
+  // The per-profile history status only means something for that run
+  day.items = items.map(({ history, ...item }) => item);
+  writeDay(dir, day);
+
+  pruneArchive(dir, { now, retentionDays });
+}
+
+/**
+ * Archives a profile's posted digest under today's date
+ *
+ * @param {string} dir - Archive directory
+ * @param {string} profileName - Digest profile name
+ * @param {Object} digest
+ * @param {string} digest.channel - Channel the digest was posted to
+ * @param {string} digest.generatedBy - Provider/model that wrote it
+ * @param {Array<Object>} digest.stories - Posted stories
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Current time
+ */
+function archiveDigest(dir, profileName, { channel, generatedBy, stories }, { now = new Date() } = {}) {
+  const date = dayKey(now);
+  const day = readDay(path.join(dir, `${date}.json`), date);
+  day.digests[profileName] = { channel, generatedBy, postedAt: now.toISOString(), stories };
+  writeDay(dir, day);
+}
+
+/**
+ * Deletes archived days older than the retention period
+ *
+ * @param {string} dir - Archive directory
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Current time
+ * @param {number} [options.retentionDays=90] - Days to keep
+ */
+function pruneArchive(dir, { now = new Date(), retentionDays = DEFAULT_RETENTION_DAYS } = {}) {
+  if (!fs.existsSync(dir)) return;
+
+  const oldest = dayKey(new Date(now.getTime() - retentionDays * 86400000));
+  fs.readdirSync(dir).forEach(file => {
+    const match = file.match(DAY_FILE_PATTERN);
+    if (match && match[1] < oldest) {
+      fs.unlinkSync(path.join(dir, file));
+    }
+  });
+}
+
+/**
+ * Loads the archived days of a period
+ *
+ * @param {string} dir - Archive directory
+ * @param {Object} period
+ * @param {number} period.days - Number of days, counting today
+ * @param {Date} [period.now=new Date()] - Last day of the period
+ * @returns {Array<Object>} Archived days, oldest first (days without a file are skipped)
+ */
+function loadArchive(dir, { days, now = new Date() }) {
+  if (!fs.existsSync(dir)) return [];
+
+  const first = dayKey(new Date(now.getTime() - (days - 1) * 86400000));
+  const last = dayKey(now);
+  return fs.readdirSync(dir)
+    .map(file => file.match(DAY_FILE_PATTERN))
+    .filter(match => match && match[1] >= first && match[1] <= last)
+    .map(match => match[1])
+    .sort()
+    .map(date => readDay(path.join(dir, `${date}.json`), date));
+}
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  dayKey,
+  archiveItems,
+  archiveDigest,
+  pruneArchive,
+  loadArchive
+};
@@ -0,0 +1,250 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 📄 ARTICLE TEXT
+// ═══════════════════════════════════════════════════════════════════════════
+// Fetches linked articles and pulls out their readable text, so summaries
+// and answers about a story can be grounded in what the article actually
+// says rather than in the headline alone.
+//
+// Extraction is deliberately simple: drop scripts, navigation and other
+// page chrome, then keep the paragraphs of the main content (the
+// <article> or <main> element when there is one, the whole page otherwise).
+//
+// Every fetched article gets a status:
+//   ok          Readable text was found
+//   paywalled   The page is behind a paywall; any free teaser paragraphs
+//               are kept as the text
+//   empty       The page had no readable paragraphs
+//   failed      The page couldn't be fetched
+//
+// Text is capped per article at roughly `maxTokens` tokens (4 characters
+// per token), cut at a sentence boundary where possible.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const cheerio = require('cheerio');
+const { httpGet } = require('./retry');
+
+// Defaults for the article stage (see ARTICLE_* in .env.example)
+const DEFAULT_MAX_TOKENS = 1000;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_ARTICLES = 20;
+
+// Rough characters-per-token ratio for English prose
+const CHARS_PER_TOKEN = 4;
+
+// Paragraphs shorter than this are usually captions, bylines or buttons
+const MIN_PARAGRAPH_LENGTH = 40;
+
+// Elements that never hold the article itself
+const CHROME_SELECTORS = 'script, style, noscript, nav, header, footer, aside, form, iframe, svg, figure';
+
+// HTTP statuses publishers answer with when the reader isn't a subscriber
+const PAYWALL_STATUSES = [401, 402, 403];
+
+// Signs of a paywall in the page itself
+const PAYWALL_TEXT = /subscribe to (continue|keep) reading|(this|the) article is (for|reserved for) (subscribers|members)|already a subscriber\?|to continue reading,? (subscribe|sign in|log in)/i;
+const PAYWALL_SELECTORS = '[class*="paywall"], [id*="paywall"], [class*="regwall"], [data-paywall]';
+
+/**
+ * Extracts the readable text of an article page and detects paywalls
+ *
+ * @param {string} html - Article page HTML
+ * @returns {{text: string, paywalled: boolean}} Paragraphs of the main
+ *   content separated by blank lines, and whether the page is paywalled
+ */
+function extractArticle(html) {
+  const $ = cheerio.load(html);
+
+  // Publishers mark paywalled pages for search engines in their JSON-LD
+  const notFree = $('script[type="application/ld+json"]').toArray()
+    .some(script => /"isAccessibleForFree"\s*:\s*"?false"?/i.test($(script).html() || ''));
+  const paywalled = notFree || $(PAYWALL_SELECTORS).length > 0 || PAYWALL_TEXT.test($('body').text());
+
+  $(CHROME_SELECTORS).remove();
+  $(PAYWALL_SELECTORS).remove();
+
+  const roots = ['article', 'main', '[role="main"]', 'body'];
+  const root = roots.map(selector => $(selector).first()).find(element => element.length > 0);
+
+  const text = (root ? root.find('p') : $('p'))
+    .map((index, paragraph) => $(paragraph).text().replace(/\s+/g, ' ').trim())
+    .get()
+    .filter(paragraph => paragraph.length >= MIN_PARAGRAPH_LENGTH && !PAYWALL_TEXT.test(paragraph))
+    .join('\n\n');
+
+  return { text, paywalled };
+}
+
+/**
+ * Estimates the number of tokens in a text
+ *
+ * @param {string} text - Text
+ * @returns {number} Approximate token count
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Caps a text at roughly `maxTokens` tokens
+ *
+ * The cut is made at the last sentence end before the limit when that
+ * keeps at least half of the allowed text.
+ *
+ * @param {string} text - Text
+ * @param {number} maxTokens - Token budget
+ * @returns {string} Text, with an ellipsis when cut
+ */
+function capTokens(text, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  if (text.length <= maxChars) return text;
+
+  const cut = text.substring(0, maxChars);
+  const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('.\n'));
+  return `${sentenceEnd > maxChars / 2 ? cut.substring(0, sentenceEnd + 1) : cut}…`;
+}
+
+/**
+ * Fetches an article and extracts its text
+ *
+ * Failures are not errors: a paywalled, empty or unreachable article just
+ * gets that status, and callers fall back to the headline.
+ *
+ * @param {string} url - Article URL
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Per-attempt timeout in milliseconds
+ * @param {Object} [options.retryPolicy] - Retry policy (see lib/retry)
+ * @param {number} [options.maxTokens=1000] - Token budget for the text
+ * @returns {Promise<{url: string, status: string, text: string|null, tokens: number}>}
+ *   Article status and capped text (null when there is none)
+ */
+async function fetchArticle(url, { timeout, retryPolicy, maxTokens = DEFAULT_MAX_TOKENS } = {}) {
+  let html;
+  try {
+    const response = await httpGet(url, { label: `Article ${url}`, timeout, policy: retryPolicy, responseType: 'text' });
+    html = String(response.data);
+  } catch (error) {
+    const status = error.response && error.response.status;
+    if (PAYWALL_STATUSES.includes(status)) {
+      console.warn(`⚠️  Article is paywalled (HTTP ${status}): ${url}`);
+      return { url, status: 'paywalled', text: null, tokens: 0 };
+    }
+    console.warn(`⚠️  Could not fetch article ${url}: ${error.message}`);
+    return { url, status: 'failed', text: null, tokens: 0 };
+  }
+
+  const { text, paywalled } = extractArticle(html);
+  if (!text) {
+    console.warn(`⚠️  No readable text found in ${url}${paywalled ? ' (paywalled)' : ''}`);
+    return { url, status: paywalled ? 'paywalled' : 'empty', text: null, tokens: 0 };
+  }
+
+  const capped = capTokens(text, maxTokens);
+  return { url, status: paywalled ? 'paywalled' : 'ok', text: capped, tokens: estimateTokens(capped) };
+}
+
+/**
+ * Runs an async function over a list with at most `limit` calls at a time
+ *
+ * @param {Array} list - Inputs
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - `(input) → Promise`
+ * @returns {Promise<Array>} Results, in input order
+ */
+async function mapWithConcurrency(list, limit, fn) {
+  const results = new Array(list.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < list.length) {
+      const index = next++;
+      results[index] = await fn(list[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, list.length) }, worker));
+  return results;
+}
+
+/**
+ * Creates the article stage shared by every digest of a run
+ *
+ * Articles are fetched once per URL and reused for `cacheMs`, so profiles
+ * sharing a story don't fetch it twice.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=4] - Articles fetched at the same time
+ * @param {number} [options.maxArticles=20] - Articles fetched per call to addArticles()
+ * @param {number} [options.maxTokens=1000] - Token budget per article
+ * @param {number} [options.timeout] - Per-attempt timeout in milliseconds
+ * @param {Object} [options.retryPolicy] - Retry policy (see lib/retry)
+ * @param {number} [options.cacheMs=Infinity] - How long a fetched article
+ *   is reused (long-running servers should set this)
+ * @returns {Object} Stage with `fetchArticle(url)` and `addArticles(items)`
+ */
+function createArticleFetcher({
+  concurrency = DEFAULT_CONCURRENCY,
+  maxArticles = DEFAULT_MAX_ARTICLES,
+  maxTokens = DEFAULT_MAX_TOKENS,
+  timeout,
+  retryPolicy,
+  cacheMs = Infinity
+} = {}) {
+  const cache = new Map();
+
+  /**
+   * Fetches an article once, returning the cached result until it expires
+   *
+   * @param {string} url - Article URL
+   * @returns {Promise<Object>} Article (see fetchArticle())
+   */
+  function fetchCached(url) {
+    const now = Date.now();
+    cache.forEach((entry, key) => {
+      if (now - entry.fetchedAt > cacheMs) cache.delete(key);
+    });
+    if (!cache.has(url)) {
+      cache.set(url, { fetchedAt: now, article: fetchArticle(url, { timeout, retryPolicy, maxTokens }) });
+    }
+    return cache.get(url).article;
+  }
+
+  /**
+   * Attaches the article behind each item's lead link as `item.article`
+   *
+   * Only the first `maxArticles` items get an article; the rest are left
+   * as they are and summarized from their headlines.
+   *
+   * @param {Array<Object>} items - Candidate items, most important first
+   * @returns {Promise<Array<Object>>} Copies of the items, with `article`
+   *   ({status, text, tokens}) on those that were fetched
+   */
+  async function addArticles(items) {
+    console.log(`\n📄 Fetching up to ${Math.min(items.length, maxArticles)} articles (${concurrency} at a time)...`);
+    const startTime = Date.now();
+
+    const fetched = await mapWithConcurrency(items.slice(0, maxArticles), concurrency, item => fetchCached(item.url));
+    const counts = {};
+    fetched.forEach(article => { counts[article.status] = (counts[article.status] || 0) + 1; });
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`✓ Articles fetched in ${duration}s: ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')}`);
+
+    return items.map((item, index) => {
+      const article = fetched[index];
+      return article ? { ...item, article: { status: article.status, text: article.text, tokens: article.tokens } } : item;
+    });
+  }
+
+  return {
+    fetchArticle: fetchCached,
+    addArticles
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_TOKENS,
+  DEFAULT_CONCURRENCY,
+  DEFAULT_MAX_ARTICLES,
+  extractArticle,
+  capTokens,
+  fetchArticle,
+  createArticleFetcher
+};
@@ -0,0 +1,315 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🚨 BREAKING NEWS
+// ═══════════════════════════════════════════════════════════════════════════
+// Spots stories that blow up between digests (`node index.js --breaking`,
+// run every few minutes by the scheduler or any cron). Each poll scrapes
+// Techmeme and compares its top BREAKING_MAX_RANK clusters (the ones a
+// digest would see) with the previous poll:
+//
+//   new      A cluster that wasn't on the page last time
+//   rising   A cluster that gained RISING_MIN_GROWTH related links, or
+//            climbed into the top 5 from far below
+//
+// New and rising clusters are scored:
+//
+//   rank       up to 30 points (30 for #1, 3 fewer per place)
+//   coverage   2 points per related link, up to 30
+//   growth     3 points per related link gained since the last poll, up to 20
+//   keywords   the strongest matching keyword ("acquires" 25, "IPO" 25,
+//              "layoffs" 20, "outage" 25, ...)
+//
+// A story scoring at least the threshold (default 60) is posted as a short
+// alert, unless it's quiet hours, the hourly or daily alert budget is used
+// up, or the story was already alerted. Suppressed stories are dropped, not
+// held back: if they keep growing, they come back as rising.
+//
+// State is kept as JSON (BREAKING_STATE_FILE, default data/breaking.json):
+//
+//   {
+//     "polledAt": "...",
+//     "items":  [ { "url", "text", "rank", "relatedCount" } ],   // last poll
+//                                         // (BASELINE_ITEMS clusters deep)
+//     "alerts": [ { "url", "title", "headline", "score", "postedAt" } ]
+//   }
+// ═══════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeUrl, normalizeTitle, findStory } = require('./history');
+const { isSameStory } = require('./sources');
+const { MAX_ITEMS } = require('./sources/river');
+const { localTime } = require('./cron');
+const { escapeSlackText } = require('./slack-format');
+
+// Defaults (see BREAKING_* in .env.example)
+const DEFAULT_THRESHOLD = 60;
+const DEFAULT_MAX_PER_HOUR = 2;
+const DEFAULT_MAX_PER_DAY = 6;
+
+// Related links a cluster must gain between polls to count as rising
+const RISING_MIN_GROWTH = 3;
+
+// A cluster climbing this many places into the top 5 counts as rising too
+const RISING_MIN_CLIMB = 5;
+
+// Only clusters this high on the page are candidates, but the baseline
+// keeps more of the page: a story slipping into the last candidate place
+// from just below it was already on the page, so it isn't new
+const BREAKING_MAX_RANK = MAX_ITEMS;
+const BASELINE_ITEMS = 40;
+
+// Alerted stories are remembered this long, so they're never alerted twice
+const ALERT_MEMORY_DAYS = 2;
+
+// Keywords that make a story more likely to be urgent, strongest first.
+// Only the strongest match counts.
+const DEFAULT_KEYWORDS = [
+  { label: 'acquisition', weight: 25, pattern: /\b(acquires?|acquired|acquisition|to buy|buys|agrees to buy|merger)\b/i },
+  { label: 'IPO', weight: 25, pattern: /\b(IPO|files? to go public|goes public|direct listing)\b/i },
+  { label: 'outage', weight: 25, pattern: /\b(outage|outages|is down|went down|goes down|service disruption)\b/i },
+  { label: 'bankruptcy', weight: 25, pattern: /\b(bankruptcy|bankrupt|shuts down|shutting down)\b/i },
+  { label: 'layoffs', weight: 20, pattern: /\b(layoffs?|lays off|laying off|job cuts|cuts \d[\d,]* jobs)\b/i },
+  { label: 'security breach', weight: 20, pattern: /\b(breach|hacked|hackers|ransomware|zero-day|cyberattack)\b/i },
+  { label: 'leadership change', weight: 20, pattern: /\b(resigns?|steps down|stepping down|ousted|fired|new CEO)\b/i },
+  { label: 'regulation', weight: 10, pattern: /\b(antitrust|sues|lawsuit|fined|ban|bans)\b/i }
+];
+
+/**
+ * Builds extra keywords from a comma-separated list
+ *
+ * @param {string} [text] - e.g. "recall, data leak"
+ * @param {number} [weight=20] - Points each keyword is worth
+ * @returns {Array<{label: string, weight: number, pattern: RegExp}>} Keywords
+ */
+function parseKeywords(text, weight = 20) {
+  return (text || '').split(',').map(keyword => keyword.trim()).filter(Boolean).map(keyword => ({
+    label: keyword,
+    weight,
+    pattern: new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i')
+  }));
+}
+
+/**
+ * Parses quiet hours such as "22:00-07:00"
+ *
+ * @param {string} [text] - Start and end, 24-hour clock; empty for none
+ * @returns {{start: string, end: string}|null} Quiet hours, or null
+ * @throws {Error} If the format is invalid
+ */
+function parseQuietHours(text) {
+  if (!text) return null;
+  const match = text.trim().match(/^([01]?\d|2[0-3]):([0-5]\d)\s*-\s*([01]?\d|2[0-3]):([0-5]\d)$/);
+  if (!match) {
+    throw new Error(`Invalid quiet hours "${text}" (expected e.g. 22:00-07:00)`);
+  }
+  return { start: `${match[1].padStart(2, '0')}:${match[2]}`, end: `${match[3].padStart(2, '0')}:${match[4]}` };
+}
+
+/**
+ * Checks whether an instant falls in the quiet hours
+ *
+ * @param {Date} now - Instant
+ * @param {{start: string, end: string}|null} quietHours - From parseQuietHours()
+ * @param {string} [timezone='UTC'] - IANA time zone of the quiet hours
+ * @returns {boolean} Whether alerts should stay quiet
+ */
+function isQuietTime(now, quietHours, timezone = 'UTC') {
+  if (!quietHours) return false;
+  const { time } = localTime(now, timezone);
+  return quietHours.start <= quietHours.end
+    ? time >= quietHours.start && time < quietHours.end
+    : time >= quietHours.start || time < quietHours.end;
+}
+
+/**
+ * Reads the breaking-news state
+ *
+ * @param {string} file - Path to the JSON file
+ * @returns {{polledAt: string|null, items: Array<Object>, alerts: Array<Object>}}
+ *   State (empty if the file is missing or corrupt)
+ */
+function loadBreakingState(file) {
+  const empty = { polledAt: null, items: [], alerts: [] };
+  if (!fs.existsSync(file)) {
+    return empty;
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { polledAt: data.polledAt || null, items: data.items || [], alerts: data.alerts || [] };
+  } catch (error) {
+    console.warn(`⚠️  Could not read breaking-news state (${error.message}), starting fresh`);
+    return empty;
+  }
+}
+
+/**
+ * Saves this poll as the baseline for the next one and forgets old alerts
+ *
+ * @param {string} file - Path to the JSON file
+ * @param {Object} state - State from loadBreakingState(), with new alerts
+ * @param {Array<Object>} items - Items of this poll
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Poll time
+ */
+function saveBreakingState(file, state, items, { now = new Date() } = {}) {
+  const oldest = now.getTime() - ALERT_MEMORY_DAYS * 86400000;
+  const data = {
+    polledAt: now.toISOString(),
+    items: items.map(item => ({ url: item.url, text: item.text, rank: item.rank, relatedCount: item.relatedCount || 0 })),
+    alerts: state.alerts.filter(alert => Date.parse(alert.postedAt) >= oldest)
+  };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Scores how urgent a story looks
+ *
+ * @param {Object} item - Scraped Techmeme cluster
+ * @param {Object} [options]
+ * @param {number} [options.growth=0] - Related links gained since the last poll
+ * @param {Array<Object>} [options.keywords] - Keywords to look for
+ * @returns {{score: number, reasons: string[]}} Score and what it came from
+ */
+function scoreStory(item, { growth = 0, keywords = DEFAULT_KEYWORDS } = {}) {
+  const reasons = [];
+  const relatedCount = item.relatedCount || 0;
+
+  const rankScore = Math.max(0, 30 - (item.rank - 1) * 3);
+  const coverageScore = Math.min(30, relatedCount * 2);
+  const growthScore = Math.min(20, growth * 3);
+  reasons.push(`#${item.rank} on Techmeme`, `${relatedCount} related article${relatedCount === 1 ? '' : 's'}`);
+  if (growth > 0) reasons.push(`+${growth} since the last check`);
+
+  const headline = item.headline || item.text;
+  const keyword = keywords
+    .filter(candidate => candidate.pattern.test(headline))
+    .sort((a, b) => b.weight - a.weight)[0];
+  if (keyword) reasons.push(keyword.label);
+
+  return { score: rankScore + coverageScore + growthScore + (keyword ? keyword.weight : 0), reasons };
+}
+
+/**
+ * Finds the new and rising clusters of a poll and scores them
+ *
+ * @param {Array<Object>} items - Techmeme clusters of this poll
+ * @param {Array<Object>} previousItems - Clusters of the previous poll
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.keywords] - Keywords to look for
+ * @param {number} [options.maxRank=BREAKING_MAX_RANK] - Clusters ranked
+ *   lower are only a baseline, never candidates
+ * @returns {Array<{item: Object, change: string, growth: number, score: number, reasons: string[]}>}
+ *   New and rising clusters, highest score first
+ */
+function detectBreaking(items, previousItems, { keywords, maxRank = BREAKING_MAX_RANK } = {}) {
+  const changes = [];
+
+  items.filter(item => item.rank <= maxRank).forEach(item => {
+    const previous = previousItems.find(candidate =>
+      normalizeUrl(candidate.url) === normalizeUrl(item.url) || isSameStory(candidate, item));
+    const relatedCount = item.relatedCount || 0;
+
+    let change = null;
+    let growth = 0;
+    if (!previous) {
+      change = 'new';
+    } else {
+      growth = Math.max(0, relatedCount - (previous.relatedCount || 0));
+      const climbed = item.rank <= 5 && previous.rank - item.rank >= RISING_MIN_CLIMB;
+      if (growth >= RISING_MIN_GROWTH || climbed) change = 'rising';
+    }
+    if (!change) return;
+
+    const { score, reasons } = scoreStory(item, { growth, keywords });
+    changes.push({ item, change, growth, score, reasons });
+  });
+
+  return changes.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Returns how many alerts may still be posted under the rate limits
+ *
+ * @param {Array<Object>} alerts - Alerts already posted (see the state)
+ * @param {Date} now - Current time
+ * @param {Object} limits
+ * @param {number} limits.maxPerHour - Alerts allowed in any hour
+ * @param {number} limits.maxPerDay - Alerts allowed in any 24 hours
+ * @returns {number} Alerts left
+ */
+function alertsLeft(alerts, now, { maxPerHour, maxPerDay }) {
+  const since = ms => alerts.filter(alert => now.getTime() - Date.parse(alert.postedAt) < ms).length;
+  return Math.max(0, Math.min(maxPerHour - since(3600000), maxPerDay - since(86400000)));
+}
+
+/**
+ * Checks whether a story was already alerted
+ *
+ * @param {Object} item - Scraped cluster
+ * @param {Array<Object>} alerts - Alerts already posted
+ * @returns {boolean} Whether it was
+ */
+function wasAlerted(item, alerts) {
+  return Boolean(findStory(item, alerts));
+}
+
+/**
+ * Builds the alert record kept in the state
+ *
+ * @param {Object} candidate - Scored cluster from detectBreaking()
+ * @param {Date} now - Posting time
+ * @returns {Object} Alert record
+ */
+function alertRecord(candidate, now) {
+  const { item, score } = candidate;
+  return {
+    url: normalizeUrl(item.url),
+    title: normalizeTitle(item.text),
+    headline: item.headline || item.text,
+    score,
+    postedAt: now.toISOString()
+  };
+}
+
+/**
+ * Renders a breaking-news alert as a short Slack message
+ *
+ * @param {Object} candidate - Scored cluster from detectBreaking()
+ * @returns {{text: string, blocks: Array<Object>}} Slack message
+ */
+function renderBreakingAlert(candidate) {
+  const { item, reasons } = candidate;
+  const headline = escapeSlackText(item.headline || item.text);
+  const publisher = item.publisher ? ` (${escapeSlackText(item.publisher)})` : '';
+  const text = `🚨 *Breaking:* <${item.url}|${headline}>${publisher}`;
+  const details = reasons.map(escapeSlackText).join(' · ');
+
+  return {
+    text: `${text}\n${details}`,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: details }] }
+    ]
+  };
+}
+
+module.exports = {
+  BASELINE_ITEMS,
+  DEFAULT_THRESHOLD,
+  DEFAULT_MAX_PER_HOUR,
+  DEFAULT_MAX_PER_DAY,
+  DEFAULT_KEYWORDS,
+  parseKeywords,
+  parseQuietHours,
+  isQuietTime,
+  loadBreakingState,
+  saveBreakingState,
+  scoreStory,
+  detectBreaking,
+  alertsLeft,
+  wasAlerted,
+  alertRecord,
+  renderBreakingAlert
+};
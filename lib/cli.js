@@ -0,0 +1,265 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ⌨️  COMMAND-LINE OPTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+// Parses the flags accepted by index.js:
+//
+//   --dry-run              Print the Slack payloads instead of posting them
+//                          (the digest history isn't updated either)
+//   --fixture <html>       Scrape a saved Techmeme page instead of the live site
+//   --llm-fixture <file>   Replay a recorded model response instead of calling an LLM
+//   --record <dir>         Save the scraped HTML, model responses and Slack
+//                          payloads of this run into <dir>
+//   --rollup <period>      Post a "week" or "month" roll-up from the archive
+//                          instead of today's digest
+//   --breaking             Check Techmeme for breaking news and post alerts
+//                          instead of today's digest
+//   --help                 Show usage
+//
+// and by server.js (the slash command server):
+//
+//   --port <n>             Port to listen on (default: PORT or 3000)
+//   --fixture, --llm-fixture, --help as above
+//
+// and by scheduler.js (the scheduler daemon):
+//
+//   --list                 Show the schedules and their next runs, then exit
+//   --runs                 Show the run log, then exit (filtered by --schedule,
+//                          --status and --limit)
+//   --help as above
+//
+// and by eval.js (the digest eval harness):
+//
+//   --config <file>        Snapshots, prompts and models to compare (JSON)
+//   --snapshot, --prompt, --model <spec>
+//                          Add a snapshot, prompt version or model (repeatable)
+//   --stories <n>          Stories to ask for
+//   --out <dir>            Where to write the report
+//   --min-score <n>        Exit with an error if the best score is lower
+//   --help as above
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { parseArgs } = require('util');
+const { ROLLUP_PERIODS } = require('./rollup');
+const { RUN_STATUSES } = require('./run-log');
+const { MAX_STORY_COUNT } = require('./profiles');
+
+const USAGE = `Usage: node index.js [options]
+
+Options:
+  --dry-run              Print the Slack payloads instead of posting them
+  --fixture <html>       Scrape a saved Techmeme page instead of the live site
+  --llm-fixture <file>   Replay a recorded model response instead of calling an LLM
+  --record <dir>         Save the scraped HTML, model responses and Slack payloads to <dir>
+  --rollup <period>      Post a roll-up of the archived "week" or "month" instead of today's digest
+  --breaking             Check Techmeme for breaking news and post alerts instead of today's digest
+  --help                 Show this help`;
+
+const SERVER_USAGE = `Usage: node server.js [options]
+
+Options:
+  --port <n>             Port to listen on (default: PORT or 3000)
+  --fixture <html>       Scrape a saved Techmeme page instead of the live site
+  --llm-fixture <file>   Replay a recorded model response instead of calling an LLM
+  --help                 Show this help`;
+
+const SCHEDULER_USAGE = `Usage: node scheduler.js [options]
+
+Without options, runs the schedules from SCHEDULES_FILE until stopped.
+
+Options:
+  --list                 Show the schedules and their next runs
+  --runs                 Show the run log, newest first
+  --schedule <name>      With --runs: only this schedule
+  --status <status>      With --runs: only runs with this status (${RUN_STATUSES.join(', ')})
+  --limit <n>            With --runs: at most n runs (default: 20)
+  --help                 Show this help`;
+
+const EVAL_USAGE = `Usage: node eval.js [options]
+
+Without options, runs the fixture page through the current prompt and the offline stub model.
+
+Options:
+  --config <file>        Snapshots, prompts and models to compare (see eval.example.json)
+  --snapshot <file>      Add a saved page, snapshot or archived day (repeatable)
+  --prompt <spec>        Add a prompt version: "current" or a template file (repeatable)
+  --model <spec>         Add a model, e.g. "gemini:gemini-2.5-flash", "ollama:llama3.1" or "stub" (repeatable)
+  --stories <n>          Stories to ask for (default: 10)
+  --out <dir>            Where to write the report (default: data/evals)
+  --min-score <n>        Exit with an error if the best score is below n
+  --help                 Show this help`;
+
+/**
+ * Parses command-line arguments
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{dryRun: boolean, fixture?: string, llmFixture?: string, record?: string, rollup?: string, breaking: boolean, help: boolean}}
+ * @throws {Error} On unknown flags, missing values, an unknown roll-up period
+ *   or both --rollup and --breaking
+ */
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      fixture: { type: 'string' },
+      'llm-fixture': { type: 'string' },
+      record: { type: 'string' },
+      rollup: { type: 'string' },
+      breaking: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    },
+    strict: true
+  });
+
+  if (values.rollup !== undefined && !ROLLUP_PERIODS[values.rollup]) {
+    throw new Error(`Invalid --rollup "${values.rollup}" (expected ${Object.keys(ROLLUP_PERIODS).join(' or ')})`);
+  }
+  if (values.rollup !== undefined && values.breaking) {
+    throw new Error('--rollup and --breaking can\'t be used together');
+  }
+
+  return {
+    dryRun: values['dry-run'],
+    fixture: values.fixture,
+    llmFixture: values['llm-fixture'],
+    record: values.record,
+    rollup: values.rollup,
+    breaking: values.breaking,
+    help: values.help
+  };
+}
+
+/**
+ * Parses the command-line arguments of the slash command server
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{port?: number, fixture?: string, llmFixture?: string, help: boolean}}
+ * @throws {Error} On unknown flags, missing values or an invalid port
+ */
+function parseServerArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      port: { type: 'string' },
+      fixture: { type: 'string' },
+      'llm-fixture': { type: 'string' },
+      help: { type: 'boolean', default: false }
+    },
+    strict: true
+  });
+
+  let port;
+  if (values.port !== undefined) {
+    port = Number(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new Error(`Invalid --port "${values.port}"`);
+    }
+  }
+
+  return {
+    port,
+    fixture: values.fixture,
+    llmFixture: values['llm-fixture'],
+    help: values.help
+  };
+}
+
+/**
+ * Parses the command-line arguments of the scheduler daemon
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{list: boolean, runs: boolean, schedule?: string, status?: string, limit: number, help: boolean}}
+ * @throws {Error} On unknown flags, missing values, an unknown status or an invalid limit
+ */
+function parseSchedulerArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      list: { type: 'boolean', default: false },
+      runs: { type: 'boolean', default: false },
+      schedule: { type: 'string' },
+      status: { type: 'string' },
+      limit: { type: 'string', default: '20' },
+      help: { type: 'boolean', default: false }
+    },
+    strict: true
+  });
+
+  if (values.status !== undefined && !RUN_STATUSES.includes(values.status)) {
+    throw new Error(`Invalid --status "${values.status}" (expected ${RUN_STATUSES.join(', ')})`);
+  }
+  const limit = Number(values.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`Invalid --limit "${values.limit}"`);
+  }
+
+  return {
+    list: values.list,
+    runs: values.runs,
+    schedule: values.schedule,
+    status: values.status,
+    limit,
+    help: values.help
+  };
+}
+
+/**
+ * Parses the command-line arguments of the eval harness
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{config?: string, snapshots: string[], prompts: string[], models: string[], storyCount?: number, out?: string, minScore?: number, help: boolean}}
+ * @throws {Error} On unknown flags, missing values, an invalid story count or minimum score
+ */
+function parseEvalArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      config: { type: 'string' },
+      snapshot: { type: 'string', multiple: true, default: [] },
+      prompt: { type: 'string', multiple: true, default: [] },
+      model: { type: 'string', multiple: true, default: [] },
+      stories: { type: 'string' },
+      out: { type: 'string' },
+      'min-score': { type: 'string' },
+      help: { type: 'boolean', default: false }
+    },
+    strict: true
+  });
+
+  let storyCount;
+  if (values.stories !== undefined) {
+    storyCount = Number(values.stories);
+    if (!Number.isInteger(storyCount) || storyCount < 1 || storyCount > MAX_STORY_COUNT) {
+      throw new Error(`Invalid --stories "${values.stories}" (expected 1-${MAX_STORY_COUNT})`);
+    }
+  }
+  let minScore;
+  if (values['min-score'] !== undefined) {
+    minScore = Number(values['min-score']);
+    if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+      throw new Error(`Invalid --min-score "${values['min-score']}" (expected 0-100)`);
+    }
+  }
+
+  return {
+    config: values.config,
+    snapshots: values.snapshot,
+    prompts: values.prompt,
+    models: values.model,
+    storyCount,
+    out: values.out,
+    minScore,
+    help: values.help
+  };
+}
+
+module.exports = {
+  USAGE,
+  SERVER_USAGE,
+  SCHEDULER_USAGE,
+  EVAL_USAGE,
+  parseCliArgs,
+  parseServerArgs,
+  parseSchedulerArgs,
+  parseEvalArgs
+};
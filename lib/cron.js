@@ -0,0 +1,309 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ⏰ CRON EXPRESSIONS
+// ═══════════════════════════════════════════════════════════════════════════
+// Parses standard five-field cron expressions and finds their next run in
+// an IANA time zone, so "0 8 * * *" in America/Los_Angeles stays at 8 AM
+// local time through daylight saving changes.
+//
+//   ┌───────────── minute (0-59)
+//   │ ┌───────────── hour (0-23)
+//   │ │ ┌───────────── day of month (1-31)
+//   │ │ │ ┌───────────── month (1-12 or jan-dec)
+//   │ │ │ │ ┌───────────── day of week (0-7 or sun-sat, Sunday is 0 or 7)
+//   * * * * *
+//
+// Fields accept `*`, values, ranges (`1-5`), steps (`*/15`, `8-18/2`) and
+// lists (`0,30`). @hourly, @daily, @weekly, @monthly and @yearly work too.
+// As in classic cron, when both day fields are restricted a day matches
+// if either does.
+//
+// Daylight saving: a local time skipped when clocks spring forward doesn't
+// run that day, and a local time repeated when they fall back runs once.
+//
+// Also home to the small time zone helpers shared by the subscriptions,
+// the scheduler and the breaking-news quiet hours.
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Allowed values per field, in expression order
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MINUTE_MS = 60 * 1000;
+
+// Give up looking for a next run after this many steps (an impossible
+// date such as "0 0 31 2 *" would otherwise loop forever)
+const MAX_SEARCH_STEPS = 100000;
+
+// Date formatters are slow to create, so there's one per time zone
+const formatters = new Map();
+
+/**
+ * Checks that a string is a time zone the runtime knows
+ *
+ * @param {string} timezone - IANA time zone, e.g. "America/New_York"
+ * @returns {boolean} Whether it is valid
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Returns the local date and time of an instant in a time zone
+ *
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA time zone
+ * @returns {{date: string, time: string}} Local date (YYYY-MM-DD) and time (HH:MM)
+ */
+function localTime(date, timezone) {
+  const local = localFields(date, timezone);
+  const pad = value => String(value).padStart(2, '0');
+  return { date: `${local.year}-${pad(local.month)}-${pad(local.day)}`, time: `${pad(local.hour)}:${pad(local.minute)}` };
+}
+
+/**
+ * Parses one value of a field, accepting month and weekday names
+ *
+ * @param {string} text - Value as written
+ * @param {Object} field - Field definition
+ * @returns {number} Numeric value
+ * @throws {Error} If the value isn't a number or name in range
+ */
+function parseValue(text, field) {
+  const nameIndex = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  const value = nameIndex >= 0 ? nameIndex + field.min : Number(text);
+  if (!/^\d+$/.test(text) && nameIndex < 0) {
+    throw new Error(`"${text}" is not a valid ${field.name}`);
+  }
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} ${value} is out of range (${field.min}-${field.max})`);
+  }
+  return value;
+}
+
+/**
+ * Parses one field of an expression into the set of values it allows
+ *
+ * @param {string} text - Field as written, e.g. "1-5" or "*\/15"
+ * @param {Object} field - Field definition
+ * @returns {{values: Set<number>, any: boolean}} Allowed values, and whether
+ *   the field was an unrestricted `*`
+ * @throws {Error} If the field is malformed
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in ${field.name}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(value => parseValue(value, field));
+      if (start > end) throw new Error(`Invalid range "${range}" in ${field.name}`);
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  // Sunday may be written as 7
+  if (field.name === 'dayOfWeek' && values.delete(7)) {
+    values.add(0);
+  }
+  return { values, any: text === '*' };
+}
+
+/**
+ * Parses a cron expression
+ *
+ * @param {string} expression - Five-field expression or macro
+ * @returns {Object} Parsed schedule for matches() and nextRun()
+ * @throws {Error} If the expression is malformed
+ */
+function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const expanded = MACROS[text.toLowerCase()] || text;
+  const parts = expanded.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${text}": expected 5 fields (minute hour day month weekday)`);
+  }
+
+  const cron = { expression: text };
+  try {
+    FIELDS.forEach((field, index) => {
+      const { values, any } = parseField(parts[index], field);
+      cron[field.name] = values;
+      if (field.name === 'dayOfMonth') cron.anyDayOfMonth = any;
+      if (field.name === 'dayOfWeek') cron.anyDayOfWeek = any;
+    });
+  } catch (error) {
+    throw new Error(`Invalid cron expression "${text}": ${error.message}`);
+  }
+  return cron;
+}
+
+/**
+ * Returns the local wall-clock fields of an instant in a time zone
+ *
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA time zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, weekday: number}}
+ */
+function localFields(date, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short',
+      hourCycle: 'h23'
+    }));
+  }
+
+  const parts = {};
+  formatters.get(timezone).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Checks whether a local day matches the day fields
+ *
+ * @param {Object} cron - Parsed expression
+ * @param {Object} local - Local fields from localFields()
+ * @returns {boolean} Whether the expression runs on that day
+ */
+function matchesDay(cron, local) {
+  if (!cron.month.has(local.month)) return false;
+  const dayOfMonth = cron.dayOfMonth.has(local.day);
+  const dayOfWeek = cron.dayOfWeek.has(local.weekday);
+  if (cron.anyDayOfMonth) return dayOfWeek;
+  if (cron.anyDayOfWeek) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Checks whether an expression runs at a given minute
+ *
+ * @param {Object} cron - Parsed expression
+ * @param {Date} date - Instant (seconds are ignored)
+ * @param {string} [timezone='UTC'] - IANA time zone
+ * @returns {boolean} Whether the expression matches
+ */
+function matches(cron, date, timezone = 'UTC') {
+  const local = localFields(date, timezone);
+  return matchesDay(cron, local) && cron.hour.has(local.hour) && cron.minute.has(local.minute);
+}
+
+/**
+ * Finds the next time an expression runs, strictly after a given time
+ *
+ * Walks forward through real instants, skipping whole days and hours that
+ * can't match, so daylight saving changes are handled by the time zone
+ * data rather than by arithmetic on local times.
+ *
+ * @param {Object|string} cron - Parsed expression, or one to parse
+ * @param {Date} after - Start of the search (exclusive)
+ * @param {string} [timezone='UTC'] - IANA time zone
+ * @returns {Date|null} Next run, or null if the expression never runs
+ */
+function nextRun(cron, after, timezone = 'UTC') {
+  const schedule = typeof cron === 'string' ? parseCron(cron) : cron;
+  let candidate = new Date(Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+
+  for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+    const local = localFields(candidate, timezone);
+
+    if (!matchesDay(schedule, local) && local.hour < 22) {
+      // Skip to about 23:00 rather than midnight: a 23-hour day would
+      // otherwise carry the jump past the next day's first hour
+      candidate = new Date(candidate.getTime() + ((22 - local.hour) * 60 + (60 - local.minute)) * MINUTE_MS);
+    } else if (!matchesDay(schedule, local) || !schedule.hour.has(local.hour)) {
+      candidate = new Date(candidate.getTime() + (60 - local.minute) * MINUTE_MS);
+    } else if (!schedule.minute.has(local.minute)) {
+      candidate = new Date(candidate.getTime() + MINUTE_MS);
+    } else {
+      // The same local time an hour earlier means clocks fell back and
+      // this is the repeat; it already ran the first time
+      const hourEarlier = localFields(new Date(candidate.getTime() - 60 * MINUTE_MS), timezone);
+      if (hourEarlier.hour === local.hour && hourEarlier.day === local.day) {
+        candidate = new Date(candidate.getTime() + MINUTE_MS);
+        continue;
+      }
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the latest run of an expression within a time window
+ *
+ * @param {Object|string} cron - Parsed expression, or one to parse
+ * @param {Date} from - Start of the window (exclusive)
+ * @param {Date} to - End of the window (inclusive)
+ * @param {string} [timezone='UTC'] - IANA time zone
+ * @returns {Date|null} Latest run in the window, or null if there is none
+ */
+function lastRunBetween(cron, from, to, timezone = 'UTC') {
+  const schedule = typeof cron === 'string' ? parseCron(cron) : cron;
+  let latest = null;
+  let candidate = nextRun(schedule, from, timezone);
+
+  for (let step = 0; candidate && candidate <= to && step < MAX_SEARCH_STEPS; step++) {
+    latest = candidate;
+    candidate = nextRun(schedule, candidate, timezone);
+  }
+  return latest;
+}
+
+module.exports = {
+  isValidTimezone,
+  localTime,
+  parseCron,
+  matches,
+  nextRun,
+  lastRunBetween
+};
@@ -0,0 +1,180 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 📐 DIGEST SCHEMA
+// ═══════════════════════════════════════════════════════════════════════════
+// The summarizer returns a typed list of stories instead of free-form Slack
+// text. This module describes that shape for the prompt, parses the model's
+// JSON and validates every story - including that each source URL really
+// came from the scraped items, which catches hallucinated links. A story may
+// cite an item's lead link or any of its related-coverage links.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { normalizeUrl } = require('./history');
+
+// Categories the model may assign to a story
+const CATEGORIES = [
+  'AI',
+  'Startups',
+  'Funding',
+  'Business',
+  'Big Tech',
+  'Policy',
+  'Security',
+  'Hardware',
+  'Science',
+  'Other'
+];
+
+// Length limits keep a single story from blowing up the Slack message
+const MAX_TITLE_LENGTH = 150;
+const MAX_SUMMARY_LENGTH = 400;
+const MAX_WHY_LENGTH = 300;
+
+// Shape description embedded in the prompt
+const SCHEMA_DESCRIPTION = `{
+  "stories": [
+    {
+      "rank": 1,                      // integer, 1 = most important, no gaps or duplicates
+      "emoji": "🤖",                  // a single relevant emoji
+      "title": "Short bold headline", // max ${MAX_TITLE_LENGTH} characters, plain text
+      "summary": "1–2 sentences.",    // max ${MAX_SUMMARY_LENGTH} characters, plain text
+      "whyItMatters": "One sentence.",// max ${MAX_WHY_LENGTH} characters, plain text
+      "sourceUrl": "https://...",     // MUST be copied exactly from one of the URLs in the raw content (lead or related coverage)
+      "category": "AI"                // one of: ${CATEGORIES.join(', ')}
+    }
+  ]
+}`;
+
+/**
+ * Returns every URL a story may cite for an item: its lead link, the links
+ * other sources gave for it and its related coverage
+ *
+ * @param {Object} item - Scraped news item
+ * @returns {string[]} Raw URLs
+ */
+function itemUrls(item) {
+  return [item.url]
+    .concat((item.alsoOn || []).map(link => link.url))
+    .concat((item.related || []).map(link => link.url));
+}
+
+/**
+ * Finds the scraped item a story's source URL belongs to
+ *
+ * @param {Array<Object>} items - Scraped news items
+ * @param {string} url - Story source URL
+ * @returns {Object|undefined} The matching item
+ */
+function findItemByUrl(items, url) {
+  const target = normalizeUrl(url);
+  return items.find(item => itemUrls(item).some(candidate => normalizeUrl(candidate) === target));
+}
+
+/**
+ * Parses the model's raw text into a JSON value
+ *
+ * Tolerates the ```json fences some models add even when asked not to.
+ *
+ * @param {string} text - Raw model output
+ * @returns {*} Parsed JSON
+ * @throws {SyntaxError} If the text isn't valid JSON
+ */
+function parseModelJson(text) {
+  const unfenced = text
+    .trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+  return JSON.parse(unfenced);
+}
+
+/**
+ * Validates a parsed digest against the schema and the scraped items
+ *
+ * @param {*} data - Parsed model output
+ * @param {Array<{text: string, url: string}>} items - Items the model was given
+ * @param {Object} [options]
+ * @param {number} [options.maxStories=10] - Maximum number of stories allowed
+ * @returns {{stories: Array<Object>, errors: string[]}} Stories sorted by rank
+ *   and a list of human-readable validation errors (empty when valid)
+ */
+function validateDigest(data, items, { maxStories = 10 } = {}) {
+  const errors = [];
+  const stories = Array.isArray(data) ? data : data && data.stories;
+
+  if (!Array.isArray(stories)) {
+    return { stories: [], errors: ['Response must be an object with a "stories" array'] };
+  }
+  if (stories.length === 0) {
+    errors.push('"stories" must contain at least one story');
+  }
+  if (stories.length > maxStories) {
+    errors.push(`"stories" must contain at most ${maxStories} stories (got ${stories.length})`);
+  }
+
+  const seenRanks = new Set();
+  const seenItems = new Set();
+
+  const requireString = (story, field, label, maxLength) => {
+    const value = story[field];
+    if (typeof value !== 'string' || value.trim() === '') {
+      errors.push(`${label}: "${field}" must be a non-empty string`);
+    } else if (maxLength && value.length > maxLength) {
+      errors.push(`${label}: "${field}" must be at most ${maxLength} characters (got ${value.length})`);
+    }
+  };
+
+  stories.forEach((story, index) => {
+    const label = `stories[${index}]`;
+    if (!story || typeof story !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+
+    if (!Number.isInteger(story.rank) || story.rank < 1) {
+      errors.push(`${label}: "rank" must be a positive integer`);
+    } else if (seenRanks.has(story.rank)) {
+      errors.push(`${label}: duplicate rank ${story.rank}`);
+    } else if (story.rank > stories.length) {
+      errors.push(`${label}: rank ${story.rank} leaves a gap, ranks must run from 1 to ${stories.length}`);
+    } else {
+      seenRanks.add(story.rank);
+    }
+
+    requireString(story, 'emoji', label, 16);
+    requireString(story, 'title', label, MAX_TITLE_LENGTH);
+    requireString(story, 'summary', label, MAX_SUMMARY_LENGTH);
+    requireString(story, 'whyItMatters', label, MAX_WHY_LENGTH);
+    requireString(story, 'sourceUrl', label);
+
+    if (typeof story.sourceUrl === 'string' && story.sourceUrl.trim() !== '') {
+      const item = findItemByUrl(items, story.sourceUrl);
+      if (!item) {
+        errors.push(`${label}: "sourceUrl" ${story.sourceUrl} does not appear in the raw content`);
+      } else if (seenItems.has(item)) {
+        errors.push(`${label}: "sourceUrl" ${story.sourceUrl} belongs to a story already covered by another entry`);
+      } else {
+        seenItems.add(item);
+      }
+    }
+
+    if (!CATEGORIES.includes(story.category)) {
+      errors.push(`${label}: "category" must be one of ${CATEGORIES.join(', ')}`);
+    }
+  });
+
+  const sorted = errors.length === 0
+    ? stories.slice().sort((a, b) => a.rank - b.rank)
+    : [];
+  return { stories: sorted, errors };
+}
+
+module.exports = {
+  CATEGORIES,
+  MAX_TITLE_LENGTH,
+  MAX_SUMMARY_LENGTH,
+  MAX_WHY_LENGTH,
+  SCHEMA_DESCRIPTION,
+  itemUrls,
+  findItemByUrl,
+  parseModelJson,
+  validateDigest
+};
@@ -0,0 +1,437 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 DIGEST EVALS
+// ═══════════════════════════════════════════════════════════════════════════
+// Runs saved Techmeme pages through several prompt versions and models,
+// side by side, and scores every digest automatically (0-100):
+//
+//   json        15  The response parses and passes the digest schema the
+//                   daily run enforces (half marks for JSON with schema errors)
+//   links       25  Share of source URLs that really came from the scrape
+//   duplicates  15  Stories covering the same item or story as an earlier one
+//   focus       15  The prompt's rule that at least 50% of the stories are
+//                   about business, startups, AI or core technology (by category)
+//   length      15  Title, summary and why-it-matters limits, 1–2 sentence
+//                   summaries, and the number of stories asked for
+//   formatting  15  Markdown, links, mentions or line breaks in the text
+//                   fields (Slack would show them literally), emoji that
+//                   aren't an emoji, and digests that don't render
+//
+// Each digest is the model's first answer: the daily run would retry an
+// invalid one, but a prompt that needs retries is a worse prompt.
+//
+// Inputs:
+//   snapshots  Saved River pages (.html, e.g. from --record), snapshot
+//              cache files (data/snapshots/techmeme.json) or archived
+//              days (data/archive/2026-01-28.json)
+//   prompts    "current" (the prompt in lib/summarizer) or template files
+//              using {{storyCount}}, {{schema}}, {{profileInstructions}}
+//              and {{content}} (see prompts/)
+//   models     "provider:model" specs (see loadProvider() in lib/llm),
+//              including the offline "stub"
+// ═══════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+const llm = require('./llm');
+const { RIVER_SITES, parseRiverPage } = require('./sources/river');
+const { isSameStory } = require('./sources');
+const { createSummarizer, buildDigestPrompt } = require('./summarizer');
+const { profileInstructions, DEFAULT_STORY_COUNT } = require('./profiles');
+const {
+  SCHEMA_DESCRIPTION,
+  MAX_TITLE_LENGTH,
+  MAX_SUMMARY_LENGTH,
+  MAX_WHY_LENGTH,
+  findItemByUrl,
+  parseModelJson,
+  validateDigest
+} = require('./digest-schema');
+const { renderSlackBlocks } = require('./slack-format');
+
+// Points per check, out of 100
+const SCORE_WEIGHTS = { json: 15, links: 25, duplicates: 15, focus: 15, length: 15, formatting: 15 };
+
+// Categories that count towards the "50% business/startups/AI" rule
+const FOCUS_CATEGORIES = ['AI', 'Startups', 'Funding', 'Business', 'Big Tech', 'Hardware'];
+const MIN_FOCUS_SHARE = 0.5;
+
+// Longest summary the prompt allows, in sentences
+const MAX_SUMMARY_SENTENCES = 2;
+
+// Text-field patterns Slack would show literally, or that the prompt forbids
+const FORMATTING_ERRORS = [
+  { label: 'markdown bold', pattern: /\*\*|\*[^*\s][^*]*\*/ },
+  { label: 'markdown italics', pattern: /(^|\s)_[^_\s][^_]*_(\s|$)/ },
+  { label: 'code', pattern: /`/ },
+  { label: 'markdown link', pattern: /\[[^\]]+\]\([^)]+\)/ },
+  { label: 'Slack link or mention', pattern: /<(https?:|[@#!])/ },
+  { label: 'URL', pattern: /https?:\/\// },
+  { label: 'heading', pattern: /^#{1,6}\s/m },
+  { label: 'line break', pattern: /\n/ }
+];
+
+// Issues listed per run in the report
+const MAX_ISSUES_PER_RUN = 8;
+
+/**
+ * Loads the items of a saved page, snapshot or archived day
+ *
+ * @param {string} file - .html page, snapshot cache file or archive day
+ * @returns {{name: string, items: Array<Object>}} Snapshot name and items
+ * @throws {Error} If the file can't be read or has no items
+ */
+function loadSnapshot(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  let items;
+  if (path.extname(file) === '.json') {
+    const data = JSON.parse(content);
+    if (typeof data.html === 'string') {
+      items = parseRiverPage(data.html, RIVER_SITES.techmeme).items;
+    } else if (Array.isArray(data.items)) {
+      items = data.items;
+    } else {
+      throw new Error(`${file} is neither a snapshot ("html") nor an archived day ("items")`);
+    }
+  } else {
+    items = parseRiverPage(content, RIVER_SITES.techmeme).items;
+  }
+
+  if (items.length === 0) {
+    throw new Error(`No items found in ${file}`);
+  }
+  return { name: path.basename(file), items };
+}
+
+/**
+ * Fills a prompt template's {{placeholders}}
+ *
+ * @param {string} template - Template text
+ * @param {Object<string, string>} values - Placeholder values
+ * @returns {string} Prompt
+ * @throws {Error} If the template uses an unknown placeholder
+ */
+function renderPromptTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    if (!(name in values)) {
+      throw new Error(`Unknown placeholder {{${name}}} (expected ${Object.keys(values).map(key => `{{${key}}}`).join(', ')})`);
+    }
+    return values[name];
+  });
+}
+
+/**
+ * Loads a prompt version
+ *
+ * @param {string} spec - "current", or the path to a template file
+ * @returns {{name: string, build: Function}} Version name and a
+ *   `(content, profile) → prompt` builder
+ * @throws {Error} If the template can't be read or has no {{content}}
+ */
+function loadPrompt(spec) {
+  if (spec === 'current') {
+    return { name: 'current', build: buildDigestPrompt };
+  }
+
+  const template = fs.readFileSync(spec, 'utf8');
+  if (!/\{\{\s*content\s*\}\}/.test(template)) {
+    throw new Error(`Prompt template ${spec} must include {{content}}`);
+  }
+  return {
+    name: path.basename(spec, path.extname(spec)),
+    build: (content, profile) => renderPromptTemplate(template, {
+      storyCount: String(profile.storyCount),
+      schema: SCHEMA_DESCRIPTION,
+      profileInstructions: profileInstructions(profile),
+      content
+    })
+  };
+}
+
+/**
+ * Counts the sentences of a summary (roughly: abbreviations count too)
+ *
+ * @param {string} text - Summary
+ * @returns {number} Sentence count
+ */
+function countSentences(text) {
+  return text.split(/[.!?]+(?:\s+(?=[A-Z"“'‘(])|\s*$)/).filter(part => part.trim()).length;
+}
+
+/**
+ * Scores a model's digest against the items it was given
+ *
+ * @param {string} text - Raw model output
+ * @param {Array<Object>} items - Items in the prompt
+ * @param {Object} options
+ * @param {number} options.storyCount - Stories the prompt asked for
+ * @returns {{score: number, checks: Object, issues: string[]}} Score out of
+ *   100, per-check ratios (0-1) and counts, and what went wrong
+ */
+function scoreDigest(text, items, { storyCount }) {
+  const issues = [];
+  const empty = { json: 0, links: 0, duplicates: 0, focus: 0, length: 0, formatting: 0 };
+
+  let data;
+  try {
+    data = parseModelJson(text);
+  } catch (error) {
+    return { score: 0, checks: { ratios: empty, stories: 0 }, issues: [`Response is not valid JSON: ${error.message}`] };
+  }
+  const stories = (Array.isArray(data) ? data : data && data.stories) || [];
+  if (!Array.isArray(stories) || stories.length === 0) {
+    return { score: 0, checks: { ratios: empty, stories: 0 }, issues: ['Response has no "stories"'] };
+  }
+  const valid = stories.filter(story => story && typeof story === 'object');
+
+  // json: would the daily run accept this answer as is?
+  const schemaErrors = validateDigest(data, items, { maxStories: storyCount }).errors;
+  schemaErrors.slice(0, 3).forEach(error => issues.push(`Schema: ${error}`));
+
+  // links: every source URL must come from the scrape
+  const cited = valid.map(story => (typeof story.sourceUrl === 'string' ? findItemByUrl(items, story.sourceUrl) : undefined));
+  const badLinks = valid.filter((story, index) => !cited[index]);
+  badLinks.forEach(story => issues.push(`Link not in the scrape: ${story.sourceUrl}`));
+
+  // duplicates: the same item, or the same story under two items or titles
+  let duplicates = 0;
+  valid.forEach((story, index) => {
+    const earlier = valid.slice(0, index).findIndex((other, otherIndex) => {
+      const a = cited[index];
+      const b = cited[otherIndex];
+      if (a && b && (a === b || isSameStory(a, b))) return true;
+      return isSameStory({ url: String(story.sourceUrl), text: String(story.title) }, { url: String(other.sourceUrl), text: String(other.title) });
+    });
+    if (earlier >= 0) {
+      duplicates++;
+      issues.push(`Duplicate: #${story.rank} repeats #${valid[earlier].rank} ("${String(story.title).substring(0, 60)}")`);
+    }
+  });
+
+  // focus: at least half business, startups, AI or core technology
+  const focusShare = valid.filter(story => FOCUS_CATEGORIES.includes(story.category)).length / valid.length;
+  if (focusShare < MIN_FOCUS_SHARE) {
+    issues.push(`Only ${Math.round(focusShare * 100)}% of stories are business, startups, AI or core tech (at least ${MIN_FOCUS_SHARE * 100}% required)`);
+  }
+
+  // length: field limits, 1–2 sentence summaries and the story count
+  const expectedCount = Math.min(storyCount, items.length);
+  let lengthViolations = 0;
+  if (stories.length !== expectedCount) {
+    lengthViolations++;
+    issues.push(`${stories.length} stories instead of ${expectedCount}`);
+  }
+  valid.forEach(story => {
+    const tooLong = [
+      ['title', MAX_TITLE_LENGTH],
+      ['summary', MAX_SUMMARY_LENGTH],
+      ['whyItMatters', MAX_WHY_LENGTH]
+    ].filter(([field, max]) => String(story[field] || '').length > max);
+    const sentences = countSentences(String(story.summary || ''));
+    tooLong.forEach(([field, max]) => issues.push(`#${story.rank}: "${field}" is over ${max} characters`));
+    if (sentences > MAX_SUMMARY_SENTENCES) {
+      issues.push(`#${story.rank}: summary has ${sentences} sentences`);
+    }
+    lengthViolations += tooLong.length + (sentences > MAX_SUMMARY_SENTENCES ? 1 : 0);
+  });
+
+  // formatting: plain text only, and the digest must render for Slack
+  let formattingErrors = 0;
+  valid.forEach(story => {
+    ['title', 'summary', 'whyItMatters'].forEach(field => {
+      const value = String(story[field] || '');
+      const found = FORMATTING_ERRORS.filter(({ pattern }) => pattern.test(value));
+      found.forEach(({ label }) => issues.push(`#${story.rank}: ${label} in "${field}"`));
+      formattingErrors += found.length;
+    });
+    if (/[A-Za-z0-9:]/.test(String(story.emoji || ''))) {
+      formattingErrors++;
+      issues.push(`#${story.rank}: "emoji" is text (${story.emoji})`);
+    }
+  });
+  let messages = 0;
+  try {
+    messages = renderSlackBlocks(valid, { title: 'Eval', date: 'Today' }).length;
+  } catch (error) {
+    formattingErrors++;
+    issues.push(`Slack rendering failed: ${error.message}`);
+  }
+
+  const ratios = {
+    json: schemaErrors.length === 0 ? 1 : 0.5,
+    links: (valid.length - badLinks.length) / valid.length,
+    duplicates: 1 - duplicates / valid.length,
+    focus: Math.min(1, focusShare / MIN_FOCUS_SHARE),
+    length: Math.max(0, 1 - lengthViolations / (valid.length * 3 + 1)),
+    formatting: Math.max(0, 1 - formattingErrors / valid.length)
+  };
+  const score = Object.keys(SCORE_WEIGHTS).reduce((sum, check) => sum + SCORE_WEIGHTS[check] * ratios[check], 0);
+
+  return {
+    score: Math.round(score * 10) / 10,
+    checks: {
+      ratios,
+      stories: stories.length,
+      schemaErrors: schemaErrors.length,
+      badLinks: badLinks.length,
+      duplicates,
+      focusShare,
+      lengthViolations,
+      formattingErrors,
+      messages
+    },
+    issues
+  };
+}
+
+/**
+ * Runs every snapshot through every prompt version and model
+ *
+ * Runs go one at a time, so rate limits and local models aren't swamped.
+ * A model that errors gets a score of 0 for that run.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.snapshots - From loadSnapshot()
+ * @param {Array<Object>} options.prompts - From loadPrompt()
+ * @param {Array<Object>} options.models - Providers from llm.loadProvider()
+ * @param {number} [options.storyCount=10] - Stories to ask for
+ * @param {number} [options.timeout] - Per-call timeout in milliseconds
+ * @param {Object} [options.retryPolicy] - Retry policy (see lib/retry)
+ * @returns {Promise<Array<Object>>} One result per run: prompt, model,
+ *   snapshot, score, checks, issues, latency and token usage
+ */
+async function runEval({ snapshots, prompts, models, storyCount = DEFAULT_STORY_COUNT, timeout = llm.DEFAULT_TIMEOUT_MS, retryPolicy }) {
+  const { formatContentForLLM } = createSummarizer({ providers: [] });
+  const profile = { name: 'eval', channel: 'eval', includeTopics: [], excludeTopics: [], storyCount };
+  const results = [];
+
+  for (const prompt of prompts) {
+    for (const model of models) {
+      for (const snapshot of snapshots) {
+        const modelName = `${model.name}/${model.model}`;
+        console.log(`\n▶️  ${prompt.name} × ${modelName} × ${snapshot.name}`);
+        const result = { prompt: prompt.name, model: modelName, snapshot: snapshot.name };
+        const started = Date.now();
+
+        try {
+          const { text, usage } = await llm.generateWithFallback([model], prompt.build(formatContentForLLM(snapshot.items), profile), {
+            json: true,
+            timeout,
+            retryPolicy
+          });
+          Object.assign(result, scoreDigest(text, snapshot.items, { storyCount }), {
+            latencyMs: Date.now() - started,
+            inputTokens: usage.inputTokens || 0,
+            outputTokens: usage.outputTokens || 0
+          });
+          console.log(`✓ Score ${result.score} (${result.issues.length} issues)`);
+        } catch (error) {
+          Object.assign(result, { score: 0, checks: null, issues: [`Model call failed: ${error.message.split('\n')[0]}`], error: error.message, latencyMs: Date.now() - started });
+          console.error(`❌ ${error.message.split('\n')[0]}`);
+        }
+        results.push(result);
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Averages the runs of every prompt and model combination, best first
+ *
+ * @param {Array<Object>} results - From runEval()
+ * @returns {Array<Object>} Combinations with their average score, check
+ *   ratios, latency and token usage
+ */
+function rankCombinations(results) {
+  const groups = new Map();
+  results.forEach(result => {
+    const key = `${result.prompt}\u0000${result.model}`;
+    if (!groups.has(key)) groups.set(key, { prompt: result.prompt, model: result.model, runs: [] });
+    groups.get(key).runs.push(result);
+  });
+
+  const average = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+  return Array.from(groups.values()).map(group => {
+    const scored = group.runs.filter(run => run.checks);
+    return {
+      prompt: group.prompt,
+      model: group.model,
+      runs: group.runs.length,
+      failedRuns: group.runs.length - scored.length,
+      score: Math.round(average(group.runs.map(run => run.score)) * 10) / 10,
+      ratios: Object.keys(SCORE_WEIGHTS).reduce((ratios, check) => {
+        ratios[check] = average(scored.map(run => run.checks.ratios[check]));
+        return ratios;
+      }, {}),
+      duplicates: scored.reduce((sum, run) => sum + run.checks.duplicates, 0),
+      focusShare: average(scored.map(run => run.checks.focusShare)),
+      lengthViolations: scored.reduce((sum, run) => sum + run.checks.lengthViolations, 0),
+      formattingErrors: scored.reduce((sum, run) => sum + run.checks.formattingErrors, 0),
+      latencyMs: average(group.runs.map(run => run.latencyMs || 0)),
+      inputTokens: scored.reduce((sum, run) => sum + run.inputTokens, 0),
+      outputTokens: scored.reduce((sum, run) => sum + run.outputTokens, 0)
+    };
+  }).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Renders the comparison report as Markdown
+ *
+ * @param {Array<Object>} results - From runEval()
+ * @param {Object} [options]
+ * @param {Date} [options.generatedAt=new Date()] - Report time
+ * @param {number} [options.storyCount=10] - Stories asked for
+ * @returns {string} Markdown report
+ */
+function renderReport(results, { generatedAt = new Date(), storyCount = DEFAULT_STORY_COUNT } = {}) {
+  const ranking = rankCombinations(results);
+  const count = key => new Set(results.map(result => result[key])).size;
+  const percent = ratio => `${Math.round(ratio * 100)}%`;
+
+  const lines = [
+    '# 🧪 Digest Eval Report',
+    '',
+    `Generated ${generatedAt.toISOString()} · ${count('snapshot')} snapshot(s) × ${count('prompt')} prompt(s) × ${count('model')} model(s), ${storyCount} stories each`,
+    '',
+    '## Ranking',
+    '',
+    '| # | Prompt | Model | Score | Valid JSON | Links | Duplicates | 50% rule | Length issues | Format issues | Latency | Tokens in / out |',
+    '|---|--------|-------|------:|-----------:|------:|-----------:|---------:|--------------:|--------------:|--------:|----------------:|'
+  ];
+  ranking.forEach((row, index) => {
+    const failed = row.failedRuns > 0 ? ` (${row.failedRuns} failed)` : '';
+    lines.push(`| ${index + 1} | ${row.prompt} | ${row.model} | ${row.score.toFixed(1)}${failed} | ${percent(row.ratios.json)} | ${percent(row.ratios.links)} | ${row.duplicates} | ${percent(row.focusShare)} | ${row.lengthViolations} | ${row.formattingErrors} | ${(row.latencyMs / 1000).toFixed(1)}s | ${row.inputTokens} / ${row.outputTokens} |`);
+  });
+
+  if (ranking.length > 0) {
+    lines.push('', `**Best:** \`${ranking[0].prompt}\` with \`${ranking[0].model}\` (${ranking[0].score.toFixed(1)})`);
+  }
+  lines.push('', `Scores are out of 100: ${Object.entries(SCORE_WEIGHTS).map(([check, weight]) => `${check} ${weight}`).join(', ')}. The 50% rule column is the average share of business, startups, AI and core tech stories.`);
+
+  lines.push('', '## Runs');
+  results.forEach(result => {
+    lines.push('', `### ${result.prompt} × ${result.model} × ${result.snapshot}: ${result.score.toFixed(1)}`, '');
+    if (result.issues.length === 0) {
+      lines.push('No issues.');
+    }
+    result.issues.slice(0, MAX_ISSUES_PER_RUN).forEach(issue => lines.push(`- ${issue}`));
+    if (result.issues.length > MAX_ISSUES_PER_RUN) {
+      lines.push(`- …and ${result.issues.length - MAX_ISSUES_PER_RUN} more`);
+    }
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  SCORE_WEIGHTS,
+  FOCUS_CATEGORIES,
+  loadSnapshot,
+  loadPrompt,
+  renderPromptTemplate,
+  scoreDigest,
+  runEval,
+  rankCombinations,
+  renderReport
+};
@@ -0,0 +1,270 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🗂️  DIGEST HISTORY STORE
+// ═══════════════════════════════════════════════════════════════════════════
+// Remembers which stories were already posted so that a headline sitting on
+// Techmeme for two days doesn't show up in two digests in a row.
+//
+// The history is a small JSON file of story URLs, normalized titles and the
+// coverage links seen for each story. Every run classifies freshly scraped
+// items against it as:
+//   - new         → never posted inside the window
+//   - repeat      → already posted, nothing new to say
+//   - developing  → already posted, but carrying coverage we haven't seen
+//                   (a new lead link, or several new related articles)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Two normalized titles sharing at least this fraction of words are treated
+// as the same story (Techmeme often rewords a headline as it develops)
+const TITLE_SIMILARITY_THRESHOLD = 0.6;
+
+// Related coverage keeps trickling in for every big story, so a returning
+// story only counts as developing after this many new related articles
+const MIN_NEW_RELATED_LINKS = 3;
+
+// Query parameters that only say where a click came from
+const TRACKING_PARAMETER = /^(utm_.*|fbclid|ref)$/i;
+
+/**
+ * Normalizes a headline for comparison
+ *
+ * Lowercases, strips punctuation and collapses whitespace so that
+ * "OpenAI raises $6.6B!" and "openai raises 6.6b" compare equal.
+ *
+ * @param {string} title - Raw headline text
+ * @returns {string} Normalized title
+ */
+function normalizeTitle(title) {
+  return (title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, 200);
+}
+
+/**
+ * Normalizes a URL for comparison (drops protocol, "www.", hash, tracking
+ * parameters and trailing slash)
+ *
+ * The rest of the query string is kept: on Hacker News or YouTube it is
+ * what tells two stories apart (`item?id=1` vs `item?id=2`).
+ *
+ * @param {string} url - Raw URL
+ * @returns {string} Normalized URL
+ */
+function normalizeUrl(url) {
+  const raw = (url || '').trim().replace(/#.*$/, '');
+  const queryStart = raw.indexOf('?');
+  const address = (queryStart === -1 ? raw : raw.substring(0, queryStart))
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/\/+$/, '');
+  const query = queryStart === -1 ? '' : raw.substring(queryStart + 1)
+    .split('&')
+    .filter(param => param && !TRACKING_PARAMETER.test(param.split('=')[0]))
+    .join('&');
+  return query ? `${address}?${query}` : address;
+}
+
+/**
+ * Jaccard similarity between the word sets of two normalized titles
+ *
+ * @param {string} a - Normalized title
+ * @param {string} b - Normalized title
+ * @returns {number} Similarity between 0 and 1
+ */
+function titleSimilarity(a, b) {
+  const wordsA = new Set(a.split(' ').filter(Boolean));
+  const wordsB = new Set(b.split(' ').filter(Boolean));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) shared++;
+  });
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Returns the normalized coverage URLs carried by a scraped item: its own
+ * link plus the links other sources gave for the same story
+ *
+ * @param {{url: string, alsoOn?: Array<{url: string}>}} item - Scraped news item
+ * @returns {string[]} Normalized URLs
+ */
+function itemCoverage(item) {
+  const urls = [item.url].concat((item.alsoOn || []).map(link => link.url));
+  return urls.filter(Boolean).map(normalizeUrl);
+}
+
+/**
+ * Returns the normalized related-coverage URLs of a scraped item
+ *
+ * @param {{related?: Array<{url: string}>}} item - Scraped news item
+ * @returns {string[]} Normalized URLs
+ */
+function itemRelated(item) {
+  return (item.related || []).map(link => normalizeUrl(link.url));
+}
+
+/**
+ * Loads the history file, returning an empty history if it doesn't exist yet
+ *
+ * @param {string} file - Path to the JSON history file
+ * @returns {{stories: Array<Object>}} History object
+ */
+function loadHistory(file) {
+  if (!fs.existsSync(file)) {
+    return { stories: [] };
+  }
+
+  try {
+    const history = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { stories: Array.isArray(history.stories) ? history.stories : [] };
+  } catch (error) {
+    // A corrupt history shouldn't block the digest - worst case we repost
+    console.warn(`⚠️  Could not read history file (${error.message}), starting fresh`);
+    return { stories: [] };
+  }
+}
+
+/**
+ * Writes the history file, creating its directory if needed
+ *
+ * @param {string} file - Path to the JSON history file
+ * @param {{stories: Array<Object>}} history - History object
+ */
+function saveHistory(file, history) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(history, null, 2));
+}
+
+/**
+ * Finds the history entry matching an item by URL or by similar title
+ *
+ * @param {Object} item - Scraped news item
+ * @param {Array<Object>} stories - History entries to search
+ * @returns {Object|undefined} Matching history entry
+ */
+function findStory(item, stories) {
+  const urls = itemCoverage(item);
+  const title = normalizeTitle(item.text);
+
+  return stories.find(story =>
+    urls.includes(story.url) ||
+    titleSimilarity(title, story.title) >= TITLE_SIMILARITY_THRESHOLD
+  );
+}
+
+/**
+ * Classifies scraped items against the stories posted inside the window
+ *
+ * Each returned item gets a `history` field:
+ * `{ status: 'new' | 'repeat' | 'developing', firstSeen?: string }`
+ *
+ * @param {Array<Object>} items - Scraped news items
+ * @param {{stories: Array<Object>}} history - Loaded history
+ * @param {Object} options
+ * @param {number} options.windowDays - How far back a story counts as seen
+ * @param {Date} [options.now] - Current time (for testing)
+ * @returns {Array<Object>} Items annotated with their history status
+ */
+function classifyItems(items, history, { windowDays, now = new Date() }) {
+  const cutoff = now.getTime() - windowDays * DAY_MS;
+  const recent = history.stories.filter(story => Date.parse(story.lastPosted) >= cutoff);
+
+  return items.map(item => {
+    const story = findStory(item, recent);
+    if (!story) {
+      return { ...item, history: { status: 'new' } };
+    }
+
+    const knownRelated = story.related || [];
+    const newRelated = itemRelated(item).filter(url => !knownRelated.includes(url));
+    const hasNewCoverage = itemCoverage(item).some(url => !story.coverage.includes(url)) ||
+      newRelated.length >= MIN_NEW_RELATED_LINKS;
+    return {
+      ...item,
+      history: {
+        status: hasNewCoverage ? 'developing' : 'repeat',
+        firstSeen: story.firstPosted
+      }
+    };
+  });
+}
+
+/**
+ * Applies the configured policy to items that were already posted
+ *
+ * - 'filter' drops repeats entirely
+ * - 'demote' keeps them but moves them to the end of the list
+ *
+ * Developing stories are always kept in place.
+ *
+ * @param {Array<Object>} items - Items annotated by classifyItems()
+ * @param {'filter'|'demote'} mode - Policy for repeat items
+ * @returns {Array<Object>} Items to send to the summarizer
+ */
+function applyHistoryPolicy(items, mode) {
+  const fresh = items.filter(item => item.history.status !== 'repeat');
+  if (mode === 'filter') {
+    return fresh;
+  }
+  const repeats = items.filter(item => item.history.status === 'repeat');
+  return fresh.concat(repeats);
+}
+
+/**
+ * Records posted items in the history and prunes entries older than the
+ * retention period
+ *
+ * @param {{stories: Array<Object>}} history - Loaded history (mutated)
+ * @param {Array<Object>} items - Items that made it into the digest
+ * @param {Object} options
+ * @param {number} options.retentionDays - Entries older than this are dropped
+ * @param {Date} [options.now] - Current time (for testing)
+ * @returns {{stories: Array<Object>}} The updated history
+ */
+function recordPosted(history, items, { retentionDays, now = new Date() }) {
+  const timestamp = now.toISOString();
+
+  items.forEach(item => {
+    const story = findStory(item, history.stories);
+    if (story) {
+      story.lastPosted = timestamp;
+      story.title = normalizeTitle(item.text);
+      story.coverage = Array.from(new Set(story.coverage.concat(itemCoverage(item))));
+      story.related = Array.from(new Set((story.related || []).concat(itemRelated(item))));
+    } else {
+      history.stories.push({
+        url: normalizeUrl(item.url),
+        title: normalizeTitle(item.text),
+        coverage: itemCoverage(item),
+        related: itemRelated(item),
+        firstPosted: timestamp,
+        lastPosted: timestamp
+      });
+    }
+  });
+
+  const cutoff = now.getTime() - retentionDays * DAY_MS;
+  history.stories = history.stories.filter(story => Date.parse(story.lastPosted) >= cutoff);
+  return history;
+}
+
+module.exports = {
+  normalizeTitle,
+  normalizeUrl,
+  loadHistory,
+  saveHistory,
+  findStory,
+  classifyItems,
+  applyHistoryPolicy,
+  recordPosted
+};
@@ -0,0 +1,153 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🗒️  LAST DIGEST
+// ═══════════════════════════════════════════════════════════════════════════
+// Remembers the most recent digest each channel received and each user
+// asked for, so "/techmeme explain <n>" knows what story n was and where
+// to reply. Posted digests are also kept by thread for a week, so replies
+// in a digest's thread can be answered about its stories.
+//
+// Stored as JSON (LAST_DIGEST_FILE, default data/last-digest.json):
+//   {
+//     "channels": { "C0123": { "ts": "1706...", "postedAt": "...", "stories": [...] } },
+//     "users":    { "U0456": { "ts": null, "channel": "C0123", "postedAt": "...", "stories": [...] } },
+//     "threads":  { "C0123:1706...": { ...same as the channel record... } }
+//   }
+//
+// Each stored story keeps the scraped item it was written from, so the
+// explanation can be grounded in the same material. `ts` is null for
+// digests that were only shown ephemerally.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+
+// Item fields worth keeping for follow-up questions
+const ITEM_FIELDS = ['text', 'url', 'source', 'rank', 'publisher', 'author', 'related', 'discussion', 'relatedCount', 'alsoOn'];
+
+// Digest threads older than this no longer get answers
+const THREAD_RETENTION_DAYS = 7;
+
+/**
+ * Reads the last-digest file
+ *
+ * @param {string} file - Path to the JSON file
+ * @returns {{channels: Object, users: Object, threads: Object}} Stored digests
+ *   (empty if the file is missing or corrupt)
+ */
+function readStore(file) {
+  if (!fs.existsSync(file)) {
+    return { channels: {}, users: {}, threads: {} };
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { channels: data.channels || {}, users: data.users || {}, threads: data.threads || {} };
+  } catch (error) {
+    console.warn(`⚠️  Could not read last digest file (${error.message}), starting fresh`);
+    return { channels: {}, users: {}, threads: {} };
+  }
+}
+
+/**
+ * Records a digest as the latest one for a channel or a user
+ *
+ * @param {string} file - Path to the JSON file
+ * @param {Object} digest
+ * @param {string} digest.channel - Channel the digest was posted or shown in
+ * @param {string} [digest.user] - User who asked for it (on-demand digests)
+ * @param {string|null} [digest.ts] - Timestamp of the posted message, null if ephemeral
+ * @param {Array<Object>} digest.stories - Digest stories
+ * @param {Array<Object>} digest.items - The scraped item behind each story, in story order
+ */
+function saveLastDigest(file, { channel, user, ts = null, stories, items }) {
+  const store = readStore(file);
+  const record = {
+    channel,
+    ts,
+    postedAt: new Date().toISOString(),
+    stories: stories.map((story, index) => ({ ...story, item: pick(items[index], ITEM_FIELDS) }))
+  };
+
+  if (user) {
+    store.users[user] = record;
+  } else {
+    store.channels[channel] = record;
+  }
+
+  // Keep posted digests by thread, dropping the ones past the retention
+  if (ts) {
+    store.threads[threadKey(channel, ts)] = record;
+  }
+  const oldest = Date.now() - THREAD_RETENTION_DAYS * 86400000;
+  Object.keys(store.threads).forEach(key => {
+    if (Date.parse(store.threads[key].postedAt) < oldest) delete store.threads[key];
+  });
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(store, null, 2));
+}
+
+/**
+ * Finds the digest a user most recently saw in a channel
+ *
+ * That is whichever is newer: the digest posted to the channel, or the
+ * one the user asked for on demand.
+ *
+ * @param {string} file - Path to the JSON file
+ * @param {Object} options
+ * @param {string} [options.channel] - Channel ID
+ * @param {string} [options.user] - User ID
+ * @returns {Object|null} Stored digest `{channel, ts, postedAt, stories}`, or null
+ */
+function loadLastDigest(file, { channel, user } = {}) {
+  const store = readStore(file);
+  const candidates = [store.channels[channel], store.users[user]].filter(Boolean);
+  if (candidates.length === 0) return null;
+  return candidates.sort((a, b) => Date.parse(b.postedAt) - Date.parse(a.postedAt))[0];
+}
+
+/**
+ * Finds the posted digest a thread belongs to
+ *
+ * @param {string} file - Path to the JSON file
+ * @param {Object} thread
+ * @param {string} thread.channel - Channel ID
+ * @param {string} thread.ts - Timestamp of the thread's parent message
+ * @returns {Object|null} Stored digest `{channel, ts, postedAt, stories}`,
+ *   or null if the thread isn't a (recent) digest
+ */
+function loadDigestThread(file, { channel, ts }) {
+  return readStore(file).threads[threadKey(channel, ts)] || null;
+}
+
+/**
+ * Builds the key of a digest thread
+ *
+ * @param {string} channel - Channel ID
+ * @param {string} ts - Timestamp of the digest message
+ * @returns {string} Thread key
+ */
+function threadKey(channel, ts) {
+  return `${channel}:${ts}`;
+}
+
+/**
+ * Copies the listed fields of an object
+ *
+ * @param {Object} object - Source object
+ * @param {string[]} fields - Fields to keep
+ * @returns {Object} Object with only the defined fields
+ */
+function pick(object, fields) {
+  const result = {};
+  fields.forEach(field => {
+    if (object[field] !== undefined) result[field] = object[field];
+  });
+  return result;
+}
+
+module.exports = {
+  saveLastDigest,
+  loadLastDigest,
+  loadDigestThread
+};
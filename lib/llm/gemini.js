@@ -0,0 +1,79 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🤖 GEMINI PROVIDER
+// ═══════════════════════════════════════════════════════════════════════════
+// Adapter for Google's Gemini API, using the official SDK for generation and
+// the generativelanguage REST catalog for model listing.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const axios = require('axios');
+
+const MODELS_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+/**
+ * Creates a Gemini provider
+ *
+ * @param {Object} config
+ * @param {string} config.apiKey - Gemini API key
+ * @param {string} config.model - Model name (e.g. "gemini-2.5-flash")
+ * @returns {Object} Provider with `generate()` and `listModels()`
+ */
+function createGeminiProvider({ apiKey, model }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: 'gemini',
+    model,
+
+    /**
+     * Generates a completion for a prompt
+     *
+     * @param {string} prompt - Full prompt text
+     * @param {Object} [options]
+     * @param {boolean} [options.json] - Ask for a JSON response
+     * @param {number} [options.timeout] - Request timeout in milliseconds
+     * @returns {Promise<{text: string, usage: {inputTokens: number, outputTokens: number}}>}
+     */
+    async generate(prompt, { json = false, timeout } = {}) {
+      const generativeModel = genAI.getGenerativeModel(
+        {
+          model,
+          generationConfig: json ? { responseMimeType: 'application/json' } : undefined
+        },
+        { timeout }
+      );
+
+      const result = await generativeModel.generateContent(prompt);
+      const response = await result.response;
+      const usage = response.usageMetadata || {};
+
+      return {
+        text: response.text(),
+        usage: {
+          inputTokens: usage.promptTokenCount || 0,
+          outputTokens: usage.candidatesTokenCount || 0
+        }
+      };
+    },
+
+    /**
+     * Lists the models available to this API key
+     *
+     * @returns {Promise<Array<Object>>} Models in the shared listing shape
+     */
+    async listModels() {
+      const { data } = await axios.get(MODELS_URL, { params: { key: apiKey, pageSize: 1000 } });
+
+      return (data.models || []).map(entry => ({
+        name: entry.name.replace(/^models\//, ''),
+        displayName: entry.displayName,
+        description: entry.description,
+        inputTokenLimit: entry.inputTokenLimit,
+        outputTokenLimit: entry.outputTokenLimit,
+        canGenerate: (entry.supportedGenerationMethods || []).includes('generateContent')
+      }));
+    }
+  };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,189 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🔌 LLM PROVIDER LAYER
+// ═══════════════════════════════════════════════════════════════════════════
+// Builds the configured LLM providers and runs prompts through them as an
+// ordered fallback chain: when one provider errors or times out, the next
+// one gets the same prompt. Transient errors (rate limits, 5xx, dropped
+// connections) are first retried on the same provider under the shared
+// retry policy (see lib/retry); a timeout moves straight to the next one.
+//
+// Every provider exposes the same interface:
+//   - name, model
+//   - generate(prompt, { json, timeout }) → { text, usage }
+//   - listModels() → [{ name, displayName, description, canGenerate, ... }]
+//
+// Configuration (environment variables):
+//   LLM_PROVIDERS    Comma-separated fallback order (default: "gemini")
+//   LLM_TIMEOUT_MS   Per-provider timeout (default: 120000)
+//   GEMINI_API_KEY, GEMINI_MODEL
+//   OPENAI_BASE_URL, OPENAI_API_KEY, OPENAI_MODEL
+//   OLLAMA_HOST, OLLAMA_MODEL
+//
+// The eval harness builds single providers from "provider:model" specs
+// instead (see loadProvider()), including an offline stub.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createOllamaProvider } = require('./ollama');
+const { createReplayProvider } = require('./replay');
+const { createStubProvider } = require('./stub');
+const { withRetry, withTimeout, isRetryableError } = require('../retry');
+
+const DEFAULT_TIMEOUT_MS = 120000;
+
+// Error codes of our own timeout and of axios request timeouts
+const TIMEOUT_CODES = new Set(['ETIMEDOUT', 'ECONNABORTED']);
+
+// How to build each provider from the environment. A factory returns null
+// when the provider isn't configured, along with the reason.
+const PROVIDER_FACTORIES = {
+  gemini: env => {
+    if (!env.GEMINI_API_KEY) return { reason: 'GEMINI_API_KEY is not set' };
+    return {
+      provider: createGeminiProvider({
+        apiKey: env.GEMINI_API_KEY,
+        model: env.GEMINI_MODEL || 'gemini-pro-latest'
+      })
+    };
+  },
+  openai: env => {
+    if (!env.OPENAI_API_KEY && !env.OPENAI_BASE_URL) {
+      return { reason: 'neither OPENAI_API_KEY nor OPENAI_BASE_URL is set' };
+    }
+    return {
+      provider: createOpenAIProvider({
+        baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: env.OPENAI_API_KEY,
+        model: env.OPENAI_MODEL || 'gpt-4o-mini'
+      })
+    };
+  },
+  ollama: env => ({
+    provider: createOllamaProvider({
+      host: env.OLLAMA_HOST || 'http://localhost:11434',
+      model: env.OLLAMA_MODEL || 'llama3.1'
+    })
+  })
+};
+
+// Variable holding each provider's model, overridden by a "provider:model" spec
+const MODEL_VARIABLES = { gemini: 'GEMINI_MODEL', openai: 'OPENAI_MODEL', ollama: 'OLLAMA_MODEL' };
+
+/**
+ * Builds a single provider from a spec such as "gemini:gemini-2.5-flash"
+ *
+ * The model after the colon replaces the configured one; the rest of the
+ * provider's settings (API key, base URL, host) still come from the
+ * environment. Two extra providers need no configuration:
+ *   - "stub" answers from the prompt itself, offline (see ./stub)
+ *   - "replay:<file>" replays a recorded response file (see ./replay)
+ *
+ * @param {string} spec - Provider name, optionally followed by ":<model>"
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} Provider
+ * @throws {Error} If the provider is unknown or not configured
+ */
+function loadProvider(spec, env = process.env) {
+  const [name, ...rest] = spec.trim().split(':');
+  const model = rest.join(':');
+
+  if (name === 'stub') {
+    return createStubProvider(model ? { model } : {});
+  }
+  if (name === 'replay') {
+    if (!model) throw new Error('"replay" needs a file, e.g. replay:recording/llm-responses.json');
+    return createReplayProvider({ file: model });
+  }
+
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}" in "${spec}" (expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}, stub, replay)`);
+  }
+  const { provider, reason } = factory(model ? { ...env, [MODEL_VARIABLES[name]]: model } : env);
+  if (!provider) {
+    throw new Error(`Cannot use "${spec}": ${reason}`);
+  }
+  return provider;
+}
+
+/**
+ * Builds the providers listed in LLM_PROVIDERS, in fallback order
+ *
+ * Providers that are listed but not configured are skipped with a warning.
+ *
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Array<Object>} Configured providers, in fallback order
+ * @throws {Error} If LLM_PROVIDERS names an unknown provider
+ */
+function loadProviders(env = process.env) {
+  const names = (env.LLM_PROVIDERS || 'gemini')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = [];
+  names.forEach(name => {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown LLM provider "${name}" in LLM_PROVIDERS (expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')})`);
+    }
+
+    const { provider, reason } = factory(env);
+    if (provider) {
+      providers.push(provider);
+    } else {
+      console.warn(`⚠️  Skipping LLM provider "${name}": ${reason}`);
+    }
+  });
+
+  return providers;
+}
+
+/**
+ * Sends a prompt through the providers in order until one succeeds
+ *
+ * @param {Array<Object>} providers - Providers from loadProviders()
+ * @param {string} prompt - Full prompt text
+ * @param {Object} [options]
+ * @param {boolean} [options.json] - Ask for a JSON response
+ * @param {number} [options.timeout] - Per-provider timeout in milliseconds
+ * @param {Object} [options.retryPolicy] - Retry policy for transient errors (see lib/retry)
+ * @returns {Promise<{text: string, usage: Object, provider: Object}>} The
+ *   first successful response and the provider that produced it
+ * @throws {Error} If every provider fails
+ */
+async function generateWithFallback(providers, prompt, { json = false, timeout = DEFAULT_TIMEOUT_MS, retryPolicy } = {}) {
+  if (providers.length === 0) {
+    throw new Error('No LLM providers are configured');
+  }
+
+  const failures = [];
+  for (const provider of providers) {
+    const label = `${provider.name} (${provider.model})`;
+    try {
+      // A provider that already took the whole timeout would likely do it
+      // again, so timeouts fall through to the next provider instead
+      const response = await withRetry(
+        () => withTimeout(provider.generate(prompt, { json, timeout }), timeout, label),
+        { label, policy: retryPolicy, shouldRetry: error => !TIMEOUT_CODES.has(error.code) && isRetryableError(error) }
+      );
+      return { ...response, provider };
+    } catch (error) {
+      failures.push(`${label}: ${error.message}`);
+      console.warn(`⚠️  LLM provider ${label} failed: ${error.message}`);
+      if (provider !== providers[providers.length - 1]) {
+        console.warn('   Falling back to the next provider...');
+      }
+    }
+  }
+
+  throw new Error(`All LLM providers failed:\n  - ${failures.join('\n  - ')}`);
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT_MS,
+  loadProviders,
+  loadProvider,
+  generateWithFallback
+};
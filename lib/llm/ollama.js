@@ -0,0 +1,71 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🦙 OLLAMA PROVIDER
+// ═══════════════════════════════════════════════════════════════════════════
+// Adapter for a local Ollama server (https://ollama.com). Useful as a last
+// resort in the fallback chain: it keeps working when cloud quotas run out.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const axios = require('axios');
+
+/**
+ * Creates an Ollama provider
+ *
+ * @param {Object} config
+ * @param {string} config.host - Ollama server URL (e.g. "http://localhost:11434")
+ * @param {string} config.model - Model name (e.g. "llama3.1")
+ * @returns {Object} Provider with `generate()` and `listModels()`
+ */
+function createOllamaProvider({ host, model }) {
+  const client = axios.create({ baseURL: host.replace(/\/+$/, '') });
+
+  return {
+    name: 'ollama',
+    model,
+
+    /**
+     * Generates a completion for a prompt
+     *
+     * @param {string} prompt - Full prompt text
+     * @param {Object} [options]
+     * @param {boolean} [options.json] - Ask for a JSON response
+     * @param {number} [options.timeout] - Request timeout in milliseconds
+     * @returns {Promise<{text: string, usage: {inputTokens: number, outputTokens: number}}>}
+     */
+    async generate(prompt, { json = false, timeout } = {}) {
+      const { data } = await client.post('/api/generate', {
+        model,
+        prompt,
+        stream: false,
+        format: json ? 'json' : undefined
+      }, { timeout });
+
+      return {
+        text: data.response || '',
+        usage: {
+          inputTokens: data.prompt_eval_count || 0,
+          outputTokens: data.eval_count || 0
+        }
+      };
+    },
+
+    /**
+     * Lists the models pulled on the Ollama server
+     *
+     * @returns {Promise<Array<Object>>} Models in the shared listing shape
+     */
+    async listModels() {
+      const { data } = await client.get('/api/tags');
+
+      return (data.models || []).map(entry => ({
+        name: entry.name,
+        displayName: entry.name,
+        description: entry.details
+          ? `${entry.details.family || 'unknown family'}, ${entry.details.parameter_size || '?'} parameters`
+          : undefined,
+        canGenerate: true
+      }));
+    }
+  };
+}
+
+module.exports = { createOllamaProvider };
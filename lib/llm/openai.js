@@ -0,0 +1,78 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧠 OPENAI-COMPATIBLE PROVIDER
+// ═══════════════════════════════════════════════════════════════════════════
+// Adapter for any endpoint speaking the OpenAI Chat Completions API: OpenAI
+// itself, Azure-style gateways, OpenRouter, Groq, vLLM, LM Studio and others.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const axios = require('axios');
+
+/**
+ * Creates an OpenAI-compatible provider
+ *
+ * @param {Object} config
+ * @param {string} config.baseUrl - API base URL (e.g. "https://api.openai.com/v1")
+ * @param {string} [config.apiKey] - Bearer token, if the endpoint needs one
+ * @param {string} config.model - Model name (e.g. "gpt-4o-mini")
+ * @returns {Object} Provider with `generate()` and `listModels()`
+ */
+function createOpenAIProvider({ baseUrl, apiKey, model }) {
+  const client = axios.create({
+    baseURL: baseUrl.replace(/\/+$/, ''),
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+  });
+
+  return {
+    name: 'openai',
+    model,
+
+    /**
+     * Generates a completion for a prompt
+     *
+     * @param {string} prompt - Full prompt text
+     * @param {Object} [options]
+     * @param {boolean} [options.json] - Ask for a JSON response
+     * @param {number} [options.timeout] - Request timeout in milliseconds
+     * @returns {Promise<{text: string, usage: {inputTokens: number, outputTokens: number}}>}
+     */
+    async generate(prompt, { json = false, timeout } = {}) {
+      const { data } = await client.post('/chat/completions', {
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        response_format: json ? { type: 'json_object' } : undefined
+      }, { timeout });
+
+      const choice = data.choices && data.choices[0];
+      if (!choice || !choice.message) {
+        throw new Error('OpenAI-compatible endpoint returned no choices');
+      }
+      const usage = data.usage || {};
+
+      return {
+        text: choice.message.content || '',
+        usage: {
+          inputTokens: usage.prompt_tokens || 0,
+          outputTokens: usage.completion_tokens || 0
+        }
+      };
+    },
+
+    /**
+     * Lists the models served by the endpoint
+     *
+     * @returns {Promise<Array<Object>>} Models in the shared listing shape
+     */
+    async listModels() {
+      const { data } = await client.get('/models');
+
+      return (data.data || []).map(entry => ({
+        name: entry.id,
+        displayName: entry.id,
+        description: entry.owned_by ? `Owned by ${entry.owned_by}` : undefined,
+        canGenerate: true
+      }));
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
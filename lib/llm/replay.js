@@ -0,0 +1,64 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 📼 REPLAY PROVIDER
+// ═══════════════════════════════════════════════════════════════════════════
+// Stands in for a real LLM by replaying recorded responses, so prompt and
+// formatting changes can be tested without network access or API keys.
+//
+// Accepted fixture files:
+//   - llm-responses.json written by the recorder: { "responses": [{ "text": ... }] }
+//     Responses are replayed in order; the last one repeats once exhausted.
+//     The provider reports the recorded provider and model names, so a
+//     replayed digest credits the same model as the original run.
+//   - Any other file: its whole content is returned for every prompt
+//     (e.g. a hand-written { "stories": [...] } digest)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Creates a provider that replays a recorded response file
+ *
+ * @param {Object} config
+ * @param {string} config.file - Path to the fixture file
+ * @returns {Object} Provider with `generate()` and `listModels()`
+ * @throws {Error} If the file can't be read
+ */
+function createReplayProvider({ file }) {
+  const content = fs.readFileSync(file, 'utf8');
+
+  let responses;
+  try {
+    const parsed = JSON.parse(content);
+    responses = parsed && Array.isArray(parsed.responses) && parsed.responses.length > 0
+      ? parsed.responses
+      : null;
+  } catch (error) {
+    responses = null;
+  }
+  if (!responses) {
+    responses = [{ provider: 'replay', model: path.basename(file), text: content }];
+  }
+
+  let next = 0;
+
+  return {
+    name: responses[0].provider || 'replay',
+    model: responses[0].model || path.basename(file),
+
+    async generate() {
+      const response = responses[Math.min(next, responses.length - 1)];
+      next++;
+      return {
+        text: response.text,
+        usage: response.usage || { inputTokens: 0, outputTokens: 0 }
+      };
+    },
+
+    async listModels() {
+      return [{ name: file, displayName: 'Recorded responses', canGenerate: true }];
+    }
+  };
+}
+
+module.exports = { createReplayProvider };
@@ -0,0 +1,101 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧩 STUB PROVIDER
+// ═══════════════════════════════════════════════════════════════════════════
+// A local stand-in for a real model, so the eval harness (and CI) can run a
+// whole comparison offline. It reads the numbered items back out of the
+// digest prompt and returns the first N as a digest, where N is the story
+// count the prompt asks for ("top 10"). Titles and summaries are cut from
+// the headline text and categories come from keywords.
+//
+// Its output is deterministic and mostly valid, which makes it a baseline
+// for the scores rather than a judge of prompt quality.
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Story count when the prompt doesn't say
+const DEFAULT_STORY_COUNT = 10;
+
+// First matching pattern wins
+const CATEGORY_KEYWORDS = [
+  { category: 'AI', pattern: /\b(AI|OpenAI|Anthropic|LLMs?|model|chatbot|Gemini|GPT)\b/i },
+  { category: 'Funding', pattern: /\b(raises?|raising|funding|valuation|Series [A-F]|seed round)\b/i },
+  { category: 'Security', pattern: /\b(breach|hack(ed|ers)?|ransomware|vulnerability|outage)\b/i },
+  { category: 'Policy', pattern: /\b(FTC|DOJ|EU|antitrust|regulators?|lawsuit|sues|ban)\b/i },
+  { category: 'Hardware', pattern: /\b(chips?|GPUs?|Nvidia|semiconductor|iPhone|device)\b/i },
+  { category: 'Business', pattern: /\b(acquires?|acquisition|layoffs?|cuts|revenue|earnings|IPO|CEO)\b/i },
+  { category: 'Big Tech', pattern: /\b(Apple|Google|Microsoft|Amazon|Meta)\b/i }
+];
+
+const CATEGORY_EMOJI = {
+  AI: '🤖', Funding: '💰', Security: '🔒', Policy: '⚖️', Hardware: '🔌', Business: '💼', 'Big Tech': '🏢', Other: '📰'
+};
+
+/**
+ * Reads the numbered items and their lead URLs out of a digest prompt
+ *
+ * @param {string} prompt - Prompt built around formatContentForLLM() output
+ * @returns {Array<{text: string, url: string}>} Items, in prompt order
+ */
+function parsePromptItems(prompt) {
+  const items = [];
+  const pattern = /^\s*\d+\.\s+(?:\[[A-Z ]+\]\s+)?(.+)\n\s+URL:\s+(\S+)/gm;
+  let match;
+  while ((match = pattern.exec(prompt)) !== null) {
+    items.push({ text: match[1].trim(), url: match[2] });
+  }
+  return items;
+}
+
+/**
+ * Cuts text at a sentence or word boundary
+ *
+ * @param {string} text - Text
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Shortened text
+ */
+function shorten(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const cut = text.substring(0, maxLength - 1);
+  return `${cut.substring(0, cut.lastIndexOf(' ')) || cut}…`;
+}
+
+/**
+ * Creates the stub provider
+ *
+ * @param {Object} [config]
+ * @param {string} [config.model='first-n'] - Model name shown in reports
+ * @returns {Object} Provider with `generate()` and `listModels()`
+ */
+function createStubProvider({ model = 'first-n' } = {}) {
+  return {
+    name: 'stub',
+    model,
+
+    async generate(prompt) {
+      const countMatch = prompt.match(/\btop (\d+)\b/i);
+      const storyCount = countMatch ? Number(countMatch[1]) : DEFAULT_STORY_COUNT;
+
+      const stories = parsePromptItems(prompt).slice(0, storyCount).map((item, index) => {
+        const [headline, ...rest] = item.text.split(/(?<=[.!?])\s+/);
+        const { category } = CATEGORY_KEYWORDS.find(entry => entry.pattern.test(item.text)) || { category: 'Other' };
+        return {
+          rank: index + 1,
+          emoji: CATEGORY_EMOJI[category],
+          title: shorten(headline, 150),
+          summary: shorten(rest.join(' ') || headline, 400),
+          whyItMatters: `One of today's top ${category === 'Other' ? 'tech' : category} stories on Techmeme.`,
+          sourceUrl: item.url,
+          category
+        };
+      });
+
+      const text = JSON.stringify({ stories });
+      return { text, usage: { inputTokens: Math.ceil(prompt.length / 4), outputTokens: Math.ceil(text.length / 4) } };
+    },
+
+    async listModels() {
+      return [{ name: model, displayName: 'Offline stub (first N items)', canGenerate: true }];
+    }
+  };
+}
+
+module.exports = { createStubProvider, parsePromptItems };
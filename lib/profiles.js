@@ -0,0 +1,194 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🎯 DIGEST PROFILES
+// ═══════════════════════════════════════════════════════════════════════════
+// A profile is one tailored cut of the day's news, posted to its own Slack
+// channel. One scrape feeds every profile; each gets its own summary.
+//
+// Profiles are read from a JSON file (DIGEST_PROFILES_FILE, default
+// digest-profiles.json):
+//
+//   {
+//     "profiles": [
+//       {
+//         "name": "ai-team",               // unique, used for history files
+//         "channel": "C0123456789",        // Slack channel ID
+//         "title": "AI Daily",             // optional header title
+//         "includeTopics": ["AI", "LLM"],  // optional: keep only matching items
+//         "excludeTopics": ["crypto"],     // optional: drop matching items
+//         "storyCount": 5,                 // optional, default 10
+//         "tone": "technical",             // optional, e.g. "executive", "casual"
+//         "prompt": "Focus on ..."         // optional extra instructions
+//       }
+//     ]
+//   }
+//
+// Without a profiles file, a single "default" profile posts 10 stories to
+// SLACK_CHANNEL_ID, exactly like before profiles existed.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+
+const DEFAULT_STORY_COUNT = 10;
+const MAX_STORY_COUNT = 20;
+
+/**
+ * Escapes a string for use inside a regular expression
+ *
+ * @param {string} text - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds a case-insensitive, whole-word matcher for a list of topics
+ *
+ * @param {string[]} topics - Topics or keywords
+ * @returns {RegExp|null} Matcher, or null when the list is empty
+ */
+function topicMatcher(topics) {
+  if (!topics || topics.length === 0) return null;
+  return new RegExp(`(^|[^a-z0-9])(${topics.map(escapeRegExp).join('|')})($|[^a-z0-9])`, 'i');
+}
+
+/**
+ * Validates a profile and fills in defaults
+ *
+ * @param {Object} profile - Raw profile from the file
+ * @param {number} index - Position in the file, for error messages
+ * @returns {Object} Normalized profile
+ * @throws {Error} If the profile is invalid
+ */
+function normalizeProfile(profile, index) {
+  const label = `Profile #${index + 1}`;
+  if (!profile || typeof profile !== 'object') {
+    throw new Error(`${label} must be an object`);
+  }
+  if (typeof profile.name !== 'string' || !/^[a-z0-9_-]+$/i.test(profile.name)) {
+    throw new Error(`${label} needs a "name" made of letters, digits, "-" or "_"`);
+  }
+  if (typeof profile.channel !== 'string' || profile.channel.trim() === '') {
+    throw new Error(`Profile "${profile.name}" needs a Slack "channel" ID`);
+  }
+
+  const storyCount = profile.storyCount === undefined ? DEFAULT_STORY_COUNT : profile.storyCount;
+  if (!Number.isInteger(storyCount) || storyCount < 1 || storyCount > MAX_STORY_COUNT) {
+    throw new Error(`Profile "${profile.name}": "storyCount" must be an integer between 1 and ${MAX_STORY_COUNT}`);
+  }
+
+  ['includeTopics', 'excludeTopics'].forEach(field => {
+    if (profile[field] !== undefined && !(Array.isArray(profile[field]) && profile[field].every(topic => typeof topic === 'string'))) {
+      throw new Error(`Profile "${profile.name}": "${field}" must be an array of strings`);
+    }
+  });
+
+  return {
+    name: profile.name,
+    channel: profile.channel.trim(),
+    title: profile.title,
+    includeTopics: profile.includeTopics || [],
+    excludeTopics: profile.excludeTopics || [],
+    storyCount,
+    tone: profile.tone,
+    prompt: profile.prompt
+  };
+}
+
+/**
+ * Loads the digest profiles
+ *
+ * @param {string} file - Path to the profiles JSON file
+ * @param {Object} fallback
+ * @param {string} [fallback.channel] - Channel for the default profile when
+ *   the file doesn't exist (SLACK_CHANNEL_ID)
+ * @returns {Array<Object>} Normalized profiles
+ * @throws {Error} If the file is invalid, or there is neither a file nor a
+ *   fallback channel
+ */
+function loadProfiles(file, { channel } = {}) {
+  if (!fs.existsSync(file)) {
+    if (!channel) {
+      throw new Error(`No digest profiles file at ${file} and SLACK_CHANNEL_ID is not set`);
+    }
+    return [normalizeProfile({ name: 'default', channel }, 0)];
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read digest profiles from ${file}: ${error.message}`);
+  }
+
+  const profiles = (Array.isArray(data) ? data : data.profiles || []).map(normalizeProfile);
+  if (profiles.length === 0) {
+    throw new Error(`${file} does not define any profiles`);
+  }
+
+  const names = new Set();
+  profiles.forEach(profile => {
+    if (names.has(profile.name)) {
+      throw new Error(`Duplicate digest profile name "${profile.name}"`);
+    }
+    names.add(profile.name);
+  });
+
+  return profiles;
+}
+
+/**
+ * Keeps the items a profile cares about
+ *
+ * Items matching any excluded topic are dropped. If the profile has
+ * included topics, only items matching at least one of them are kept.
+ * Topics are matched as whole words against the headline, summary and
+ * publisher.
+ *
+ * @param {Array<Object>} items - Scraped news items
+ * @param {Object} profile - Normalized profile
+ * @returns {Array<Object>} Items for this profile
+ */
+function filterItemsForProfile(items, profile) {
+  const include = topicMatcher(profile.includeTopics);
+  const exclude = topicMatcher(profile.excludeTopics);
+
+  return items.filter(item => {
+    const haystack = [item.text, item.publisher].filter(Boolean).join(' ');
+    if (exclude && exclude.test(haystack)) return false;
+    if (include && !include.test(haystack)) return false;
+    return true;
+  });
+}
+
+/**
+ * Builds the profile-specific part of the summarization prompt
+ *
+ * @param {Object} profile - Normalized profile
+ * @returns {string} Extra prompt lines (empty for a plain profile)
+ */
+function profileInstructions(profile) {
+  const lines = [];
+  if (profile.includeTopics.length > 0) {
+    lines.push(`This digest is for readers who care about: ${profile.includeTopics.join(', ')}`);
+  }
+  if (profile.excludeTopics.length > 0) {
+    lines.push(`Leave out stories about: ${profile.excludeTopics.join(', ')}`);
+  }
+  if (profile.tone) {
+    lines.push(`Write the summaries in a ${profile.tone} tone`);
+  }
+  if (profile.prompt) {
+    lines.push(profile.prompt);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_STORY_COUNT,
+  MAX_STORY_COUNT,
+  topicMatcher,
+  loadProfiles,
+  filterItemsForProfile,
+  profileInstructions
+};
@@ -0,0 +1,108 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// ✉️  EMAIL PUBLISHER
+// ═══════════════════════════════════════════════════════════════════════════
+// Sends a digest over SMTP as one email with an HTML and a plain-text part,
+// for readers who aren't on Slack.
+//
+// Configuration (environment variables):
+//   SMTP_HOST, SMTP_PORT (default: 587), SMTP_SECURE ("true" for TLS from
+//   the start, the default on port 465), SMTP_USER, SMTP_PASS
+//   EMAIL_FROM   Sender, e.g. "Tech Digest <digest@example.com>"
+//   EMAIL_TO     Comma-separated recipients
+// ═══════════════════════════════════════════════════════════════════════════
+
+const nodemailer = require('nodemailer');
+const { withRetry } = require('../retry');
+const { escapeHtml, renderHtml, renderText } = require('./format');
+
+const DEFAULT_SMTP_PORT = 587;
+
+/**
+ * Builds the SMTP transport from the environment
+ *
+ * @param {Object} env - Environment variables
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Connection and socket timeout in milliseconds
+ * @returns {Object} Nodemailer transport
+ */
+function createSmtpTransport(env, { timeout } = {}) {
+  const port = Number(env.SMTP_PORT) || DEFAULT_SMTP_PORT;
+  return nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port,
+    secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+    connectionTimeout: timeout,
+    socketTimeout: timeout
+  });
+}
+
+/**
+ * Wraps the digest's HTML fragment in a complete email document
+ *
+ * @param {Object} digest - Structured digest (see ./index)
+ * @returns {string} HTML document
+ */
+function renderEmailHtml(digest) {
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    `<head><meta charset="utf-8"><title>${escapeHtml(digest.title)}</title></head>`,
+    '<body style="font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;color:#222;line-height:1.45;max-width:640px;margin:0 auto;padding:16px">',
+    renderHtml(digest),
+    '</body>',
+    '</html>'
+  ].join('\n');
+}
+
+/**
+ * Creates the email publisher
+ *
+ * @param {Object} options
+ * @param {Object} options.transport - Nodemailer transport (see createSmtpTransport())
+ * @param {string} options.from - Sender
+ * @param {string[]} options.to - Recipients
+ * @param {boolean} [options.dryRun=false] - Print the email instead of sending it
+ * @param {Object} [options.retryPolicy] - Retry policy (see lib/retry)
+ * @returns {Object} Publisher
+ */
+function createEmailPublisher({ transport, from, to, dryRun = false, retryPolicy }) {
+  return {
+    name: 'email',
+    label: 'Email',
+
+    /**
+     * Emails the digest to every recipient
+     *
+     * @param {Object} digest - Structured digest (see ./index)
+     * @returns {Promise<{messageId: string|null, recipients: number}>} Message
+     *   id from the SMTP server (null in a dry run)
+     * @throws {Error} If the SMTP server still rejects the message after retries
+     */
+    async publish(digest) {
+      const message = {
+        from,
+        to: to.join(', '),
+        subject: `${digest.title} - ${digest.date}`,
+        text: renderText(digest),
+        html: renderEmailHtml(digest)
+      };
+      console.log(`\n✉️  Emailing ${to.length} recipient(s)...`);
+
+      if (dryRun) {
+        console.log('\n🧪 DRY RUN - email (not sent):');
+        console.log(`To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+        return { messageId: null, recipients: to.length };
+      }
+
+      const info = await withRetry(() => transport.sendMail(message), {
+        label: 'SMTP sendMail',
+        policy: retryPolicy
+      });
+      console.log(`✅ Email sent (${info.messageId})`);
+      return { messageId: info.messageId, recipients: to.length };
+    }
+  };
+}
+
+module.exports = { createSmtpTransport, renderEmailHtml, createEmailPublisher };
@@ -0,0 +1,207 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 📡 FEED PUBLISHER (RSS / ATOM)
+// ═══════════════════════════════════════════════════════════════════════════
+// Keeps an RSS 2.0 or Atom feed of past digests, one entry per digest with
+// the whole digest as HTML, so anyone can follow it in a feed reader. Host
+// the file anywhere static (GitHub Pages, S3, a web server's root).
+//
+// The entries live in a JSON file next to the feed (feed.xml → feed.json)
+// and the feed is rebuilt from them on every digest. A second digest of
+// the same profile on the same (UTC) day replaces its entry.
+//
+// Configuration (environment variables):
+//   FEED_FILE          Where the feed is written (default: data/feed.xml)
+//   FEED_FORMAT        "rss" (default) or "atom"
+//   FEED_TITLE         Feed title (default: "Techmeme Digest")
+//   FEED_URL           Public URL of the feed, for its self link (optional)
+//   FEED_MAX_ENTRIES   Digests kept in the feed (default: 50)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+const { SOURCE_URL, escapeHtml, renderHtml } = require('./format');
+
+const FEED_FORMATS = ['rss', 'atom'];
+const DEFAULT_FEED_TITLE = 'Techmeme Digest';
+const DEFAULT_MAX_ENTRIES = 50;
+
+// Length of an entry's plain-text summary (its story titles)
+const MAX_ENTRY_SUMMARY_LENGTH = 500;
+
+/**
+ * Returns the file holding a feed's entries
+ *
+ * @param {string} file - Feed file
+ * @returns {string} Entries file (same name, .json)
+ */
+function entriesFileFor(file) {
+  const { dir, name } = path.parse(file);
+  return path.join(dir, `${name}.json`);
+}
+
+/**
+ * Reads the feed's entries
+ *
+ * @param {string} file - Entries file
+ * @returns {Array<Object>} Entries, newest first (empty if the file is missing or corrupt)
+ */
+function loadEntries(file) {
+  if (!fs.existsSync(file)) return [];
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).entries || [];
+  } catch (error) {
+    console.warn(`⚠️  Could not read feed entries from ${file} (${error.message}), starting fresh`);
+    return [];
+  }
+}
+
+/**
+ * Turns a digest into a feed entry
+ *
+ * @param {Object} digest - Structured digest (see ./index)
+ * @returns {Object} Entry with an id, title, link, summary, HTML content and date
+ */
+function digestEntry(digest) {
+  const day = digest.publishedAt.slice(0, 10);
+  const summary = digest.stories.map(story => story.title).join(' · ');
+  return {
+    id: `urn:techmeme-digest:${day}:${digest.profile}:${digest.kind}`,
+    title: `${digest.title} - ${digest.date}`,
+    link: digest.stories.length > 0 ? digest.stories[0].sourceUrl : SOURCE_URL,
+    publishedAt: digest.publishedAt,
+    summary: summary.length > MAX_ENTRY_SUMMARY_LENGTH ? `${summary.substring(0, MAX_ENTRY_SUMMARY_LENGTH - 1)}…` : summary,
+    html: renderHtml(digest)
+  };
+}
+
+/**
+ * Renders the entries as an RSS 2.0 feed
+ *
+ * @param {Array<Object>} entries - Entries, newest first
+ * @param {Object} feed
+ * @param {string} feed.title - Feed title
+ * @param {string} [feed.url] - Public URL of the feed
+ * @returns {string} XML
+ */
+function renderRss(entries, { title, url }) {
+  const items = entries.map(entry => [
+    '    <item>',
+    `      <title>${escapeHtml(entry.title)}</title>`,
+    `      <link>${escapeHtml(entry.link)}</link>`,
+    `      <guid isPermaLink="false">${escapeHtml(entry.id)}</guid>`,
+    `      <pubDate>${new Date(entry.publishedAt).toUTCString()}</pubDate>`,
+    `      <description>${escapeHtml(entry.html)}</description>`,
+    '    </item>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeHtml(title)}</title>`,
+    `    <link>${escapeHtml(SOURCE_URL)}</link>`,
+    '    <description>Daily AI-summarized digests of the top stories on Techmeme</description>',
+    ...(url ? [`    <atom:link href="${escapeHtml(url)}" rel="self" type="application/rss+xml"/>`] : []),
+    `    <lastBuildDate>${new Date(entries.length > 0 ? entries[0].publishedAt : Date.now()).toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Renders the entries as an Atom feed
+ *
+ * @param {Array<Object>} entries - Entries, newest first
+ * @param {Object} feed
+ * @param {string} feed.title - Feed title
+ * @param {string} [feed.url] - Public URL of the feed
+ * @returns {string} XML
+ */
+function renderAtom(entries, { title, url }) {
+  const updated = entries.length > 0 ? entries[0].publishedAt : new Date().toISOString();
+  const items = entries.map(entry => [
+    '  <entry>',
+    `    <title>${escapeHtml(entry.title)}</title>`,
+    `    <id>${escapeHtml(entry.id)}</id>`,
+    `    <link href="${escapeHtml(entry.link)}"/>`,
+    `    <published>${entry.publishedAt}</published>`,
+    `    <updated>${entry.publishedAt}</updated>`,
+    `    <summary type="text">${escapeHtml(entry.summary)}</summary>`,
+    `    <content type="html">${escapeHtml(entry.html)}</content>`,
+    '  </entry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeHtml(title)}</title>`,
+    `  <id>${escapeHtml(url || 'urn:techmeme-digest:feed')}</id>`,
+    `  <link href="${escapeHtml(SOURCE_URL)}"/>`,
+    ...(url ? [`  <link href="${escapeHtml(url)}" rel="self" type="application/atom+xml"/>`] : []),
+    `  <updated>${updated}</updated>`,
+    `  <author><name>${escapeHtml(title)}</name></author>`,
+    ...items,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Creates the feed publisher
+ *
+ * @param {Object} options
+ * @param {string} options.file - Feed file (its entries go next to it)
+ * @param {string} [options.format='rss'] - "rss" or "atom"
+ * @param {string} [options.title='Techmeme Digest'] - Feed title
+ * @param {string} [options.url] - Public URL of the feed
+ * @param {number} [options.maxEntries=50] - Digests kept in the feed
+ * @param {boolean} [options.dryRun=false] - Don't write anything
+ * @returns {Object} Publisher
+ * @throws {Error} If the format is unknown
+ */
+function createFeedPublisher({ file, format = 'rss', title = DEFAULT_FEED_TITLE, url, maxEntries = DEFAULT_MAX_ENTRIES, dryRun = false }) {
+  if (!FEED_FORMATS.includes(format)) {
+    throw new Error(`Unknown feed format "${format}" (expected ${FEED_FORMATS.join(' or ')})`);
+  }
+  const entriesFile = entriesFileFor(file);
+
+  return {
+    name: 'feed',
+    label: `${format === 'rss' ? 'RSS' : 'Atom'} feed`,
+
+    /**
+     * Adds the digest to the feed and rewrites it
+     *
+     * @param {Object} digest - Structured digest (see ./index)
+     * @returns {Promise<{file: string, entries: number}>} Feed file and its entry count
+     */
+    async publish(digest) {
+      const entry = digestEntry(digest);
+      const entries = [entry, ...loadEntries(entriesFile).filter(other => other.id !== entry.id)]
+        .sort((a, b) => b.publishedAt.localeCompare(a.publishedAt))
+        .slice(0, maxEntries);
+      const xml = format === 'rss' ? renderRss(entries, { title, url }) : renderAtom(entries, { title, url });
+
+      if (dryRun) {
+        console.log(`\n🧪 DRY RUN - ${format} feed ${file} (not written): would hold ${entries.length} digest(s), newest "${entry.title}"`);
+        return { file, entries: entries.length };
+      }
+
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(entriesFile, JSON.stringify({ entries }, null, 2));
+      fs.writeFileSync(file, xml);
+      console.log(`✅ Updated the ${format} feed ${file} (${entries.length} digest(s))`);
+      return { file, entries: entries.length };
+    }
+  };
+}
+
+module.exports = {
+  FEED_FORMATS,
+  DEFAULT_MAX_ENTRIES,
+  renderRss,
+  renderAtom,
+  createFeedPublisher
+};
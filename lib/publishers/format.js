@@ -0,0 +1,230 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 📝 DIGEST FORMATTING (NON-SLACK)
+// ═══════════════════════════════════════════════════════════════════════════
+// Renders a structured digest (see ./index) for destinations other than
+// Slack, which has its own renderer in lib/slack-format:
+//   - renderText()      → plain text (email text part)
+//   - renderHtml()      → an HTML fragment (email body, feed entries)
+//   - renderMarkdown()  → a Markdown document (file archive)
+//
+// Webhook payloads (Teams, Discord) are built in their own modules from the
+// helpers here.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { RIVER_SITES } = require('../sources/river');
+
+// Where a digest's stories come from when it doesn't list its sources
+const SOURCE_URL = RIVER_SITES.techmeme.url;
+
+/**
+ * Escapes text for HTML and XML
+ *
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escapes the characters Markdown would treat as formatting
+ *
+ * @param {string} text - Plain text
+ * @returns {string} Text safe to embed in Markdown (CommonMark, Discord, Teams)
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_~|[\]<>#])/g, '\\$1');
+}
+
+/**
+ * Builds a story's title, labeling returning stories
+ *
+ * @param {Object} story - Validated digest story
+ * @returns {string} Plain-text title
+ */
+function storyTitle(story) {
+  return `${story.developing ? '🔄 Developing: ' : ''}${story.title}`;
+}
+
+/**
+ * Builds the line under a story: Techmeme rank, related coverage and category
+ *
+ * @param {Object} story - Validated digest story
+ * @returns {string} Plain text, e.g. "Techmeme rank #1 • 4 related articles • AI"
+ */
+function storyContext(story) {
+  return [
+    story.techmemeRank ? `Techmeme rank #${story.techmemeRank}` : null,
+    story.relatedCount ? `${story.relatedCount} related articles` : null,
+    story.category
+  ].filter(Boolean).join(' • ');
+}
+
+/**
+ * Builds the warning shown on a digest made from a cached page
+ *
+ * @param {string} since - When the page was saved (ISO string)
+ * @returns {string} Plain-text notice
+ */
+function staleText(since) {
+  return `Techmeme could not be reached, so this digest uses the page saved at ${since}. Some stories may be out of date.`;
+}
+
+/**
+ * Returns the sites a digest's stories come from, named by their host
+ *
+ * @param {Object} digest - Structured digest
+ * @returns {Array<{name: string, url: string}>} Sites, e.g.
+ *   [{ name: "techmeme.com", url: "https://techmeme.com/" }]
+ */
+function digestSources(digest) {
+  const urls = digest.sources && digest.sources.length > 0 ? digest.sources : [SOURCE_URL];
+  return urls.map(url => ({ name: new URL(url).hostname.replace(/^www\./, ''), url }));
+}
+
+/**
+ * Builds the footer crediting the model and the sites the stories come from
+ *
+ * @param {Object} digest - Structured digest
+ * @returns {string} Plain-text footer
+ */
+function footerText(digest) {
+  return `Summarized by ${digest.generatedBy} from ${digestSources(digest).map(site => site.name).join(', ')}`;
+}
+
+/**
+ * Renders a digest as plain text
+ *
+ * @param {Object} digest - Structured digest (see ./index)
+ * @returns {string} Plain text
+ */
+function renderText(digest) {
+  const lines = [`📰 ${digest.title}`, digest.date, ''];
+  if (digest.staleSince) {
+    lines.push(`⚠️ ${staleText(digest.staleSince)}`, '');
+  }
+
+  digest.stories.forEach(story => {
+    lines.push(
+      `${story.rank}. ${story.emoji} ${storyTitle(story)}`,
+      `   ${story.summary}`,
+      `   Why it matters: ${story.whyItMatters}`,
+      `   Read: ${story.sourceUrl}`,
+      `   ${storyContext(story)}`,
+      ''
+    );
+  });
+
+  (digest.sections || []).forEach(section => {
+    lines.push(section.title);
+    section.entries.forEach(entry => {
+      const detail = entry.detail ? ` (${entry.detail})` : '';
+      lines.push(` • ${entry.title}${detail}: ${entry.text}${entry.url ? ` ${entry.url}` : ''}`);
+    });
+    lines.push('');
+  });
+
+  lines.push(`${footerText(digest)} (${digestSources(digest).map(site => site.url).join(', ')})`);
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Renders a digest as an HTML fragment with inline styles (for email clients)
+ *
+ * @param {Object} digest - Structured digest (see ./index)
+ * @returns {string} HTML
+ */
+function renderHtml(digest) {
+  const parts = [
+    `<h1 style="font-size:22px;margin:0 0 4px">📰 ${escapeHtml(digest.title)}</h1>`,
+    `<p style="color:#666;margin:0 0 16px">${escapeHtml(digest.date)}</p>`
+  ];
+  if (digest.staleSince) {
+    parts.push(`<p style="background:#fff4e5;padding:8px 12px;border-radius:4px">⚠️ ${escapeHtml(staleText(digest.staleSince))}</p>`);
+  }
+
+  digest.stories.forEach(story => {
+    parts.push([
+      '<div style="border-top:1px solid #e5e5e5;padding:12px 0">',
+      `<h2 style="font-size:17px;margin:0 0 6px">${story.emoji} <a href="${escapeHtml(story.sourceUrl)}" style="color:#1a0dab;text-decoration:none">${escapeHtml(storyTitle(story))}</a></h2>`,
+      `<p style="margin:0 0 6px">${escapeHtml(story.summary)}</p>`,
+      `<p style="margin:0 0 6px"><em>Why it matters:</em> ${escapeHtml(story.whyItMatters)}</p>`,
+      `<p style="color:#888;font-size:12px;margin:0">${escapeHtml(storyContext(story))}</p>`,
+      '</div>'
+    ].join('\n'));
+  });
+
+  (digest.sections || []).forEach(section => {
+    const items = section.entries.map(entry => {
+      const name = entry.url
+        ? `<a href="${escapeHtml(entry.url)}">${escapeHtml(entry.title)}</a>`
+        : `<strong>${escapeHtml(entry.title)}</strong>`;
+      const detail = entry.detail ? ` (${escapeHtml(entry.detail)})` : '';
+      return `<li>${name}${detail}: ${escapeHtml(entry.text)}</li>`;
+    });
+    parts.push(`<h2 style="font-size:17px;margin:16px 0 6px">${escapeHtml(section.title)}</h2>\n<ul>\n${items.join('\n')}\n</ul>`);
+  });
+
+  const siteLinks = digestSources(digest).map(site => `<a href="${escapeHtml(site.url)}">${escapeHtml(site.name)}</a>`);
+  parts.push(`<p style="color:#888;font-size:12px;border-top:1px solid #e5e5e5;padding-top:12px">Summarized by ${escapeHtml(digest.generatedBy)} from ${siteLinks.join(', ')}</p>`);
+  return parts.join('\n');
+}
+
+/**
+ * Renders a digest as a Markdown document
+ *
+ * @param {Object} digest - Structured digest (see ./index)
+ * @returns {string} Markdown
+ */
+function renderMarkdown(digest) {
+  const lines = [`# 📰 ${escapeMarkdown(digest.title)}`, '', `_${escapeMarkdown(digest.date)}_`, ''];
+  if (digest.staleSince) {
+    lines.push(`> ⚠️ ${escapeMarkdown(staleText(digest.staleSince))}`, '');
+  }
+
+  digest.stories.forEach(story => {
+    lines.push(
+      `## ${story.rank}. ${story.emoji} [${escapeMarkdown(storyTitle(story))}](${story.sourceUrl})`,
+      '',
+      escapeMarkdown(story.summary),
+      '',
+      `**Why it matters:** ${escapeMarkdown(story.whyItMatters)}`,
+      '',
+      `_${escapeMarkdown(storyContext(story))}_`,
+      ''
+    );
+  });
+
+  (digest.sections || []).forEach(section => {
+    lines.push(`## ${escapeMarkdown(section.title)}`, '');
+    section.entries.forEach(entry => {
+      const name = entry.url ? `[${escapeMarkdown(entry.title)}](${entry.url})` : `**${escapeMarkdown(entry.title)}**`;
+      const detail = entry.detail ? ` (${escapeMarkdown(entry.detail)})` : '';
+      lines.push(`- ${name}${detail}: ${escapeMarkdown(entry.text)}`);
+    });
+    lines.push('');
+  });
+
+  const siteLinks = digestSources(digest).map(site => `[${escapeMarkdown(site.name)}](${site.url})`);
+  lines.push('---', '', `_Summarized by ${escapeMarkdown(digest.generatedBy)} from ${siteLinks.join(', ')}_`);
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  SOURCE_URL,
+  escapeHtml,
+  escapeMarkdown,
+  storyTitle,
+  storyContext,
+  staleText,
+  digestSources,
+  footerText,
+  renderText,
+  renderHtml,
+  renderMarkdown
+};
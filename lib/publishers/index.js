@@ -0,0 +1,243 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 📣 PUBLISHERS
+// ═══════════════════════════════════════════════════════════════════════════
+// Sends every digest to the configured destinations. Each publisher gets
+// the same structured digest and formats it its own way:
+//
+//   {
+//     kind: "daily",                    // or "week" / "month" for roll-ups
+//     profile: "default",               // digest profile (see lib/profiles)
+//     channel: "C0123456789",           // the profile's Slack channel
+//     title: "Techmeme Top 10 Digest",
+//     date: "Wednesday, January 28, 2026",
+//     publishedAt: "2026-01-28T16:00:00.000Z",
+//     generatedBy: "gemini (gemini-2.5-flash)",
+//     sources: ["https://techmeme.com/"],  // sites the stories come from
+//     staleSince: null,                 // set when built from a cached page
+//     stories: [ ...validated stories (see lib/digest-schema)... ],
+//     sections: [ ...extra sections, e.g. a roll-up's themes (see lib/rollup)... ]
+//   }
+//
+// Every publisher exposes the same interface:
+//   - name, label
+//   - publish(digest) → result (e.g. Slack's message timestamp)
+//
+// Configuration (environment variables):
+//   PUBLISHERS   Comma-separated destinations (default: "slack")
+//                slack, email, teams, discord, markdown, feed
+// and each destination's own settings (see ./email, ./webhooks, ./markdown
+// and ./feed).
+//
+// Destinations are independent: one that fails is reported and the others
+// still get the digest. Only when every destination fails does the digest
+// count as failed.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const path = require('path');
+const { createSlackPublisher } = require('./slack');
+const { createSmtpTransport, createEmailPublisher } = require('./email');
+const { createTeamsPublisher, createDiscordPublisher } = require('./webhooks');
+const { createMarkdownPublisher } = require('./markdown');
+const { createFeedPublisher } = require('./feed');
+
+// How to build each publisher from the environment. A factory returns null
+// when the publisher isn't configured, along with the reason.
+const PUBLISHER_FACTORIES = {
+  slack: (env, options) => {
+    if (!options.slackClient && !options.dryRun) return { reason: 'SLACK_BOT_TOKEN is not set' };
+    return {
+      publisher: createSlackPublisher({
+        client: options.slackClient,
+        dryRun: options.dryRun,
+        recorder: options.recorder,
+        telemetry: options.telemetry,
+        retryPolicy: options.retryPolicy
+      })
+    };
+  },
+  email: (env, options) => {
+    const to = (env.EMAIL_TO || '').split(',').map(address => address.trim()).filter(Boolean);
+    if (!env.SMTP_HOST) return { reason: 'SMTP_HOST is not set' };
+    if (!env.EMAIL_FROM || to.length === 0) return { reason: 'EMAIL_FROM and EMAIL_TO must both be set' };
+    return {
+      publisher: createEmailPublisher({
+        transport: createSmtpTransport(env, { timeout: options.timeout }),
+        from: env.EMAIL_FROM,
+        to,
+        dryRun: options.dryRun,
+        retryPolicy: options.retryPolicy
+      })
+    };
+  },
+  teams: (env, options) => {
+    if (!env.TEAMS_WEBHOOK_URL) return { reason: 'TEAMS_WEBHOOK_URL is not set' };
+    return {
+      publisher: createTeamsPublisher({
+        url: env.TEAMS_WEBHOOK_URL,
+        dryRun: options.dryRun,
+        timeout: options.timeout,
+        retryPolicy: options.retryPolicy
+      })
+    };
+  },
+  discord: (env, options) => {
+    if (!env.DISCORD_WEBHOOK_URL) return { reason: 'DISCORD_WEBHOOK_URL is not set' };
+    return {
+      publisher: createDiscordPublisher({
+        url: env.DISCORD_WEBHOOK_URL,
+        dryRun: options.dryRun,
+        timeout: options.timeout,
+        retryPolicy: options.retryPolicy
+      })
+    };
+  },
+  markdown: (env, options) => ({
+    publisher: createMarkdownPublisher({
+      dir: env.MARKDOWN_DIR || path.join(options.dataDir, 'digests'),
+      dryRun: options.dryRun
+    })
+  }),
+  feed: (env, options) => ({
+    publisher: createFeedPublisher({
+      file: env.FEED_FILE || path.join(options.dataDir, 'feed.xml'),
+      format: (env.FEED_FORMAT || 'rss').toLowerCase(),
+      title: env.FEED_TITLE || undefined,
+      url: env.FEED_URL || undefined,
+      maxEntries: Number(env.FEED_MAX_ENTRIES) || undefined,
+      dryRun: options.dryRun
+    })
+  })
+};
+
+/**
+ * Reads the destinations listed in PUBLISHERS
+ *
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {string[]} Publisher names, in order
+ * @throws {Error} If PUBLISHERS names an unknown destination
+ */
+function publisherNames(env = process.env) {
+  const names = (env.PUBLISHERS || 'slack')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  names.forEach(name => {
+    if (!PUBLISHER_FACTORIES[name]) {
+      throw new Error(`Unknown publisher "${name}" in PUBLISHERS (expected: ${Object.keys(PUBLISHER_FACTORIES).join(', ')})`);
+    }
+  });
+  return names;
+}
+
+/**
+ * Builds the publishers listed in PUBLISHERS
+ *
+ * Publishers that are listed but not configured are skipped with a warning
+ * (recorded by the telemetry, so the ops channel hears about it).
+ *
+ * @param {Object} [env=process.env] - Environment variables
+ * @param {Object} options
+ * @param {string} options.dataDir - Default directory of the Markdown archive and the feed
+ * @param {Object} [options.slackClient] - Slack WebClient
+ * @param {boolean} [options.dryRun=false] - Print instead of sending or writing
+ * @param {Object} [options.recorder] - Run recorder that keeps Slack payloads
+ * @param {Object} [options.telemetry] - Run telemetry (see lib/telemetry)
+ * @param {number} [options.timeout] - Network timeout per attempt in milliseconds
+ * @param {Object} [options.retryPolicy] - Retry policy (see lib/retry)
+ * @returns {Array<Object>} Configured publishers, in order
+ * @throws {Error} If PUBLISHERS names an unknown destination or a setting is invalid
+ */
+function loadPublishers(env = process.env, options) {
+  const publishers = [];
+  publisherNames(env).forEach(name => {
+    const { publisher, reason } = PUBLISHER_FACTORIES[name](env, options);
+    if (publisher) {
+      publishers.push(publisher);
+      return;
+    }
+    const message = `Skipping publisher "${name}": ${reason}`;
+    if (options.telemetry) {
+      options.telemetry.warn(message);
+    } else {
+      console.warn(`⚠️  ${message}`);
+    }
+  });
+  return publishers;
+}
+
+/**
+ * Sends a digest to every publisher, one after the other
+ *
+ * A publisher that fails doesn't stop the others: its error is logged and
+ * recorded as a warning. Each publisher runs as its own telemetry stage,
+ * named after it.
+ *
+ * @param {Array<Object>} publishers - From loadPublishers()
+ * @param {Object} digest - Structured digest
+ * @param {Object} [options]
+ * @param {Object} [options.telemetry] - Run telemetry (see lib/telemetry)
+ * @returns {Promise<{results: Object, failures: Array<{publisher: string, error: Error}>}>}
+ *   Each successful publisher's result by name, and the failures
+ * @throws {Error} If every publisher failed (a single publisher's own error
+ *   when there is only one, otherwise one listing the `failures`)
+ */
+async function publishDigest(publishers, digest, { telemetry } = {}) {
+  if (publishers.length > 1) {
+    console.log(`\n📣 Publishing to ${publishers.map(publisher => publisher.label).join(', ')}`);
+  }
+
+  const results = {};
+  const failures = [];
+  for (const publisher of publishers) {
+    try {
+      results[publisher.name] = telemetry
+        ? await telemetry.stage(publisher.name, () => publisher.publish(digest), { profile: digest.profile })
+        : await publisher.publish(digest);
+    } catch (error) {
+      failures.push({ publisher: publisher.name, error });
+      if (publishers.length > 1) {
+        console.error(`❌ ${publisher.label} failed: ${error.message}`);
+      }
+    }
+  }
+
+  if (failures.length === 1 && publishers.length === 1) {
+    throw failures[0].error;
+  }
+  if (failures.length > 0 && failures.length === publishers.length) {
+    const details = failures.map(failure => `${failure.publisher} (${failure.error.message})`).join('; ');
+    throw Object.assign(new Error(`Every destination failed: ${details}`), { stage: 'publish', failures });
+  }
+
+  failures.forEach(failure => {
+    const message = `Publisher "${failure.publisher}" failed for profile "${digest.profile}": ${failure.error.message}`;
+    if (telemetry) {
+      telemetry.warn(message, { publisher: failure.publisher });
+    } else {
+      console.warn(`⚠️  ${message}`);
+    }
+  });
+  return { results, failures };
+}
+
+/**
+ * Returns what a failed publishDigest() still delivered: the first parts of
+ * a Slack digest that were posted before a later part failed
+ *
+ * @param {Error} error - Error thrown by publishDigest()
+ * @returns {{channel: string, ts: string, stories: Array<Object>}|null}
+ *   The posted stories, or null if nothing was posted
+ */
+function partiallyPublished(error) {
+  const errors = [error].concat((error.failures || []).map(failure => failure.error));
+  const partial = errors.find(candidate => candidate.posted);
+  return partial ? partial.posted : null;
+}
+
+module.exports = {
+  publisherNames,
+  loadPublishers,
+  publishDigest,
+  partiallyPublished
+};
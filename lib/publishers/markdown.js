@@ -0,0 +1,70 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🗂️  MARKDOWN ARCHIVE PUBLISHER
+// ═══════════════════════════════════════════════════════════════════════════
+// Writes every digest to a dated Markdown file, ready to commit to a repo,
+// publish with a static site generator or just grep:
+//
+//   data/digests/2026-01-28-default.md         Daily digest of a profile
+//   data/digests/2026-01-30-default-week.md    Weekly roll-up
+//
+// A second digest of the same profile on the same (UTC) day replaces the file.
+//
+// Configuration (environment variables):
+//   MARKDOWN_DIR   Where the files go (default: data/digests)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+const { renderMarkdown } = require('./format');
+
+/**
+ * Returns the file a digest is written to
+ *
+ * @param {string} dir - Archive directory
+ * @param {Object} digest - Structured digest (see ./index)
+ * @returns {string} Path, e.g. data/digests/2026-01-28-default.md
+ */
+function markdownFileFor(dir, digest) {
+  const day = digest.publishedAt.slice(0, 10);
+  const kind = digest.kind === 'daily' ? '' : `-${digest.kind}`;
+  return path.join(dir, `${day}-${digest.profile}${kind}.md`);
+}
+
+/**
+ * Creates the Markdown archive publisher
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Archive directory (created if needed)
+ * @param {boolean} [options.dryRun=false] - Print the file instead of writing it
+ * @returns {Object} Publisher
+ */
+function createMarkdownPublisher({ dir, dryRun = false }) {
+  return {
+    name: 'markdown',
+    label: 'Markdown archive',
+
+    /**
+     * Writes the digest's Markdown file
+     *
+     * @param {Object} digest - Structured digest (see ./index)
+     * @returns {Promise<{file: string}>} Path of the file
+     */
+    async publish(digest) {
+      const file = markdownFileFor(dir, digest);
+      const markdown = renderMarkdown(digest);
+
+      if (dryRun) {
+        console.log(`\n🧪 DRY RUN - Markdown archive ${file} (not written):`);
+        console.log(markdown);
+        return { file };
+      }
+
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file, markdown);
+      console.log(`✅ Wrote ${file}`);
+      return { file };
+    }
+  };
+}
+
+module.exports = { markdownFileFor, createMarkdownPublisher };
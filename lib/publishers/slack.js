@@ -0,0 +1,132 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 💬 SLACK PUBLISHER
+// ═══════════════════════════════════════════════════════════════════════════
+// Posts a digest to its profile's Slack channel as Block Kit messages (see
+// lib/slack-format), split so no message exceeds Slack's limits.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { renderSlackBlocks, staleNotice } = require('../slack-format');
+const { withRetry } = require('../retry');
+const { digestSources } = require('./format');
+
+/**
+ * Records the size of a Slack message in the run's metrics
+ *
+ * @param {Object} telemetry - Run telemetry (see lib/telemetry)
+ * @param {Object} payload - Arguments passed to chat.postMessage
+ */
+function recordMessageSize(telemetry, payload) {
+  telemetry.record('slack', {
+    channel: payload.channel,
+    blocks: payload.blocks.length,
+    characters: payload.text.length,
+    bytes: Buffer.byteLength(JSON.stringify(payload))
+  });
+}
+
+/**
+ * Creates the Slack publisher
+ *
+ * @param {Object} options
+ * @param {Object} [options.client] - Slack WebClient (not needed for a dry run)
+ * @param {boolean} [options.dryRun=false] - Print the payloads instead of posting them
+ * @param {Object} [options.recorder] - Run recorder that keeps every payload
+ * @param {Object} [options.telemetry] - Run telemetry that records message sizes
+ * @param {Object} [options.retryPolicy] - Retry policy (see lib/retry)
+ * @returns {Object} Publisher
+ */
+function createSlackPublisher({ client, dryRun = false, recorder, telemetry, retryPolicy }) {
+  return {
+    name: 'slack',
+    label: 'Slack',
+
+    /**
+     * Posts the digest to its profile's channel
+     *
+     * @param {Object} digest - Structured digest (see ./index)
+     * @returns {Promise<{channel: string, ts: string|null}>} Channel and
+     *   timestamp of the first message (null in a dry run)
+     * @throws {Error} If the Slack API call still fails after retries. When
+     *   the first parts of a split digest were posted before that, the error
+     *   says so and its `posted` field holds `{channel, ts, stories}` (see
+     *   partiallyPublished() in ./index)
+     */
+    async publish(digest) {
+      console.log('\n📤 Posting to Slack...');
+      let messages = [];
+      let firstResult;
+      let postedMessages = 0;
+      const postedStories = [];
+      try {
+        messages = renderSlackBlocks(digest.stories, {
+          title: digest.title,
+          date: digest.date,
+          footer: `Summarized by ${digest.generatedBy} from ${digestSources(digest).map(site => `<${site.url}|${site.name}>`).join(', ')}`,
+          notice: digest.staleSince ? staleNotice(digest.staleSince) : undefined,
+          sections: digest.sections
+        });
+
+        console.log(`   Target channel: ${digest.channel}`);
+        console.log(`   Split into ${messages.length} message(s)`);
+
+        // Send the messages to Slack, in order
+        for (const message of messages) {
+          console.log(`   Message size: ${message.blocks.length} blocks, ${message.text.length} fallback characters`);
+          const payload = {
+            channel: digest.channel,
+            text: message.text,
+            blocks: message.blocks,
+            unfurl_links: false
+          };
+          if (telemetry) {
+            recordMessageSize(telemetry, payload);
+          }
+          if (recorder) {
+            recorder.recordSlack(payload);
+          }
+
+          // DRY RUN: print the exact payload instead of posting it
+          if (dryRun) {
+            console.log('\n🧪 DRY RUN - Slack payload (not posted):');
+            console.log(JSON.stringify(payload, null, 2));
+            continue;
+          }
+
+          const result = await withRetry(() => client.chat.postMessage(payload), {
+            label: 'Slack chat.postMessage',
+            policy: retryPolicy
+          });
+          firstResult = firstResult || result;
+          postedMessages++;
+          postedStories.push(...message.stories);
+        }
+
+        if (dryRun) {
+          console.log(`\n✅ Dry run complete - ${messages.length} message(s) printed, nothing posted`);
+          return { channel: digest.channel, ts: null };
+        }
+
+        console.log('✅ Successfully posted to Slack!');
+        console.log(`   Message timestamp: ${firstResult.ts}`);
+        console.log(`   Channel: ${firstResult.channel}`);
+        return { channel: firstResult.channel, ts: firstResult.ts };
+      } catch (error) {
+        console.error('❌ Error posting to Slack:', error.message);
+        if (error.data) {
+          console.error(`   Error code: ${error.data.error}`);
+          console.error('   Details:', error.data);
+        }
+        if (!firstResult) throw error;
+
+        // The first parts are already in the channel and can't be taken back
+        console.error(`   ${postedMessages} of ${messages.length} messages (${postedStories.length} stories) were posted before the failure`);
+        throw Object.assign(new Error(`Posted ${postedMessages} of ${messages.length} Slack messages, then failed: ${error.message}`), {
+          data: error.data,
+          posted: { channel: firstResult.channel, ts: firstResult.ts, stories: postedStories }
+        });
+      }
+    }
+  };
+}
+
+module.exports = { createSlackPublisher, recordMessageSize };
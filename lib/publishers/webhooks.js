@@ -0,0 +1,239 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🪝 WEBHOOK PUBLISHERS (MICROSOFT TEAMS, DISCORD)
+// ═══════════════════════════════════════════════════════════════════════════
+// Posts a digest to an incoming webhook:
+//   - Teams: one Adaptive Card (Workflows and classic connector webhooks)
+//   - Discord: one embed per story, split into messages of at most 10
+//     embeds and 6000 characters
+//
+// Configuration (environment variables):
+//   TEAMS_WEBHOOK_URL     Teams incoming webhook
+//   DISCORD_WEBHOOK_URL   Discord channel webhook
+// ═══════════════════════════════════════════════════════════════════════════
+
+const axios = require('axios');
+const { withRetry, USER_AGENT } = require('../retry');
+const { escapeMarkdown, storyTitle, storyContext, staleText, footerText } = require('./format');
+
+// Discord limits (https://discord.com/developers/docs/resources/message#embed-object-embed-limits)
+const DISCORD_MAX_EMBEDS = 10;
+const DISCORD_MAX_EMBED_CHARS = 6000;
+const DISCORD_MAX_TITLE_LENGTH = 256;
+const DISCORD_MAX_DESCRIPTION_LENGTH = 4096;
+
+// Side color of Discord embeds
+const DISCORD_EMBED_COLOR = 0x2f6fde;
+
+/**
+ * Truncates text to a maximum length, adding an ellipsis when cut
+ *
+ * @param {string} text - Text to truncate
+ * @param {number} maxLength - Maximum length including the ellipsis
+ * @returns {string} Truncated text
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.substring(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Renders a section entry as a Markdown line
+ *
+ * @param {Object} entry - Section entry (see rollupSections())
+ * @returns {string} Markdown
+ */
+function sectionLine(entry) {
+  const name = entry.url ? `[${escapeMarkdown(entry.title)}](${entry.url})` : `**${escapeMarkdown(entry.title)}**`;
+  const detail = entry.detail ? ` (${escapeMarkdown(entry.detail)})` : '';
+  return `- ${name}${detail}: ${escapeMarkdown(entry.text)}`;
+}
+
+/**
+ * Renders a digest as a Teams message with one Adaptive Card
+ *
+ * @param {Object} digest - Structured digest (see ./index)
+ * @returns {Object} Webhook payload
+ */
+function renderTeamsCard(digest) {
+  const body = [
+    { type: 'TextBlock', text: `📰 ${escapeMarkdown(digest.title)}`, size: 'Large', weight: 'Bolder', wrap: true },
+    { type: 'TextBlock', text: escapeMarkdown(digest.date), isSubtle: true, spacing: 'None', wrap: true }
+  ];
+  if (digest.staleSince) {
+    body.push({ type: 'TextBlock', text: `⚠️ ${escapeMarkdown(staleText(digest.staleSince))}`, color: 'Warning', wrap: true });
+  }
+
+  digest.stories.forEach(story => {
+    body.push({
+      type: 'Container',
+      separator: true,
+      spacing: 'Medium',
+      items: [
+        { type: 'TextBlock', text: `${story.emoji} [${escapeMarkdown(storyTitle(story))}](${story.sourceUrl})`, weight: 'Bolder', wrap: true },
+        { type: 'TextBlock', text: escapeMarkdown(story.summary), wrap: true },
+        { type: 'TextBlock', text: `_Why it matters:_ ${escapeMarkdown(story.whyItMatters)}`, wrap: true },
+        { type: 'TextBlock', text: escapeMarkdown(storyContext(story)), isSubtle: true, size: 'Small', spacing: 'Small', wrap: true }
+      ]
+    });
+  });
+
+  (digest.sections || []).forEach(section => {
+    body.push({
+      type: 'Container',
+      separator: true,
+      spacing: 'Medium',
+      items: [
+        { type: 'TextBlock', text: escapeMarkdown(section.title), weight: 'Bolder', wrap: true },
+        { type: 'TextBlock', text: section.entries.map(sectionLine).join('\n'), wrap: true }
+      ]
+    });
+  });
+
+  body.push({ type: 'TextBlock', text: escapeMarkdown(footerText(digest)), isSubtle: true, size: 'Small', separator: true, wrap: true });
+
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      contentUrl: null,
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        msteams: { width: 'Full' },
+        body
+      }
+    }]
+  };
+}
+
+/**
+ * Counts the characters Discord counts towards an embed's limit
+ *
+ * @param {Object} embed - Discord embed
+ * @returns {number} Characters in the title, description and footer
+ */
+function embedLength(embed) {
+  return (embed.title || '').length + (embed.description || '').length + (embed.footer ? embed.footer.text.length : 0);
+}
+
+/**
+ * Renders a digest as Discord webhook messages
+ *
+ * The first message carries the header as its content; stories and
+ * sections become embeds, packed so no message exceeds Discord's limits.
+ *
+ * @param {Object} digest - Structured digest (see ./index)
+ * @returns {Array<Object>} Webhook payloads, in order
+ */
+function renderDiscordMessages(digest) {
+  const header = [
+    `**📰 ${escapeMarkdown(digest.title)}**`,
+    `📅 ${escapeMarkdown(digest.date)}`,
+    digest.staleSince ? `⚠️ ${escapeMarkdown(staleText(digest.staleSince))}` : null,
+    `-# ${escapeMarkdown(footerText(digest))}`
+  ].filter(Boolean).join('\n');
+
+  const embeds = [
+    ...digest.stories.map(story => ({
+      title: truncate(`${story.emoji} ${escapeMarkdown(storyTitle(story))}`, DISCORD_MAX_TITLE_LENGTH),
+      url: story.sourceUrl,
+      description: truncate(`${escapeMarkdown(story.summary)}\n\n**Why it matters:** ${escapeMarkdown(story.whyItMatters)}`, DISCORD_MAX_DESCRIPTION_LENGTH),
+      color: DISCORD_EMBED_COLOR,
+      footer: { text: storyContext(story) }
+    })),
+    ...(digest.sections || []).map(section => ({
+      title: truncate(section.title, DISCORD_MAX_TITLE_LENGTH),
+      description: truncate(section.entries.map(sectionLine).join('\n'), DISCORD_MAX_DESCRIPTION_LENGTH),
+      color: DISCORD_EMBED_COLOR
+    }))
+  ];
+
+  const messages = [];
+  let current = { content: header, embeds: [] };
+  embeds.forEach(embed => {
+    const length = current.embeds.reduce((sum, other) => sum + embedLength(other), 0) + embedLength(embed);
+    if (current.embeds.length > 0 && (current.embeds.length >= DISCORD_MAX_EMBEDS || length > DISCORD_MAX_EMBED_CHARS)) {
+      messages.push(current);
+      current = { embeds: [] };
+    }
+    current.embeds.push(embed);
+  });
+  messages.push(current);
+
+  // Never ping anyone, whatever the model wrote
+  return messages.map(message => ({ ...message, allowed_mentions: { parse: [] } }));
+}
+
+/**
+ * Creates a publisher posting to an incoming webhook
+ *
+ * @param {Object} options
+ * @param {string} options.name - Publisher name ("teams" or "discord")
+ * @param {string} options.label - Name shown in logs
+ * @param {string} options.url - Webhook URL
+ * @param {Function} options.render - `(digest) → payload[]`
+ * @param {boolean} [options.dryRun=false] - Print the payloads instead of posting them
+ * @param {number} [options.timeout] - HTTP timeout per attempt in milliseconds
+ * @param {Object} [options.retryPolicy] - Retry policy (see lib/retry)
+ * @returns {Object} Publisher
+ */
+function createWebhookPublisher({ name, label, url, render, dryRun = false, timeout, retryPolicy }) {
+  return {
+    name,
+    label,
+
+    /**
+     * Posts the digest to the webhook, one payload at a time
+     *
+     * @param {Object} digest - Structured digest (see ./index)
+     * @returns {Promise<{messages: number}>} Number of messages posted
+     * @throws {Error} If the webhook still fails after retries
+     */
+    async publish(digest) {
+      const payloads = render(digest);
+      console.log(`\n🪝 Posting to ${label} (${payloads.length} message(s))...`);
+
+      for (const payload of payloads) {
+        if (dryRun) {
+          console.log(`\n🧪 DRY RUN - ${label} payload (not posted):`);
+          console.log(JSON.stringify(payload, null, 2));
+          continue;
+        }
+        await withRetry(() => axios.post(url, payload, {
+          timeout,
+          headers: { 'User-Agent': USER_AGENT }
+        }), { label: `${label} webhook`, policy: retryPolicy });
+      }
+
+      console.log(dryRun ? `✅ Dry run complete - ${label} payloads printed, nothing posted` : `✅ Posted to ${label}`);
+      return { messages: payloads.length };
+    }
+  };
+}
+
+/**
+ * Creates the Microsoft Teams publisher
+ *
+ * @param {Object} options - See createWebhookPublisher(), without name, label and render
+ * @returns {Object} Publisher
+ */
+function createTeamsPublisher(options) {
+  return createWebhookPublisher({ ...options, name: 'teams', label: 'Microsoft Teams', render: digest => [renderTeamsCard(digest)] });
+}
+
+/**
+ * Creates the Discord publisher
+ *
+ * @param {Object} options - See createWebhookPublisher(), without name, label and render
+ * @returns {Object} Publisher
+ */
+function createDiscordPublisher(options) {
+  return createWebhookPublisher({ ...options, name: 'discord', label: 'Discord', render: renderDiscordMessages });
+}
+
+module.exports = {
+  renderTeamsCard,
+  renderDiscordMessages,
+  createTeamsPublisher,
+  createDiscordPublisher
+};
@@ -0,0 +1,84 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 📼 RUN RECORDER
+// ═══════════════════════════════════════════════════════════════════════════
+// Captures the three stages of a real run so it can be replayed offline:
+//
+//   <dir>/<source>.html        Raw HTML of every scraped River page
+//   <dir>/llm-responses.json   Every prompt sent and the response received
+//   <dir>/slack-payloads.json  Every Slack message (posted or dry-run)
+//
+// Replay with:
+//   node index.js --dry-run --fixture <dir>/techmeme.html --llm-fixture <dir>/llm-responses.json
+//
+// Files are written as soon as each stage completes, so a run that fails
+// half-way still leaves the stages it got through.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Creates a recorder writing into a directory
+ *
+ * @param {string} dir - Output directory (created if needed)
+ * @returns {Object} Recorder with `recordHtml()`, `wrapProvider()` and `recordSlack()`
+ */
+function createRecorder(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const llmResponses = [];
+  const slackPayloads = [];
+
+  const writeJson = (file, data) => {
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(data, null, 2));
+  };
+
+  return {
+    dir,
+
+    /**
+     * Saves the raw HTML of a scraped page
+     *
+     * @param {string} source - Source name (used as the file name)
+     * @param {string} html - Page HTML
+     */
+    recordHtml(source, html) {
+      fs.writeFileSync(path.join(dir, `${source.replace(/[^a-z0-9_-]/gi, '_')}.html`), html);
+    },
+
+    /**
+     * Wraps an LLM provider so every successful generation is recorded
+     *
+     * @param {Object} provider - Provider from lib/llm
+     * @returns {Object} Provider with the same interface
+     */
+    wrapProvider(provider) {
+      return {
+        ...provider,
+        async generate(prompt, options) {
+          const response = await provider.generate(prompt, options);
+          llmResponses.push({
+            provider: provider.name,
+            model: provider.model,
+            prompt,
+            text: response.text,
+            usage: response.usage
+          });
+          writeJson('llm-responses.json', { responses: llmResponses });
+          return response;
+        }
+      };
+    },
+
+    /**
+     * Saves a Slack message payload
+     *
+     * @param {Object} payload - Arguments passed to chat.postMessage
+     */
+    recordSlack(payload) {
+      slackPayloads.push(payload);
+      writeJson('slack-payloads.json', { payloads: slackPayloads });
+    }
+  };
+}
+
+module.exports = { createRecorder };
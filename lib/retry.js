@@ -0,0 +1,233 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🔁 RETRY POLICY
+// ═══════════════════════════════════════════════════════════════════════════
+// One retry policy for every external call (news sites, LLM providers,
+// Slack and the other publishers), so a transient error doesn't sink the whole run:
+//
+//   - Exponential backoff with jitter: ~1s, ~2s, ~4s ... capped at maxDelayMs
+//   - Only transient failures are retried: network errors, timeouts,
+//     HTTP 408/425/429 and 5xx, Slack rate limits, SMTP 4xx replies
+//   - A server's Retry-After (HTTP header, Slack's rate-limit error or
+//     Gemini's RetryInfo) replaces the backoff delay. If it asks for more
+//     than maxRetryAfterMs, we give up instead of stalling the run.
+//
+// Configuration (environment variables):
+//   RETRY_COUNT           Retries after the first attempt (default: 3)
+//   RETRY_BASE_DELAY_MS   First backoff delay (default: 1000)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const axios = require('axios');
+const { version } = require('../package.json');
+
+// Sent with every scrape so site owners can tell who is calling
+const USER_AGENT = `techmeme-daily-digest/${version} (+Slack news digest bot)`;
+
+const DEFAULT_RETRY_POLICY = {
+  retries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  maxRetryAfterMs: 60000
+};
+
+// HTTP statuses worth retrying besides 5xx
+const RETRYABLE_STATUSES = new Set([408, 425, 429]);
+
+// Node, axios and nodemailer error codes for transient network failures
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE',
+  'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ERR_SOCKET_CONNECTION_TIMEOUT',
+  'ECONNECTION', 'ESOCKET'
+]);
+
+/**
+ * Builds the retry policy from the environment
+ *
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} Retry policy
+ */
+function loadRetryPolicy(env = process.env) {
+  const retries = Number(env.RETRY_COUNT);
+  return {
+    ...DEFAULT_RETRY_POLICY,
+    retries: Number.isInteger(retries) && retries >= 0 ? retries : DEFAULT_RETRY_POLICY.retries,
+    baseDelayMs: Number(env.RETRY_BASE_DELAY_MS) || DEFAULT_RETRY_POLICY.baseDelayMs
+  };
+}
+
+/**
+ * Reads the HTTP status of an error from axios, Gemini or the Slack SDK
+ *
+ * @param {Error} error - Failed call
+ * @returns {number|undefined} HTTP status code
+ */
+function httpStatus(error) {
+  if (error.response && error.response.status) return error.response.status;
+  return error.status || error.statusCode;
+}
+
+/**
+ * Decides whether a failed call is worth retrying
+ *
+ * @param {Error} error - Failed call
+ * @returns {boolean} True for transient failures
+ */
+function isRetryableError(error) {
+  if (error.code === 'slack_webapi_rate_limited_error' || error.code === 'slack_webapi_request_error') {
+    return true;
+  }
+
+  // SMTP: 4xx replies are temporary ("try again later"), 5xx are final
+  if (error.responseCode) {
+    return error.responseCode >= 400 && error.responseCode < 500;
+  }
+
+  const status = httpStatus(error);
+  if (status) {
+    return RETRYABLE_STATUSES.has(status) || status >= 500;
+  }
+
+  // Gemini reports network failures as "Error fetching from ...: fetch failed"
+  return NETWORK_ERROR_CODES.has(error.code)
+    || Boolean(error.cause && NETWORK_ERROR_CODES.has(error.cause.code))
+    || /fetch failed|socket hang up/i.test(error.message);
+}
+
+/**
+ * Reads how long the server asked us to wait before retrying
+ *
+ * @param {Error} error - Failed call
+ * @param {number} [now=Date.now()] - Current time, for HTTP-date headers
+ * @returns {number|null} Delay in milliseconds, or null if the server didn't say
+ */
+function retryAfterMs(error, now = Date.now()) {
+  // Slack SDK rate-limit errors carry the header value in seconds
+  if (typeof error.retryAfter === 'number') {
+    return error.retryAfter * 1000;
+  }
+
+  // Plain HTTP: seconds or an HTTP date
+  const header = error.response && error.response.headers && error.response.headers['retry-after'];
+  if (header !== undefined) {
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - now);
+  }
+
+  // Gemini: google.rpc.RetryInfo in the error details, e.g. { retryDelay: "37s" }
+  const retryInfo = (error.errorDetails || []).find(detail => String(detail['@type']).endsWith('RetryInfo'));
+  if (retryInfo && /^[\d.]+s$/.test(retryInfo.retryDelay)) {
+    return parseFloat(retryInfo.retryDelay) * 1000;
+  }
+
+  return null;
+}
+
+/**
+ * Computes the backoff delay before a retry
+ *
+ * The delay doubles with every attempt up to the policy's maximum, and a
+ * random half of it is dropped so clients that failed together don't
+ * retry together.
+ *
+ * @param {number} attempt - The attempt that just failed (1 for the first)
+ * @param {Object} policy - Retry policy
+ * @param {Function} [random=Math.random] - Random source in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt, policy, random = Math.random) {
+  const delay = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + random() * delay / 2);
+}
+
+/**
+ * Runs an async call, retrying transient failures under the retry policy
+ *
+ * @param {Function} fn - `(attempt) → Promise`, called once per attempt
+ * @param {Object} [options]
+ * @param {string} [options.label='request'] - Name used in log messages
+ * @param {Object} [options.policy] - Retry policy (default: DEFAULT_RETRY_POLICY)
+ * @param {Function} [options.shouldRetry=isRetryableError] - Decides which errors to retry
+ * @param {Function} [options.sleep] - Waits a number of milliseconds (replaced in tests)
+ * @returns {Promise<*>} The first successful result
+ * @throws {Error} The last error, once retries are exhausted or the error isn't transient
+ */
+async function withRetry(fn, {
+  label = 'request',
+  policy = DEFAULT_RETRY_POLICY,
+  shouldRetry = isRetryableError,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt > policy.retries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const requested = retryAfterMs(error);
+      if (requested !== null && requested > policy.maxRetryAfterMs) {
+        console.warn(`⚠️  ${label} asked us to wait ${Math.ceil(requested / 1000)}s before retrying - giving up`);
+        throw error;
+      }
+
+      const delay = requested !== null ? requested : backoffDelay(attempt, policy);
+      console.warn(`⚠️  ${label} failed (${error.message}), retrying in ${(delay / 1000).toFixed(1)}s (retry ${attempt}/${policy.retries})...`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Rejects if a promise doesn't settle within the given time
+ *
+ * The rejection carries the code ETIMEDOUT, like a network timeout.
+ *
+ * @param {Promise} promise - Promise to race
+ * @param {number} ms - Timeout in milliseconds
+ * @param {string} label - Name used in the timeout error
+ * @returns {Promise} The original promise's result
+ */
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${ms}ms`);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Fetches a URL with a timeout, our User-Agent and the retry policy
+ *
+ * @param {string} url - URL to fetch
+ * @param {Object} [options]
+ * @param {string} [options.label] - Name used in log messages (default: the URL)
+ * @param {number} [options.timeout=15000] - Timeout per attempt in milliseconds
+ * @param {Object} [options.policy] - Retry policy
+ * @param {string} [options.responseType] - axios response type (e.g. "text")
+ * @returns {Promise<Object>} axios response
+ * @throws {Error} If every attempt fails
+ */
+function httpGet(url, { label = url, timeout = 15000, policy, responseType } = {}) {
+  return withRetry(
+    () => axios.get(url, { timeout, responseType, headers: { 'User-Agent': USER_AGENT } }),
+    { label, policy }
+  );
+}
+
+module.exports = {
+  USER_AGENT,
+  DEFAULT_RETRY_POLICY,
+  loadRetryPolicy,
+  isRetryableError,
+  retryAfterMs,
+  backoffDelay,
+  withRetry,
+  withTimeout,
+  httpGet
+};
@@ -0,0 +1,294 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 📆 ROLL-UP DIGESTS
+// ═══════════════════════════════════════════════════════════════════════════
+// Builds "week in tech" and "month in tech" posts from the archive
+// (lib/archive). The same story shows up on Techmeme for several days, so
+// archived items are first grouped into timelines: one per story, listing
+// the days it was seen, its related coverage count each day and whether it
+// made the daily digest. The model then gets the timelines and returns:
+//
+//   - stories:   the biggest stories of the period (same shape as a daily digest)
+//   - themes:    recurring themes across stories
+//   - companies: the companies mentioned most
+//   - growing:   stories that grew over several days
+//
+// Growth is measured in code (days on Techmeme, related coverage count) and
+// every cited URL is checked against the archive, like in daily digests.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { SCHEMA_DESCRIPTION, findItemByUrl, validateDigest } = require('./digest-schema');
+const { normalizeUrl } = require('./history');
+const { isSameStory } = require('./sources');
+
+// Roll-up periods: how far back they look and how many top stories they list
+const ROLLUP_PERIODS = {
+  week: { name: 'week', label: 'Week', days: 7, storyCount: 5 },
+  month: { name: 'month', label: 'Month', days: 30, storyCount: 10 }
+};
+
+// Timelines given to the model, biggest first
+const MAX_TIMELINES_IN_PROMPT = 60;
+
+// Limits for the extra roll-up sections
+const MAX_THEMES = 5;
+const MAX_COMPANIES = 10;
+const MAX_GROWING = 5;
+const MAX_NOTE_LENGTH = 300;
+
+// Shape description embedded in the prompt
+const ROLLUP_SCHEMA_DESCRIPTION = `{
+  "stories": [ ...the biggest stories, each exactly like a story below... ],
+  "themes": [
+    { "title": "Short theme name", "description": "One or two sentences, naming the stories behind it." }
+  ],
+  "companies": [
+    { "name": "Nvidia", "mentions": 4, "note": "What they were in the news for." }  // mentions = number of timelines involving the company
+  ],
+  "growing": [
+    { "title": "Short headline", "sourceUrl": "https://...", "note": "How the story developed over the days." }
+  ]
+}
+Each story in "stories" has this shape:
+${SCHEMA_DESCRIPTION}`;
+
+/**
+ * Groups the archived items of a period into per-story timelines
+ *
+ * Items are the same story if they share a URL or their headlines match
+ * (see isSameStory()). Headlines only match across days or sources: two
+ * items the same source listed on the same day are two stories, however
+ * alike their headlines. A timeline keeps the latest
+ * headline and lead link, plus every URL seen for the story so the model
+ * may cite any of them.
+ *
+ * @param {Array<Object>} days - Archived days, oldest first (see loadArchive())
+ * @param {Object} [options]
+ * @param {string} [options.profileName] - Profile whose posted digests mark
+ *   timelines as featured
+ * @param {Function} [options.filterItems] - Keeps the items relevant to the roll-up
+ * @returns {Array<Object>} Timelines, biggest first. Each has `item` (a
+ *   merged item usable with validateDigest()), `appearances`
+ *   [{date, rank, relatedCount}] and `featured` [{date, title, category}].
+ */
+function buildTimelines(days, { profileName, filterItems = items => items } = {}) {
+  const timelines = [];
+
+  days.forEach(day => {
+    const items = filterItems(day.items);
+
+    items.forEach(item => {
+      const seenOn = (item.sources || [item.source]).map(source => `${day.date} ${source}`);
+      let timeline = timelines.find(candidate =>
+        candidate.urls.has(normalizeUrl(item.url)) ||
+        (!seenOn.some(key => candidate.seenOn.has(key)) && isSameStory(candidate.item, item)));
+
+      if (!timeline) {
+        timeline = {
+          item: { text: item.text, url: item.url, alsoOn: [], related: [] },
+          urls: new Set([normalizeUrl(item.url)]),
+          seenOn: new Set(),
+          appearances: [],
+          featured: []
+        };
+        timelines.push(timeline);
+      } else if (!timeline.urls.has(normalizeUrl(item.url))) {
+        // A new lead link: keep it, and keep the older one citable
+        timeline.item.alsoOn.push({ source: 'earlier', url: timeline.item.url });
+        timeline.urls.add(normalizeUrl(item.url));
+        timeline.item.url = item.url;
+      }
+      timeline.item.text = item.text;
+      seenOn.forEach(key => timeline.seenOn.add(key));
+
+      // Collect every link seen for the story, once
+      const addLink = (list, link) => {
+        if (timeline.urls.has(normalizeUrl(link.url))) return;
+        timeline.urls.add(normalizeUrl(link.url));
+        list.push(link);
+      };
+      const related = item.related || [];
+      related.forEach(link => addLink(timeline.item.related, link));
+      (item.alsoOn || []).forEach(link => addLink(timeline.item.alsoOn, link));
+
+      if (!timeline.appearances.some(appearance => appearance.date === day.date)) {
+        timeline.appearances.push({ date: day.date, rank: item.rank, relatedCount: item.relatedCount || related.length });
+      }
+    });
+
+    // Mark the timelines that made this day's digest
+    const digest = profileName && day.digests[profileName];
+    (digest ? digest.stories : []).forEach(story => {
+      const timeline = timelines.find(candidate => findItemByUrl([candidate.item], story.sourceUrl));
+      if (timeline) {
+        timeline.featured.push({ date: day.date, title: story.title, category: story.category });
+      }
+    });
+  });
+
+  timelines.forEach(timeline => { timeline.item.relatedCount = timeline.item.related.length; });
+  return timelines.sort((a, b) =>
+    b.featured.length - a.featured.length
+    || b.appearances.length - a.appearances.length
+    || maxRelated(b) - maxRelated(a));
+}
+
+/**
+ * Returns the highest related coverage count of a timeline
+ *
+ * @param {Object} timeline - Story timeline
+ * @returns {number} Largest daily related coverage count
+ */
+function maxRelated(timeline) {
+  return Math.max(0, ...timeline.appearances.map(appearance => appearance.relatedCount));
+}
+
+/**
+ * Formats timelines as readable text for the roll-up prompt
+ *
+ * @param {Array<Object>} timelines - Timelines from buildTimelines(), biggest
+ *   first (at most MAX_TIMELINES_IN_PROMPT)
+ * @returns {string} Numbered list of timelines
+ */
+function formatTimelinesForLLM(timelines) {
+  return timelines.map((timeline, index) => {
+    const { item, appearances, featured } = timeline;
+    const first = appearances[0];
+    const last = appearances[appearances.length - 1];
+    const lines = [`${index + 1}. ${item.text}`, `   URL: ${item.url}`];
+
+    lines.push(`   On Techmeme ${appearances.length} day(s) (${first.date}${last.date !== first.date ? ` to ${last.date}` : ''}), related coverage ${appearances.map(appearance => appearance.relatedCount).join(' → ')}`);
+    if (featured.length > 0) {
+      lines.push(`   In the daily digest ${featured.length} time(s) as: ${featured[featured.length - 1].title} [${featured[featured.length - 1].category}]`);
+    }
+    if (item.alsoOn.length > 0) {
+      lines.push(`   Earlier and other links: ${item.alsoOn.slice(0, 3).map(link => link.url).join(' | ')}`);
+    }
+    if (item.related.length > 0) {
+      lines.push(`   Related coverage: ${item.related.slice(0, 5).map(link => `${link.publisher} ${link.url}`).join(' | ')}`);
+    }
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+/**
+ * Validates a parsed roll-up against the schema and the timelines
+ *
+ * @param {*} data - Parsed model output
+ * @param {Array<Object>} timelines - Timelines the model was given
+ * @param {Object} [options]
+ * @param {number} [options.maxStories=10] - Maximum number of top stories
+ * @returns {{rollup: Object|null, errors: string[]}} The roll-up (stories
+ *   sorted by rank) and human-readable validation errors (empty when valid)
+ */
+function validateRollup(data, timelines, { maxStories = 10 } = {}) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { rollup: null, errors: ['Response must be a JSON object'] };
+  }
+
+  const items = timelines.map(timeline => timeline.item);
+  const { stories, errors } = validateDigest({ stories: data.stories }, items, { maxStories });
+
+  const requireList = (field, max, check) => {
+    const list = data[field];
+    if (!Array.isArray(list)) {
+      errors.push(`"${field}" must be an array`);
+      return;
+    }
+    if (list.length > max) {
+      errors.push(`"${field}" must contain at most ${max} entries (got ${list.length})`);
+    }
+    list.forEach((entry, index) => {
+      if (!entry || typeof entry !== 'object') {
+        errors.push(`${field}[${index}]: must be an object`);
+      } else {
+        check(entry, `${field}[${index}]`);
+      }
+    });
+  };
+  const requireString = (entry, key, label, maxLength) => {
+    if (typeof entry[key] !== 'string' || entry[key].trim() === '') {
+      errors.push(`${label}: "${key}" must be a non-empty string`);
+    } else if (maxLength && entry[key].length > maxLength) {
+      errors.push(`${label}: "${key}" must be at most ${maxLength} characters (got ${entry[key].length})`);
+    }
+  };
+
+  requireList('themes', MAX_THEMES, (theme, label) => {
+    requireString(theme, 'title', label, 80);
+    requireString(theme, 'description', label, MAX_NOTE_LENGTH);
+  });
+  requireList('companies', MAX_COMPANIES, (company, label) => {
+    requireString(company, 'name', label, 80);
+    requireString(company, 'note', label, MAX_NOTE_LENGTH);
+    if (!Number.isInteger(company.mentions) || company.mentions < 1) {
+      errors.push(`${label}: "mentions" must be a positive integer`);
+    }
+  });
+  requireList('growing', MAX_GROWING, (story, label) => {
+    requireString(story, 'title', label, 150);
+    requireString(story, 'note', label, MAX_NOTE_LENGTH);
+    if (typeof story.sourceUrl !== 'string' || !findItemByUrl(items, story.sourceUrl)) {
+      errors.push(`${label}: "sourceUrl" ${story.sourceUrl} does not appear in the raw content`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return { rollup: null, errors };
+  }
+  return {
+    rollup: {
+      stories,
+      themes: data.themes,
+      companies: data.companies.slice().sort((a, b) => b.mentions - a.mentions),
+      growing: data.growing
+    },
+    errors
+  };
+}
+
+/**
+ * Turns the themes, companies and growing stories into extra digest sections
+ *
+ * Sections are plain data, so every publisher can render them its own way
+ * (see renderSlackBlocks() and lib/publishers).
+ *
+ * @param {Object} rollup - Validated roll-up
+ * @returns {Array<{title: string, entries: Array<{title: string, detail?: string, text: string, url?: string}>}>}
+ *   Sections, each entry with a title, an optional detail shown next to it,
+ *   its text and an optional link
+ */
+function rollupSections(rollup) {
+  const sections = [];
+  if (rollup.themes.length > 0) {
+    sections.push({
+      title: '🧭 Recurring themes',
+      entries: rollup.themes.map(theme => ({ title: theme.title, text: theme.description }))
+    });
+  }
+  if (rollup.companies.length > 0) {
+    sections.push({
+      title: '🏢 Companies in the news',
+      entries: rollup.companies.map(company => ({ title: company.name, detail: String(company.mentions), text: company.note }))
+    });
+  }
+  if (rollup.growing.length > 0) {
+    sections.push({
+      title: '📈 Stories that grew',
+      entries: rollup.growing.map(story => ({ title: story.title, text: story.note, url: story.sourceUrl }))
+    });
+  }
+  return sections;
+}
+
+module.exports = {
+  ROLLUP_PERIODS,
+  MAX_TIMELINES_IN_PROMPT,
+  MAX_THEMES,
+  MAX_COMPANIES,
+  MAX_GROWING,
+  ROLLUP_SCHEMA_DESCRIPTION,
+  buildTimelines,
+  formatTimelinesForLLM,
+  validateRollup,
+  rollupSections
+};
@@ -0,0 +1,178 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 📒 RUN LOG
+// ═══════════════════════════════════════════════════════════════════════════
+// Records every run the scheduler starts, skips or finishes, so you can
+// check what ran and when (`node scheduler.js --runs`) and the scheduler
+// can tell which runs it missed while the host was down.
+//
+// Stored as JSON (RUN_LOG_FILE, default data/run-log.json), newest last:
+//
+//   {
+//     "runs": [
+//       {
+//         "id": "daily-digest-2026-01-28T16:00:00.000Z",
+//         "schedule": "daily-digest",
+//         "scheduledFor": "2026-01-28T16:00:00.000Z",
+//         "catchUp": false,             // started late, for a missed run
+//         "status": "succeeded",        // running | succeeded | failed | skipped | interrupted
+//         "startedAt": "...", "finishedAt": "...", "durationMs": 41234,
+//         "exitCode": 0,
+//         "error": null                 // why it failed or was skipped
+//       }
+//     ]
+//   }
+//
+// Runs older than RUN_LOG_RETENTION_DAYS are dropped when a run is added.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+
+// How long runs are kept in the log
+const RUN_LOG_RETENTION_DAYS = 90;
+
+// Run statuses
+const RUN_STATUSES = ['running', 'succeeded', 'failed', 'skipped', 'interrupted'];
+
+/**
+ * Reads the run log
+ *
+ * @param {string} file - Path to the JSON file
+ * @returns {Array<Object>} Runs, oldest first (empty if the file is missing or corrupt)
+ */
+function readRuns(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(data.runs) ? data.runs : [];
+  } catch (error) {
+    console.warn(`⚠️  Could not read run log (${error.message}), starting fresh`);
+    return [];
+  }
+}
+
+/**
+ * Writes the run log, dropping runs past the retention period
+ *
+ * @param {string} file - Path to the JSON file
+ * @param {Array<Object>} runs - Runs, oldest first
+ * @param {Date} now - Current time
+ */
+function writeRuns(file, runs, now) {
+  const oldest = now.getTime() - RUN_LOG_RETENTION_DAYS * 86400000;
+  const kept = runs.filter(run => Date.parse(run.scheduledFor) >= oldest);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ runs: kept }, null, 2));
+}
+
+/**
+ * Adds a run to the log, or updates it if a run with the same id exists
+ *
+ * @param {string} file - Path to the JSON file
+ * @param {Object} run - Run record (see the file header)
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Current time, for pruning
+ * @returns {Object} The stored run
+ */
+function recordRun(file, run, { now = new Date() } = {}) {
+  const runs = readRuns(file);
+  const index = runs.findIndex(existing => existing.id === run.id);
+  if (index >= 0) {
+    runs[index] = { ...runs[index], ...run };
+  } else {
+    runs.push(run);
+  }
+  writeRuns(file, runs, now);
+  return index >= 0 ? runs[index] : run;
+}
+
+/**
+ * Marks runs left "running" by a previous process as interrupted
+ *
+ * @param {string} file - Path to the JSON file
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {number} Number of runs marked
+ */
+function markInterruptedRuns(file, { now = new Date() } = {}) {
+  const runs = readRuns(file);
+  const running = runs.filter(run => run.status === 'running');
+  if (running.length === 0) return 0;
+
+  running.forEach(run => {
+    run.status = 'interrupted';
+    run.error = 'The scheduler stopped before the run finished';
+  });
+  writeRuns(file, runs, now);
+  return running.length;
+}
+
+/**
+ * Returns the runs matching some filters, newest first
+ *
+ * @param {string} file - Path to the JSON file
+ * @param {Object} [filters]
+ * @param {string} [filters.schedule] - Only this schedule
+ * @param {string} [filters.status] - Only this status
+ * @param {Date} [filters.since] - Only runs scheduled at or after this time
+ * @param {number} [filters.limit] - At most this many runs
+ * @returns {Array<Object>} Matching runs, newest first
+ */
+function queryRuns(file, { schedule, status, since, limit } = {}) {
+  const runs = readRuns(file)
+    .filter(run => !schedule || run.schedule === schedule)
+    .filter(run => !status || run.status === status)
+    .filter(run => !since || Date.parse(run.scheduledFor) >= since.getTime())
+    .reverse();
+  return limit ? runs.slice(0, limit) : runs;
+}
+
+/**
+ * Returns the time of the latest run a schedule had, whatever its outcome
+ *
+ * @param {string} file - Path to the JSON file
+ * @param {string} schedule - Schedule name
+ * @returns {Date|null} Scheduled time of the latest run, or null if it never ran
+ */
+function lastScheduledRun(file, schedule) {
+  const times = readRuns(file)
+    .filter(run => run.schedule === schedule)
+    .map(run => Date.parse(run.scheduledFor));
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+/**
+ * Formats runs as a plain-text table for the terminal
+ *
+ * @param {Array<Object>} runs - Runs from queryRuns()
+ * @returns {string} One line per run
+ */
+function formatRuns(runs) {
+  if (runs.length === 0) {
+    return 'No runs found.';
+  }
+  return runs.map(run => {
+    const duration = run.durationMs !== undefined && run.durationMs !== null ? `${(run.durationMs / 1000).toFixed(1)}s` : '-';
+    const details = [run.catchUp ? 'catch-up' : null, run.error].filter(Boolean).join(', ');
+    return [
+      run.scheduledFor,
+      run.schedule.padEnd(20),
+      run.status.padEnd(11),
+      duration.padStart(8),
+      details
+    ].join('  ').trimEnd();
+  }).join('\n');
+}
+
+module.exports = {
+  RUN_LOG_RETENTION_DAYS,
+  RUN_STATUSES,
+  recordRun,
+  markInterruptedRuns,
+  queryRuns,
+  lastScheduledRun,
+  formatRuns
+};
@@ -0,0 +1,344 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🗓️  SCHEDULER
+// ═══════════════════════════════════════════════════════════════════════════
+// Runs schedules (cron expression + IANA time zone + index.js arguments)
+// for the long-running scheduler.js daemon:
+//
+//   - Runs never overlap. They go one at a time, in the order they came
+//     due; a schedule that comes due while its previous run is still
+//     going or waiting is skipped.
+//   - A run missed while the host was down (or asleep) is caught up once
+//     when the scheduler is back, if it's at most `catchUpHours` late.
+//     Older missed runs are logged as skipped.
+//   - Every run, skipped or not, goes into the run log (lib/run-log).
+//
+// Schedules are read from SCHEDULES_FILE (see schedules.example.json):
+//
+//   {
+//     "timezone": "America/Los_Angeles",        // default for every schedule
+//     "schedules": [
+//       { "name": "daily-digest", "cron": "0 8 * * *" },
+//       { "name": "weekly-rollup", "cron": "0 9 * * 5", "args": ["--rollup", "week"] }
+//     ]
+//   }
+//
+// Optional per-schedule fields: "timezone", "args" (passed to index.js),
+// "catchUp" (false to never catch up) and "timeoutMinutes".
+// ═══════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const { isValidTimezone, parseCron, nextRun, lastRunBetween } = require('./cron');
+const runLog = require('./run-log');
+
+// Defaults (see SCHEDULE_* and RUN_* in .env.example)
+const DEFAULT_CATCH_UP_HOURS = 12;
+const DEFAULT_TIMEOUT_MINUTES = 30;
+
+// The schedule used when there is no schedules file: today's digest at 8 AM
+const DEFAULT_SCHEDULE = { name: 'daily-digest', cron: '0 8 * * *', args: [] };
+
+// How often the scheduler checks for due runs
+const TICK_MS = 15 * 1000;
+
+// Runs starting later than this after their time count as catch-ups
+const LATE_AFTER_MS = 2 * 60 * 1000;
+
+/**
+ * Validates a schedule and fills in its defaults
+ *
+ * @param {Object} raw - Schedule as written in the schedules file
+ * @param {number} index - Position in the file, for error messages
+ * @param {Object} defaults
+ * @param {string} defaults.timezone - Time zone when the schedule has none
+ * @param {number} defaults.timeoutMinutes - Run timeout when the schedule has none
+ * @returns {Object} Schedule with `name`, `cron` (parsed), `timezone`,
+ *   `args`, `catchUp` and `timeoutMinutes`
+ * @throws {Error} If a field is missing or invalid
+ */
+function normalizeSchedule(raw, index, { timezone, timeoutMinutes }) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error(`Schedule #${index + 1} must be an object`);
+  }
+  if (typeof raw.name !== 'string' || !/^[\w-]+$/.test(raw.name)) {
+    throw new Error(`Schedule #${index + 1} needs a "name" made of letters, digits, "-" or "_"`);
+  }
+
+  const schedule = {
+    name: raw.name,
+    cron: parseCron(raw.cron),
+    timezone: raw.timezone || timezone,
+    args: raw.args || [],
+    catchUp: raw.catchUp !== false,
+    timeoutMinutes: raw.timeoutMinutes || timeoutMinutes
+  };
+
+  if (!isValidTimezone(schedule.timezone)) {
+    throw new Error(`Schedule "${raw.name}" has an unknown time zone "${schedule.timezone}"`);
+  }
+  if (!nextRun(schedule.cron, new Date(), schedule.timezone)) {
+    throw new Error(`Schedule "${raw.name}" never runs ("${raw.cron}")`);
+  }
+  if (!Array.isArray(schedule.args) || !schedule.args.every(arg => typeof arg === 'string')) {
+    throw new Error(`Schedule "${raw.name}": "args" must be an array of strings`);
+  }
+  if (typeof schedule.timeoutMinutes !== 'number' || schedule.timeoutMinutes <= 0) {
+    throw new Error(`Schedule "${raw.name}": "timeoutMinutes" must be a positive number`);
+  }
+  return schedule;
+}
+
+/**
+ * Loads the schedules
+ *
+ * Without a schedules file, the daily digest runs at 8 AM in the default
+ * time zone.
+ *
+ * @param {string} file - Path to the schedules JSON file
+ * @param {Object} [options]
+ * @param {string} [options.timezone='UTC'] - Default time zone
+ * @param {number} [options.timeoutMinutes=30] - Default run timeout
+ * @returns {Array<Object>} Normalized schedules
+ * @throws {Error} If the file is invalid
+ */
+function loadSchedules(file, { timezone = 'UTC', timeoutMinutes = DEFAULT_TIMEOUT_MINUTES } = {}) {
+  if (!fs.existsSync(file)) {
+    return [normalizeSchedule(DEFAULT_SCHEDULE, 0, { timezone, timeoutMinutes })];
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read schedules from ${file}: ${error.message}`);
+  }
+
+  const defaults = { timezone: data.timezone || timezone, timeoutMinutes };
+  const schedules = (Array.isArray(data) ? data : data.schedules || [])
+    .map((schedule, index) => normalizeSchedule(schedule, index, defaults));
+  if (schedules.length === 0) {
+    throw new Error(`${file} does not define any schedules`);
+  }
+
+  const names = new Set();
+  schedules.forEach(schedule => {
+    if (names.has(schedule.name)) {
+      throw new Error(`Duplicate schedule name "${schedule.name}"`);
+    }
+    names.add(schedule.name);
+  });
+
+  return schedules;
+}
+
+/**
+ * Creates a scheduler
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.schedules - Schedules from loadSchedules()
+ * @param {string} options.runLogFile - Path to the run log
+ * @param {Function} options.runTask - `(schedule, { catchUp, runId }) → Promise<{exitCode, error?}>`
+ *   that performs one run (`runId` is its id in the run log)
+ * @param {number} [options.catchUpHours=12] - How late a missed run may still start
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {Object} Scheduler with `start()`, `stop()`, `tick()`, `idle()` and `upcoming()`
+ */
+function createScheduler({ schedules, runLogFile, runTask, catchUpHours = DEFAULT_CATCH_UP_HOURS, now = () => new Date() }) {
+  const states = schedules.map(schedule => ({ schedule, next: null, busy: false }));
+  const queue = [];
+  let current = null;
+  let timer = null;
+
+  /**
+   * Records a run that was skipped
+   *
+   * @param {Object} schedule - Schedule
+   * @param {Date} scheduledFor - When it should have run
+   * @param {boolean} catchUp - Whether it was a missed run
+   * @param {string} reason - Why it was skipped
+   */
+  function skip(schedule, scheduledFor, catchUp, reason) {
+    console.warn(`⚠️  Skipping ${schedule.name} (${scheduledFor.toISOString()}): ${reason}`);
+    runLog.recordRun(runLogFile, {
+      id: `${schedule.name}-${scheduledFor.toISOString()}`,
+      schedule: schedule.name,
+      scheduledFor: scheduledFor.toISOString(),
+      catchUp,
+      status: 'skipped',
+      error: reason
+    }, { now: now() });
+  }
+
+  /**
+   * Queues a run that came due, unless it's too late or would overlap
+   *
+   * @param {Object} state - Schedule state
+   * @param {Date} scheduledFor - When the run was due
+   */
+  function enqueue(state, scheduledFor) {
+    const { schedule } = state;
+    const lateMs = now().getTime() - scheduledFor.getTime();
+    const catchUp = lateMs > LATE_AFTER_MS;
+
+    if (catchUp && !schedule.catchUp) {
+      skip(schedule, scheduledFor, catchUp, 'Missed while the scheduler was down (catch-up is off for this schedule)');
+      return;
+    }
+    if (lateMs > catchUpHours * 3600000) {
+      skip(schedule, scheduledFor, catchUp, `Missed by more than ${catchUpHours} hours`);
+      return;
+    }
+    if (state.busy) {
+      skip(schedule, scheduledFor, catchUp, 'The previous run was still going');
+      return;
+    }
+
+    state.busy = true;
+    queue.push({ state, scheduledFor, catchUp });
+    drain();
+  }
+
+  /**
+   * Starts the next queued run when nothing is running
+   */
+  function drain() {
+    if (current || queue.length === 0) return;
+    const job = queue.shift();
+    current = execute(job).finally(() => {
+      current = null;
+      drain();
+    });
+  }
+
+  /**
+   * Performs one run and records it in the run log
+   *
+   * @param {Object} job - Queued run
+   * @returns {Promise<void>}
+   */
+  async function execute({ state, scheduledFor, catchUp }) {
+    const { schedule } = state;
+    const startedAt = now();
+    const run = {
+      id: `${schedule.name}-${scheduledFor.toISOString()}`,
+      schedule: schedule.name,
+      scheduledFor: scheduledFor.toISOString(),
+      catchUp,
+      status: 'running',
+      startedAt: startedAt.toISOString()
+    };
+    runLog.recordRun(runLogFile, run, { now: startedAt });
+    console.log(`\n▶️  Running ${schedule.name}${catchUp ? ` (catching up on ${scheduledFor.toISOString()})` : ''}`);
+
+    try {
+      const result = await runTask(schedule, { catchUp, runId: run.id });
+      run.exitCode = result.exitCode;
+      run.status = result.exitCode === 0 ? 'succeeded' : 'failed';
+      run.error = result.exitCode === 0 ? null : result.error || `Exited with code ${result.exitCode}`;
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+    } finally {
+      const finishedAt = now();
+      run.finishedAt = finishedAt.toISOString();
+      run.durationMs = finishedAt.getTime() - startedAt.getTime();
+      runLog.recordRun(runLogFile, run, { now: finishedAt });
+      state.busy = false;
+    }
+
+    if (run.status === 'succeeded') {
+      console.log(`✓ ${schedule.name} finished in ${(run.durationMs / 1000).toFixed(1)}s`);
+    } else {
+      console.error(`❌ ${schedule.name} failed: ${run.error}`);
+    }
+  }
+
+  /**
+   * Queues every run that has come due
+   *
+   * When the clock jumped (the host slept), only the latest missed run of
+   * each schedule is queued.
+   */
+  function tick() {
+    const time = now();
+    states.forEach(state => {
+      const { schedule } = state;
+      if (!state.next || state.next > time) return;
+
+      const due = lastRunBetween(schedule.cron, new Date(state.next.getTime() - 1), time, schedule.timezone);
+      state.next = nextRun(schedule.cron, time, schedule.timezone);
+      enqueue(state, due);
+    });
+  }
+
+  return {
+    /**
+     * Starts the scheduler: catches up on missed runs, then checks for
+     * due runs every few seconds
+     */
+    start() {
+      const time = now();
+      const interrupted = runLog.markInterruptedRuns(runLogFile, { now: time });
+      if (interrupted > 0) {
+        console.warn(`⚠️  ${interrupted} run(s) were interrupted when the scheduler last stopped`);
+      }
+
+      states.forEach(state => {
+        const { schedule } = state;
+        state.next = nextRun(schedule.cron, time, schedule.timezone);
+
+        // Runs missed since the last one this schedule had
+        const last = runLog.lastScheduledRun(runLogFile, schedule.name);
+        const missed = last && lastRunBetween(schedule.cron, last, time, schedule.timezone);
+        if (missed) {
+          enqueue(state, missed);
+        }
+      });
+
+      timer = setInterval(tick, TICK_MS);
+    },
+
+    /**
+     * Stops checking for due runs and drops queued ones
+     *
+     * @returns {Promise<void>} Resolves when the current run (if any) is recorded
+     */
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      queue.splice(0).forEach(job => { job.state.busy = false; });
+      return current || Promise.resolve();
+    },
+
+    tick,
+
+    /**
+     * Waits until no run is going or queued
+     *
+     * @returns {Promise<void>}
+     */
+    async idle() {
+      while (current) {
+        await current;
+      }
+    },
+
+    /**
+     * Lists the next run of every schedule
+     *
+     * @returns {Array<{schedule: Object, next: Date|null}>} Next runs, soonest first
+     */
+    upcoming() {
+      const time = now();
+      return states
+        .map(state => ({ schedule: state.schedule, next: state.next || nextRun(state.schedule.cron, time, state.schedule.timezone) }))
+        .sort((a, b) => (a.next ? a.next.getTime() : Infinity) - (b.next ? b.next.getTime() : Infinity));
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_CATCH_UP_HOURS,
+  DEFAULT_TIMEOUT_MINUTES,
+  loadSchedules,
+  createScheduler
+};
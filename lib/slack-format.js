@@ -0,0 +1,255 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 💬 SLACK FORMATTING
+// ═══════════════════════════════════════════════════════════════════════════
+// Renders validated digest stories as Slack mrkdwn. Because the stories are
+// structured data, the formatting lives here instead of being patched onto
+// the model's output with regexes.
+//
+// Two renderers are provided:
+//   - renderSlackText()   → a mrkdwn bulleted list (notification fallback)
+//   - renderSlackBlocks() → Block Kit messages, split to fit Slack's limits
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Slack Block Kit limits (https://api.slack.com/reference/block-kit/blocks)
+const MAX_BLOCKS_PER_MESSAGE = 50;
+const MAX_SECTION_TEXT_LENGTH = 3000;
+const MAX_HEADER_TEXT_LENGTH = 150;
+const MAX_FALLBACK_TEXT_LENGTH = 40000;
+
+// Slack doesn't publish a total size limit for blocks, but very long
+// messages get collapsed or rejected - keep each part comfortably small
+const MAX_CHARS_PER_MESSAGE = 12000;
+
+/**
+ * Escapes the characters Slack treats as control sequences in mrkdwn
+ *
+ * @param {string} text - Plain text
+ * @returns {string} Text safe to embed in a Slack message
+ */
+function escapeSlackText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Builds the bold title line of a story, labeling returning stories
+ *
+ * @param {Object} story - Validated digest story
+ * @returns {string} Slack mrkdwn title
+ */
+function formatStoryTitle(story) {
+  const label = story.developing ? '🔄 Developing: ' : '';
+  return `*${label}${escapeSlackText(story.title)}*`;
+}
+
+/**
+ * Renders a list of validated stories as a Slack mrkdwn bulleted list
+ *
+ * @param {Array<Object>} stories - Validated digest stories, sorted by rank
+ * @returns {string} Slack mrkdwn text
+ */
+function renderSlackText(stories) {
+  return stories.map(story => [
+    `• ${story.emoji} ${formatStoryTitle(story)}`,
+    `${escapeSlackText(story.summary)}`,
+    `_Why it matters:_ ${escapeSlackText(story.whyItMatters)} <${story.sourceUrl}|Read more>`
+  ].join('\n')).join('\n\n');
+}
+
+/**
+ * Truncates text to a maximum length, adding an ellipsis when cut
+ *
+ * @param {string} text - Text to truncate
+ * @param {number} maxLength - Maximum length including the ellipsis
+ * @returns {string} Truncated text
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.substring(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Builds the Block Kit blocks for a single story: a section with the title,
+ * summary and a "Read" button, followed by a context line with the story's
+ * Techmeme rank, related-coverage count and category
+ *
+ * @param {Object} story - Validated digest story
+ * @returns {Array<Object>} Blocks for the story
+ */
+function renderStoryBlocks(story) {
+  const text = [
+    `${story.emoji} ${formatStoryTitle(story)}`,
+    escapeSlackText(story.summary),
+    `_Why it matters:_ ${escapeSlackText(story.whyItMatters)}`
+  ].join('\n');
+
+  const context = [
+    story.techmemeRank ? `Techmeme rank #${story.techmemeRank}` : null,
+    story.relatedCount ? `${story.relatedCount} related articles` : null,
+    story.category
+  ].filter(Boolean).join('  •  ');
+
+  return [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: truncate(text, MAX_SECTION_TEXT_LENGTH) },
+      accessory: {
+        type: 'button',
+        text: { type: 'plain_text', text: 'Read', emoji: true },
+        url: story.sourceUrl,
+        action_id: `read_story_${story.rank}`
+      }
+    },
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: escapeSlackText(context) }]
+    }
+  ];
+}
+
+/**
+ * Renders an extra section (e.g. a roll-up's recurring themes) as mrkdwn
+ *
+ * @param {Object} section
+ * @param {string} section.title - Section title (plain text, may start with an emoji)
+ * @param {Array<Object>} section.entries - Entries with a `title`, optional
+ *   `detail`, `text` and optional `url` (see rollupSections())
+ * @returns {string} Slack mrkdwn text
+ */
+function renderSectionText({ title, entries }) {
+  const lines = entries.map(entry => {
+    const name = entry.url ? `<${entry.url}|${escapeSlackText(entry.title)}>` : `*${escapeSlackText(entry.title)}*`;
+    const detail = entry.detail ? ` (${escapeSlackText(entry.detail)})` : '';
+    return `• ${name}${detail}: ${escapeSlackText(entry.text)}`;
+  });
+  return [`*${escapeSlackText(title)}*`, ...lines].join('\n');
+}
+
+/**
+ * Counts the characters of text carried by a list of blocks
+ *
+ * @param {Array<Object>} blocks - Block Kit blocks
+ * @returns {number} Approximate character count
+ */
+function blocksLength(blocks) {
+  return JSON.stringify(blocks).length;
+}
+
+/**
+ * Renders validated stories as one or more Block Kit messages
+ *
+ * The first message carries the header and date, the last one the footer.
+ * Stories are packed into messages without ever splitting a story across
+ * two of them, so that no message exceeds Slack's block or size limits.
+ * Each message also gets a plain mrkdwn `text` used for notifications and
+ * by clients that can't render blocks.
+ *
+ * @param {Array<Object>} stories - Validated digest stories, sorted by rank
+ * @param {Object} options
+ * @param {string} options.title - Header text (e.g. "Techmeme Top 10 Digest")
+ * @param {string} options.date - Human-readable date shown under the header
+ * @param {string} [options.footer] - Footer text (mrkdwn)
+ * @param {string} [options.notice] - Warning shown under the date (mrkdwn),
+ *   e.g. that the digest was built from a cached page
+ * @param {Array<Object>} [options.sections] - Extra sections shown after the
+ *   stories (e.g. a roll-up's recurring themes, see renderSectionText())
+ * @returns {Array<{text: string, blocks: Array<Object>, stories: Array<Object>}>}
+ *   Messages to post, in order, each with the stories it carries
+ */
+function renderSlackBlocks(stories, { title, date, footer, notice, sections = [] }) {
+  const headerBlocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: truncate(`📰 ${title}`, MAX_HEADER_TEXT_LENGTH), emoji: true }
+    },
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `:calendar: ${escapeSlackText(date)}` }]
+    },
+    ...(notice ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: `:warning: ${notice}` }] }] : []),
+    { type: 'divider' }
+  ];
+  const footerBlocks = footer
+    ? [{ type: 'divider' }, { type: 'context', elements: [{ type: 'mrkdwn', text: footer }] }]
+    : [];
+
+  // Stories first, then the extra sections, each kept whole
+  const entries = [
+    ...stories.map(story => ({ story, blocks: renderStoryBlocks(story) })),
+    ...sections.map(section => ({
+      section,
+      blocks: [{ type: 'section', text: { type: 'mrkdwn', text: truncate(renderSectionText(section), MAX_SECTION_TEXT_LENGTH) } }]
+    }))
+  ];
+
+  // Pack entries into parts, leaving room for the footer and for the
+  // "continued" line added to every part after the first
+  const parts = [];
+  let current = { stories: [], sections: [], blocks: headerBlocks.slice() };
+
+  entries.forEach(entry => {
+    const candidate = current.blocks.concat(entry.blocks);
+    const reserved = footerBlocks.length + 1;
+
+    const tooManyBlocks = candidate.length + reserved > MAX_BLOCKS_PER_MESSAGE;
+    const tooLong = blocksLength(candidate) + blocksLength(footerBlocks) > MAX_CHARS_PER_MESSAGE;
+
+    if ((tooManyBlocks || tooLong) && current.stories.length + current.sections.length > 0) {
+      parts.push(current);
+      current = { stories: [], sections: [], blocks: entry.blocks };
+    } else {
+      current.blocks = candidate;
+    }
+    if (entry.story) current.stories.push(entry.story);
+    if (entry.section) current.sections.push(entry.section);
+  });
+  current.blocks = current.blocks.concat(footerBlocks);
+  parts.push(current);
+
+  return parts.map((part, index) => {
+    const blocks = part.blocks.slice();
+    const partLabel = parts.length > 1 ? ` (part ${index + 1}/${parts.length})` : '';
+
+    if (index > 0) {
+      blocks.unshift({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `*${escapeSlackText(title)}*${partLabel}` }]
+      });
+    }
+
+    const fallbackNotice = notice && index === 0 ? `:warning: ${notice}\n` : '';
+    const fallbackHeader = `*${escapeSlackText(title)} - ${escapeSlackText(date)}*${partLabel} :newspaper:\n${fallbackNotice}\n`;
+    const fallbackBody = [renderSlackText(part.stories), ...part.sections.map(renderSectionText)]
+      .filter(Boolean).join('\n\n');
+    return {
+      text: truncate(fallbackHeader + fallbackBody, MAX_FALLBACK_TEXT_LENGTH),
+      blocks,
+      stories: part.stories
+    };
+  });
+}
+
+/**
+ * Builds the warning shown on a digest made from a cached page
+ *
+ * The time is a Slack date token, so every reader sees it in their own
+ * time zone.
+ *
+ * @param {string} since - When the oldest snapshot used was scraped (ISO string)
+ * @returns {string} mrkdwn notice for renderSlackBlocks()
+ */
+function staleNotice(since) {
+  const seconds = Math.floor(Date.parse(since) / 1000);
+  return `Techmeme could not be reached, so this digest uses the page saved <!date^${seconds}^{date_short_pretty} at {time}|${since}>. Some stories may be out of date.`;
+}
+
+module.exports = {
+  MAX_BLOCKS_PER_MESSAGE,
+  MAX_CHARS_PER_MESSAGE,
+  escapeSlackText,
+  staleNotice,
+  formatStoryTitle,
+  renderSlackText,
+  renderSlackBlocks
+};
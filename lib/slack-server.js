@@ -0,0 +1,321 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🛰️  SLACK REQUEST SERVER
+// ═══════════════════════════════════════════════════════════════════════════
+// A small HTTP server for Slack slash commands and Events API callbacks.
+// Every request must carry a
+// valid Slack signature (https://api.slack.com/authentication/verifying-requests-from-slack):
+//
+//   X-Slack-Signature = "v0=" + HMAC-SHA256(signing secret, "v0:<timestamp>:<raw body>")
+//
+// Requests older than five minutes are rejected to stop replays.
+//
+// Routes:
+//   POST /slack/commands   Slash commands (acknowledged at once; the real
+//                          answer follows through the response_url)
+//   POST /slack/events     Events API callbacks (e.g. replies in a digest thread)
+//   GET  /healthz          Liveness check
+//
+// Slack gives a command three seconds to be acknowledged, so the command
+// handler returns a short acknowledgement and does the slow work
+// (scraping, LLM calls) in the background, replying with `respond()`.
+// Events are acknowledged the same way before `onEvent()` runs; Slack's
+// redeliveries of an event (X-Slack-Retry-Num) are acknowledged and
+// dropped, since the first delivery is already being handled.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const http = require('http');
+const crypto = require('crypto');
+const axios = require('axios');
+const { withRetry } = require('./retry');
+const { SETTINGS, parseList } = require('./subscriptions');
+
+// Signed requests older than this are rejected as possible replays
+const MAX_REQUEST_AGE_SECONDS = 5 * 60;
+
+// Slash command payloads are a few hundred bytes; anything huge is not Slack
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Default story count for "/techmeme top" without a number
+const DEFAULT_TOP_COUNT = 5;
+
+/**
+ * Checks that a request really comes from Slack
+ *
+ * @param {Object} request
+ * @param {string} request.signingSecret - The Slack app's signing secret
+ * @param {string} request.timestamp - X-Slack-Request-Timestamp header
+ * @param {string} request.signature - X-Slack-Signature header
+ * @param {string} request.body - Raw request body
+ * @param {number} [request.now=Date.now()] - Current time in milliseconds
+ * @returns {boolean} Whether the signature is valid and recent
+ */
+function verifySlackSignature({ signingSecret, timestamp, signature, body, now = Date.now() }) {
+  if (!signingSecret || !timestamp || !signature) return false;
+
+  const age = Math.abs(now / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > MAX_REQUEST_AGE_SECONDS) return false;
+
+  const expected = `v0=${crypto.createHmac('sha256', signingSecret).update(`v0:${timestamp}:${body}`).digest('hex')}`;
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(signature);
+  return expectedBuffer.length === signatureBuffer.length && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+/**
+ * Parses the text typed after the slash command
+ *
+ * Supported forms:
+ *   ""/"help"              → { action: 'help' }
+ *   "now"                  → { action: 'now' }
+ *   "top [n] [topic...]"   → { action: 'top', count, topics }
+ *   "explain <n>"          → { action: 'explain', story }
+ *   "subscribe [topics]"   → { action: 'subscribe', topics }
+ *   "unsubscribe"          → { action: 'unsubscribe' }
+ *   "settings"             → { action: 'settings' }
+ *   "set <setting> <value>"→ { action: 'set', setting, value }
+ *   "watch <company>"      → { action: 'watch', company }
+ *   "unwatch <company>"    → { action: 'unwatch', company }
+ *
+ * @param {string} text - Command text
+ * @returns {Object} Parsed command; `{ action: 'unknown', text }` or
+ *   `{ action: 'invalid', error }` when it can't be understood
+ */
+function parseSlashCommand(text) {
+  const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+  const action = (words.shift() || 'help').toLowerCase();
+
+  if (action === 'help') return { action: 'help' };
+  if (action === 'now' && words.length === 0) return { action: 'now' };
+
+  if (action === 'top') {
+    let count = DEFAULT_TOP_COUNT;
+    if (words.length > 0 && /^\d+$/.test(words[0])) {
+      count = Number(words.shift());
+    }
+    if (count < 1 || count > 20) {
+      return { action: 'invalid', error: 'The story count must be between 1 and 20' };
+    }
+    return { action: 'top', count, topics: words };
+  }
+
+  if (action === 'explain') {
+    if (words.length !== 1 || !/^\d+$/.test(words[0]) || Number(words[0]) < 1) {
+      return { action: 'invalid', error: 'Usage: explain <story number>, e.g. "explain 2"' };
+    }
+    return { action: 'explain', story: Number(words[0]) };
+  }
+
+  if (action === 'subscribe') return { action: 'subscribe', topics: parseList(words.join(' ')) };
+  if ((action === 'unsubscribe' || action === 'settings') && words.length === 0) return { action };
+
+  if (action === 'set') {
+    const setting = (words.shift() || '').toLowerCase();
+    if (!SETTINGS.includes(setting) || words.length === 0) {
+      return { action: 'invalid', error: `Usage: set <${SETTINGS.join('|')}> <value>, e.g. "set time 08:30"` };
+    }
+    return { action: 'set', setting, value: words.join(' ') };
+  }
+
+  if (action === 'watch' || action === 'unwatch') {
+    if (words.length === 0) {
+      return { action: 'invalid', error: `Usage: ${action} <company>, e.g. "${action} Nvidia"` };
+    }
+    return { action, company: words.join(' ') };
+  }
+
+  return { action: 'unknown', text: words.length > 0 ? `${action} ${words.join(' ')}` : action };
+}
+
+/**
+ * Finds which digest story a thread reply asks about
+ *
+ * Understands "#3", "story 3", "number 3" and "no. 3".
+ *
+ * @param {string} text - Reply text
+ * @returns {number|null} 1-based story number, or null if none is named
+ */
+function parseStoryReference(text) {
+  const match = String(text || '').match(/(?:#|\bstory\s+|\bnumber\s+|\bno\.\s*)(\d{1,2})\b/i);
+  return match && Number(match[1]) > 0 ? Number(match[1]) : null;
+}
+
+/**
+ * Sends a delayed reply through a slash command's response_url
+ *
+ * @param {string} responseUrl - response_url from the command payload
+ * @param {Object} message - Slack message (`text`, `blocks`, `response_type`, ...)
+ * @returns {Promise<void>}
+ * @throws {Error} If Slack still rejects the reply after retries
+ */
+async function postToResponseUrl(responseUrl, message) {
+  await withRetry(() => axios.post(responseUrl, message, { timeout: 10000 }), { label: 'Slack response_url' });
+}
+
+/**
+ * Reads a request body as a string, up to MAX_BODY_BYTES
+ *
+ * @param {http.IncomingMessage} request - Incoming request
+ * @returns {Promise<string>} Raw body
+ * @throws {Error} If the body is too large
+ */
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Writes a JSON (or empty) response
+ *
+ * @param {http.ServerResponse} response - Outgoing response
+ * @param {number} status - HTTP status code
+ * @param {Object} [body] - JSON body
+ */
+function sendJson(response, status, body) {
+  if (body === undefined) {
+    response.writeHead(status);
+    response.end();
+    return;
+  }
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Creates the HTTP server handling signed Slack requests
+ *
+ * @param {Object} options
+ * @param {string} options.signingSecret - The Slack app's signing secret
+ * @param {Function} options.onCommand - `(command, { respond }) → ack`, called
+ *   for every verified slash command. `command` has `command`, `text`,
+ *   `userId`, `channelId` and `responseUrl`; `respond(message)` sends a
+ *   delayed reply. The returned message (if any) is the immediate reply.
+ * @param {Function} [options.onEvent] - `(event) → Promise`, called after
+ *   every verified Events API callback is acknowledged, with the inner
+ *   `event` object (e.g. a `message` event)
+ * @returns {http.Server} Server (not yet listening)
+ */
+function createSlackServer({ signingSecret, onCommand, onEvent }) {
+  return http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+
+    if (request.method === 'GET' && url.pathname === '/healthz') {
+      sendJson(response, 200, { ok: true });
+      return;
+    }
+    const routes = ['/slack/commands', '/slack/events'];
+    if (request.method !== 'POST' || !routes.includes(url.pathname)) {
+      sendJson(response, 404, { error: 'not_found' });
+      return;
+    }
+
+    let body;
+    try {
+      body = await readBody(request);
+    } catch (error) {
+      sendJson(response, 413, { error: 'body_too_large' });
+      return;
+    }
+
+    const verified = verifySlackSignature({
+      signingSecret,
+      timestamp: request.headers['x-slack-request-timestamp'],
+      signature: request.headers['x-slack-signature'],
+      body
+    });
+    if (!verified) {
+      console.warn('⚠️  Rejected a request with a missing or invalid Slack signature');
+      sendJson(response, 401, { error: 'invalid_signature' });
+      return;
+    }
+
+    if (url.pathname === '/slack/events') {
+      handleEvent(body, request.headers, response, onEvent);
+      return;
+    }
+
+    const form = new URLSearchParams(body);
+    const command = {
+      command: form.get('command'),
+      text: form.get('text') || '',
+      userId: form.get('user_id'),
+      channelId: form.get('channel_id'),
+      responseUrl: form.get('response_url')
+    };
+    console.log(`\n💬 ${command.command} ${command.text} (user ${command.userId}, channel ${command.channelId})`);
+
+    const respond = async message => {
+      try {
+        await postToResponseUrl(command.responseUrl, message);
+      } catch (error) {
+        console.error(`❌ Could not reply to ${command.command}: ${error.message}`);
+      }
+    };
+
+    try {
+      sendJson(response, 200, await onCommand(command, { respond }));
+    } catch (error) {
+      console.error(`❌ Command failed: ${error.message}`);
+      sendJson(response, 200, { response_type: 'ephemeral', text: `❌ Something went wrong: ${error.message}` });
+    }
+  });
+}
+
+/**
+ * Acknowledges a verified Events API callback and hands its event on
+ *
+ * @param {string} body - Raw JSON body
+ * @param {Object} headers - Request headers
+ * @param {http.ServerResponse} response - Outgoing response
+ * @param {Function} [onEvent] - Event handler
+ */
+function handleEvent(body, headers, response, onEvent) {
+  let payload;
+  try {
+    payload = JSON.parse(body);
+  } catch (error) {
+    sendJson(response, 400, { error: 'invalid_json' });
+    return;
+  }
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    sendJson(response, 400, { error: 'invalid_payload' });
+    return;
+  }
+
+  // Slack checks the request URL once when it is saved in the app settings
+  if (payload.type === 'url_verification') {
+    sendJson(response, 200, { challenge: payload.challenge });
+    return;
+  }
+
+  sendJson(response, 200);
+  if (payload.type !== 'event_callback' || !payload.event || !onEvent) return;
+  if (headers['x-slack-retry-num']) {
+    console.log(`ℹ️  Ignoring redelivery #${headers['x-slack-retry-num']} of event ${payload.event_id} (${headers['x-slack-retry-reason']})`);
+    return;
+  }
+
+  Promise.resolve()
+    .then(() => onEvent(payload.event))
+    .catch(error => console.error(`❌ Event handler failed: ${error.message}`));
+}
+
+module.exports = {
+  verifySlackSignature,
+  parseSlashCommand,
+  parseStoryReference,
+  postToResponseUrl,
+  createSlackServer
+};
@@ -0,0 +1,81 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧊 SNAPSHOT CACHE
+// ═══════════════════════════════════════════════════════════════════════════
+// Keeps the last page that scraped successfully for every River site, so a
+// run can still produce a digest when the site is down. Items built from a
+// snapshot are marked stale and the digest says so.
+//
+// One JSON file per site in SNAPSHOT_DIR (default data/snapshots):
+//   { "fetchedAt": "2026-01-28T16:00:03.000Z", "html": "<!DOCTYPE html>..." }
+//
+// Snapshots older than SNAPSHOT_MAX_AGE_HOURS (default 48) are ignored:
+// stale news beats no news, but not by days.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_AGE_HOURS = 48;
+
+/**
+ * Creates a snapshot cache in a directory
+ *
+ * @param {string} dir - Directory holding the snapshots (created on first save)
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeHours=48] - Oldest snapshot still usable
+ * @returns {Object} Cache with `save()` and `load()`
+ */
+function createSnapshotCache(dir, { maxAgeHours = DEFAULT_MAX_AGE_HOURS } = {}) {
+  const fileFor = name => path.join(dir, `${name.replace(/[^a-z0-9_-]/gi, '_')}.json`);
+
+  return {
+    dir,
+
+    /**
+     * Stores the latest good page of a site
+     *
+     * @param {string} name - Source name
+     * @param {string} html - Page HTML
+     */
+    save(name, html) {
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(fileFor(name), JSON.stringify({ fetchedAt: new Date().toISOString(), html }));
+      } catch (error) {
+        // Losing the cache only matters on a later outage - don't fail this run
+        console.warn(`⚠️  Could not save the ${name} snapshot: ${error.message}`);
+      }
+    },
+
+    /**
+     * Reads the last good page of a site, if it is recent enough
+     *
+     * @param {string} name - Source name
+     * @param {number} [now=Date.now()] - Current time in milliseconds
+     * @returns {{html: string, fetchedAt: string}|null} Snapshot, or null if
+     *   there is none or it is too old
+     */
+    load(name, now = Date.now()) {
+      const file = fileFor(name);
+      if (!fs.existsSync(file)) return null;
+
+      try {
+        const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const ageHours = (now - Date.parse(snapshot.fetchedAt)) / 3600000;
+        if (!(ageHours <= maxAgeHours)) {
+          console.warn(`⚠️  The ${name} snapshot is ${Math.round(ageHours)} hours old (limit ${maxAgeHours}) and won't be used`);
+          return null;
+        }
+        return { html: snapshot.html, fetchedAt: snapshot.fetchedAt };
+      } catch (error) {
+        console.warn(`⚠️  Could not read the ${name} snapshot: ${error.message}`);
+        return null;
+      }
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_AGE_HOURS,
+  createSnapshotCache
+};
@@ -0,0 +1,67 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🟧 HACKER NEWS SOURCE
+// ═══════════════════════════════════════════════════════════════════════════
+// Scrapes the Hacker News front page. Ask HN / Show HN posts without an
+// external link point at their discussion page.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const cheerio = require('cheerio');
+const { httpGet } = require('../retry');
+
+const HACKER_NEWS_URL = 'https://news.ycombinator.com/';
+
+// Maximum number of front-page stories kept
+const MAX_ITEMS = 15;
+
+/**
+ * Fetches and parses the Hacker News front page
+ *
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - HTTP timeout per attempt in milliseconds
+ * @param {Object} [options.retryPolicy] - Retry policy (see lib/retry)
+ * @param {Object} [options.telemetry] - Run telemetry that records the item count
+ * @returns {Promise<Array<{text: string, url: string, source: string, rank: number}>>} News items
+ * @throws {Error} If the HTTP request fails
+ */
+async function fetchHackerNewsContent({ timeout, retryPolicy, telemetry } = {}) {
+  console.log('\n📡 Fetching content from Hacker News...');
+
+  try {
+    const { data } = await httpGet(HACKER_NEWS_URL, { label: 'Hacker News', timeout, policy: retryPolicy });
+    const $ = cheerio.load(data);
+    const items = [];
+
+    // Every story row is a tr.athing with the title link inside .titleline
+    $('tr.athing').each((i, el) => {
+      if (items.length >= MAX_ITEMS) return;
+      const $link = $(el).find('.titleline > a').first();
+      const text = $link.text().trim();
+      let url = $link.attr('href');
+
+      if (text && url) {
+        // Self posts link to "item?id=..." relative to the site
+        if (!/^https?:\/\//.test(url)) {
+          url = new URL(url, HACKER_NEWS_URL).href;
+        }
+        items.push({ text, url, source: 'hackernews', rank: items.length + 1 });
+      }
+    });
+
+    console.log(`✓ Extracted ${items.length} stories from Hacker News`);
+    if (telemetry) {
+      telemetry.record('scrape', { source: 'hackernews', items: items.length });
+    }
+    return items;
+  } catch (error) {
+    console.error('❌ Error fetching Hacker News:', error.message);
+    if (error.response) {
+      console.error(`   HTTP Status: ${error.response.status}`);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  HACKER_NEWS_URL,
+  fetchHackerNewsContent
+};
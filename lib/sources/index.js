@@ -0,0 +1,225 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 📚 NEWS SOURCES
+// ═══════════════════════════════════════════════════════════════════════════
+// Source adapters all return items in the same shape:
+//   { text, url, source, rank }
+//
+// This module builds the configured adapters, fetches them side by side and
+// merges the results into one deduplicated list. A story found on several
+// sources becomes a single item listing every source that carries it, so
+// cross-source validation happens in code rather than in the prompt.
+//
+// Configuration (environment variables):
+//   SOURCES    Comma-separated adapters in priority order (default: "techmeme")
+//              techmeme, mediagazer, memeorandum, hackernews, rss
+//   RSS_FEEDS  Comma-separated feed URLs read by the "rss" adapter
+//
+// Every HTTP fetch goes through the shared retry policy (lib/retry). River
+// sites fall back to their last good snapshot when unreachable; the items
+// are then marked stale (see staleSince()).
+//
+// For offline runs, a saved Techmeme page (--fixture) replaces every source.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { RIVER_SITES, fetchRiverContent } = require('./river');
+const { HACKER_NEWS_URL, fetchHackerNewsContent } = require('./hackernews');
+const { fetchFeedContent } = require('./rss');
+const { normalizeUrl, normalizeTitle } = require('../history');
+
+// Words too common to tell two headlines apart
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'its', 'has', 'have',
+  'are', 'was', 'will', 'into', 'over', 'after', 'about', 'says', 'said', 'new'
+]);
+
+// Share of the shorter headline's words that must appear in the longer one
+// for two items from different sources to count as the same story
+const SAME_STORY_THRESHOLD = 0.7;
+
+// Headlines with fewer distinctive words than this are only merged by URL
+const MIN_DISTINCTIVE_WORDS = 4;
+
+/**
+ * Builds the source adapters listed in SOURCES, in priority order
+ *
+ * @param {Object} [env=process.env] - Environment variables
+ * @param {Object} [options]
+ * @param {string} [options.fixture] - Saved Techmeme page to use as the only source
+ * @param {Object} [options.recorder] - Run recorder that keeps scraped River pages
+ * @param {Object} [options.snapshots] - Snapshot cache for River sites (see lib/snapshots)
+ * @param {number} [options.timeout] - HTTP timeout per attempt in milliseconds
+ * @param {Object} [options.retryPolicy] - Retry policy (see lib/retry)
+ * @param {Object} [options.telemetry] - Run telemetry that records what each
+ *   source returned (see lib/telemetry)
+ * @returns {Array<{name: string, label: string, url: string, fetch: Function}>}
+ *   Source adapters, with the site credited in digest footers
+ * @throws {Error} If SOURCES names an unknown adapter
+ */
+function loadSources(env = process.env, { fixture, recorder, snapshots, timeout, retryPolicy, telemetry } = {}) {
+  if (fixture) {
+    const site = RIVER_SITES.techmeme;
+    return [{ name: site.name, label: `${site.label} (fixture)`, url: site.url, fetch: () => fetchRiverContent(site, { fixture, recorder, telemetry }) }];
+  }
+
+  const http = { timeout, retryPolicy, telemetry };
+
+  const names = (env.SOURCES || 'techmeme')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const sources = [];
+  names.forEach(name => {
+    if (RIVER_SITES[name]) {
+      const site = RIVER_SITES[name];
+      sources.push({ name, label: site.label, url: site.url, fetch: () => fetchRiverContent(site, { recorder, snapshots, ...http }) });
+    } else if (name === 'hackernews') {
+      sources.push({ name, label: 'Hacker News', url: HACKER_NEWS_URL, fetch: () => fetchHackerNewsContent(http) });
+    } else if (name === 'rss') {
+      const feeds = (env.RSS_FEEDS || '').split(',').map(url => url.trim()).filter(Boolean);
+      if (feeds.length === 0) {
+        console.warn('⚠️  Skipping source "rss": RSS_FEEDS is not set');
+      }
+      feeds.forEach(url => {
+        const host = new URL(url).hostname.replace(/^www\./, '');
+        const feed = { name: `rss:${host}`, label: host, url };
+        sources.push({ name: feed.name, label: feed.label, url: `${new URL(url).origin}/`, fetch: () => fetchFeedContent(feed, http) });
+      });
+    } else {
+      throw new Error(`Unknown source "${name}" in SOURCES (expected: ${Object.keys(RIVER_SITES).join(', ')}, hackernews, rss)`);
+    }
+  });
+
+  return sources;
+}
+
+/**
+ * Returns the distinctive words of a headline
+ *
+ * @param {string} text - Headline text
+ * @returns {Set<string>} Words longer than two letters that aren't stopwords
+ */
+function distinctiveWords(text) {
+  return new Set(
+    normalizeTitle(text)
+      .split(' ')
+      .filter(word => word.length > 2 && !STOPWORDS.has(word))
+  );
+}
+
+/**
+ * Checks whether two items from different sources describe the same story
+ *
+ * Matches on URL first, then on how many of the shorter headline's
+ * distinctive words appear in the longer one. Techmeme's text includes a
+ * summary paragraph, so plain Jaccard similarity would miss most matches.
+ *
+ * @param {Object} a - News item
+ * @param {Object} b - News item
+ * @returns {boolean} Whether the items are the same story
+ */
+function isSameStory(a, b) {
+  if (normalizeUrl(a.url) === normalizeUrl(b.url)) return true;
+
+  const wordsA = distinctiveWords(a.text);
+  const wordsB = distinctiveWords(b.text);
+  const [shorter, longer] = wordsA.size <= wordsB.size ? [wordsA, wordsB] : [wordsB, wordsA];
+  if (shorter.size < MIN_DISTINCTIVE_WORDS) return false;
+
+  let shared = 0;
+  shorter.forEach(word => {
+    if (longer.has(word)) shared++;
+  });
+  return shared / shorter.size >= SAME_STORY_THRESHOLD;
+}
+
+/**
+ * Merges item lists from several sources into one deduplicated list
+ *
+ * Lists are merged in priority order: the first source carrying a story
+ * provides its text, URL and rank. Items are only merged across sources:
+ * two items of the same source are separate stories (e.g. two Techmeme
+ * clusters with similar headlines), however alike they read. Every merged
+ * item gets:
+ *   - sources: names of all sources carrying the story
+ *   - alsoOn:  [{ source, url }] for the other sources' links
+ *
+ * @param {Array<Array<Object>>} lists - Items per source, in priority order
+ * @returns {Array<Object>} Merged items
+ */
+function mergeItems(lists) {
+  const merged = [];
+
+  lists.forEach(items => {
+    items.forEach(item => {
+      const existing = merged.find(candidate => !candidate.sources.includes(item.source) && isSameStory(candidate, item));
+      if (!existing) {
+        merged.push({ ...item, sources: [item.source], alsoOn: [] });
+        return;
+      }
+
+      existing.sources.push(item.source);
+      if (normalizeUrl(existing.url) !== normalizeUrl(item.url)) {
+        existing.alsoOn.push({ source: item.source, url: item.url });
+      }
+    });
+  });
+
+  return merged;
+}
+
+/**
+ * Fetches every source and merges the results
+ *
+ * A failing source is logged and skipped so one flaky feed can't sink the
+ * digest; the caller decides what to do if nothing at all comes back.
+ *
+ * @param {Array<Object>} sources - Adapters from loadSources()
+ * @param {Object} [options]
+ * @param {Object} [options.telemetry] - Run telemetry, warned about failing sources
+ * @returns {Promise<Array<Object>>} Merged, deduplicated items
+ */
+async function fetchAllSources(sources, { telemetry } = {}) {
+  const results = await Promise.allSettled(sources.map(source => source.fetch()));
+
+  const lists = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      lists.push(result.value);
+    } else {
+      const message = `Source ${sources[index].label} failed and was skipped: ${result.reason.message}`;
+      if (telemetry) {
+        telemetry.warn(message, { source: sources[index].name });
+      } else {
+        console.warn(`⚠️  ${message}`);
+      }
+    }
+  });
+
+  const total = lists.reduce((sum, list) => sum + list.length, 0);
+  const merged = mergeItems(lists);
+  const crossSource = merged.filter(item => item.sources.length > 1).length;
+  console.log(`\n🔗 Merged ${total} items from ${lists.length}/${sources.length} sources into ${merged.length} stories (${crossSource} found on several sources)`);
+
+  return merged;
+}
+
+/**
+ * Tells whether a digest is built from cached snapshots
+ *
+ * @param {Array<Object>} items - Merged items
+ * @returns {string|null} Time of the oldest snapshot used (ISO string), or
+ *   null if every item is fresh
+ */
+function staleSince(items) {
+  const times = items.filter(item => item.stale).map(item => item.snapshotAt).sort();
+  return times.length > 0 ? times[0] : null;
+}
+
+module.exports = {
+  loadSources,
+  staleSince,
+  isSameStory,
+  mergeItems,
+  fetchAllSources
+};
@@ -0,0 +1,330 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🌊 RIVER SITES SOURCE (Techmeme, Mediagazer, Memeorandum)
+// ═══════════════════════════════════════════════════════════════════════════
+// Techmeme and its sister sites share the same "River" markup, where each
+// headline lives in an element with the '.ii' class. One scraper handles
+// all of them.
+//
+// Headlines are grouped into clusters ('.clus'): a lead item with its cite
+// line ("Author / Publisher:"), followed by "More:" related coverage and
+// discussion links from X, Threads, LinkedIn and others.
+//
+// When a site can't be reached, the last good page from the snapshot cache
+// (lib/snapshots) is used instead and its items are marked stale. A page
+// where the '.ii' selector finds nothing means the markup changed, so the
+// run's telemetry (lib/telemetry) gets a warning for the ops channel.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const cheerio = require('cheerio');
+const { httpGet } = require('../retry');
+
+// Known River sites
+const RIVER_SITES = {
+  techmeme: { name: 'techmeme', label: 'Techmeme', url: 'https://techmeme.com/' },
+  mediagazer: { name: 'mediagazer', label: 'Mediagazer', url: 'https://mediagazer.com/' },
+  memeorandum: { name: 'memeorandum', label: 'Memeorandum', url: 'https://www.memeorandum.com/' }
+};
+
+// Maximum number of story clusters kept per site (callers that need more
+// of the page, like the breaking-news baseline, ask for it)
+const MAX_ITEMS = 15;
+
+/**
+ * Makes a link absolute relative to the site's origin
+ *
+ * @param {string} url - Link as found in the page
+ * @param {string} origin - Site origin (e.g. "https://techmeme.com")
+ * @returns {string} Absolute URL
+ */
+function absoluteUrl(url, origin) {
+  return url.startsWith('/') ? origin + url : url;
+}
+
+/**
+ * Splits a River "cite" line ("Jane Doe / Bloomberg:") into author and publisher
+ *
+ * @param {string} cite - Text of the <cite> element
+ * @returns {{author: string|undefined, publisher: string|undefined}}
+ */
+function parseCite(cite) {
+  const clean = cite.replace(/:\s*$/, '').trim();
+  if (!clean) return { author: undefined, publisher: undefined };
+
+  const parts = clean.split(' / ');
+  return parts.length > 1
+    ? { author: parts[0].trim(), publisher: parts.slice(1).join(' / ').trim() }
+    : { author: undefined, publisher: clean };
+}
+
+/**
+ * Collects the related-coverage and discussion links of a story cluster
+ *
+ * River clusters list extra links under headings such as "More:", "X:",
+ * "Threads:" or "LinkedIn:". Links under "More:" are related articles; the
+ * others are discussion on that platform.
+ *
+ * @param {Object} $ - Cheerio root
+ * @param {Object} $cluster - Cheerio element of the cluster
+ * @param {string} origin - Site origin, for relative links
+ * @param {string} leadUrl - Lead headline URL, excluded from the results
+ * @returns {{related: Array<{publisher: string, url: string}>, discussion: Array<{platform: string, author: string, url: string}>}}
+ */
+function parseClusterLinks($, $cluster, origin, leadUrl) {
+  const related = [];
+  const discussion = [];
+  const seen = new Set([leadUrl]);
+
+  $cluster.find('.drhed').each((i, heading) => {
+    const label = $(heading).text().replace(/:\s*$/, '').trim();
+    const isRelated = /^more$/i.test(label);
+
+    $(heading).nextUntil('.drhed').find('a').addBack('a').each((j, link) => {
+      const href = $(link).attr('href');
+      const text = $(link).text().trim();
+      if (!href || !text || href.startsWith('#')) return;
+
+      const url = absoluteUrl(href, origin);
+      if (seen.has(url)) return;
+      seen.add(url);
+
+      if (isRelated) {
+        related.push({ publisher: text, url });
+      } else {
+        discussion.push({ platform: label, author: text, url });
+      }
+    });
+  });
+
+  return { related, discussion };
+}
+
+/**
+ * Builds the permalink of a River item from its anchor or element id
+ *
+ * @param {Object} $item - Cheerio element of the item
+ * @param {string} origin - Site origin
+ * @returns {string|undefined} Permalink URL
+ */
+function parsePermalink($item, origin) {
+  const anchor = $item.find('a[title="Permalink"]').first().attr('href');
+  if (anchor) return absoluteUrl(anchor, origin);
+
+  // Item ids look like "260128p5" → /260128/p5#a260128p5
+  const id = $item.closest('[id]').attr('id') || '';
+  const match = id.match(/^(\d{6})(p\d+)$/);
+  return match ? `${origin}/${match[1]}/${match[2]}#a${id}` : undefined;
+}
+
+/**
+ * Parses a River page into story clusters
+ *
+ * Each cluster becomes one item with the lead headline and its metadata:
+ *   - text:        full lead text (headline + summary), as shown on the site
+ *   - headline:    lead headline only
+ *   - url:         lead article URL
+ *   - publisher, author, permalink
+ *   - related:     "More:" coverage links [{ publisher, url }]
+ *   - discussion:  X / Threads / LinkedIn / ... links [{ platform, author, url }]
+ *   - relatedCount: number of related coverage links (a ranking signal)
+ *
+ * Falls back to scanning <strong> headlines if the '.ii' markup is missing.
+ *
+ * @param {string} html - Page HTML
+ * @param {{name: string, url: string}} site - River site the page came from
+ * @param {Object} [options]
+ * @param {number} [options.maxItems=15] - Clusters to keep, from the top
+ * @returns {{items: Array<Object>, usedFallback: boolean}} Parsed items
+ */
+function parseRiverPage(html, site, { maxItems = MAX_ITEMS } = {}) {
+  const origin = new URL(site.url).origin;
+
+  // Load HTML into Cheerio for jQuery-like parsing
+  const $ = cheerio.load(html);
+
+  // Array to store extracted headline items
+  const items = [];
+  const seenClusters = new Set();
+
+  // Select the main column headlines (usually inside .ii class). Only the
+  // first headline of each cluster is kept - the rest belong to its story.
+  $('.ii').each((i, el) => {
+      if (items.length >= maxItems) return;
+      const $el = $(el);
+      const $item = $el.closest('.item').length ? $el.closest('.item') : $el.parent();
+      const $cluster = $el.closest('.clus').length ? $el.closest('.clus') : $item;
+
+      const clusterNode = $cluster.get(0);
+      if (seenClusters.has(clusterNode)) return;
+
+      const $headlineLink = [$el.find('a.ourh'), $el.find('strong a'), $el.find('a')]
+        .find($links => $links.length > 0);
+      if (!$headlineLink) return;
+
+      const text = $el.text().replace(/\s+/g, ' ').trim();
+      const href = $headlineLink.first().attr('href');
+      if (!text || !href) return;
+
+      seenClusters.add(clusterNode);
+      const url = absoluteUrl(href, origin);
+      const headline = $headlineLink.first().text().trim() || text;
+      const summary = text.startsWith(headline)
+        ? text.substring(headline.length).replace(/^[\s\u00a0—–-]+/, '').trim()
+        : '';
+      const { author, publisher } = parseCite($item.find('cite').first().text());
+      const { related, discussion } = parseClusterLinks($, $cluster, origin, url);
+
+      items.push({
+        text,
+        url,
+        source: site.name,
+        rank: items.length + 1,
+        headline,
+        summary,
+        publisher,
+        author,
+        permalink: parsePermalink($item, origin),
+        related,
+        discussion,
+        relatedCount: related.length
+      });
+  });
+
+  if (items.length > 0) {
+    return { items, usedFallback: false };
+  }
+
+  console.log('⚠️  No items found with .ii selector, trying fallback method...');
+
+  // FALLBACK EXTRACTION STRATEGY
+  // If the page structure has changed, try extracting from <strong> tags
+  // This is a more general approach that should catch headlines
+  $('strong').each((i, el) => {
+      if (items.length >= maxItems) return;
+      const $el = $(el);
+      const text = $el.text().trim();
+      const $link = $el.find('a').first().length ? $el.find('a').first() : $el.closest('a');
+      const url = $link.attr('href');
+
+      if (text.length > 20 && url) {
+          items.push({
+            text,
+            url: absoluteUrl(url, origin),
+            source: site.name,
+            rank: items.length + 1,
+            headline: text,
+            related: [],
+            discussion: [],
+            relatedCount: 0
+          });
+      }
+  });
+
+  return { items, usedFallback: true };
+}
+
+/**
+ * Fetches and parses the latest headlines from a River site
+ *
+ * @param {{name: string, label: string, url: string}} site - River site to scrape
+ * @param {Object} [options]
+ * @param {string} [options.fixture] - Path to a saved page to parse instead of the live site
+ * @param {Object} [options.recorder] - Run recorder that keeps the raw HTML
+ * @param {Object} [options.snapshots] - Snapshot cache: updated after every
+ *   scrape the '.ii' selector parsed, used when the site can't be reached
+ * @param {number} [options.timeout] - HTTP timeout per attempt in milliseconds
+ * @param {Object} [options.retryPolicy] - Retry policy (see lib/retry)
+ * @param {Object} [options.telemetry] - Run telemetry that records the item
+ *   count and whether the fallback selector was used
+ * @param {number} [options.maxItems] - Clusters to keep (see parseRiverPage())
+ * @returns {Promise<Array<Object>>} Story clusters (see parseRiverPage()).
+ *   Items read from a snapshot have `stale: true` and `snapshotAt`.
+ * @throws {Error} If the site can't be fetched and there is no usable
+ *   snapshot (or the fixture can't be read)
+ */
+async function fetchRiverContent(site, { fixture, recorder, snapshots, timeout, retryPolicy, telemetry, maxItems } = {}) {
+  console.log(`\n📡 Fetching content from ${site.label}${fixture ? ` (fixture: ${fixture})` : ''}...`);
+
+  try {
+    // Make HTTP request to the site's homepage, or read the saved page.
+    // If the site is down, fall back to the last good snapshot.
+    let data;
+    let snapshot = null;
+    if (fixture) {
+      data = fs.readFileSync(fixture, 'utf8');
+    } else {
+      try {
+        data = (await httpGet(site.url, { label: site.label, timeout, policy: retryPolicy })).data;
+      } catch (error) {
+        snapshot = snapshots ? snapshots.load(site.name) : null;
+        if (!snapshot) throw error;
+        console.warn(`⚠️  ${site.label} is unreachable (${error.message}) - using the snapshot from ${snapshot.fetchedAt}`);
+        data = snapshot.html;
+      }
+    }
+    console.log('✓ Successfully retrieved HTML content');
+
+    if (recorder) {
+      recorder.recordHtml(site.name, data);
+    }
+
+    const { items, usedFallback } = parseRiverPage(data, site, { maxItems });
+    if (snapshot) {
+      items.forEach(item => {
+        item.stale = true;
+        item.snapshotAt = snapshot.fetchedAt;
+      });
+    } else if (snapshots && !fixture && items.length > 0 && !usedFallback) {
+      // Only cache pages the '.ii' selector parsed: never an error page, and
+      // never a page whose markup changed over the last good snapshot
+      snapshots.save(site.name, data);
+    }
+    const relatedTotal = items.reduce((sum, item) => sum + item.relatedCount, 0);
+    console.log(`✓ Successfully extracted ${items.length} story clusters (${relatedTotal} related coverage links)`);
+    if (telemetry) {
+      telemetry.record('scrape', { source: site.name, items: items.length, relatedLinks: relatedTotal, usedFallback, stale: Boolean(snapshot) });
+      if (usedFallback) {
+        telemetry.warn(`The '.ii' selector found no items on ${site.label}: its markup may have changed (${items.length} items from the fallback selector)`, { source: site.name });
+      }
+    }
+
+    // Log a preview of the first few items for debugging
+    if (items.length > 0) {
+      console.log('   Preview of first item:');
+      console.log(`   - Title: ${items[0].headline.substring(0, 60)}...`);
+      console.log(`   - Publisher: ${items[0].publisher || 'unknown'}${items[0].author ? ` (${items[0].author})` : ''}`);
+      console.log(`   - URL: ${items[0].url}`);
+      console.log(`   - Related coverage: ${items[0].relatedCount}, discussion links: ${items[0].discussion.length}`);
+    } else {
+      console.warn('⚠️  Warning: No items were extracted!');
+    }
+
+    return items;
+  } catch (error) {
+    console.error(`❌ Error fetching ${site.label}:`, error.message);
+    if (error.response) {
+      console.error(`   HTTP Status: ${error.response.status}`);
+      console.error(`   Status Text: ${error.response.statusText}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetches and parses the latest headlines from Techmeme
+ *
+ * @param {Object} [options] - Same options as fetchRiverContent()
+ * @returns {Promise<Array<Object>>} Story clusters (see parseRiverPage())
+ * @throws {Error} If the HTTP request fails and there is no usable snapshot
+ */
+function fetchTechmemeContent(options) {
+  return fetchRiverContent(RIVER_SITES.techmeme, options);
+}
+
+module.exports = {
+  RIVER_SITES,
+  MAX_ITEMS,
+  parseRiverPage,
+  fetchRiverContent,
+  fetchTechmemeContent
+};
@@ -0,0 +1,77 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 📻 RSS / ATOM SOURCE
+// ═══════════════════════════════════════════════════════════════════════════
+// Reads any RSS 2.0 or Atom feed and returns its entries in the shared
+// item shape.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const cheerio = require('cheerio');
+const { httpGet } = require('../retry');
+
+// Maximum number of entries kept per feed
+const MAX_ITEMS = 15;
+
+/**
+ * Parses an RSS 2.0 or Atom document into news items
+ *
+ * @param {string} xml - Feed document
+ * @param {string} source - Source name stored on every item
+ * @returns {Array<{text: string, url: string, source: string, rank: number}>} News items
+ */
+function parseFeed(xml, source) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const items = [];
+
+  // RSS uses <item>, Atom uses <entry>
+  $('item, entry').each((i, el) => {
+    if (items.length >= MAX_ITEMS) return;
+    const $el = $(el);
+    const text = $el.children('title').first().text().trim();
+
+    // RSS: <link>url</link>, Atom: <link rel="alternate" href="url"/>
+    const $atomLink = $el.children('link[rel="alternate"], link:not([rel])').filter((j, link) => $(link).attr('href')).first();
+    const url = ($atomLink.attr('href') || $el.children('link').first().text() || '').trim();
+
+    if (text && /^https?:\/\//.test(url)) {
+      items.push({ text, url, source, rank: items.length + 1 });
+    }
+  });
+
+  return items;
+}
+
+/**
+ * Fetches and parses an RSS or Atom feed
+ *
+ * @param {{name: string, label: string, url: string}} feed - Feed to read
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - HTTP timeout per attempt in milliseconds
+ * @param {Object} [options.retryPolicy] - Retry policy (see lib/retry)
+ * @param {Object} [options.telemetry] - Run telemetry that records the item count
+ * @returns {Promise<Array<{text: string, url: string, source: string, rank: number}>>} News items
+ * @throws {Error} If the HTTP request fails
+ */
+async function fetchFeedContent(feed, { timeout, retryPolicy, telemetry } = {}) {
+  console.log(`\n📡 Fetching feed ${feed.label}...`);
+
+  try {
+    const { data } = await httpGet(feed.url, { label: feed.label, timeout, policy: retryPolicy, responseType: 'text' });
+    const items = parseFeed(data, feed.name);
+    console.log(`✓ Extracted ${items.length} entries from ${feed.label}`);
+    if (telemetry) {
+      telemetry.record('scrape', { source: feed.name, items: items.length });
+    }
+    return items;
+  } catch (error) {
+    console.error(`❌ Error fetching feed ${feed.label}:`, error.message);
+    if (error.response) {
+      console.error(`   HTTP Status: ${error.response.status}`);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  parseFeed,
+  fetchFeedContent
+};
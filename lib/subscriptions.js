@@ -0,0 +1,462 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 📬 PERSONAL SUBSCRIPTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+// Lets people subscribe themselves to a personal digest sent by DM, with
+// their own topics, story count, delivery time and time zone, and to
+// "company watch" alerts that DM them as soon as a watched company shows
+// up in a Techmeme headline.
+//
+// Stored as JSON (SUBSCRIPTIONS_FILE, default data/subscriptions.json):
+//
+//   {
+//     "users": {
+//       "U0123": {
+//         "topics": ["AI", "chips"],        // empty for every story
+//         "companies": ["Nvidia"],          // company watch
+//         "storyCount": 5,
+//         "deliveryTime": "08:00",          // 24-hour clock, local time
+//         "timezone": "Europe/Paris",       // IANA time zone
+//         "lastDeliveredDate": "2026-01-28",// local date of the last DM digest
+//         "failedDelivery": {               // today's failed attempts, if any
+//           "date": "2026-01-29", "attempts": 1, "retryAt": "<ISO time>"
+//         },
+//         "alerted": { "<url>": "<ISO time>" },
+//         "createdAt": "...", "updatedAt": "..."
+//       }
+//     }
+//   }
+//
+// The slash command server (server.js) edits subscriptions, delivers the
+// digests that are due and checks the watch list between digests.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+const { MAX_STORY_COUNT, topicMatcher } = require('./profiles');
+const { normalizeUrl } = require('./history');
+const { escapeSlackText } = require('./slack-format');
+const { isValidTimezone, localTime } = require('./cron');
+
+// Defaults for new subscriptions
+const DEFAULT_DELIVERY_TIME = '08:00';
+const DEFAULT_TIMEZONE = 'UTC';
+const DEFAULT_SUBSCRIPTION_STORY_COUNT = 5;
+
+// Limits on what one person can watch or filter on
+const MAX_TOPICS = 20;
+const MAX_COMPANIES = 20;
+
+// Alerted headlines are remembered this long so they aren't sent twice
+const ALERT_MEMORY_DAYS = 3;
+
+// A failed DM digest is retried after this long, doubling after every
+// failure, and given up for the day after MAX_DELIVERY_ATTEMPTS
+const DELIVERY_RETRY_MINUTES = 15;
+const MAX_DELIVERY_ATTEMPTS = 3;
+
+// Settings that "/techmeme set <setting> <value>" can change
+const SETTINGS = ['time', 'timezone', 'count', 'topics'];
+
+/**
+ * Checks whether a subscriber's digest should be sent now
+ *
+ * A digest is due once the local delivery time has passed and none was
+ * sent yet on that local day, so a missed check catches up later that day.
+ * After a failed attempt it waits for its retry time, and after
+ * MAX_DELIVERY_ATTEMPTS failures it waits for the next day.
+ *
+ * @param {Object} subscription - Stored subscription
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {boolean} Whether the digest is due
+ */
+function isDeliveryDue(subscription, now = new Date()) {
+  const local = localTime(now, subscription.timezone);
+  if (local.time < subscription.deliveryTime || subscription.lastDeliveredDate === local.date) {
+    return false;
+  }
+
+  const failed = subscription.failedDelivery;
+  if (failed && failed.date === local.date) {
+    return failed.attempts < MAX_DELIVERY_ATTEMPTS && now.getTime() >= Date.parse(failed.retryAt);
+  }
+  return true;
+}
+
+/**
+ * Splits a list typed in a command: by commas when there are any, so
+ * multi-word entries work ("AI, electric vehicles"), by spaces otherwise
+ *
+ * @param {string} text - List text
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+function parseList(text) {
+  const separator = text.includes(',') ? ',' : /\s+/;
+  return text.split(separator).map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Validates a setting and converts it to its stored form
+ *
+ * @param {string} setting - One of SETTINGS
+ * @param {string} value - Value as typed
+ * @returns {{field: string, value: *}} Subscription field and value
+ * @throws {Error} If the setting is unknown or the value invalid
+ */
+function parseSetting(setting, value) {
+  switch (setting) {
+    case 'time': {
+      const match = value.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+      if (!match) throw new Error('The time must look like 08:00 or 17:30 (24-hour clock)');
+      return { field: 'deliveryTime', value: `${match[1].padStart(2, '0')}:${match[2]}` };
+    }
+    case 'timezone':
+      if (!isValidTimezone(value)) throw new Error(`Unknown time zone "${value}". Use a name like America/New_York or Europe/Paris`);
+      return { field: 'timezone', value };
+    case 'count': {
+      const count = Number(value);
+      if (!Number.isInteger(count) || count < 1 || count > MAX_STORY_COUNT) {
+        throw new Error(`The story count must be between 1 and ${MAX_STORY_COUNT}`);
+      }
+      return { field: 'storyCount', value: count };
+    }
+    case 'topics': {
+      const topics = /^(all|none|-)$/i.test(value) ? [] : parseList(value);
+      if (topics.length > MAX_TOPICS) throw new Error(`You can follow at most ${MAX_TOPICS} topics`);
+      return { field: 'topics', value: topics };
+    }
+    default:
+      throw new Error(`Unknown setting "${setting}". You can set: ${SETTINGS.join(', ')}`);
+  }
+}
+
+/**
+ * Creates the subscription store backed by a JSON file
+ *
+ * Every change reads the file, applies the change and writes it back, so
+ * the store never holds stale data between requests.
+ *
+ * @param {string} file - Path to the JSON file
+ * @returns {Object} Store with `get()`, `list()`, `subscribe()`,
+ *   `unsubscribe()`, `set()`, `watch()`, `unwatch()`, `markDelivered()`,
+ *   `markDeliveryFailed()` and `markAlerted()`
+ */
+function createSubscriptionStore(file) {
+  /**
+   * Reads every subscription
+   *
+   * @returns {{users: Object}} Stored subscriptions (empty if the file is missing or corrupt)
+   */
+  function read() {
+    if (!fs.existsSync(file)) return { users: {} };
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return { users: data.users || {} };
+    } catch (error) {
+      console.warn(`⚠️  Could not read subscriptions file (${error.message}), starting fresh`);
+      return { users: {} };
+    }
+  }
+
+  /**
+   * Applies a change to one user's subscription and saves it
+   *
+   * @param {string} user - Slack user ID
+   * @param {Function} change - `(subscription) → void`, edits in place
+   * @returns {Object} Updated subscription
+   * @throws {Error} If the user has no subscription
+   */
+  function update(user, change) {
+    const store = read();
+    const subscription = store.users[user];
+    if (!subscription) {
+      throw new Error('You are not subscribed yet. Start with `/techmeme subscribe`');
+    }
+    change(subscription);
+    subscription.updatedAt = new Date().toISOString();
+    write(store);
+    return subscription;
+  }
+
+  /**
+   * Writes every subscription, creating the directory if needed
+   *
+   * @param {{users: Object}} store - Subscriptions
+   */
+  function write(store) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(store, null, 2));
+  }
+
+  return {
+    /**
+     * Returns one user's subscription
+     *
+     * @param {string} user - Slack user ID
+     * @returns {Object|null} Subscription, or null
+     */
+    get(user) {
+      return read().users[user] || null;
+    },
+
+    /**
+     * Lists every subscription
+     *
+     * @returns {Array<{user: string, subscription: Object}>} Subscriptions
+     */
+    list() {
+      return Object.entries(read().users).map(([user, subscription]) => ({ user, subscription }));
+    },
+
+    /**
+     * Subscribes a user, or updates the topics of an existing subscription
+     *
+     * @param {string} user - Slack user ID
+     * @param {Object} [options]
+     * @param {string[]} [options.topics] - Topics to follow (empty for every story)
+     * @param {string} [options.timezone] - Time zone for new subscriptions
+     * @returns {Object} Subscription
+     */
+    subscribe(user, { topics, timezone } = {}) {
+      const store = read();
+      const now = new Date().toISOString();
+      const subscription = store.users[user] || {
+        topics: [],
+        companies: [],
+        storyCount: DEFAULT_SUBSCRIPTION_STORY_COUNT,
+        deliveryTime: DEFAULT_DELIVERY_TIME,
+        timezone: timezone && isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE,
+        lastDeliveredDate: null,
+        alerted: {},
+        createdAt: now
+      };
+      if (topics && topics.length > 0) {
+        subscription.topics = topics.slice(0, MAX_TOPICS);
+      }
+      subscription.updatedAt = now;
+      store.users[user] = subscription;
+      write(store);
+      return subscription;
+    },
+
+    /**
+     * Removes a user's subscription and watch list
+     *
+     * @param {string} user - Slack user ID
+     * @returns {boolean} Whether there was a subscription
+     */
+    unsubscribe(user) {
+      const store = read();
+      if (!store.users[user]) return false;
+      delete store.users[user];
+      write(store);
+      return true;
+    },
+
+    /**
+     * Changes one setting
+     *
+     * @param {string} user - Slack user ID
+     * @param {string} setting - One of SETTINGS
+     * @param {string} value - Value as typed
+     * @returns {Object} Updated subscription
+     * @throws {Error} If the user isn't subscribed or the value is invalid
+     */
+    set(user, setting, value) {
+      const parsed = parseSetting(setting, value);
+      return update(user, subscription => { subscription[parsed.field] = parsed.value; });
+    },
+
+    /**
+     * Adds a company to a user's watch list
+     *
+     * @param {string} user - Slack user ID
+     * @param {string} company - Company name as it appears in headlines
+     * @returns {Object} Updated subscription
+     * @throws {Error} If the user isn't subscribed or the list is full
+     */
+    watch(user, company) {
+      return update(user, subscription => {
+        if (subscription.companies.some(name => name.toLowerCase() === company.toLowerCase())) return;
+        if (subscription.companies.length >= MAX_COMPANIES) {
+          throw new Error(`You can watch at most ${MAX_COMPANIES} companies`);
+        }
+        subscription.companies.push(company);
+      });
+    },
+
+    /**
+     * Removes a company from a user's watch list
+     *
+     * @param {string} user - Slack user ID
+     * @param {string} company - Company name
+     * @returns {Object} Updated subscription
+     * @throws {Error} If the user isn't subscribed
+     */
+    unwatch(user, company) {
+      return update(user, subscription => {
+        subscription.companies = subscription.companies.filter(name => name.toLowerCase() !== company.toLowerCase());
+      });
+    },
+
+    /**
+     * Records that today's digest was sent
+     *
+     * Does nothing if the user unsubscribed while the digest was being sent.
+     *
+     * @param {string} user - Slack user ID
+     * @param {Date} [now=new Date()] - Delivery time
+     */
+    markDelivered(user, now = new Date()) {
+      if (!read().users[user]) return;
+      update(user, subscription => {
+        subscription.lastDeliveredDate = localTime(now, subscription.timezone).date;
+        delete subscription.failedDelivery;
+      });
+    },
+
+    /**
+     * Records a failed digest delivery and when to try again
+     *
+     * @param {string} user - Slack user ID
+     * @param {Date} [now=new Date()] - Time of the failure
+     * @returns {{attempts: number, retryAt: string|null}|null} Today's failed
+     *   attempts, and the next one (null once the day's attempts are used up).
+     *   Null if the user unsubscribed while the digest was being sent.
+     */
+    markDeliveryFailed(user, now = new Date()) {
+      if (!read().users[user]) return null;
+      const { failedDelivery } = update(user, subscription => {
+        const date = localTime(now, subscription.timezone).date;
+        const previous = subscription.failedDelivery;
+        const attempts = previous && previous.date === date ? previous.attempts + 1 : 1;
+        const delayMs = DELIVERY_RETRY_MINUTES * 60000 * 2 ** (attempts - 1);
+        subscription.failedDelivery = { date, attempts, retryAt: new Date(now.getTime() + delayMs).toISOString() };
+      });
+      return {
+        attempts: failedDelivery.attempts,
+        retryAt: failedDelivery.attempts < MAX_DELIVERY_ATTEMPTS ? failedDelivery.retryAt : null
+      };
+    },
+
+    /**
+     * Records the headlines a user was alerted about, forgetting old ones
+     *
+     * @param {string} user - Slack user ID
+     * @param {string[]} urls - Alerted item URLs
+     * @param {Date} [now=new Date()] - Alert time
+     */
+    markAlerted(user, urls, now = new Date()) {
+      update(user, subscription => {
+        const alerted = subscription.alerted || {};
+        urls.forEach(url => { alerted[normalizeUrl(url)] = now.toISOString(); });
+        const oldest = now.getTime() - ALERT_MEMORY_DAYS * 86400000;
+        Object.keys(alerted).forEach(url => {
+          if (Date.parse(alerted[url]) < oldest) delete alerted[url];
+        });
+        subscription.alerted = alerted;
+      });
+    }
+  };
+}
+
+/**
+ * Builds the digest profile behind a subscriber's personal digest
+ *
+ * Watched companies count as topics too, so their stories make the cut.
+ *
+ * @param {string} user - Slack user ID (the DM goes to the user)
+ * @param {Object} subscription - Stored subscription
+ * @returns {Object} Digest profile (see lib/profiles)
+ */
+function profileForSubscription(user, subscription) {
+  const topics = subscription.topics.length > 0 ? subscription.topics.concat(subscription.companies) : [];
+  return {
+    name: `dm-${user}`,
+    channel: user,
+    title: `Your Techmeme Top ${subscription.storyCount}`,
+    includeTopics: Array.from(new Set(topics)),
+    excludeTopics: [],
+    storyCount: subscription.storyCount
+  };
+}
+
+/**
+ * Finds Techmeme headlines that mention a subscriber's watched companies
+ *
+ * @param {Array<Object>} items - Merged items of a scrape
+ * @param {Object} subscription - Stored subscription
+ * @returns {Array<{company: string, item: Object}>} New mentions, one per
+ *   headline (headlines already alerted are skipped)
+ */
+function findWatchAlerts(items, subscription) {
+  const alerted = subscription.alerted || {};
+  const alerts = [];
+
+  items
+    .filter(item => (item.sources || [item.source]).includes('techmeme'))
+    .filter(item => !alerted[normalizeUrl(item.url)])
+    .forEach(item => {
+      const headline = item.headline || item.text;
+      const company = subscription.companies.find(name => topicMatcher([name]).test(headline));
+      if (company) alerts.push({ company, item });
+    });
+  return alerts;
+}
+
+/**
+ * Describes a subscription in Slack mrkdwn
+ *
+ * @param {Object|null} subscription - Stored subscription, or null
+ * @returns {string} Settings summary
+ */
+function describeSubscription(subscription) {
+  if (!subscription) {
+    return 'You are not subscribed. `/techmeme subscribe` gets you a personal digest by DM every day.';
+  }
+  const list = entries => (entries.length > 0 ? entries.map(escapeSlackText).join(', ') : '_none_');
+  return [
+    '*Your Techmeme digest*',
+    `• Delivery: every day at ${subscription.deliveryTime} (${subscription.timezone})`,
+    `• Stories: ${subscription.storyCount}`,
+    `• Topics: ${subscription.topics.length > 0 ? list(subscription.topics) : '_every story_'}`,
+    `• Watching: ${list(subscription.companies)}`
+  ].join('\n');
+}
+
+/**
+ * Builds the App Home tab for a user
+ *
+ * @param {Object|null} subscription - Stored subscription, or null
+ * @returns {Object} Slack home view
+ */
+function renderHomeView(subscription) {
+  const commands = [
+    '`/techmeme subscribe [topics]` - start (or change the topics of) your daily DM digest',
+    '`/techmeme set time 08:30` · `set timezone Europe/Paris` · `set count 5` · `set topics AI, chips`',
+    '`/techmeme watch Nvidia` - DM me as soon as a company is in a Techmeme headline',
+    '`/techmeme unwatch Nvidia` · `/techmeme unsubscribe`'
+  ];
+  return {
+    type: 'home',
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: '📰 Techmeme Digest', emoji: true } },
+      { type: 'section', text: { type: 'mrkdwn', text: describeSubscription(subscription) } },
+      { type: 'divider' },
+      { type: 'section', text: { type: 'mrkdwn', text: `*Commands*\n${commands.join('\n')}` } }
+    ]
+  };
+}
+
+module.exports = {
+  SETTINGS,
+  isValidTimezone,
+  localTime,
+  isDeliveryDue,
+  parseList,
+  parseSetting,
+  createSubscriptionStore,
+  profileForSubscription,
+  findWatchAlerts,
+  describeSubscription,
+  renderHomeView
+};
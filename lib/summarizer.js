@@ -0,0 +1,449 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🤖 SUMMARIZER
+// ═══════════════════════════════════════════════════════════════════════════
+// Turns scraped items into a validated digest with the LLM fallback chain,
+// writes weekly and monthly roll-ups from the archive, writes deeper
+// explanations of single stories on request, and answers questions asked
+// in a digest's thread.
+//
+// Shared by the daily run (index.js) and the slash command server
+// (server.js), so both pick and word stories the same way.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const llm = require('./llm');
+const { SCHEMA_DESCRIPTION, findItemByUrl, parseModelJson, validateDigest } = require('./digest-schema');
+const profiles = require('./profiles');
+const rollups = require('./rollup');
+
+// Related-coverage links listed per item in the prompt (the count is always shown)
+const MAX_RELATED_LINKS_IN_PROMPT = 5;
+
+// Related-coverage links given to the model when explaining a single story
+const MAX_RELATED_LINKS_IN_EXPLANATION = 10;
+
+/**
+ * Builds the prompt that asks for the daily digest
+ *
+ * This is the "current" prompt version of the eval harness (see lib/eval),
+ * which compares it with prompt templates before a change lands here.
+ *
+ * @param {string} content - Items formatted by formatContentForLLM()
+ * @param {Object} profile - Digest profile (story count, topics, tone, extra prompt)
+ * @returns {string} Full prompt text
+ */
+function buildDigestPrompt(content, profile) {
+  return `
+     You are a high-signal tech and business news aggregator.
+Your goal is to identify the top ${profile.storyCount} most important new stories by synthesizing information from multiple reliable sources, not just the provided text.
+
+Primary source:
+Techmeme (provided below)
+Secondary sources:
+Some items were also found on other sources (e.g. Hacker News, Mediagazer, RSS feeds of major outlets).
+Each item lists every source that carries it under "Seen on"; a story carried by several independent sources is better validated.
+
+Selection criteria:
+At least 50% of the selected items must be focused on business, startups, AI, or core technology trends
+
+Prioritize stories with:
+Strategic business impact
+Market or industry implications
+Notable funding, acquisitions, IPOs, or shutdowns
+Breakthroughs or setbacks in AI, infrastructure, or platforms
+De-prioritize shallow product launches or incremental updates unless they have outsized impact
+
+Instructions:
+Read the raw content below
+Use the "Seen on" list to cross-check importance: prefer stories confirmed by more than one source
+Treat the number of related coverage articles and discussion links as a signal of how big a story is
+Merge duplicates into a single, stronger story when appropriate
+Rank by real-world significance, not volume of coverage
+Items tagged [DEVELOPING] were in a previous digest but now carry new coverage: if you include one, focus on what is new
+Items tagged [ALREADY POSTED] were in a previous digest: only include them if nothing more important is available
+When an item has an article excerpt, base its summary and why it matters on the excerpt; when it has none, stick to what the headline and coverage say and do not invent details
+
+Output format:
+Return ONLY a JSON object with this shape (no markdown, no code fences, no extra keys):
+${SCHEMA_DESCRIPTION}
+Keep summaries concise (1–2 sentences max)
+Clearly state why the story matters
+Use plain text only: no markdown, no asterisks, no links inside the text fields
+For sourceUrl, pick the most authoritative article for the story (the lead URL or one of its related coverage links, e.g. the original reporting or an official announcement) and copy it exactly as it appears in the raw content
+${profiles.profileInstructions(profile)}
+Raw Content:
+      ${content}
+    `;
+}
+
+/**
+ * Creates a summarizer bound to a provider chain
+ *
+ * @param {Object} config
+ * @param {Array<Object>} config.providers - LLM fallback chain (see lib/llm)
+ * @param {number} [config.timeout] - Per-provider timeout in milliseconds
+ * @param {number} [config.maxAttempts=3] - How many times to ask for a digest
+ *   that passes schema validation
+ * @param {Function} [config.sourceLabel] - Maps a source name to the label
+ *   shown in the prompt (defaults to the name itself)
+ * @param {Object} [config.retryPolicy] - Retry policy for transient provider
+ *   errors (see lib/retry)
+ * @returns {Object} Summarizer with `formatContentForLLM()`,
+ *   `summarizeWithLLM()`, `summarizeRollup()`, `explainStory()` and
+ *   `answerQuestion()`
+ */
+function createSummarizer({ providers, timeout = llm.DEFAULT_TIMEOUT_MS, maxAttempts = 3, sourceLabel = name => name, retryPolicy }) {
+  /**
+   * Formats scraped items as readable text for the AI
+   *
+   * Besides the headline and lead URL, each item lists who published it, the
+   * sources carrying it, its related coverage (count and a few links the model
+   * may cite instead of the lead), where it is being discussed and, when the
+   * article stage ran (see lib/articles), an excerpt of the article itself.
+   *
+   * @param {Array<Object>} items - Candidate items; those annotated with a
+   *   history status are tagged as developing or already posted
+   * @returns {string} Numbered list of items for the prompt
+   */
+  function formatContentForLLM(items) {
+    const historyTags = { new: '', developing: '[DEVELOPING] ', repeat: '[ALREADY POSTED] ' };
+
+    return items.map((item, index) => {
+      const related = item.related || [];
+      const discussion = item.discussion || [];
+      const tag = item.history ? historyTags[item.history.status] : '';
+      const lines = [`${index + 1}. ${tag}${item.text}`, `   URL: ${item.url}`];
+
+      if (item.publisher) {
+        lines.push(`   Published by: ${item.publisher}${item.author ? ` (${item.author})` : ''}`);
+      }
+      lines.push(`   Seen on: ${(item.sources || [item.source]).map(sourceLabel).join(', ')}`);
+      if (related.length > 0) {
+        const links = related.slice(0, MAX_RELATED_LINKS_IN_PROMPT).map(link => `${link.publisher} ${link.url}`);
+        lines.push(`   Related coverage (${related.length} articles): ${links.join(' | ')}`);
+      }
+      if (discussion.length > 0) {
+        lines.push(`   Discussion: ${discussionSummary(discussion)}`);
+      }
+      if (item.article && item.article.text) {
+        const label = item.article.status === 'paywalled' ? 'Article excerpt (paywalled, free preview only)' : 'Article excerpt';
+        lines.push(`   ${label}:\n${item.article.text.split('\n').filter(Boolean).map(line => `      ${line}`).join('\n')}`);
+      }
+      return lines.join('\n');
+    }).join('\n\n');
+  }
+
+  /**
+   * Uses the configured LLM providers to pick and summarize the most important stories
+   *
+   * Sends the raw headline data through the provider fallback chain with
+   * specific instructions to:
+   * - Identify the profile's top N most important stories
+   * - Return them as JSON matching the digest schema
+   * - Keep summaries concise and actionable
+   *
+   * The response is validated against the schema and the scraped items. If it
+   * fails, the prompt is sent again together with the validation errors, up to
+   * `maxAttempts` times.
+   *
+   * @param {string} content - Formatted string of news items with URLs
+   * @param {Array<{text: string, url: string}>} items - The items in `content`,
+   *   used to check that every returned URL really came from the scrape
+   * @param {Object} profile - Digest profile (story count, topics, tone, extra prompt)
+   * @returns {Promise<{stories: Array<Object>, generatedBy: string}>} Validated
+   *   stories sorted by rank, and the provider/model that wrote them
+   * @throws {Error} If every provider fails or none returns a valid digest
+   */
+  async function summarizeWithLLM(content, items, profile) {
+    console.log('\n🤖 Generating summary with LLM...');
+
+    try {
+      // Craft the prompt with specific instructions for the AI
+      const prompt = buildDigestPrompt(content, profile);
+
+      const { result: stories, generatedBy } = await generateValidJson(prompt, 'digest', data => {
+        const validation = validateDigest(data, items, { maxStories: profile.storyCount });
+        return { result: validation.stories, errors: validation.errors };
+      });
+      console.log(`✓ Validated ${stories.length} stories against the digest schema`);
+      return { stories, generatedBy };
+    } catch (error) {
+      console.error('❌ Error during LLM summarization:', error.message);
+      if (error.response) {
+        console.error(`   Response data:`, error.response.data);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Sends a JSON prompt until the response passes validation
+   *
+   * If a response fails, the prompt is sent again together with the
+   * validation errors, up to `maxAttempts` times.
+   *
+   * @param {string} prompt - Full prompt text
+   * @param {string} label - What is being generated, for messages (e.g. "digest")
+   * @param {Function} validate - `(parsed JSON) → { result, errors }`
+   * @returns {Promise<{result: *, generatedBy: string}>} The validated result
+   *   and the provider/model that wrote it
+   * @throws {Error} If every provider fails or no response passes validation
+   */
+  async function generateValidJson(prompt, label, validate) {
+    let attemptPrompt = prompt;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      console.log(`   Sending prompt (attempt ${attempt}/${maxAttempts})...`);
+      const startTime = Date.now();
+
+      // Send the request through the provider fallback chain in JSON mode
+      const { text, provider } = await llm.generateWithFallback(providers, attemptPrompt, { json: true, timeout, retryPolicy });
+      const generatedBy = `${provider.name}/${provider.model}`;
+
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      console.log(`✓ Received response from ${generatedBy} (${duration}s)`);
+      console.log(`   Generated text length: ${text.length} characters`);
+
+      // VALIDATION: Parse the JSON and check it against the schema and the scraped items
+      let errors;
+      try {
+        const validation = validate(parseModelJson(text));
+        if (validation.errors.length === 0) {
+          return { result: validation.result, generatedBy };
+        }
+        errors = validation.errors;
+      } catch (parseError) {
+        errors = [`Response is not valid JSON: ${parseError.message}`];
+      }
+
+      console.warn(`⚠️  ${generatedBy} response failed validation (${errors.length} errors):`);
+      errors.slice(0, 5).forEach(error => console.warn(`   - ${error}`));
+
+      // Retry with the original prompt plus the list of problems to fix
+      attemptPrompt = `${prompt}
+Your previous response was rejected because of these problems:
+${errors.map(error => `- ${error}`).join('\n')}
+Return the corrected JSON object only.`;
+    }
+
+    throw new Error(`The LLM did not return a valid ${label} after ${maxAttempts} attempts`);
+  }
+
+  /**
+   * Writes a weekly or monthly roll-up from archived story timelines
+   *
+   * @param {Array<Object>} timelines - Timelines from buildTimelines(), biggest first
+   * @param {Object} period - Roll-up period (see ROLLUP_PERIODS)
+   * @param {Object} profile - Digest profile (topics, tone, extra prompt)
+   * @returns {Promise<{rollup: Object, generatedBy: string}>} Validated
+   *   roll-up and the provider/model that wrote it
+   * @throws {Error} If every provider fails or none returns a valid roll-up
+   */
+  async function summarizeRollup(timelines, period, profile) {
+    console.log(`\n🤖 Generating the ${period.name}ly roll-up with LLM...`);
+
+    try {
+      const shown = timelines.slice(0, rollups.MAX_TIMELINES_IN_PROMPT);
+      const prompt = `
+You are a high-signal tech and business news editor writing the "${period.label} in Tech" recap for busy leaders.
+Below is every story that appeared on Techmeme over the past ${period.days} days, grouped per story.
+Each entry shows how many days it stayed on Techmeme, how its related coverage grew day by day, and whether it made our daily digest.
+
+Write:
+- stories: the ${period.storyCount} biggest stories of the ${period.name}, ranked by real-world significance (business impact, market implications, AI and platform shifts), not by volume alone
+- themes: up to ${rollups.MAX_THEMES} recurring themes that connect several stories
+- companies: up to ${rollups.MAX_COMPANIES} companies mentioned most across the stories, with how many stories involved them
+- growing: up to ${rollups.MAX_GROWING} stories that grew over several days (more days on Techmeme, more related coverage), saying how they developed
+
+At least 50% of the biggest stories must be focused on business, startups, AI, or core technology trends
+Summaries should cover the whole ${period.name}, not a single day
+
+Output format:
+Return ONLY a JSON object with this shape (no markdown, no code fences, no extra keys):
+${rollups.ROLLUP_SCHEMA_DESCRIPTION}
+Use plain text only: no markdown, no asterisks, no links inside the text fields
+Every sourceUrl must be copied exactly from the URLs listed below
+${profiles.profileInstructions(profile)}
+Stories of the ${period.name}:
+${rollups.formatTimelinesForLLM(shown)}
+`;
+
+      const { result: rollup, generatedBy } = await generateValidJson(prompt, 'roll-up', data => {
+        const validation = rollups.validateRollup(data, shown, { maxStories: period.storyCount });
+        return { result: validation.rollup, errors: validation.errors };
+      });
+      console.log(`✓ Validated the roll-up: ${rollup.stories.length} stories, ${rollup.themes.length} themes, ${rollup.companies.length} companies, ${rollup.growing.length} growing stories`);
+      return { rollup, generatedBy };
+    } catch (error) {
+      console.error('❌ Error during roll-up summarization:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Writes a deeper explanation of one digest story
+   *
+   * The model only gets what was scraped for the story (headline, lede,
+   * publisher, related coverage and discussion) and is told not to go
+   * beyond it.
+   *
+   * @param {Object} story - Digest story (title, summary, whyItMatters, sourceUrl)
+   * @param {Object} item - The scraped item the story was written from
+   * @returns {Promise<{text: string, generatedBy: string}>} Slack mrkdwn
+   *   explanation and the provider/model that wrote it
+   * @throws {Error} If every provider fails
+   */
+  async function explainStory(story, item) {
+    console.log(`\n🔍 Explaining story: ${story.title}`);
+
+    try {
+      const related = (item.related || []).slice(0, MAX_RELATED_LINKS_IN_EXPLANATION);
+      const discussion = item.discussion || [];
+      const prompt = `
+You are a tech and business news analyst. A reader of our news digest asked for more detail on one story.
+
+Story as it appeared in the digest:
+Title: ${story.title}
+Summary: ${story.summary}
+Why it matters: ${story.whyItMatters}
+Source: ${story.sourceUrl}
+
+What was scraped about it:
+Headline and lede: ${item.text}
+${item.publisher ? `Published by: ${item.publisher}${item.author ? ` (${item.author})` : ''}\n` : ''}${related.length > 0 ? `Related coverage (${(item.related || []).length} articles): ${related.map(link => link.publisher).join(', ')}\n` : ''}${discussion.length > 0 ? `Discussion: ${discussionSummary(discussion)}\n` : ''}
+Instructions:
+Write three short paragraphs: what happened, the background, and what to watch next
+Only use facts from the material above; if something isn't covered, say so instead of guessing
+Use plain text; *bold* is the only formatting allowed
+Do not include links or headings
+`;
+
+      const { text, provider } = await llm.generateWithFallback(providers, prompt, { timeout, retryPolicy });
+      const generatedBy = `${provider.name}/${provider.model}`;
+      console.log(`✓ Received explanation from ${generatedBy} (${text.length} characters)`);
+      return { text: text.trim(), generatedBy };
+    } catch (error) {
+      console.error('❌ Error while explaining the story:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Answers a question asked in the thread of a posted digest
+   *
+   * When the question names a story, the model gets that story's scraped
+   * item, its related-coverage links and (if it could be fetched) the
+   * article text. Otherwise it gets every story of the digest and works
+   * out which one is meant. Either way it is told to stay within that
+   * material.
+   *
+   * @param {string} question - The reply posted in the thread
+   * @param {Object} context
+   * @param {Array<Object>} context.stories - Stored digest stories, each with its `item`
+   * @param {number|null} [context.storyNumber] - 1-based story the question names
+   * @param {string|null} [context.articleText] - Text of that story's article
+   * @returns {Promise<{text: string, generatedBy: string}>} Slack mrkdwn
+   *   answer and the provider/model that wrote it
+   * @throws {Error} If every provider fails
+   */
+  async function answerQuestion(question, { stories, storyNumber = null, articleText = null }) {
+    console.log(`\n💬 Answering a thread question${storyNumber ? ` about story ${storyNumber}` : ''}`);
+
+    try {
+      const story = storyNumber ? stories[storyNumber - 1] : null;
+      let material;
+      if (story) {
+        const item = story.item || {};
+        const related = (item.related || []).slice(0, MAX_RELATED_LINKS_IN_EXPLANATION);
+        const discussion = item.discussion || [];
+        material = `Story ${storyNumber} of the digest:
+Title: ${story.title}
+Summary: ${story.summary}
+Why it matters: ${story.whyItMatters}
+Source: ${story.sourceUrl}
+Headline and lede as scraped: ${item.text || story.title}
+${item.publisher ? `Published by: ${item.publisher}${item.author ? ` (${item.author})` : ''}\n` : ''}${related.length > 0 ? `Related coverage (${(item.related || []).length} articles):\n${related.map(link => `- ${link.publisher}: ${link.url}`).join('\n')}\n` : ''}${discussion.length > 0 ? `Discussion: ${discussionSummary(discussion)}\n` : ''}
+Article text:
+${articleText || '(the article could not be fetched; only the details above are known)'}`;
+      } else {
+        material = `The digest's stories:
+${stories.map((entry, index) => `${index + 1}. ${entry.title}
+   Summary: ${entry.summary}
+   Why it matters: ${entry.whyItMatters}
+   Source: ${entry.sourceUrl}${entry.item && entry.item.related && entry.item.related.length > 0 ? `\n   Related coverage: ${entry.item.related.slice(0, MAX_RELATED_LINKS_IN_PROMPT).map(link => link.publisher).join(', ')}` : ''}`).join('\n')}`;
+      }
+
+      const prompt = `
+You are a tech and business news analyst answering a reader's question in the Slack thread of our news digest.
+
+${material}
+
+Question:
+${question}
+
+Instructions:
+Answer in one to three short paragraphs
+Only use facts from the material above; if the answer isn't in it, say what is known and that the rest isn't covered instead of guessing
+${story ? '' : 'If the question is about one story, say which one (by number) first\n'}Use plain text; *bold* is the only formatting allowed
+Only include links copied exactly from the material above, and no headings
+`;
+
+      const { text, provider } = await llm.generateWithFallback(providers, prompt, { timeout, retryPolicy });
+      const generatedBy = `${provider.name}/${provider.model}`;
+      console.log(`✓ Received answer from ${generatedBy} (${text.length} characters)`);
+      return { text: text.trim(), generatedBy };
+    } catch (error) {
+      console.error('❌ Error while answering the question:', error.message);
+      throw error;
+    }
+  }
+
+  return {
+    formatContentForLLM,
+    summarizeWithLLM,
+    summarizeRollup,
+    explainStory,
+    answerQuestion
+  };
+}
+
+/**
+ * Counts discussion links per platform
+ *
+ * @param {Array<{platform: string}>} discussion - Discussion links
+ * @returns {string} e.g. "X (2), LinkedIn (1)"
+ */
+function discussionSummary(discussion) {
+  const platforms = {};
+  discussion.forEach(link => { platforms[link.platform] = (platforms[link.platform] || 0) + 1; });
+  return Object.entries(platforms).map(([platform, count]) => `${platform} (${count})`).join(', ');
+}
+
+/**
+ * Attaches each story's scraped item details used by the renderer
+ *
+ * Every story gets its Techmeme position, its related coverage count,
+ * whether it is a developing story from an earlier digest, and what its
+ * summary was grounded in: `'article'` when the model had an excerpt of
+ * the article, `'headline'` otherwise.
+ *
+ * @param {Array<Object>} stories - Validated stories (modified in place)
+ * @param {Array<Object>} items - The items the stories were picked from
+ * @returns {Array<Object>} The item behind each story, in story order
+ */
+function annotateStories(stories, items) {
+  const storyItems = stories.map(story => findItemByUrl(items, story.sourceUrl));
+  stories.forEach((story, index) => {
+    const item = storyItems[index];
+    story.techmemeRank = item.source === 'techmeme' ? item.rank : undefined;
+    story.relatedCount = item.relatedCount || 0;
+    story.developing = Boolean(item.history && item.history.status === 'developing');
+    story.grounding = item.article && item.article.text ? 'article' : 'headline';
+  });
+  return storyItems;
+}
+
+module.exports = {
+  buildDigestPrompt,
+  createSummarizer,
+  annotateStories
+};
@@ -0,0 +1,336 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 📈 TELEMETRY
+// ═══════════════════════════════════════════════════════════════════════════
+// Structured logs, per-stage metrics and ops alerts for one run of index.js.
+//
+// Every run has a run id (RUN_ID, e.g. set by the scheduler daemon, or a
+// generated one). With LOG_FORMAT=json, console output becomes one JSON
+// object per line, tagged with the run id and the current stage:
+//
+//   {"time":"...","level":"info","runId":"20260128T160000-1a2b3c4d","stage":"scrape","msg":"..."}
+//
+// Metrics are recorded by stage and logged as `"event":"metric"` lines:
+//   - scrape:  items per source, and whether the fallback selector was used
+//   - llm:     latency and token usage of every model call
+//   - slack:   size of every message posted
+//   - stage:   how long each stage took and whether it failed
+//
+// The run ends with a summary (`"event":"run"`), which is also what the
+// ops alert is built from: a short Slack message naming the failing stage,
+// or the warnings of a run that succeeded (such as Techmeme's markup
+// changing so the '.ii' selector finds nothing).
+// ═══════════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const util = require('util');
+const { escapeSlackText } = require('./slack-format');
+
+// Console methods and the log level they become
+const CONSOLE_LEVELS = { log: 'info', info: 'info', warn: 'warn', error: 'error' };
+
+// Lines made only of banner rules (or nothing) are dropped from JSON logs
+const DECORATION = /^[\s═─]*$/;
+
+// Longest error or warning quoted in an ops alert
+const MAX_ALERT_DETAIL = 300;
+
+// Most warnings listed in an ops alert
+const MAX_ALERT_WARNINGS = 5;
+
+/**
+ * Creates a run id: the UTC start time plus a random suffix
+ *
+ * @param {Date} [now=new Date()] - Start of the run
+ * @returns {string} Run id, e.g. "20260128T160000-1a2b3c4d"
+ */
+function createRunId(now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, '');
+  return `${stamp}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Shortens a message to fit an ops alert
+ *
+ * @param {string} text - Message
+ * @returns {string} First line, at most MAX_ALERT_DETAIL characters, escaped for Slack
+ */
+function truncate(text) {
+  const line = String(text || '').split('\n')[0];
+  return escapeSlackText(line.length > MAX_ALERT_DETAIL ? `${line.substring(0, MAX_ALERT_DETAIL - 1)}…` : line);
+}
+
+/**
+ * Creates the telemetry of one run
+ *
+ * @param {Object} [options]
+ * @param {string} [options.runId] - Run id (generated if missing)
+ * @param {boolean} [options.json=false] - Write console output and metrics
+ *   as JSON lines
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {Object} Telemetry with `stage()`, `record()`, `warn()`, `fail()`,
+ *   `wrapProvider()`, `summary()` and `logSummary()`
+ */
+function createTelemetry({ runId = createRunId(), json = false, now = () => new Date() } = {}) {
+  const startedAt = now();
+  const metrics = [];
+  const warnings = [];
+  const failures = [];
+  let currentStage = null;
+
+  /**
+   * Writes one JSON log line to stdout (info) or stderr (warn, error)
+   *
+   * @param {string} level - Log level
+   * @param {Object} fields - Fields after the time, level, run id and stage
+   */
+  function writeLine(level, fields) {
+    const line = JSON.stringify({ time: now().toISOString(), level, runId, stage: currentStage, ...fields });
+    (level === 'info' ? process.stdout : process.stderr).write(`${line}\n`);
+  }
+
+  // JSON mode: every console call in the process becomes a log line
+  if (json) {
+    Object.keys(CONSOLE_LEVELS).forEach(method => {
+      console[method] = (...args) => {
+        const msg = util.format(...args).trim();
+        if (DECORATION.test(msg)) return;
+        writeLine(CONSOLE_LEVELS[method], { msg });
+      };
+    });
+  }
+
+  const telemetry = {
+    runId,
+    json,
+
+    /**
+     * The stage the run is in, if any
+     *
+     * @returns {string|null} Stage name
+     */
+    get currentStage() {
+      return currentStage;
+    },
+
+    /**
+     * Runs one stage of the workflow, timing it
+     *
+     * An error thrown by the stage is tagged with its name (`error.stage`)
+     * unless a nested stage already tagged it.
+     *
+     * @param {string} name - Stage name, e.g. "scrape" or "summarize"
+     * @param {Function} fn - Async work of the stage
+     * @param {Object} [fields] - Extra fields for the stage metric (e.g. the profile)
+     * @returns {Promise<*>} What `fn` returned
+     * @throws {Error} Whatever `fn` threw
+     */
+    async stage(name, fn, fields = {}) {
+      const previous = currentStage;
+      const started = Date.now();
+      currentStage = name;
+      try {
+        const result = await fn();
+        telemetry.record('stage', { ...fields, durationMs: Date.now() - started, ok: true });
+        return result;
+      } catch (error) {
+        if (!error.stage) error.stage = name;
+        telemetry.record('stage', { ...fields, durationMs: Date.now() - started, ok: false, error: error.message });
+        throw error;
+      } finally {
+        currentStage = previous;
+      }
+    },
+
+    /**
+     * Records a metric
+     *
+     * @param {string} kind - Metric kind: "scrape", "llm", "slack" or "stage"
+     * @param {Object} fields - Metric values
+     */
+    record(kind, fields) {
+      const metric = { kind, stage: currentStage, ...fields };
+      metrics.push(metric);
+      if (json) {
+        writeLine('info', { event: 'metric', ...metric });
+      }
+    },
+
+    /**
+     * Records a warning worth telling the ops channel about, and logs it
+     *
+     * @param {string} message - What went wrong
+     * @param {Object} [fields] - Extra fields
+     */
+    warn(message, fields = {}) {
+      warnings.push({ stage: currentStage, message, ...fields });
+      console.warn(`⚠️  ${message}`);
+    },
+
+    /**
+     * Records a failure, e.g. a digest profile that couldn't be posted
+     *
+     * @param {Error} error - The error, tagged with its stage by stage()
+     * @param {Object} [fields] - Extra fields (e.g. the profile)
+     */
+    fail(error, fields = {}) {
+      failures.push({ stage: error.stage || currentStage || 'unknown', message: error.message, ...fields });
+    },
+
+    /**
+     * Wraps an LLM provider so every call's latency and token usage is recorded
+     *
+     * @param {Object} provider - Provider from lib/llm
+     * @returns {Object} Provider with the same interface
+     */
+    wrapProvider(provider) {
+      return {
+        ...provider,
+        async generate(prompt, options) {
+          const started = Date.now();
+          try {
+            const response = await provider.generate(prompt, options);
+            const usage = response.usage || {};
+            telemetry.record('llm', {
+              provider: provider.name,
+              model: provider.model,
+              latencyMs: Date.now() - started,
+              inputTokens: usage.inputTokens || 0,
+              outputTokens: usage.outputTokens || 0,
+              ok: true
+            });
+            return response;
+          } catch (error) {
+            telemetry.record('llm', {
+              provider: provider.name,
+              model: provider.model,
+              latencyMs: Date.now() - started,
+              ok: false,
+              error: error.message
+            });
+            throw error;
+          }
+        }
+      };
+    },
+
+    /**
+     * Summarizes the run
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.ok=true] - Whether the run succeeded
+     * @returns {Object} Run id, status, duration, metrics by kind, totals,
+     *   warnings and failures
+     */
+    summary({ ok = true } = {}) {
+      const ofKind = kind => metrics.filter(metric => metric.kind === kind);
+      const llmCalls = ofKind('llm');
+      const slackMessages = ofKind('slack');
+      return {
+        runId,
+        status: ok ? 'succeeded' : 'failed',
+        startedAt: startedAt.toISOString(),
+        durationMs: now().getTime() - startedAt.getTime(),
+        stages: ofKind('stage'),
+        scrape: ofKind('scrape'),
+        llm: llmCalls,
+        slack: slackMessages,
+        totals: {
+          scrapedItems: ofKind('scrape').reduce((sum, metric) => sum + metric.items, 0),
+          llmCalls: llmCalls.length,
+          llmLatencyMs: llmCalls.reduce((sum, metric) => sum + metric.latencyMs, 0),
+          inputTokens: llmCalls.reduce((sum, metric) => sum + (metric.inputTokens || 0), 0),
+          outputTokens: llmCalls.reduce((sum, metric) => sum + (metric.outputTokens || 0), 0),
+          slackMessages: slackMessages.length,
+          slackBytes: slackMessages.reduce((sum, metric) => sum + metric.bytes, 0)
+        },
+        warnings: warnings.slice(),
+        failures: failures.slice()
+      };
+    },
+
+    /**
+     * Logs the run summary: one JSON line, or a few lines of text
+     *
+     * @param {Object} summary - From summary()
+     */
+    logSummary(summary) {
+      if (json) {
+        writeLine(summary.status === 'succeeded' ? 'info' : 'error', { event: 'run', ...summary });
+        return;
+      }
+      formatSummary(summary).forEach(line => console.log(line));
+    }
+  };
+
+  return telemetry;
+}
+
+/**
+ * Formats a run summary for the terminal
+ *
+ * @param {Object} summary - Summary from telemetry.summary()
+ * @returns {string[]} Lines
+ */
+function formatSummary(summary) {
+  const { totals } = summary;
+  const lines = [`📊 Run ${summary.runId}`];
+  summary.scrape.forEach(metric => {
+    const fallback = metric.usedFallback ? ', fallback selector' : '';
+    const stale = metric.stale ? ', stale snapshot' : '';
+    lines.push(`   scrape  ${metric.source}: ${metric.items} items${fallback}${stale}`);
+  });
+  if (totals.llmCalls > 0) {
+    lines.push(`   llm     ${totals.llmCalls} call(s), ${(totals.llmLatencyMs / 1000).toFixed(1)}s, ${totals.inputTokens} input / ${totals.outputTokens} output tokens`);
+  }
+  if (totals.slackMessages > 0) {
+    lines.push(`   slack   ${totals.slackMessages} message(s), ${(totals.slackBytes / 1024).toFixed(1)} KB`);
+  }
+  return lines;
+}
+
+/**
+ * Renders the ops alert of a run that failed or has warnings
+ *
+ * @param {Object} summary - Summary from telemetry.summary()
+ * @param {Object} [options]
+ * @param {string} [options.task='Techmeme digest'] - What the run was doing
+ * @returns {{text: string, blocks: Array<Object>}|null} Slack message, or
+ *   null when there's nothing to report
+ */
+function renderOpsAlert(summary, { task = 'Techmeme digest' } = {}) {
+  const failed = summary.status !== 'succeeded';
+  if (!failed && summary.warnings.length === 0) {
+    return null;
+  }
+
+  const lines = [];
+  if (failed) {
+    const stages = [...new Set(summary.failures.map(failure => failure.stage))];
+    lines.push(`❌ *${task} failed* at stage ${stages.map(stage => `\`${stage}\``).join(', ') || '`unknown`'}`);
+    summary.failures.forEach(failure => {
+      lines.push(`• ${failure.profile ? `${failure.profile}: ` : ''}${truncate(failure.message)}`);
+    });
+  } else {
+    lines.push(`⚠️ *${task} finished with ${summary.warnings.length} warning(s)*`);
+  }
+  summary.warnings.slice(0, MAX_ALERT_WARNINGS).forEach(warning => {
+    lines.push(`⚠️ ${warning.stage ? `\`${warning.stage}\` ` : ''}${truncate(warning.message)}`);
+  });
+
+  const text = lines.join('\n');
+  const details = `Run ${summary.runId} · ${(summary.durationMs / 1000).toFixed(1)}s`;
+  return {
+    text: `${text}\n${details}`,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: details }] }
+    ]
+  };
+}
+
+module.exports = {
+  createRunId,
+  createTelemetry,
+  formatSummary,
+  renderOpsAlert
+};
@@ -1,113 +1,108 @@
 // ═══════════════════════════════════════════════════════════════════════════
-// 🔍 GEMINI MODELS LISTER
+// 🔍 LLM MODELS LISTER
 // ═══════════════════════════════════════════════════════════════════════════
-// This utility script fetches and displays all available Google Gemini models
-// from the API, including their capabilities, token limits, and supported methods.
-// 
-// Usage: node list-models.js
+// This utility script fetches and displays the models available from every
+// configured LLM provider (Gemini, OpenAI-compatible endpoints, Ollama),
+// including their capabilities and token limits where the provider reports them.
+//
+// Usage: node list-models.js [provider...]
+//   e.g. node list-models.js            → every provider in LLM_PROVIDERS
+//        node list-models.js ollama     → only the Ollama server
 // ═══════════════════════════════════════════════════════════════════════════
 
 // Load environment variables
 require('dotenv').config();
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-
-// Get API key from environment
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-
-// Validate API key is present
-if (!GEMINI_API_KEY) {
-  console.error('❌ Error: GEMINI_API_KEY not found in .env file');
-  console.error('   Please add your API key to the .env file');
-  process.exit(1);
-}
-
-console.log('✓ API key loaded successfully\n');
-
-// Initialize the Gemini client
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
+const llm = require('./lib/llm');
 
 /**
- * Fetches and displays all available Gemini AI models
- * 
- * Makes a direct REST API call to Google's generativelanguage API
- * to retrieve the full catalog of available models with their specifications.
- * 
- * @throws {Error} If the API request fails
+ * Prints the model catalog of a single provider
+ *
+ * @param {Object} provider - Provider from loadProviders()
+ * @returns {Promise<boolean>} Whether the catalog could be fetched
  */
-async function listAvailableModels() {
+async function listProviderModels(provider) {
   console.log('═══════════════════════════════════════════════════════════════════════════');
-  console.log('📋 FETCHING AVAILABLE GEMINI MODELS');
+  console.log(`📋 FETCHING MODELS FROM ${provider.name.toUpperCase()} (configured model: ${provider.model})`);
   console.log('═══════════════════════════════════════════════════════════════════════════\n');
-  
+
   try {
-    console.log('🔍 Querying Google Generative Language API...');
-    
-    // Make direct REST API call to fetch models catalog
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models?key=${GEMINI_API_KEY}`
-    );
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    const models = data.models || [];
-    
-    console.log(`✓ Successfully retrieved model catalog\n`);
-    console.log('═══════════════════════════════════════════════════════════════════════════');
-    
+    const models = await provider.listModels();
+
     console.log(`📦 FOUND ${models.length} MODELS`);
-    console.log('═══════════════════════════════════════════════════════════════════════════\n');
-    
+
     // Display detailed information for each model
     models.forEach((model, index) => {
-      console.log(`\n${index + 1}. ${model.name}`);
+      const marker = model.name === provider.model ? '  ← configured' : '';
+      console.log(`\n${index + 1}. ${model.name}${marker}`);
       console.log('─'.repeat(75));
-      console.log(`   📝 Display Name: ${model.displayName}`);
-      console.log(`   📖 Description: ${model.description}`);
-      console.log(`   ⚙️  Supported Methods: ${model.supportedGenerationMethods.join(', ')}`);
-      console.log(`   📊 Input Token Limit: ${model.inputTokenLimit?.toLocaleString() || 'N/A'}`);
-      console.log(`   📊 Output Token Limit: ${model.outputTokenLimit?.toLocaleString() || 'N/A'}`);
+      console.log(`   📝 Display Name: ${model.displayName || model.name}`);
+      if (model.description) {
+        console.log(`   📖 Description: ${model.description}`);
+      }
+      console.log(`   ⚙️  Can generate content: ${model.canGenerate ? 'yes' : 'no'}`);
+      if (model.inputTokenLimit || model.outputTokenLimit) {
+        console.log(`   📊 Input Token Limit: ${model.inputTokenLimit?.toLocaleString() || 'N/A'}`);
+        console.log(`   📊 Output Token Limit: ${model.outputTokenLimit?.toLocaleString() || 'N/A'}`);
+      }
     });
-    
-    console.log('\n' + '═'.repeat(75));
-    
-    console.log('\n═══════════════════════════════════════════════════════════════════════════');
-    console.log('✨ MODELS SUPPORTING generateContent() METHOD');
-    console.log('═══════════════════════════════════════════════════════════════════════════');
-    console.log('These models can be used with the Gemini generateContent API\n');
-    
-    // Filter models that support the generateContent method (what we use)
-    const contentGenerationModels = models.filter(m => 
-      m.supportedGenerationMethods.includes('generateContent')
-    );
-    
-    if (contentGenerationModels.length === 0) {
-      console.log('⚠️  No models found with generateContent support');
-    } else {
-      contentGenerationModels.forEach((model, index) => {
-        console.log(`   ${index + 1}. ${model.name}`);
-        console.log(`      └─ ${model.displayName}`);
-      });
+
+    const generationModels = models.filter(m => m.canGenerate);
+    if (!models.some(m => m.name === provider.model)) {
+      console.log(`\n⚠️  The configured model "${provider.model}" was not found in this catalog`);
     }
-    
-    console.log('\n═══════════════════════════════════════════════════════════════════════════');
-    console.log(`✅ COMPLETED - Listed ${models.length} total models (${contentGenerationModels.length} support generateContent)`);
-    console.log('═══════════════════════════════════════════════════════════════════════════\n');
-    
+
+    console.log(`\n✅ ${provider.name}: ${models.length} total models (${generationModels.length} can generate content)\n`);
+    return true;
   } catch (error) {
-    console.error('\n═══════════════════════════════════════════════════════════════════════════');
-    console.error('❌ ERROR FETCHING MODELS');
-    console.error('═══════════════════════════════════════════════════════════════════════════');
+    console.error(`❌ ERROR FETCHING MODELS FROM ${provider.name.toUpperCase()}`);
     console.error('Error message:', error.message);
     if (error.response) {
       console.error('Response status:', error.response.status);
       console.error('Response data:', error.response.data);
     }
-    console.error('\nFull error:');
-    console.error(error);
-    console.error('═══════════════════════════════════════════════════════════════════════════\n');
+    console.error('');
+    return false;
+  }
+}
+
+/**
+ * Lists the models of every configured provider (or only those named on
+ * the command line)
+ */
+async function listAvailableModels() {
+  let providers;
+  try {
+    providers = llm.loadProviders();
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const requested = process.argv.slice(2).map(name => name.toLowerCase());
+  if (requested.length > 0) {
+    providers = providers.filter(provider => requested.includes(provider.name));
+  }
+
+  if (providers.length === 0) {
+    console.error('❌ Error: No matching LLM provider is configured');
+    console.error('   Set GEMINI_API_KEY, or configure providers in LLM_PROVIDERS in your .env file');
+    process.exit(1);
+  }
+
+  console.log(`✓ Providers to query: ${providers.map(provider => provider.name).join(', ')}\n`);
+
+  let failures = 0;
+  for (const provider of providers) {
+    const ok = await listProviderModels(provider);
+    if (!ok) failures++;
+  }
+
+  console.log('═══════════════════════════════════════════════════════════════════════════');
+  console.log(`✅ COMPLETED - Queried ${providers.length} provider(s), ${failures} failed`);
+  console.log('═══════════════════════════════════════════════════════════════════════════\n');
+
+  if (failures > 0) {
+    process.exitCode = 1;
   }
 }
 
@@ -0,0 +1,177 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🗓️  TECHMEME SCHEDULER DAEMON
+// ═══════════════════════════════════════════════════════════════════════════
+// A long-running alternative to the GitHub Actions cron and the crontab:
+// runs index.js on its own schedules, each a cron expression in an IANA
+// time zone (so 8 AM stays 8 AM through daylight saving changes).
+//
+//   node scheduler.js             Run the schedules until stopped
+//   node scheduler.js --list      Show the schedules and their next runs
+//   node scheduler.js --runs      Query the run log
+//
+// Each run is a separate `node index.js <args>` process, so a crash or a
+// leak in one run can't take the scheduler down. Runs never overlap, runs
+// missed while the host was down are caught up, and every run is recorded
+// in the run log (see lib/scheduler and lib/run-log).
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+const { spawn } = require('child_process');
+const path = require('path');
+const { SCHEDULER_USAGE, parseSchedulerArgs } = require('./lib/cli');
+const { loadSchedules, createScheduler, DEFAULT_CATCH_UP_HOURS, DEFAULT_TIMEOUT_MINUTES } = require('./lib/scheduler');
+const { queryRuns, formatRuns } = require('./lib/run-log');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// COMMAND-LINE OPTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+let cliOptions;
+try {
+  cliOptions = parseSchedulerArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ Error: ${error.message}\n`);
+  console.error(SCHEDULER_USAGE);
+  process.exit(1);
+}
+if (cliOptions.help) {
+  console.log(SCHEDULER_USAGE);
+  process.exit(0);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Schedules (see schedules.example.json); without the file, the daily
+// digest runs at 8 AM in SCHEDULE_TIMEZONE
+const SCHEDULES_FILE = process.env.SCHEDULES_FILE || path.join(__dirname, 'schedules.json');
+const SCHEDULE_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'UTC';
+
+// Every run the scheduler starts or skips
+const RUN_LOG_FILE = process.env.RUN_LOG_FILE || path.join(__dirname, 'data', 'run-log.json');
+
+// How late a missed run may still be started, and how long a run may take
+const CATCH_UP_HOURS = Number(process.env.CATCH_UP_HOURS) || DEFAULT_CATCH_UP_HOURS;
+const RUN_TIMEOUT_MINUTES = Number(process.env.RUN_TIMEOUT_MINUTES) || DEFAULT_TIMEOUT_MINUTES;
+
+// A run that ignores SIGTERM after timing out is killed after this long
+const KILL_GRACE_MS = 10 * 1000;
+
+const INDEX_JS = path.join(__dirname, 'index.js');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RUN LOG QUERIES
+// ═══════════════════════════════════════════════════════════════════════════
+if (cliOptions.runs) {
+  const runs = queryRuns(RUN_LOG_FILE, { schedule: cliOptions.schedule, status: cliOptions.status, limit: cliOptions.limit });
+  console.log(formatRuns(runs));
+  process.exit(0);
+}
+
+let schedules;
+try {
+  schedules = loadSchedules(SCHEDULES_FILE, { timezone: SCHEDULE_TIMEZONE, timeoutMinutes: RUN_TIMEOUT_MINUTES });
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CORE FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// The index.js process of the current run, if any
+let currentChild = null;
+
+/**
+ * Runs index.js with a schedule's arguments
+ *
+ * Output goes straight to the scheduler's own output. A run that takes
+ * longer than its timeout is stopped. The run's id in the run log becomes
+ * its RUN_ID, so its logs and ops alerts can be matched with the run log.
+ *
+ * @param {Object} schedule - Schedule from loadSchedules()
+ * @param {Object} options
+ * @param {string} options.runId - Id of the run in the run log
+ * @returns {Promise<{exitCode: number, error?: string}>} How the run ended
+ */
+function runIndex(schedule, { runId }) {
+  return new Promise(resolve => {
+    const child = spawn(process.execPath, [INDEX_JS, ...schedule.args], {
+      cwd: __dirname,
+      stdio: 'inherit',
+      env: { ...process.env, RUN_ID: runId }
+    });
+    currentChild = child;
+    let timedOut = false;
+    let killTimer = null;
+
+    const timeout = setTimeout(() => {
+      timedOut = true;
+      console.error(`❌ ${schedule.name} is still running after ${schedule.timeoutMinutes} minutes, stopping it`);
+      child.kill('SIGTERM');
+      killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS);
+    }, schedule.timeoutMinutes * 60 * 1000);
+
+    const finish = result => {
+      clearTimeout(timeout);
+      clearTimeout(killTimer);
+      currentChild = null;
+      resolve(result);
+    };
+
+    child.once('error', error => finish({ exitCode: -1, error: `Could not start index.js: ${error.message}` }));
+    child.once('exit', (code, signal) => {
+      if (timedOut) {
+        finish({ exitCode: code === null ? -1 : code, error: `Timed out after ${schedule.timeoutMinutes} minutes` });
+      } else if (signal) {
+        finish({ exitCode: -1, error: `Stopped by ${signal}` });
+      } else {
+        finish({ exitCode: code });
+      }
+    });
+  });
+}
+
+const scheduler = createScheduler({
+  schedules,
+  runLogFile: RUN_LOG_FILE,
+  runTask: runIndex,
+  catchUpHours: CATCH_UP_HOURS
+});
+
+/**
+ * Prints every schedule with its next run
+ */
+function printSchedules() {
+  scheduler.upcoming().forEach(({ schedule, next }) => {
+    const args = schedule.args.length > 0 ? ` ${schedule.args.join(' ')}` : '';
+    console.log(`   ${schedule.name.padEnd(20)} ${schedule.cron.expression.padEnd(16)} ${schedule.timezone.padEnd(22)} next: ${next ? next.toISOString() : 'never'}   (index.js${args})`);
+  });
+}
+
+if (cliOptions.list) {
+  printSchedules();
+  process.exit(0);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// START THE SCHEDULER
+// ═══════════════════════════════════════════════════════════════════════════
+console.log(`✅ Scheduler started with ${schedules.length} schedule(s):`);
+printSchedules();
+scheduler.start();
+
+// Let the current run finish being recorded before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, async () => {
+    console.log(`\n👋 ${signal} received, shutting down...`);
+    if (currentChild) {
+      currentChild.kill('SIGTERM');
+    }
+    await scheduler.stop();
+    process.exit(0);
+  });
+});
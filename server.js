@@ -0,0 +1,739 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🛰️  TECHMEME SLASH COMMAND SERVER
+// ═══════════════════════════════════════════════════════════════════════════
+// Serves on-demand digests in Slack through the /techmeme slash command:
+//
+//   /techmeme now              A fresh digest of the top stories
+//   /techmeme top 5 ai         The top 5 stories about a topic
+//   /techmeme explain 3        A deeper look at story 3 of the last digest
+//   /techmeme subscribe ai     A personal daily digest by DM (see below)
+//
+// Digests are shown only to the person who asked (ephemeral). Explanations
+// are posted in the thread of the channel's last posted digest, or shown
+// ephemerally when that digest was itself on demand.
+//
+// Personal subscriptions (lib/subscriptions): people pick their topics,
+// story count, delivery time and time zone with /techmeme subscribe and
+// /techmeme set, and companies to watch with /techmeme watch. Every minute
+// the server DMs the digests that are due, built from one shared scrape,
+// and every WATCH_INTERVAL_MINUTES it DMs watchers when a watched company
+// appears in a Techmeme headline. The App Home tab shows the settings.
+//
+// With the Events API enabled, replies in the thread of a posted digest
+// ("what's the competitive angle on #3?") get an answer in the thread,
+// grounded in the story's scraped item, related coverage and article text.
+//
+// Run `node server.js --help` for options, and see the README for the
+// Slack app setup.
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+const { WebClient } = require('@slack/web-api');
+const path = require('path');
+const llm = require('./lib/llm');
+const newsSources = require('./lib/sources');
+const { digestSources } = require('./lib/publishers/format');
+const { renderSlackBlocks, escapeSlackText, staleNotice } = require('./lib/slack-format');
+const { createSummarizer, annotateStories } = require('./lib/summarizer');
+const { saveLastDigest, loadLastDigest, loadDigestThread } = require('./lib/last-digest');
+const { createSlackServer, parseSlashCommand, parseStoryReference } = require('./lib/slack-server');
+const articles = require('./lib/articles');
+const subscriptions = require('./lib/subscriptions');
+const { SERVER_USAGE, parseServerArgs } = require('./lib/cli');
+const { createReplayProvider } = require('./lib/llm/replay');
+const profiles = require('./lib/profiles');
+const { loadRetryPolicy, withRetry } = require('./lib/retry');
+const snapshotCache = require('./lib/snapshots');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// COMMAND-LINE OPTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+let cliOptions;
+try {
+  cliOptions = parseServerArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ Error: ${error.message}\n`);
+  console.error(SERVER_USAGE);
+  process.exit(1);
+}
+if (cliOptions.help) {
+  console.log(SERVER_USAGE);
+  process.exit(0);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+// HTTP port Slack sends requests to (0 picks a free port)
+const PORT = cliOptions.port !== undefined ? cliOptions.port : Number(process.env.PORT) || 3000;
+
+// Slack app credentials: the signing secret authenticates incoming requests,
+// the bot token (optional) lets explanations and answers be posted in
+// digest threads and personal digests be sent by DM
+const SLACK_SIGNING_SECRET = process.env.SLACK_SIGNING_SECRET;
+const SLACK_TOKEN = process.env.SLACK_BOT_TOKEN;
+
+// Slack Web API base URL (only changed to point the server at a fake Slack)
+const SLACK_API_URL = process.env.SLACK_API_URL || undefined;
+
+// Retry policy and per-stage timeouts, shared with the daily digest (see lib/retry)
+const RETRY_POLICY = loadRetryPolicy();
+const FETCH_TIMEOUT_MS = Number(process.env.FETCH_TIMEOUT_MS) || 15000;
+const SLACK_TIMEOUT_MS = Number(process.env.SLACK_TIMEOUT_MS) || 10000;
+
+// Last good page of every River site, shared with the daily digest (see lib/snapshots)
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(__dirname, 'data', 'snapshots');
+const SNAPSHOT_MAX_AGE_HOURS = Number(process.env.SNAPSHOT_MAX_AGE_HOURS) || snapshotCache.DEFAULT_MAX_AGE_HOURS;
+
+// Article stage, shared with the daily digest (see lib/articles). Thread
+// answers always read the article; on-demand digests only with FETCH_ARTICLES.
+const FETCH_ARTICLES = process.env.FETCH_ARTICLES === 'true';
+const ARTICLE_CONCURRENCY = Number(process.env.ARTICLE_CONCURRENCY) || articles.DEFAULT_CONCURRENCY;
+const ARTICLE_MAX_COUNT = Number(process.env.ARTICLE_MAX_COUNT) || articles.DEFAULT_MAX_ARTICLES;
+const ARTICLE_MAX_TOKENS = Number(process.env.ARTICLE_MAX_TOKENS) || articles.DEFAULT_MAX_TOKENS;
+
+// LLM configuration, shared with the daily digest
+const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || llm.DEFAULT_TIMEOUT_MS;
+const MAX_SUMMARY_ATTEMPTS = Number(process.env.MAX_SUMMARY_ATTEMPTS) || 3;
+
+// Latest digest per channel and per user, written by both the daily run and this server
+const LAST_DIGEST_FILE = process.env.LAST_DIGEST_FILE || path.join(__dirname, 'data', 'last-digest.json');
+
+// Commands arriving within this window share one scrape instead of hitting Techmeme each time
+const SCRAPE_CACHE_MS = (Number(process.env.SCRAPE_CACHE_MINUTES) || 10) * 60 * 1000;
+
+// Personal DM digests and company watch alerts (see lib/subscriptions).
+// Due digests are checked every minute, watch lists every WATCH_INTERVAL_MINUTES.
+const SUBSCRIPTIONS_FILE = process.env.SUBSCRIPTIONS_FILE || path.join(__dirname, 'data', 'subscriptions.json');
+const SUBSCRIPTION_CHECK_MS = 60 * 1000;
+const WATCH_INTERVAL_MS = (Number(process.env.WATCH_INTERVAL_MINUTES) || 15) * 60 * 1000;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ENVIRONMENT VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════
+if (!SLACK_SIGNING_SECRET) {
+  console.error('❌ Error: Missing required environment variables!');
+  console.error('   Please check your .env file and ensure the following are set:');
+  console.error('   - SLACK_SIGNING_SECRET');
+  process.exit(1);
+}
+
+// Build the LLM fallback chain - a recorded response (--llm-fixture) replaces every provider
+let llmProviders;
+try {
+  llmProviders = cliOptions.llmFixture
+    ? [createReplayProvider({ file: cliOptions.llmFixture })]
+    : llm.loadProviders();
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+}
+if (llmProviders.length === 0) {
+  console.error('❌ Error: No LLM provider is configured!');
+  console.error('   Set GEMINI_API_KEY, or configure another provider in LLM_PROVIDERS');
+  process.exit(1);
+}
+
+// Build the news source adapters (see lib/sources)
+let sources;
+try {
+  sources = newsSources.loadSources(process.env, {
+    fixture: cliOptions.fixture,
+    snapshots: snapshotCache.createSnapshotCache(SNAPSHOT_DIR, { maxAgeHours: SNAPSHOT_MAX_AGE_HOURS }),
+    timeout: FETCH_TIMEOUT_MS,
+    retryPolicy: RETRY_POLICY
+  });
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+}
+if (sources.length === 0) {
+  console.error('❌ Error: No news source is configured! Check SOURCES in your .env file');
+  process.exit(1);
+}
+
+console.log('✓ Environment variables validated successfully');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// INITIALIZE API CLIENTS
+// ═══════════════════════════════════════════════════════════════════════════
+console.log(`✓ LLM providers initialized: ${llmProviders.map(provider => `${provider.name} (${provider.model})`).join(' → ')}`);
+console.log(`✓ News sources: ${sources.map(source => source.label).join(', ')}`);
+
+const summarizer = createSummarizer({
+  providers: llmProviders,
+  timeout: LLM_TIMEOUT_MS,
+  maxAttempts: MAX_SUMMARY_ATTEMPTS,
+  retryPolicy: RETRY_POLICY,
+  sourceLabel: name => (sources.find(source => source.name === name) || { label: name }).label
+});
+
+const articleFetcher = articles.createArticleFetcher({
+  concurrency: ARTICLE_CONCURRENCY,
+  maxArticles: ARTICLE_MAX_COUNT,
+  maxTokens: ARTICLE_MAX_TOKENS,
+  timeout: FETCH_TIMEOUT_MS,
+  retryPolicy: RETRY_POLICY,
+  cacheMs: SCRAPE_CACHE_MS
+});
+
+// Without a bot token, explanations are always shown ephemerally and
+// thread replies go unanswered
+const slackClient = SLACK_TOKEN
+  ? new WebClient(SLACK_TOKEN, {
+    slackApiUrl: SLACK_API_URL,
+    timeout: SLACK_TIMEOUT_MS,
+    retryConfig: { retries: 0 },
+    rejectRateLimitedCalls: true
+  })
+  : null;
+console.log(slackClient
+  ? '✓ Slack client initialized (explanations and answers go to digest threads)'
+  : '⚠️  SLACK_BOT_TOKEN is not set: explanations will only be shown to the requester, thread replies won\'t be answered and DM digests are off');
+
+const subscriptionStore = subscriptions.createSubscriptionStore(SUBSCRIPTIONS_FILE);
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CORE FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// The latest scrape, shared by commands within SCRAPE_CACHE_MS
+let scrapeCache = null;
+
+/**
+ * Returns the merged items of a recent scrape, fetching a new one if needed
+ *
+ * Concurrent commands wait for the same scrape rather than starting their own.
+ *
+ * @returns {Promise<Array<Object>>} Merged items from every source
+ * @throws {Error} If no source returned anything
+ */
+async function fetchItems() {
+  if (!scrapeCache || Date.now() - scrapeCache.fetchedAt > SCRAPE_CACHE_MS) {
+    const fetching = newsSources.fetchAllSources(sources).then(items => {
+      if (items.length === 0) {
+        throw new Error('No items fetched from any source');
+      }
+      return items;
+    });
+    scrapeCache = { fetchedAt: Date.now(), items: fetching };
+    fetching.catch(() => {
+      if (scrapeCache && scrapeCache.items === fetching) scrapeCache = null;
+    });
+  }
+  return scrapeCache.items;
+}
+
+/**
+ * Links the sites a digest's stories were found on, for its footer
+ *
+ * @param {Array<Object>} storyItems - The item behind each story
+ * @returns {string} Slack mrkdwn links, e.g. "<https://techmeme.com/|techmeme.com>"
+ */
+function sourceLinks(storyItems) {
+  const urls = sources
+    .filter(source => storyItems.some(item => (item.sources || [item.source]).includes(source.name)))
+    .map(source => source.url);
+  return digestSources({ sources: urls }).map(site => `<${site.url}|${site.name}>`).join(', ');
+}
+
+/**
+ * Builds an on-demand digest for a slash command and replies ephemerally
+ *
+ * No digest history applies: the requester gets today's top stories even
+ * if they were already in the daily digest.
+ *
+ * @param {Object} command - Slash command from lib/slack-server
+ * @param {Object} request
+ * @param {number} request.count - Number of stories
+ * @param {string[]} request.topics - Topics to keep (empty for all)
+ * @param {Function} respond - Sends a reply through the response_url
+ * @returns {Promise<void>}
+ */
+async function replyWithDigest(command, { count, topics }, respond) {
+  const profile = {
+    name: 'on-demand',
+    channel: command.channelId,
+    includeTopics: topics,
+    excludeTopics: [],
+    storyCount: count
+  };
+
+  try {
+    let items = profiles.filterItemsForProfile(await fetchItems(), profile);
+    if (items.length === 0) {
+      await respond({ response_type: 'ephemeral', text: `ℹ️  No stories about ${topics.join(', ')} on Techmeme right now.` });
+      return;
+    }
+    if (FETCH_ARTICLES) {
+      items = await articleFetcher.addArticles(items);
+    }
+
+    const { stories, generatedBy } = await summarizer.summarizeWithLLM(summarizer.formatContentForLLM(items), items, profile);
+    const staleSince = newsSources.staleSince(items);
+    const storyItems = annotateStories(stories, items);
+
+    const title = topics.length > 0
+      ? `Techmeme Top ${stories.length}: ${topics.join(', ')}`
+      : `Techmeme Top ${stories.length} Right Now`;
+    const messages = renderSlackBlocks(stories, {
+      title,
+      date: new Date().toLocaleString('en-US', { dateStyle: 'full', timeStyle: 'short' }),
+      footer: `Summarized by ${generatedBy} from ${sourceLinks(storyItems)} • \`/techmeme explain <n>\` for more on a story`,
+      notice: staleSince ? staleNotice(staleSince) : undefined
+    });
+    for (const message of messages) {
+      await respond({ response_type: 'ephemeral', text: message.text, blocks: message.blocks });
+    }
+
+    saveLastDigest(LAST_DIGEST_FILE, { channel: command.channelId, user: command.userId, stories, items: storyItems });
+    console.log(`✓ Sent a ${stories.length}-story digest to ${command.userId}`);
+  } catch (error) {
+    console.error(`❌ On-demand digest failed: ${error.message}`);
+    await respond({ response_type: 'ephemeral', text: `❌ Could not build the digest: ${error.message}` });
+  }
+}
+
+/**
+ * Explains one story of the last digest the requester saw
+ *
+ * The explanation goes into the thread of the digest message when there is
+ * one, so the whole channel benefits; otherwise it's shown ephemerally.
+ *
+ * @param {Object} command - Slash command from lib/slack-server
+ * @param {number} storyNumber - 1-based story position in the digest
+ * @param {Function} respond - Sends a reply through the response_url
+ * @returns {Promise<void>}
+ */
+async function replyWithExplanation(command, storyNumber, respond) {
+  try {
+    const digest = loadLastDigest(LAST_DIGEST_FILE, { channel: command.channelId, user: command.userId });
+    const story = digest && digest.stories[storyNumber - 1];
+    if (!story) {
+      await respond({
+        response_type: 'ephemeral',
+        text: digest
+          ? `ℹ️  The last digest only has ${digest.stories.length} stories.`
+          : 'ℹ️  There is no digest to explain yet. Try `/techmeme now` first.'
+      });
+      return;
+    }
+
+    const { text, generatedBy } = await summarizer.explainStory(story, story.item);
+    const reply = `*${storyNumber}. <${story.sourceUrl}|${escapeSlackText(story.title)}>*\n\n${text}\n\n_Explained by ${generatedBy}_`;
+
+    if (digest.ts && slackClient) {
+      await postInThread(digest.channel, digest.ts, reply);
+      await respond({ response_type: 'ephemeral', text: `✅ Posted the explanation of story ${storyNumber} in the digest thread.` });
+    } else {
+      await respond({ response_type: 'ephemeral', text: reply });
+    }
+    console.log(`✓ Explained story ${storyNumber} for ${command.userId}`);
+  } catch (error) {
+    console.error(`❌ Explanation failed: ${error.message}`);
+    await respond({ response_type: 'ephemeral', text: `❌ Could not explain story ${storyNumber}: ${error.message}` });
+  }
+}
+
+/**
+ * Posts a message in a digest thread
+ *
+ * @param {string} channel - Channel ID
+ * @param {string} threadTs - Timestamp of the digest message
+ * @param {string} text - Slack mrkdwn text
+ * @returns {Promise<Object>} Slack API result
+ */
+function postInThread(channel, threadTs, text) {
+  return withRetry(
+    () => slackClient.chat.postMessage({ channel, thread_ts: threadTs, text, unfurl_links: false }),
+    { label: 'Slack chat.postMessage', policy: RETRY_POLICY }
+  );
+}
+
+/**
+ * Answers a question posted in the thread of a digest
+ *
+ * A question naming a story ("#3", "story 3") is answered from that
+ * story's scraped item, related coverage and article text; any other
+ * question is answered from the whole digest.
+ *
+ * @param {Object} event - Slack `message` event of the reply
+ * @param {Object} digest - Stored digest the thread belongs to
+ * @returns {Promise<void>}
+ */
+async function replyInThread(event, digest) {
+  // Mentions of the bot ("<@U123> what about #2?") aren't part of the question
+  const question = event.text.replace(/<@[A-Z0-9]+>/g, '').trim();
+  const storyNumber = parseStoryReference(question);
+
+  try {
+    if (storyNumber && !digest.stories[storyNumber - 1]) {
+      await postInThread(digest.channel, digest.ts, `ℹ️  This digest only has ${digest.stories.length} stories.`);
+      return;
+    }
+
+    const story = storyNumber ? digest.stories[storyNumber - 1] : null;
+    const articleText = story ? (await articleFetcher.fetchArticle(story.sourceUrl)).text : null;
+    const { text, generatedBy } = await summarizer.answerQuestion(question, { stories: digest.stories, storyNumber, articleText });
+
+    const grounding = story && !articleText ? ' from the headline and related coverage (the article could not be read)' : '';
+    await postInThread(digest.channel, digest.ts, `${text}\n\n_Answered by ${generatedBy}${grounding}_`);
+    console.log(`✓ Answered ${event.user} in the digest thread ${digest.ts}`);
+  } catch (error) {
+    console.error(`❌ Thread answer failed: ${error.message}`);
+    try {
+      await postInThread(digest.channel, digest.ts, `❌ Sorry, I couldn't answer that: ${error.message}`);
+    } catch (postError) {
+      console.error(`❌ Could not post the error in the thread: ${postError.message}`);
+    }
+  }
+}
+
+/**
+ * Posts Block Kit messages to a channel, or to a user ID as a DM
+ *
+ * @param {string} channel - Channel or user ID
+ * @param {Array<{text: string, blocks: Array<Object>}>} messages - Messages from renderSlackBlocks()
+ * @returns {Promise<Object>} Slack API result of the first message
+ */
+async function postMessages(channel, messages) {
+  let firstResult;
+  for (const message of messages) {
+    const result = await withRetry(
+      () => slackClient.chat.postMessage({ channel, text: message.text, blocks: message.blocks, unfurl_links: false }),
+      { label: 'Slack chat.postMessage', policy: RETRY_POLICY }
+    );
+    firstResult = firstResult || result;
+  }
+  return firstResult;
+}
+
+/**
+ * Refreshes a user's App Home tab with their current settings
+ *
+ * @param {string} user - Slack user ID
+ * @returns {Promise<void>}
+ */
+async function publishHome(user) {
+  try {
+    await withRetry(
+      () => slackClient.views.publish({ user_id: user, view: subscriptions.renderHomeView(subscriptionStore.get(user)) }),
+      { label: 'Slack views.publish', policy: RETRY_POLICY }
+    );
+  } catch (error) {
+    console.error(`❌ Could not update the App Home of ${user}: ${error.message}`);
+  }
+}
+
+/**
+ * Looks up a user's time zone in their Slack profile
+ *
+ * @param {string} user - Slack user ID
+ * @returns {Promise<string|undefined>} IANA time zone, if Slack knows it
+ */
+async function lookupTimezone(user) {
+  try {
+    const result = await slackClient.users.info({ user });
+    return result.user && result.user.tz;
+  } catch (error) {
+    console.warn(`⚠️  Could not look up the time zone of ${user} (${error.message}), using UTC`);
+    return undefined;
+  }
+}
+
+/**
+ * Handles the subscription commands (subscribe, settings, set, watch, ...)
+ *
+ * These only touch the subscription file, so they are answered right away.
+ *
+ * @param {Object} command - Slash command from lib/slack-server
+ * @param {Object} parsed - Parsed command text
+ * @returns {Promise<Object>} Immediate ephemeral reply
+ */
+async function replyToSubscriptionCommand(command, parsed) {
+  if (!slackClient) {
+    return { response_type: 'ephemeral', text: '⚠️  Personal digests are off: the bot token (SLACK_BOT_TOKEN) is needed to send DMs.' };
+  }
+
+  const user = command.userId;
+  let text;
+  try {
+    switch (parsed.action) {
+      case 'subscribe': {
+        const isNew = !subscriptionStore.get(user);
+        const timezone = isNew ? await lookupTimezone(user) : undefined;
+        const subscription = subscriptionStore.subscribe(user, { topics: parsed.topics, timezone });
+        text = `✅ ${isNew ? 'Subscribed! Your digest will arrive by DM.' : 'Subscription updated.'}\n${subscriptions.describeSubscription(subscription)}`;
+        break;
+      }
+      case 'unsubscribe':
+        text = subscriptionStore.unsubscribe(user)
+          ? '✅ Unsubscribed. No more DM digests or company alerts.'
+          : 'ℹ️  You were not subscribed.';
+        break;
+      case 'set':
+        text = `✅ Saved.\n${subscriptions.describeSubscription(subscriptionStore.set(user, parsed.setting, parsed.value))}`;
+        break;
+      case 'watch':
+        text = `✅ Watching ${escapeSlackText(parsed.company)}: you'll get a DM when it's in a Techmeme headline.\n${subscriptions.describeSubscription(subscriptionStore.watch(user, parsed.company))}`;
+        break;
+      case 'unwatch':
+        text = `✅ Stopped watching ${escapeSlackText(parsed.company)}.\n${subscriptions.describeSubscription(subscriptionStore.unwatch(user, parsed.company))}`;
+        break;
+      default:
+        text = subscriptions.describeSubscription(subscriptionStore.get(user));
+    }
+  } catch (error) {
+    return { response_type: 'ephemeral', text: `⚠️  ${error.message}` };
+  }
+
+  publishHome(user);
+  return { response_type: 'ephemeral', text };
+}
+
+/**
+ * Sends one subscriber their personal digest by DM
+ *
+ * Subscribers with the same topics and story count share one summary.
+ *
+ * @param {string} user - Slack user ID
+ * @param {Object} subscription - Stored subscription
+ * @param {Array<Object>} items - Merged items of the shared scrape
+ * @param {Map} summaries - Summaries written during this check, by topics and count
+ * @returns {Promise<void>}
+ * @throws {Error} If summarizing or posting fails
+ */
+async function deliverPersonalDigest(user, subscription, items, summaries) {
+  const profile = subscriptions.profileForSubscription(user, subscription);
+  const key = JSON.stringify([profile.includeTopics.map(topic => topic.toLowerCase()).sort(), profile.storyCount]);
+
+  if (!summaries.has(key)) {
+    const summarizing = (async () => {
+      let profileItems = profiles.filterItemsForProfile(items, profile);
+      if (profileItems.length === 0) return null;
+      if (FETCH_ARTICLES) {
+        profileItems = await articleFetcher.addArticles(profileItems);
+      }
+      const { stories, generatedBy } = await summarizer.summarizeWithLLM(summarizer.formatContentForLLM(profileItems), profileItems, profile);
+      return { stories, generatedBy, storyItems: annotateStories(stories, profileItems) };
+    })();
+    summaries.set(key, summarizing);
+  }
+
+  const summary = await summaries.get(key);
+  if (!summary) {
+    console.log(`ℹ️  No stories match the topics of ${user} today`);
+    subscriptionStore.markDelivered(user);
+    return;
+  }
+
+  const staleSince = newsSources.staleSince(items);
+  const messages = renderSlackBlocks(summary.stories, {
+    title: profile.title,
+    date: new Date().toLocaleDateString('en-US', { timeZone: subscription.timezone, dateStyle: 'full' }),
+    footer: `Summarized by ${summary.generatedBy} from ${sourceLinks(summary.storyItems)} • \`/techmeme settings\` to change this digest`,
+    notice: staleSince ? staleNotice(staleSince) : undefined
+  });
+  const result = await postMessages(user, messages);
+  subscriptionStore.markDelivered(user);
+
+  // Replies in the DM thread get answers, like in channel digests
+  saveLastDigest(LAST_DIGEST_FILE, { channel: result.channel || user, ts: result.ts, stories: summary.stories, items: summary.storyItems });
+  console.log(`✓ Sent a ${summary.stories.length}-story DM digest to ${user}`);
+}
+
+/**
+ * DMs watchers about new Techmeme headlines that mention their companies
+ *
+ * @param {Array<{user: string, subscription: Object}>} watchers - Subscribers with a watch list
+ * @param {Array<Object>} items - Merged items of a recent scrape
+ * @returns {Promise<void>}
+ */
+async function sendWatchAlerts(watchers, items) {
+  for (const { user, subscription } of watchers) {
+    const alerts = subscriptions.findWatchAlerts(items, subscription);
+    if (alerts.length === 0) continue;
+
+    try {
+      for (const { company, item } of alerts) {
+        const publisher = item.publisher ? ` (${escapeSlackText(item.publisher)})` : '';
+        await withRetry(
+          () => slackClient.chat.postMessage({
+            channel: user,
+            text: `🚨 *${escapeSlackText(company)}* is on Techmeme: <${item.url}|${escapeSlackText(item.headline || item.text)}>${publisher}`,
+            unfurl_links: false
+          }),
+          { label: 'Slack chat.postMessage', policy: RETRY_POLICY }
+        );
+      }
+      subscriptionStore.markAlerted(user, alerts.map(alert => alert.item.url));
+      console.log(`✓ Sent ${alerts.length} company watch alert(s) to ${user}`);
+    } catch (error) {
+      console.error(`❌ Company watch alert for ${user} failed: ${error.message}`);
+    }
+  }
+}
+
+// Subscription checks never overlap, and watch lists are checked less often
+let subscriptionCheckRunning = false;
+let lastWatchCheck = 0;
+
+/**
+ * Delivers the personal digests that are due and checks the watch lists
+ *
+ * Runs every minute. A scrape only happens when something needs it, and
+ * everything in one check shares it (and the scrape cache of the commands).
+ *
+ * @returns {Promise<void>}
+ */
+async function runSubscriptionChecks() {
+  if (subscriptionCheckRunning) return;
+  subscriptionCheckRunning = true;
+
+  try {
+    const now = new Date();
+    const all = subscriptionStore.list();
+    const due = all.filter(({ subscription }) => subscriptions.isDeliveryDue(subscription, now));
+    const watchDue = now.getTime() - lastWatchCheck >= WATCH_INTERVAL_MS;
+    const watchers = watchDue ? all.filter(({ subscription }) => subscription.companies.length > 0) : [];
+    if (due.length === 0 && watchers.length === 0) return;
+
+    console.log(`\n📬 Subscriptions: ${due.length} digest(s) due, ${watchers.length} watch list(s) to check`);
+    const items = await fetchItems();
+
+    const summaries = new Map();
+    for (const { user, subscription } of due) {
+      try {
+        await deliverPersonalDigest(user, subscription, items, summaries);
+      } catch (error) {
+        console.error(`❌ DM digest for ${user} failed: ${error.message}`);
+        const failure = subscriptionStore.markDeliveryFailed(user);
+        if (!failure) {
+          console.log(`   ${user} unsubscribed meanwhile, nothing to retry`);
+        } else if (failure.retryAt) {
+          console.log(`   Retrying at ${failure.retryAt} (attempt ${failure.attempts + 1})`);
+        } else {
+          console.log(`   Giving up on today's DM digest for ${user} after ${failure.attempts} attempts`);
+        }
+      }
+    }
+
+    if (watchDue) {
+      lastWatchCheck = now.getTime();
+      await sendWatchAlerts(watchers, items);
+    }
+  } catch (error) {
+    console.error(`❌ Subscription check failed: ${error.message}`);
+  } finally {
+    subscriptionCheckRunning = false;
+  }
+}
+
+/**
+ * Handles a verified Events API event
+ *
+ * Only human replies in the thread of a recent posted digest are answered;
+ * the bot's own messages, edits and other channel chatter are ignored.
+ * Opening the App Home tab shows the user's subscription settings.
+ *
+ * @param {Object} event - Inner event of the callback
+ * @returns {Promise<void>}
+ */
+async function onEvent(event) {
+  if (event.type === 'app_home_opened') {
+    if (event.tab === 'home' && slackClient) await publishHome(event.user);
+    return;
+  }
+  if (event.type !== 'message' || !event.thread_ts || event.thread_ts === event.ts) return;
+  if (event.bot_id || event.subtype || !event.text) return;
+
+  const digest = loadDigestThread(LAST_DIGEST_FILE, { channel: event.channel, ts: event.thread_ts });
+  if (!digest) return;
+  if (!slackClient) {
+    console.warn('⚠️  A digest thread got a reply, but SLACK_BOT_TOKEN is not set to answer it');
+    return;
+  }
+
+  console.log(`\n💬 Thread reply from ${event.user} in ${event.channel}: ${event.text}`);
+  await replyInThread(event, digest);
+}
+
+/**
+ * Handles a verified /techmeme command
+ *
+ * Returns the immediate acknowledgement; slow work continues in the
+ * background and replies through `respond`.
+ *
+ * @param {Object} command - Slash command from lib/slack-server
+ * @param {Object} context
+ * @param {Function} context.respond - Sends a reply through the response_url
+ * @returns {Object|Promise<Object>} Immediate ephemeral reply
+ */
+function onCommand(command, { respond }) {
+  const help = [
+    '*Usage:*',
+    '`/techmeme now` - a fresh digest of the top stories',
+    '`/techmeme top 5 ai` - the top stories about a topic (count and topic are optional)',
+    '`/techmeme explain 3` - a deeper look at story 3 of the last digest',
+    '`/techmeme subscribe ai, chips` - your own daily digest by DM (topics are optional)',
+    '`/techmeme set time 08:30` - also `set timezone Europe/Paris`, `set count 5`, `set topics ...`',
+    '`/techmeme watch Nvidia` - a DM as soon as a company is in a Techmeme headline (`unwatch` to stop)',
+    '`/techmeme settings` - your subscription (`/techmeme unsubscribe` to stop)'
+  ].join('\n');
+  const parsed = parseSlashCommand(command.text);
+
+  switch (parsed.action) {
+    case 'now':
+      replyWithDigest(command, { count: profiles.DEFAULT_STORY_COUNT, topics: [] }, respond);
+      return { response_type: 'ephemeral', text: '⏳ Fetching the latest stories from Techmeme...' };
+    case 'top':
+      replyWithDigest(command, parsed, respond);
+      return { response_type: 'ephemeral', text: `⏳ Picking the top ${parsed.count} stories${parsed.topics.length > 0 ? ` about ${parsed.topics.join(', ')}` : ''}...` };
+    case 'explain':
+      replyWithExplanation(command, parsed.story, respond);
+      return { response_type: 'ephemeral', text: `⏳ Looking into story ${parsed.story}...` };
+    case 'subscribe':
+    case 'unsubscribe':
+    case 'settings':
+    case 'set':
+    case 'watch':
+    case 'unwatch':
+      return replyToSubscriptionCommand(command, parsed);
+    case 'invalid':
+      return { response_type: 'ephemeral', text: `⚠️  ${parsed.error}` };
+    case 'unknown':
+      return { response_type: 'ephemeral', text: `⚠️  Unknown command "${parsed.text}".\n${help}` };
+    default:
+      return { response_type: 'ephemeral', text: help };
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// START THE SERVER
+// ═══════════════════════════════════════════════════════════════════════════
+const server = createSlackServer({ signingSecret: SLACK_SIGNING_SECRET, onCommand, onEvent });
+
+server.listen(PORT, () => {
+  console.log(`\n✅ Slash command server listening on port ${server.address().port}`);
+  console.log('   Slash command request URL: https://<your-host>/slack/commands');
+  console.log('   Events API request URL:    https://<your-host>/slack/events');
+});
+
+// Personal digests and company watch alerts are sent as DMs, so they need the bot token
+let subscriptionTimer = null;
+if (slackClient) {
+  subscriptionTimer = setInterval(runSubscriptionChecks, SUBSCRIPTION_CHECK_MS);
+  runSubscriptionChecks();
+}
+
+// Stop accepting requests before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    console.log(`\n👋 ${signal} received, shutting down...`);
+    clearInterval(subscriptionTimer);
+    server.close(() => process.exit(0));
+  });
+});
@@ -0,0 +1,87 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 ARTICLE STAGE TESTS (OFFLINE)
+// ═══════════════════════════════════════════════════════════════════════════
+// Checks readable-text extraction, paywall handling and the token cap, then
+// runs the article stage against a local server standing in for publishers.
+//
+// Usage: npm test
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { extractArticle, capTokens, createArticleFetcher } = require('../lib/articles');
+const { DEFAULT_RETRY_POLICY } = require('../lib/retry');
+const { annotateStories } = require('../lib/summarizer');
+
+const PARAGRAPH = 'Nvidia agreed to buy Enfabrica, whose chips link GPUs across large AI data centers.';
+
+const PAGES = {
+  '/free': `<html><body><nav><p>${'Menu item that is long enough to count as text'}</p></nav>
+    <article><h1>Nvidia buys Enfabrica</h1><p>${PARAGRAPH}</p><p>Short caption</p><p>${PARAGRAPH}</p></article>
+    <footer><p>Copyright notice that should never reach the model at all</p></footer></body></html>`,
+  '/teaser': `<html><head><script type="application/ld+json">{"@type":"NewsArticle","isAccessibleForFree":false}</script></head>
+    <body><article><p>${PARAGRAPH}</p><div class="paywall"><p>Subscribe to continue reading this story today.</p></div></article></body></html>`,
+  '/empty': '<html><body><div>Nothing but a video player</div></body></html>'
+};
+
+test('readable text is extracted and paywalls are detected', () => {
+  const free = extractArticle(PAGES['/free']);
+  assert.strictEqual(free.paywalled, false);
+  assert.strictEqual(free.text, `${PARAGRAPH}\n\n${PARAGRAPH}`);
+
+  const teaser = extractArticle(PAGES['/teaser']);
+  assert.strictEqual(teaser.paywalled, true);
+  assert.strictEqual(teaser.text, PARAGRAPH);
+
+  // The cap cuts at a sentence end and marks the cut
+  const long = 'One sentence here. '.repeat(100);
+  const capped = capTokens(long, 50);
+  assert.ok(capped.length <= 201);
+  assert.match(capped, /here\.…$/);
+  assert.strictEqual(capTokens('Short.', 50), 'Short.');
+});
+
+test('the article stage fetches with a concurrency limit and records grounding', async () => {
+  let active = 0;
+  let maxActive = 0;
+  let requests = 0;
+  const server = http.createServer((request, response) => {
+    requests++;
+    active++;
+    maxActive = Math.max(maxActive, active);
+    setTimeout(() => {
+      active--;
+      if (request.url === '/locked') {
+        response.writeHead(402);
+        response.end();
+        return;
+      }
+      response.writeHead(PAGES[request.url] ? 200 : 404, { 'Content-Type': 'text/html' });
+      response.end(PAGES[request.url] || 'not found');
+    }, 20);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const fetcher = createArticleFetcher({ concurrency: 2, maxArticles: 4, retryPolicy: { ...DEFAULT_RETRY_POLICY, retries: 0 } });
+    const items = ['/free', '/teaser', '/locked', '/empty', '/missing'].map(url => ({ text: url, url: `${base}${url}` }));
+    const withArticles = await fetcher.addArticles(items);
+
+    assert.ok(maxActive <= 2, `at most 2 requests at a time (saw ${maxActive})`);
+    assert.deepStrictEqual(withArticles.map(item => item.article && item.article.status), ['ok', 'paywalled', 'paywalled', 'empty', undefined]);
+    assert.strictEqual(withArticles[1].article.text, PARAGRAPH);
+    assert.strictEqual(items[0].article, undefined);
+
+    // A second profile asking for the same articles reuses them
+    await fetcher.addArticles(items.slice(0, 2));
+    assert.strictEqual(requests, 4);
+
+    const stories = withArticles.slice(0, 3).map(item => ({ sourceUrl: item.url }));
+    annotateStories(stories, withArticles);
+    assert.deepStrictEqual(stories.map(story => story.grounding), ['article', 'article', 'headline']);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,192 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 BREAKING-NEWS TESTS (OFFLINE)
+// ═══════════════════════════════════════════════════════════════════════════
+// Checks how new and rising stories are detected and scored, the quiet
+// hours and rate limits, then runs `index.js --breaking` on the fixture
+// page against a saved previous poll.
+//
+// Usage: npm test
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  parseKeywords,
+  parseQuietHours,
+  isQuietTime,
+  scoreStory,
+  detectBreaking,
+  alertsLeft,
+  wasAlerted,
+  alertRecord
+} = require('../lib/breaking');
+const { RIVER_SITES, parseRiverPage } = require('../lib/sources/river');
+const { scratchDir, removeScratchDirs } = require('./helpers/scratch');
+const { runBot, runBotAsync } = require('./helpers/run-bot');
+const { createResponseCollector } = require('./helpers/fake-slack');
+
+after(removeScratchDirs);
+
+const FIXTURE_HTML = path.join(__dirname, 'fixtures', 'techmeme.html');
+
+test('new and fast-rising stories are detected and scored', () => {
+  const outage = { rank: 1, url: 'https://example.com/outage', text: 'AWS outage takes down major sites', relatedCount: 8 };
+  const steady = { rank: 2, url: 'https://example.com/steady', text: 'Apple updates its Vision Pro app store rules', relatedCount: 4 };
+  const climber = { rank: 3, url: 'https://example.com/climber', text: 'Startup raises a $20M seed round', relatedCount: 2 };
+  const previous = [
+    { rank: 1, url: 'https://example.com/steady', text: steady.text, relatedCount: 3 },
+    { rank: 9, url: 'https://example.com/climber', text: climber.text, relatedCount: 2 }
+  ];
+
+  const changes = detectBreaking([outage, steady, climber], previous);
+  assert.deepStrictEqual(changes.map(change => [change.item.url, change.change]), [
+    ['https://example.com/outage', 'new'],
+    ['https://example.com/climber', 'rising']
+  ]);
+
+  // Rank 30 + coverage 16 + outage 25
+  assert.strictEqual(changes[0].score, 71);
+  assert.deepStrictEqual(changes[0].reasons, ['#1 on Techmeme', '8 related articles', 'outage']);
+
+  // Growth counts, and only the strongest keyword does
+  const growing = scoreStory({ rank: 4, text: 'Google is fined in antitrust case over ad tech acquisition', relatedCount: 1 }, { growth: 4 });
+  assert.strictEqual(growing.score, 21 + 2 + 12 + 25);
+  assert.deepStrictEqual(growing.reasons, ['#4 on Techmeme', '1 related article', '+4 since the last check', 'acquisition']);
+
+  const keywords = parseKeywords('recall, C++ bug', 40);
+  assert.strictEqual(keywords[1].pattern.test('A C++ bug report'), true);
+  assert.strictEqual(scoreStory({ rank: 10, text: 'Tesla issues a recall', relatedCount: 0 }, { keywords }).score, 3 + 40);
+});
+
+test('quiet hours, rate limits and alert memory hold back alerts', () => {
+  const quiet = parseQuietHours('22:00-7:00');
+  assert.deepStrictEqual(quiet, { start: '22:00', end: '07:00' });
+  assert.throws(() => parseQuietHours('late'), /Invalid quiet hours/);
+  assert.strictEqual(parseQuietHours(''), null);
+
+  // 23:30 and 06:59 in New York are quiet, 07:00 and noon aren't
+  const ny = 'America/New_York';
+  assert.strictEqual(isQuietTime(new Date('2026-01-29T04:30:00Z'), quiet, ny), true);
+  assert.strictEqual(isQuietTime(new Date('2026-01-29T11:59:00Z'), quiet, ny), true);
+  assert.strictEqual(isQuietTime(new Date('2026-01-29T12:00:00Z'), quiet, ny), false);
+  assert.strictEqual(isQuietTime(new Date('2026-01-29T17:00:00Z'), quiet, ny), false);
+  assert.strictEqual(isQuietTime(new Date('2026-01-29T17:00:00Z'), parseQuietHours('12:00-13:00'), ny), true);
+  assert.strictEqual(isQuietTime(new Date('2026-01-29T04:30:00Z'), null, ny), false);
+
+  const now = new Date('2026-01-29T18:00:00Z');
+  const alert = postedAt => ({ postedAt: new Date(now.getTime() - postedAt * 60000).toISOString() });
+  const limits = { maxPerHour: 2, maxPerDay: 3 };
+  assert.strictEqual(alertsLeft([], now, limits), 2);
+  assert.strictEqual(alertsLeft([alert(10)], now, limits), 1);
+  assert.strictEqual(alertsLeft([alert(90), alert(120)], now, limits), 1);
+  assert.strictEqual(alertsLeft([alert(10), alert(20), alert(300)], now, limits), 0);
+  assert.strictEqual(alertsLeft([alert(25 * 60), alert(26 * 60)], now, limits), 2);
+
+  const item = { rank: 1, url: 'https://example.com/story?utm_source=x', text: 'Nvidia agrees to acquire Enfabrica', relatedCount: 3 };
+  const alerts = [alertRecord({ item, score: 70 }, now)];
+  assert.strictEqual(wasAlerted({ ...item, url: 'https://example.com/story' }, alerts), true);
+  assert.strictEqual(wasAlerted({ ...item, url: 'https://example.com/other', text: 'Intel names a new CFO' }, alerts), false);
+});
+
+test('a story slipping into the last candidate place from just below is not new', () => {
+  const clusters = Array.from({ length: 20 }, (_, index) => `
+    <div class="clus"><div class="item"><div class="ii">
+      <strong><a class="ourh" href="https://example.com/story-${index + 1}">Alpha${index + 1} Bravo${index + 1} Charlie${index + 1} Delta${index + 1}</a></strong>
+    </div></div></div>`).join('');
+  const html = `<html><body>${clusters}</body></html>`;
+  assert.strictEqual(parseRiverPage(html, RIVER_SITES.techmeme).items.length, 15);
+  const page = parseRiverPage(html, RIVER_SITES.techmeme, { maxItems: 40 }).items;
+  assert.strictEqual(page.length, 20);
+
+  // Story 16 moves up to 15; story 18 is new but too low to alert on
+  const previous = page.filter(item => item.rank !== 18).map(item => ({ ...item }));
+  const current = page.map(item => ({ ...item }));
+  current[14] = { ...page[15], rank: 15 };
+  current[15] = { ...page[14], rank: 16 };
+  assert.deepStrictEqual(detectBreaking(current, previous), []);
+  assert.deepStrictEqual(detectBreaking(current, previous, { maxRank: 20 }).map(change => change.item.rank), [18]);
+});
+
+test('index.js --breaking alerts on stories new since the last check', () => {
+  const dir = scratchDir('techmeme-breaking-');
+  const stateFile = path.join(dir, 'breaking.json');
+  const run = () => runBot(['--breaking', '--dry-run', '--fixture', FIXTURE_HTML, '--record', 'recording'], {
+    BREAKING_CHANNEL_ID: 'CBREAKING',
+    BREAKING_STATE_FILE: stateFile,
+    BREAKING_THRESHOLD: '45'
+  }, { dir });
+
+  // Without a previous check there's nothing to compare with
+  const first = run();
+  assert.strictEqual(first.status, 0, first.stderr);
+  assert.match(first.stdout, /First check: recording 5 stories as the baseline/);
+
+  // The previous check only had the Amazon and OpenAI stories
+  fs.writeFileSync(stateFile, JSON.stringify({
+    polledAt: '2026-01-28T15:00:00.000Z',
+    items: [
+      { url: 'https://www.cnbc.com/2026/01/28/amazon-layoffs-corporate.html', text: 'Amazon plans to cut ~16,000 corporate roles', rank: 1, relatedCount: 4 },
+      { url: 'https://www.theinformation.com/articles/openai-raises-funding-round', text: 'OpenAI is in talks to raise up to $40B', rank: 2, relatedCount: 2 }
+    ],
+    alerts: []
+  }));
+
+  const second = run();
+  assert.strictEqual(second.status, 0, second.stderr);
+  assert.match(second.stdout, /3 new or rising stories/);
+  assert.match(second.stdout, /2 story\(ies\) at or above the threshold of 45/);
+
+  const { payloads } = JSON.parse(fs.readFileSync(path.join(dir, 'recording', 'slack-payloads.json'), 'utf8'));
+  assert.deepStrictEqual(payloads.map(payload => payload.channel), ['CBREAKING', 'CBREAKING']);
+  assert.match(payloads[0].text, /🚨 \*Breaking:\* <https:\/\/nvidianews\.nvidia\.com\/news\/nvidia-acquires-enfabrica\|/);
+  assert.match(payloads[1].text, /Azure outage/);
+
+  // A dry run leaves the state alone
+  assert.strictEqual(JSON.parse(fs.readFileSync(stateFile, 'utf8')).polledAt, '2026-01-28T15:00:00.000Z');
+});
+
+test('an alert posted before a failed one is not posted again', async () => {
+  const dir = scratchDir('techmeme-breaking-');
+  const stateFile = path.join(dir, 'breaking.json');
+  const previous = {
+    polledAt: '2026-01-28T15:00:00.000Z',
+    items: [
+      { url: 'https://www.cnbc.com/2026/01/28/amazon-layoffs-corporate.html', text: 'Amazon plans to cut ~16,000 corporate roles', rank: 1, relatedCount: 4 },
+      { url: 'https://www.theinformation.com/articles/openai-raises-funding-round', text: 'OpenAI is in talks to raise up to $40B', rank: 2, relatedCount: 2 }
+    ],
+    alerts: []
+  };
+  fs.writeFileSync(stateFile, JSON.stringify(previous));
+
+  // Slack takes the first alert and fails the second
+  const failing = await createResponseCollector({ failRequests: [2] });
+  const env = apiUrl => ({
+    SLACK_BOT_TOKEN: 'xoxb-test',
+    SLACK_API_URL: apiUrl,
+    RETRY_COUNT: '0',
+    BREAKING_CHANNEL_ID: 'CBREAKING',
+    BREAKING_STATE_FILE: stateFile,
+    BREAKING_THRESHOLD: '45'
+  });
+  const failed = await runBotAsync(['--breaking', '--fixture', FIXTURE_HTML], env(failing.apiUrl), { dir });
+  await failing.close();
+  assert.strictEqual(failed.status, 1);
+  assert.strictEqual(failing.messages.length, 2);
+
+  // The posted alert is saved, and the baseline is still the previous check
+  const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  assert.strictEqual(saved.polledAt, previous.polledAt);
+  assert.deepStrictEqual(saved.items.map(item => item.url), previous.items.map(item => item.url));
+  assert.deepStrictEqual(saved.alerts.map(alert => alert.url), ['nvidianews.nvidia.com/news/nvidia-acquires-enfabrica']);
+
+  // The next check only posts the alert that failed
+  const working = await createResponseCollector();
+  const retried = await runBotAsync(['--breaking', '--fixture', FIXTURE_HTML], env(working.apiUrl), { dir });
+  await working.close();
+  assert.strictEqual(retried.status, 0, retried.stderr);
+  assert.strictEqual(working.messages.length, 1);
+  assert.match(working.messages[0].text, /Azure outage/);
+  assert.strictEqual(JSON.parse(fs.readFileSync(stateFile, 'utf8')).alerts.length, 2);
+});
@@ -0,0 +1,122 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 DIGEST SCHEMA TESTS (OFFLINE)
+// ═══════════════════════════════════════════════════════════════════════════
+// Checks how the model's JSON is parsed and validated against the schema
+// and the scraped items, and that a rejected digest is asked for again with
+// the list of problems.
+//
+// Usage: npm test
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  MAX_TITLE_LENGTH,
+  parseModelJson,
+  validateDigest
+} = require('../lib/digest-schema');
+const { createSummarizer } = require('../lib/summarizer');
+
+const ITEMS = [
+  { text: 'Nvidia agrees to acquire Enfabrica for $900M', url: 'https://example.com/nvidia', related: [{ publisher: 'Reuters', url: 'https://reuters.example/nvidia' }] },
+  { text: 'OpenAI raises $40B at a $300B valuation', url: 'https://example.com/openai' }
+];
+
+/**
+ * Builds a valid story citing `sourceUrl`
+ *
+ * @param {number} rank - Story rank
+ * @param {string} sourceUrl - Cited URL
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} Story
+ */
+function story(rank, sourceUrl, fields = {}) {
+  return {
+    rank,
+    emoji: '🤖',
+    title: 'A short headline',
+    summary: 'One sentence.',
+    whyItMatters: 'One more sentence.',
+    sourceUrl,
+    category: 'AI',
+    ...fields
+  };
+}
+
+test('model output is parsed with or without code fences', () => {
+  assert.deepStrictEqual(parseModelJson('```json\n{"stories": []}\n```'), { stories: [] });
+  assert.deepStrictEqual(parseModelJson('  {"stories": []}  '), { stories: [] });
+  assert.throws(() => parseModelJson('Here is your digest: {"stories": []}'), SyntaxError);
+});
+
+test('a valid digest is sorted by rank and may cite related coverage', () => {
+  const { stories, errors } = validateDigest({
+    stories: [story(2, 'https://example.com/openai'), story(1, 'https://reuters.example/nvidia')]
+  }, ITEMS);
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(stories.map(entry => entry.sourceUrl), ['https://reuters.example/nvidia', 'https://example.com/openai']);
+});
+
+test('every schema violation is reported', () => {
+  assert.deepStrictEqual(validateDigest('stories', ITEMS).errors, ['Response must be an object with a "stories" array']);
+  assert.deepStrictEqual(validateDigest({ stories: [] }, ITEMS).errors, ['"stories" must contain at least one story']);
+
+  const { stories, errors } = validateDigest({
+    stories: [
+      story(1, 'https://example.com/nvidia', { title: 42, summary: '' }),
+      story(1, 'https://example.com/openai', { whyItMatters: 'x'.repeat(301), category: 'Gossip' }),
+      story('3', 'https://example.com/made-up', { title: 'x'.repeat(MAX_TITLE_LENGTH + 1) }),
+      null
+    ]
+  }, ITEMS, { maxStories: 3 });
+  assert.deepStrictEqual(stories, []);
+  assert.deepStrictEqual(errors, [
+    '"stories" must contain at most 3 stories (got 4)',
+    'stories[0]: "title" must be a non-empty string',
+    'stories[0]: "summary" must be a non-empty string',
+    'stories[1]: duplicate rank 1',
+    'stories[1]: "whyItMatters" must be at most 300 characters (got 301)',
+    'stories[1]: "category" must be one of AI, Startups, Funding, Business, Big Tech, Policy, Security, Hardware, Science, Other',
+    'stories[2]: "rank" must be a positive integer',
+    `stories[2]: "title" must be at most ${MAX_TITLE_LENGTH} characters (got ${MAX_TITLE_LENGTH + 1})`,
+    'stories[2]: "sourceUrl" https://example.com/made-up does not appear in the raw content',
+    'stories[3]: must be an object'
+  ]);
+});
+
+test('ranks run from 1 to n and each item is covered once', () => {
+  assert.deepStrictEqual(validateDigest({
+    stories: [story(1, 'https://example.com/nvidia'), story(3, 'https://example.com/openai')]
+  }, ITEMS).errors, ['stories[1]: rank 3 leaves a gap, ranks must run from 1 to 2']);
+
+  assert.deepStrictEqual(validateDigest({
+    stories: [story(1, 'https://example.com/nvidia'), story(2, 'https://reuters.example/nvidia')]
+  }, ITEMS).errors, ['stories[1]: "sourceUrl" https://reuters.example/nvidia belongs to a story already covered by another entry']);
+});
+
+test('a rejected digest is asked for again with the list of problems', async () => {
+  const prompts = [];
+  const responses = [
+    'Sorry, here it is: {}',
+    JSON.stringify({ stories: [story(1, 'https://example.com/made-up')] }),
+    JSON.stringify({ stories: [story(1, 'https://example.com/openai')] })
+  ];
+  const provider = {
+    name: 'fake',
+    model: 'fake-1',
+    generate: async prompt => {
+      prompts.push(prompt);
+      return { text: responses[prompts.length - 1] };
+    }
+  };
+  const summarizer = createSummarizer({ providers: [provider] });
+
+  const { stories, generatedBy } = await summarizer.summarizeWithLLM('1. OpenAI raises $40B', ITEMS, { storyCount: 1, includeTopics: [], excludeTopics: [] });
+  assert.strictEqual(generatedBy, 'fake/fake-1');
+  assert.strictEqual(stories[0].sourceUrl, 'https://example.com/openai');
+
+  assert.strictEqual(prompts.length, 3);
+  assert.ok(prompts[1].startsWith(prompts[0]));
+  assert.match(prompts[1], /Your previous response was rejected because of these problems:\n- Response is not valid JSON: .*\nReturn the corrected JSON object only\.$/);
+  assert.match(prompts[2], /rejected because of these problems:\n- stories\[0\]: "sourceUrl" https:\/\/example\.com\/made-up does not appear in the raw content\n/);
+});
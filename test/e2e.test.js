@@ -0,0 +1,158 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 END-TO-END TESTS (OFFLINE)
+// ═══════════════════════════════════════════════════════════════════════════
+// Runs the whole bot against a saved Techmeme page (or a prebuilt archive)
+// and a recorded model response, in dry-run mode. Nothing touches the network.
+//
+// Usage: npm test
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const archive = require('../lib/archive');
+const { RIVER_SITES, fetchRiverContent } = require('../lib/sources/river');
+const { scratchDir, removeScratchDirs } = require('./helpers/scratch');
+const { runBot } = require('./helpers/run-bot');
+
+after(removeScratchDirs);
+
+const FIXTURE_HTML = path.join(__dirname, 'fixtures', 'techmeme.html');
+const FIXTURE_LLM = path.join(__dirname, 'fixtures', 'llm-response.json');
+
+/**
+ * Reads the Slack payloads written by --record
+ *
+ * @param {string} dir - Recording directory
+ * @returns {Array<Object>} Payloads
+ */
+function readPayloads(dir) {
+  return JSON.parse(fs.readFileSync(path.join(dir, 'slack-payloads.json'), 'utf8')).payloads;
+}
+
+test('dry run renders the fixture digest without posting or touching history', () => {
+  const { status, stdout, stderr, dir } = runBot([
+    '--dry-run', '--fixture', FIXTURE_HTML, '--llm-fixture', FIXTURE_LLM, '--record', 'recording'
+  ]);
+
+  assert.strictEqual(status, 0, stderr);
+  assert.match(stdout, /DRY RUN - Slack payload \(not posted\)/);
+  assert.match(stdout, /Successfully extracted 5 story clusters/);
+
+  const [payload] = readPayloads(path.join(dir, 'recording'));
+  assert.strictEqual(payload.channel, 'CTEST');
+  assert.strictEqual(payload.blocks[0].type, 'header');
+  assert.match(payload.blocks[0].text.text, /Techmeme Top 3 Digest/);
+
+  const sections = payload.blocks.filter(block => block.type === 'section');
+  assert.strictEqual(sections.length, 3);
+  assert.strictEqual(sections[0].accessory.url, 'https://www.theinformation.com/articles/openai-raises-funding-round');
+  assert.match(payload.text, /OpenAI in talks to raise/);
+
+  // The Amazon story cites a related-coverage link and keeps its Techmeme rank
+  const amazonContext = payload.blocks[payload.blocks.indexOf(sections[1]) + 1];
+  assert.match(amazonContext.elements[0].text, /Techmeme rank #1/);
+  assert.match(amazonContext.elements[0].text, /4 related articles/);
+
+  assert.strictEqual(fs.existsSync(path.join(dir, 'data', 'history.json')), false);
+});
+
+test('a recorded run replays to the same Slack payloads', () => {
+  const first = runBot([
+    '--dry-run', '--fixture', FIXTURE_HTML, '--llm-fixture', FIXTURE_LLM, '--record', 'recording'
+  ]);
+  assert.strictEqual(first.status, 0, first.stderr);
+
+  const recording = path.join(first.dir, 'recording');
+  assert.ok(fs.existsSync(path.join(recording, 'techmeme.html')));
+  assert.ok(fs.existsSync(path.join(recording, 'llm-responses.json')));
+
+  const replay = runBot([
+    '--dry-run',
+    '--fixture', path.join(recording, 'techmeme.html'),
+    '--llm-fixture', path.join(recording, 'llm-responses.json'),
+    '--record', 'replay'
+  ]);
+  assert.strictEqual(replay.status, 0, replay.stderr);
+
+  assert.deepStrictEqual(readPayloads(path.join(replay.dir, 'replay')), readPayloads(recording));
+});
+
+test('a digest citing a link that was never scraped is rejected', () => {
+  const dir = scratchDir('techmeme-e2e-');
+  const hallucinated = path.join(dir, 'hallucinated.json');
+  const digest = JSON.parse(fs.readFileSync(FIXTURE_LLM, 'utf8'));
+  digest.stories[0].sourceUrl = 'https://example.com/made-up-story';
+  fs.writeFileSync(hallucinated, JSON.stringify(digest));
+
+  const { status, stdout, stderr } = runBot([
+    '--dry-run', '--fixture', FIXTURE_HTML, '--llm-fixture', hallucinated
+  ]);
+
+  assert.strictEqual(status, 1);
+  assert.match(stdout + stderr, /does not appear in the raw content/);
+  assert.match(stdout + stderr, /did not return a valid digest after 3 attempts/);
+});
+
+test('each digest profile gets its own payload and channel', () => {
+  const dir = scratchDir('techmeme-e2e-');
+  const profilesFile = path.join(dir, 'profiles.json');
+  fs.writeFileSync(profilesFile, JSON.stringify({
+    profiles: [
+      { name: 'general', channel: 'CGENERAL' },
+      { name: 'ai', channel: 'CAI', title: 'AI Daily', includeTopics: ['OpenAI', 'Nvidia', 'Amazon'], storyCount: 3 }
+    ]
+  }));
+
+  const { status, stderr, dir: runDir } = runBot(
+    ['--dry-run', '--fixture', FIXTURE_HTML, '--llm-fixture', FIXTURE_LLM, '--record', 'recording'],
+    { DIGEST_PROFILES_FILE: profilesFile }
+  );
+  assert.strictEqual(status, 0, stderr);
+
+  const payloads = readPayloads(path.join(runDir, 'recording'));
+  assert.deepStrictEqual(payloads.map(payload => payload.channel), ['CGENERAL', 'CAI']);
+  assert.match(payloads[1].blocks[0].text.text, /AI Daily/);
+});
+
+test('a weekly roll-up is built from the archive with its own header and sections', async () => {
+  const dir = scratchDir('techmeme-e2e-');
+  const archiveDir = path.join(dir, 'archive');
+  const items = await fetchRiverContent(RIVER_SITES.techmeme, { fixture: FIXTURE_HTML });
+  const digest = JSON.parse(fs.readFileSync(FIXTURE_LLM, 'utf8'));
+
+  // Two archived days: the Amazon story was already there yesterday
+  const today = new Date();
+  const yesterday = new Date(today.getTime() - 86400000);
+  const amazon = items.find(item => /Amazon/.test(item.text));
+  archive.archiveItems(archiveDir, [{ ...amazon, relatedCount: 1, related: amazon.related.slice(0, 1) }], { now: yesterday });
+  archive.archiveItems(archiveDir, items, { now: today });
+  archive.archiveDigest(archiveDir, 'default', { channel: 'CTEST', generatedBy: 'replay/test', stories: digest.stories }, { now: today });
+
+  const rollupFile = path.join(dir, 'rollup.json');
+  fs.writeFileSync(rollupFile, JSON.stringify({
+    stories: digest.stories.slice(0, 2),
+    themes: [{ title: 'AI money', description: 'OpenAI raised while Amazon cut jobs to fund AI.' }],
+    companies: [{ name: 'OpenAI', mentions: 1, note: 'Funding talks.' }, { name: 'Amazon', mentions: 2, note: 'Layoffs.' }],
+    growing: [{ title: 'Amazon layoffs', sourceUrl: amazon.url, note: 'Coverage grew over two days.' }]
+  }));
+
+  const { status, stdout, stderr, dir: runDir } = runBot(
+    ['--rollup', 'week', '--dry-run', '--llm-fixture', rollupFile, '--record', 'recording'],
+    { ARCHIVE_DIR: archiveDir }
+  );
+  assert.strictEqual(status, 0, stderr);
+  assert.match(stdout, /Loaded 2 archived day\(s\)/);
+
+  const [payload] = readPayloads(path.join(runDir, 'recording'));
+  assert.match(payload.blocks[0].text.text, /Techmeme Week in Review/);
+  assert.match(payload.blocks[1].elements[0].text, / – /);
+
+  const sections = payload.blocks.filter(block => block.type === 'section');
+  assert.strictEqual(sections.length, 5);
+  assert.match(sections[2].text.text, /Recurring themes/);
+  assert.match(sections[3].text.text, /\*Amazon\* \(2\)[\s\S]*\*OpenAI\* \(1\)/);
+  assert.match(sections[4].text.text, /Stories that grew/);
+  assert.match(payload.text, /Companies in the news/);
+});
@@ -0,0 +1,146 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 EVAL HARNESS TESTS (OFFLINE)
+// ═══════════════════════════════════════════════════════════════════════════
+// Checks how digests are scored and prompt templates are filled, then runs
+// eval.js with the stub model on the fixture page.
+//
+// Usage: npm test
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { loadSnapshot, loadPrompt, scoreDigest, rankCombinations } = require('../lib/eval');
+const { scratchDir, removeScratchDirs } = require('./helpers/scratch');
+
+after(removeScratchDirs);
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURE_HTML = path.join(__dirname, 'fixtures', 'techmeme.html');
+
+const ITEMS = [
+  { url: 'https://example.com/openai', text: 'OpenAI raises $40B at a $300B valuation' },
+  { url: 'https://example.com/nvidia', text: 'Nvidia agrees to acquire Enfabrica for $900M' },
+  { url: 'https://example.com/game', text: 'A new indie game tops the App Store charts' }
+];
+
+/**
+ * Builds a story for a test digest
+ *
+ * @param {number} rank - Rank
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} Story
+ */
+function story(rank, fields = {}) {
+  const item = ITEMS[rank - 1];
+  return {
+    rank,
+    emoji: '🤖',
+    title: item.text,
+    summary: 'The deal was announced on Tuesday. It closes next quarter.',
+    whyItMatters: 'It changes the competitive landscape.',
+    sourceUrl: item.url,
+    category: 'AI',
+    ...fields
+  };
+}
+
+test('a clean digest scores 100 and each kind of mistake costs points', () => {
+  const clean = scoreDigest(JSON.stringify({ stories: [story(1), story(2), story(3)] }), ITEMS, { storyCount: 3 });
+  assert.strictEqual(clean.score, 100);
+  assert.deepStrictEqual(clean.issues, []);
+
+  const messy = scoreDigest(JSON.stringify({
+    stories: [
+      story(1, { category: 'Consumer', title: '**OpenAI** raises $40B' }),
+      story(2, { sourceUrl: 'https://example.com/made-up', category: 'Other', emoji: ':rocket:' }),
+      story(3, { title: ITEMS[0].text, sourceUrl: ITEMS[0].url, category: 'Gaming', summary: 'One. Two. Three.' })
+    ]
+  }), ITEMS, { storyCount: 3 });
+
+  assert.strictEqual(messy.checks.badLinks, 1);
+  assert.strictEqual(messy.checks.duplicates, 1);
+  assert.strictEqual(messy.checks.focusShare, 0);
+  assert.strictEqual(messy.checks.lengthViolations, 1);
+  assert.strictEqual(messy.checks.formattingErrors, 2);
+  assert.strictEqual(messy.checks.ratios.json, 0.5);
+  assert.ok(messy.score < 60, `score ${messy.score}`);
+  assert.ok(messy.issues.includes('Link not in the scrape: https://example.com/made-up'));
+  assert.ok(messy.issues.some(issue => /^Duplicate: #3 repeats #1/.test(issue)));
+  assert.ok(messy.issues.includes('#1: markdown bold in "title"'));
+  assert.ok(messy.issues.includes('#3: summary has 3 sentences'));
+
+  // Anything that isn't a digest scores 0
+  assert.strictEqual(scoreDigest('Here are the top stories: ...', ITEMS, { storyCount: 3 }).score, 0);
+  assert.strictEqual(scoreDigest('{"stories": []}', ITEMS, { storyCount: 3 }).score, 0);
+});
+
+test('snapshots, prompt templates and the ranking', () => {
+  const dir = scratchDir('techmeme-eval-');
+  const html = fs.readFileSync(FIXTURE_HTML, 'utf8');
+
+  // A page, a snapshot cache file and an archived day all load
+  assert.strictEqual(loadSnapshot(FIXTURE_HTML).items.length, 5);
+  fs.writeFileSync(path.join(dir, 'snapshot.json'), JSON.stringify({ fetchedAt: '2026-01-28T16:00:00Z', html }));
+  assert.strictEqual(loadSnapshot(path.join(dir, 'snapshot.json')).items.length, 5);
+  fs.writeFileSync(path.join(dir, 'day.json'), JSON.stringify({ date: '2026-01-28', items: ITEMS }));
+  assert.deepStrictEqual(loadSnapshot(path.join(dir, 'day.json')).items, ITEMS);
+
+  const profile = { name: 'eval', includeTopics: [], excludeTopics: [], storyCount: 3 };
+  const strict = loadPrompt(path.join(ROOT, 'prompts', 'digest-strict.txt'));
+  assert.strictEqual(strict.name, 'digest-strict');
+  const prompt = strict.build('1. Item\n   URL: https://example.com/a', profile);
+  assert.match(prompt, /top 3 stories/);
+  assert.match(prompt, /"sourceUrl"/);
+  assert.doesNotMatch(prompt, /\{\{/);
+  assert.match(loadPrompt('current').build('CONTENT', profile), /top 3 most important/);
+
+  fs.writeFileSync(path.join(dir, 'typo.txt'), '{{storycount}} {{content}}');
+  assert.throws(() => loadPrompt(path.join(dir, 'typo.txt')).build('', profile), /Unknown placeholder \{\{storycount\}\}/);
+  fs.writeFileSync(path.join(dir, 'no-content.txt'), 'Pick {{storyCount}} stories');
+  assert.throws(() => loadPrompt(path.join(dir, 'no-content.txt')), /must include \{\{content\}\}/);
+
+  const run = (prompt, model, score) => ({ prompt, model, score, checks: null, latencyMs: 0 });
+  const ranking = rankCombinations([run('a', 'm1', 50), run('b', 'm1', 90), run('a', 'm1', 70)]);
+  assert.deepStrictEqual(ranking.map(row => [row.prompt, row.runs, row.score]), [['b', 1, 90], ['a', 2, 60]]);
+});
+
+test('eval.js compares prompt versions with the offline stub and writes a report', () => {
+  const dir = scratchDir('techmeme-eval-');
+  const runHarness = args => spawnSync(process.execPath, [path.join(ROOT, 'eval.js'), ...args], {
+    cwd: dir,
+    encoding: 'utf8',
+    timeout: 30000,
+    env: { PATH: process.env.PATH }
+  });
+
+  const result = runHarness([
+    '--snapshot', FIXTURE_HTML,
+    '--prompt', 'current',
+    '--prompt', path.join(ROOT, 'prompts', 'digest-strict.txt'),
+    '--model', 'stub',
+    '--stories', '3',
+    '--out', 'reports'
+  ]);
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.match(result.stdout, /current × stub\/first-n/);
+
+  const files = fs.readdirSync(path.join(dir, 'reports')).sort();
+  assert.deepStrictEqual(files.map(file => path.extname(file)), ['.json', '.md']);
+  const report = fs.readFileSync(path.join(dir, 'reports', files[1]), 'utf8');
+  assert.match(report, /^# 🧪 Digest Eval Report/);
+  assert.match(report, /\| 1 \| (current|digest-strict) \| stub\/first-n \| 100\.0 \|/);
+  assert.match(report, /\*\*Best:\*\*/);
+
+  const { ranking, results } = JSON.parse(fs.readFileSync(path.join(dir, 'reports', files[0]), 'utf8'));
+  assert.deepStrictEqual(ranking.map(row => row.prompt).sort(), ['current', 'digest-strict']);
+  assert.ok(results.every(row => row.checks.stories === 3 && row.inputTokens > 0));
+
+  // A recorded response that misses the story count falls short of --min-score
+  const replay = runHarness(['--model', `replay:${path.join(__dirname, 'fixtures', 'llm-response.json')}`, '--out', 'reports', '--min-score', '99']);
+  assert.strictEqual(replay.status, 1);
+  assert.match(replay.stdout, /✓ Score 98\.5/);
+  assert.match(replay.stderr, /Best score 98\.5 is below the minimum of 99/);
+});
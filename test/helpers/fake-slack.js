@@ -0,0 +1,156 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 FAKE SLACK
+// ═══════════════════════════════════════════════════════════════════════════
+// Plays Slack's side of a slash command or an event in tests:
+//   - sendSlashCommand() signs and sends a command the way Slack does
+//   - sendEvent() signs and sends an Events API callback
+//   - createResponseCollector() stands in for the response_url (and for
+//     the Web API, e.g. chat.postMessage) and keeps every message the
+//     server sends back
+// ═══════════════════════════════════════════════════════════════════════════
+
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Computes the Slack signature headers for a request body
+ *
+ * @param {string} signingSecret - Signing secret shared with the server
+ * @param {string} body - Raw request body
+ * @param {number} [timestamp] - Unix time in seconds (default: now)
+ * @returns {Object} X-Slack-Request-Timestamp and X-Slack-Signature headers
+ */
+function signRequest(signingSecret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', signingSecret).update(`v0:${timestamp}:${body}`).digest('hex');
+  return {
+    'X-Slack-Request-Timestamp': String(timestamp),
+    'X-Slack-Signature': `v0=${signature}`
+  };
+}
+
+/**
+ * Sends a signed /techmeme command to a running server
+ *
+ * @param {string} baseUrl - Server base URL, e.g. http://127.0.0.1:3000
+ * @param {Object} options
+ * @param {string} options.signingSecret - Secret to sign with (use a wrong one to test rejection)
+ * @param {string} options.text - Command text, e.g. "top 5 ai"
+ * @param {string} [options.responseUrl] - Where delayed replies should go
+ * @param {string} [options.userId='UTEST'] - Requesting user
+ * @param {string} [options.channelId='CTEST'] - Channel the command was typed in
+ * @param {number} [options.timestamp] - Request time in seconds (default: now)
+ * @returns {Promise<{status: number, body: Object|null}>} HTTP status and JSON acknowledgement
+ */
+async function sendSlashCommand(baseUrl, { signingSecret, text, responseUrl = 'http://127.0.0.1:9/unused', userId = 'UTEST', channelId = 'CTEST', timestamp }) {
+  const body = new URLSearchParams({
+    token: 'deprecated-verification-token',
+    team_id: 'TTEST',
+    channel_id: channelId,
+    user_id: userId,
+    command: '/techmeme',
+    text,
+    response_url: responseUrl,
+    trigger_id: 'trigger'
+  }).toString();
+
+  const response = await fetch(`${baseUrl}/slack/commands`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...signRequest(signingSecret, body, timestamp) },
+    body
+  });
+  const raw = await response.text();
+  return { status: response.status, body: raw ? JSON.parse(raw) : null };
+}
+
+/**
+ * Sends a signed Events API callback to a running server
+ *
+ * @param {string} baseUrl - Server base URL, e.g. http://127.0.0.1:3000
+ * @param {Object} options
+ * @param {string} options.signingSecret - Secret to sign with
+ * @param {Object} [options.event] - Inner event, e.g. a `message` event
+ * @param {*} [options.payload] - Whole payload instead (e.g. a url_verification)
+ * @returns {Promise<{status: number, body: Object|null}>} HTTP status and JSON body
+ */
+async function sendEvent(baseUrl, { signingSecret, event, payload }) {
+  const body = JSON.stringify(payload !== undefined ? payload : {
+    type: 'event_callback',
+    team_id: 'TTEST',
+    event_id: `Ev${Date.now()}`,
+    event
+  });
+
+  const response = await fetch(`${baseUrl}/slack/events`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...signRequest(signingSecret, body) },
+    body
+  });
+  const raw = await response.text();
+  return { status: response.status, body: raw ? JSON.parse(raw) : null };
+}
+
+/**
+ * Starts a local server that records the replies posted to a response_url
+ *
+ * It answers like the Slack Web API too, so a WebClient pointed at
+ * `apiUrl` has its calls (form-encoded or JSON) recorded the same way.
+ *
+ * @param {Object} [options]
+ * @param {number[]} [options.failRequests] - Requests (counting from 1)
+ *   answered with a Slack error instead, e.g. `[2]` to fail the second post
+ * @returns {Promise<Object>} Collector with `url`, `apiUrl`, `messages`,
+ *   `waitFor(count, timeoutMs)` and `close()`
+ */
+async function createResponseCollector({ failRequests = [] } = {}) {
+  const messages = [];
+  const waiters = [];
+
+  const server = http.createServer((request, response) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      messages.push(/urlencoded/.test(request.headers['content-type'])
+        ? Object.fromEntries(new URLSearchParams(body))
+        : JSON.parse(body));
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(failRequests.includes(messages.length)
+        ? { ok: false, error: 'fatal_error' }
+        : { ok: true, ts: `${Date.now() / 1000}` }));
+      waiters.filter(waiter => messages.length >= waiter.count).forEach(waiter => waiter.resolve());
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/response`,
+    apiUrl: `http://127.0.0.1:${server.address().port}/api/`,
+    messages,
+
+    /**
+     * Waits until at least `count` replies have arrived
+     *
+     * @param {number} count - Number of replies to wait for
+     * @param {number} [timeoutMs=10000] - Give up after this long
+     * @returns {Promise<Array<Object>>} All replies received so far
+     */
+    waitFor(count, timeoutMs = 10000) {
+      if (messages.length >= count) return Promise.resolve(messages);
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${count} Slack replies (got ${messages.length})`)), timeoutMs);
+        waiters.push({ count, resolve: () => { clearTimeout(timer); resolve(messages); } });
+      });
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = {
+  signRequest,
+  sendSlashCommand,
+  sendEvent,
+  createResponseCollector
+};
@@ -0,0 +1,75 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 RUN THE BOT
+// ═══════════════════════════════════════════════════════════════════════════
+// Runs index.js the way CI or a cron job would, for end-to-end tests.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const path = require('path');
+const { spawnSync, execFile } = require('child_process');
+const { scratchDir } = require('./scratch');
+
+const INDEX_JS = path.join(__dirname, '..', '..', 'index.js');
+
+/**
+ * Builds the spawn options of a run: a clean environment, in `dir`
+ *
+ * @param {string} dir - Working directory
+ * @param {Object} env - Extra environment variables
+ * @returns {Object} Options for child_process
+ */
+function spawnOptions(dir, env) {
+  return {
+    cwd: dir,
+    encoding: 'utf8',
+    timeout: 30000,
+    env: {
+      PATH: process.env.PATH,
+      HISTORY_FILE: path.join(dir, 'data', 'history.json'),
+      DIGEST_PROFILES_FILE: path.join(dir, 'digest-profiles.json'),
+      SLACK_CHANNEL_ID: 'CTEST',
+      ...env
+    }
+  };
+}
+
+/**
+ * Runs index.js in a scratch directory with a clean environment
+ *
+ * The scratch directory is the working directory, so a developer's own
+ * .env file can't leak into the test. History and profiles live in it too.
+ *
+ * @param {string[]} args - Command-line arguments
+ * @param {Object} [env] - Extra environment variables
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Directory to run in, e.g. to run twice
+ *   with the same state (default: a new scratch directory)
+ * @returns {{status: number, stdout: string, stderr: string, dir: string}}
+ */
+function runBot(args, env = {}, { dir = scratchDir('techmeme-run-') } = {}) {
+  const result = spawnSync(process.execPath, [INDEX_JS, ...args], spawnOptions(dir, env));
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr, dir };
+}
+
+/**
+ * Like runBot(), without blocking the test process, so a fake Slack
+ * (see fake-slack.js) running in it can answer the bot
+ *
+ * @param {string[]} args - Command-line arguments
+ * @param {Object} [env] - Extra environment variables
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Directory to run in (default: a new scratch directory)
+ * @returns {Promise<{status: number, stdout: string, stderr: string, dir: string}>}
+ */
+function runBotAsync(args, env = {}, { dir = scratchDir('techmeme-run-') } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, [INDEX_JS, ...args], spawnOptions(dir, env), (error, stdout, stderr) => {
+      if (error && typeof error.code !== 'number') {
+        reject(error);
+        return;
+      }
+      resolve({ status: error ? error.code : 0, stdout, stderr, dir });
+    });
+  });
+}
+
+module.exports = { runBot, runBotAsync };
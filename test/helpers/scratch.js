@@ -0,0 +1,34 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 SCRATCH DIRECTORIES
+// ═══════════════════════════════════════════════════════════════════════════
+// Temporary directories for tests that write files. Every test file creates
+// them with scratchDir() and registers `after(removeScratchDirs)`, so
+// nothing is left behind in the system's temp directory.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dirs = [];
+
+/**
+ * Creates an empty temporary directory, removed by removeScratchDirs()
+ *
+ * @param {string} prefix - Name prefix, e.g. "techmeme-e2e-"
+ * @returns {string} Path of the directory
+ */
+function scratchDir(prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  dirs.push(dir);
+  return dir;
+}
+
+/**
+ * Removes every directory created by scratchDir() so far
+ */
+function removeScratchDirs() {
+  dirs.splice(0).forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+module.exports = { scratchDir, removeScratchDirs };
@@ -0,0 +1,106 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 DIGEST HISTORY TESTS (OFFLINE)
+// ═══════════════════════════════════════════════════════════════════════════
+// Checks how scraped items are classified as new, repeat or developing
+// against the stories posted before, and what the filter and demote
+// policies keep.
+//
+// Usage: npm test
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeUrl, classifyItems, applyHistoryPolicy, recordPosted } = require('../lib/history');
+
+const NOW = new Date('2026-01-28T16:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds a history holding stories posted some days before NOW
+ *
+ * @param {Array<Object>} items - Items to record as posted
+ * @param {number} [daysAgo=1] - When they were posted
+ * @returns {{stories: Array<Object>}} History
+ */
+function historyOf(items, daysAgo = 1) {
+  return recordPosted({ stories: [] }, items, {
+    retentionDays: 30,
+    now: new Date(NOW.getTime() - daysAgo * DAY_MS)
+  });
+}
+
+/**
+ * Returns the history status of every classified item
+ *
+ * @param {Array<Object>} items - Scraped items
+ * @param {{stories: Array<Object>}} history - History
+ * @returns {string[]} Statuses, in order
+ */
+function statuses(items, history) {
+  return classifyItems(items, history, { windowDays: 3, now: NOW }).map(item => item.history.status);
+}
+
+test('items are new, repeat or developing against the stories posted in the window', () => {
+  const posted = {
+    text: 'OpenAI raises $40B at $300B valuation',
+    url: 'https://example.com/openai',
+    related: [{ url: 'https://a.example/1' }]
+  };
+  const history = historyOf([posted]);
+
+  // Same URL, no new coverage
+  assert.deepStrictEqual(statuses([{ ...posted, url: 'https://www.example.com/openai/?utm_source=x' }], history), ['repeat']);
+
+  // Reworded headline on another URL, still the same story
+  const reworded = classifyItems([{ text: 'OpenAI raises $40B at a $300B valuation, sources say', url: 'https://example.org/openai-round' }], history, { windowDays: 3, now: NOW });
+  assert.strictEqual(reworded[0].history.status, 'developing');
+  assert.strictEqual(reworded[0].history.firstSeen, new Date(NOW.getTime() - DAY_MS).toISOString());
+
+  // Related coverage only counts as developing from three new links
+  const related = count => ({
+    ...posted,
+    related: posted.related.concat(Array.from({ length: count }, (_, index) => ({ url: `https://b.example/${index}` })))
+  });
+  assert.deepStrictEqual(statuses([related(2), related(3)], history), ['repeat', 'developing']);
+
+  // Another source's link for the same story is new coverage
+  assert.deepStrictEqual(statuses([{ ...posted, alsoOn: [{ source: 'hackernews', url: 'https://news.example.org/openai' }] }], history), ['developing']);
+
+  // Outside the window, the story is new again
+  assert.deepStrictEqual(statuses([posted], historyOf([posted], 5)), ['new']);
+});
+
+test('headlines match at 60% word overlap and not below', () => {
+  const history = historyOf([{ text: 'Nvidia buys Enfabrica chips', url: 'https://example.com/nvidia' }]);
+
+  // 3 shared words out of 5 distinct: 0.6
+  assert.deepStrictEqual(statuses([{ text: 'Nvidia buys Enfabrica startup', url: 'https://example.org/a' }], history), ['developing']);
+  // 3 shared words out of 6 distinct: 0.5
+  assert.deepStrictEqual(statuses([{ text: 'Nvidia buys Enfabrica AI startup', url: 'https://example.org/b' }], history), ['new']);
+});
+
+test('URLs that differ only in their query are different stories', () => {
+  const history = historyOf([{ text: 'Ask HN: What are you working on this month?', url: 'https://news.ycombinator.com/item?id=1' }]);
+
+  assert.deepStrictEqual(statuses([
+    { text: 'Show HN: A tiny text editor written in Zig', url: 'https://news.ycombinator.com/item?id=2' },
+    { text: 'Ask HN: What are you working on this month?', url: 'https://news.ycombinator.com/item?id=1&utm_source=rss#comments' }
+  ], history), ['new', 'repeat']);
+
+  // Only tracking parameters are dropped
+  assert.notStrictEqual(normalizeUrl('https://www.youtube.com/watch?v=AbC1'), normalizeUrl('https://www.youtube.com/watch?v=XyZ2'));
+  assert.strictEqual(normalizeUrl('https://www.example.com/story/?utm_source=x&fbclid=y&ref=z'), 'example.com/story');
+  assert.strictEqual(normalizeUrl('https://example.com/a?utm_medium=feed&page=2'), 'example.com/a?page=2');
+});
+
+test('the filter policy drops repeats and the demote policy moves them last', () => {
+  const items = [
+    { text: 'repeat one', history: { status: 'repeat' } },
+    { text: 'new one', history: { status: 'new' } },
+    { text: 'developing one', history: { status: 'developing' } },
+    { text: 'repeat two', history: { status: 'repeat' } }
+  ];
+
+  assert.deepStrictEqual(applyHistoryPolicy(items, 'filter').map(item => item.text), ['new one', 'developing one']);
+  assert.deepStrictEqual(applyHistoryPolicy(items, 'demote').map(item => item.text), ['new one', 'developing one', 'repeat one', 'repeat two']);
+});
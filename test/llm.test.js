@@ -0,0 +1,76 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 LLM FALLBACK TESTS (OFFLINE)
+// ═══════════════════════════════════════════════════════════════════════════
+// Checks that a prompt goes through the providers in order, that transient
+// errors are retried and timeouts are not, and that the first provider to
+// answer wins.
+//
+// Usage: npm test
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { generateWithFallback } = require('../lib/llm');
+const { createStubProvider } = require('../lib/llm/stub');
+
+const PROMPT = `Pick the top 1 stories.
+
+1. Nvidia agrees to acquire Enfabrica for $900M. The deal closes next quarter.
+   URL: https://example.com/nvidia
+`;
+
+const NO_WAIT = { retries: 2, baseDelayMs: 0, maxDelayMs: 0 };
+
+/**
+ * Creates a provider that counts its calls and answers with `generate`
+ *
+ * @param {string} name - Provider name
+ * @param {Function} generate - `() → Promise`
+ * @returns {Object} Provider with a `calls` counter
+ */
+function fakeProvider(name, generate) {
+  const provider = {
+    name,
+    model: `${name}-model`,
+    calls: 0,
+    generate() {
+      provider.calls++;
+      return generate();
+    }
+  };
+  return provider;
+}
+
+test('failing providers fall back in order, and timeouts are never retried', async () => {
+  const overloaded = fakeProvider('overloaded', async () => {
+    const error = new Error('Request failed with status code 503');
+    error.response = { status: 503, headers: {} };
+    throw error;
+  });
+  const hanging = fakeProvider('hanging', () => new Promise(() => {}));
+  const stub = createStubProvider();
+
+  const result = await generateWithFallback([overloaded, hanging, stub], PROMPT, { timeout: 50, retryPolicy: NO_WAIT });
+  assert.strictEqual(result.provider, stub);
+  assert.strictEqual(JSON.parse(result.text).stories[0].sourceUrl, 'https://example.com/nvidia');
+
+  // The 503 is retried twice; the timeout falls through after one attempt
+  assert.strictEqual(overloaded.calls, 3);
+  assert.strictEqual(hanging.calls, 1);
+});
+
+test('a permanent error falls back at once and every failure is reported', async () => {
+  const unauthorized = fakeProvider('unauthorized', async () => {
+    const error = new Error('Request failed with status code 401');
+    error.response = { status: 401, headers: {} };
+    throw error;
+  });
+  const hanging = fakeProvider('hanging', () => new Promise(() => {}));
+
+  await assert.rejects(
+    generateWithFallback([unauthorized, hanging], PROMPT, { timeout: 50, retryPolicy: NO_WAIT }),
+    /All LLM providers failed:\n {2}- unauthorized \(unauthorized-model\): .*401\n {2}- hanging \(hanging-model\): .*timed out after 50ms/
+  );
+  assert.strictEqual(unauthorized.calls, 1);
+  await assert.rejects(generateWithFallback([], PROMPT), /No LLM providers are configured/);
+});
@@ -0,0 +1,89 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 DIGEST PROFILE TESTS (OFFLINE)
+// ═══════════════════════════════════════════════════════════════════════════
+// Checks how the profiles file is validated, how topics are matched and
+// which items each profile keeps, including the example profiles.
+//
+// Usage: npm test
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_STORY_COUNT, topicMatcher, loadProfiles, filterItemsForProfile } = require('../lib/profiles');
+const { scratchDir, removeScratchDirs } = require('./helpers/scratch');
+
+after(removeScratchDirs);
+
+const EXAMPLE_FILE = path.join(__dirname, '..', 'digest-profiles.example.json');
+
+/**
+ * Writes a profiles file and loads it
+ *
+ * @param {*} data - File contents (serialized as JSON unless a string)
+ * @returns {Array<Object>} Loaded profiles
+ */
+function loadFrom(data) {
+  const file = path.join(scratchDir('techmeme-profiles-'), 'digest-profiles.json');
+  fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+  return loadProfiles(file);
+}
+
+test('profiles are validated and get defaults', () => {
+  const missing = path.join(scratchDir('techmeme-profiles-'), 'none.json');
+  assert.deepStrictEqual(loadProfiles(missing, { channel: 'C1' }).map(profile => [profile.name, profile.channel, profile.storyCount]), [['default', 'C1', DEFAULT_STORY_COUNT]]);
+  assert.throws(() => loadProfiles(missing), /No digest profiles file at .* and SLACK_CHANNEL_ID is not set/);
+
+  const [profile] = loadFrom([{ name: 'ai-team', channel: ' C2 ', storyCount: 5 }]);
+  assert.deepStrictEqual(profile, {
+    name: 'ai-team',
+    channel: 'C2',
+    title: undefined,
+    includeTopics: [],
+    excludeTopics: [],
+    storyCount: 5,
+    tone: undefined,
+    prompt: undefined
+  });
+
+  assert.throws(() => loadFrom('{ not json'), /Could not read digest profiles from/);
+  assert.throws(() => loadFrom({ profiles: [] }), /does not define any profiles/);
+  assert.throws(() => loadFrom({ profiles: ['ai'] }), /Profile #1 must be an object/);
+  assert.throws(() => loadFrom({ profiles: [{ name: 'ai team', channel: 'C1' }] }), /Profile #1 needs a "name"/);
+  assert.throws(() => loadFrom({ profiles: [{ name: 'ai' }] }), /Profile "ai" needs a Slack "channel" ID/);
+  assert.throws(() => loadFrom({ profiles: [{ name: 'ai', channel: 'C1', storyCount: 21 }] }), /"storyCount" must be an integer between 1 and 20/);
+  assert.throws(() => loadFrom({ profiles: [{ name: 'ai', channel: 'C1', includeTopics: 'AI' }] }), /"includeTopics" must be an array of strings/);
+  assert.throws(() => loadFrom({ profiles: [{ name: 'ai', channel: 'C1' }, { name: 'ai', channel: 'C2' }] }), /Duplicate digest profile name "ai"/);
+});
+
+test('topics match whole words, ignoring case', () => {
+  const matcher = topicMatcher(['AI', 'C++', 'acquire']);
+  assert.ok(matcher.test('Google bets on ai agents'));
+  assert.ok(matcher.test('Why C++ still matters'));
+  assert.ok(matcher.test('Nvidia to acquire Enfabrica'));
+  assert.ok(!matcher.test('Airbnb said it would cut fees'));
+  assert.ok(!matcher.test('Nvidia acquires Enfabrica'));
+  assert.strictEqual(topicMatcher([]), null);
+});
+
+test('profiles keep the items matching their topics', () => {
+  const items = [
+    { text: 'Google releases new reasoning models', publisher: 'The Verge' },
+    { text: 'Nvidia acquired Enfabrica for $900M', publisher: 'Bloomberg' },
+    { text: 'Coinbase raises fees for crypto traders', publisher: 'CoinDesk' },
+    { text: 'Apple ships a new iPad', publisher: 'AI Weekly' }
+  ];
+  const profile = fields => ({ includeTopics: [], excludeTopics: [], ...fields });
+  const texts = kept => kept.map(item => item.text);
+
+  assert.strictEqual(filterItemsForProfile(items, profile()).length, 4);
+  assert.deepStrictEqual(texts(filterItemsForProfile(items, profile({ includeTopics: ['AI'] }))), ['Apple ships a new iPad']);
+  assert.deepStrictEqual(texts(filterItemsForProfile(items, profile({ excludeTopics: ['crypto', 'iPad'] }))), [items[0].text, items[1].text]);
+
+  // The example profiles list the word forms headlines actually use
+  const [general, aiTeam, finance] = loadProfiles(EXAMPLE_FILE);
+  assert.strictEqual(filterItemsForProfile(items, general).length, 4);
+  assert.deepStrictEqual(texts(filterItemsForProfile(items, aiTeam)), [items[0].text, items[1].text, items[3].text]);
+  assert.deepStrictEqual(texts(filterItemsForProfile(items, finance)), [items[1].text]);
+});
@@ -0,0 +1,207 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 PUBLISHER TESTS (OFFLINE)
+// ═══════════════════════════════════════════════════════════════════════════
+// Renders a digest for every destination, posts the webhook ones to a local
+// server, sends an email through Nodemailer's JSON transport, and checks
+// that one failing destination doesn't stop the others.
+//
+// Usage: npm test
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { createResponseCollector } = require('./helpers/fake-slack');
+const { publisherNames, loadPublishers, publishDigest, partiallyPublished } = require('../lib/publishers');
+const { renderMarkdown, renderText } = require('../lib/publishers/format');
+const { createSlackPublisher } = require('../lib/publishers/slack');
+const { createMarkdownPublisher } = require('../lib/publishers/markdown');
+const { createFeedPublisher } = require('../lib/publishers/feed');
+const { createTeamsPublisher, createDiscordPublisher } = require('../lib/publishers/webhooks');
+const { createEmailPublisher } = require('../lib/publishers/email');
+const { scratchDir, removeScratchDirs } = require('./helpers/scratch');
+const { runBot } = require('./helpers/run-bot');
+
+after(removeScratchDirs);
+
+const FIXTURE_HTML = path.join(__dirname, 'fixtures', 'techmeme.html');
+const FIXTURE_LLM = path.join(__dirname, 'fixtures', 'llm-response.json');
+const NO_RETRY = { retries: 0, baseDelayMs: 0, maxDelayMs: 0 };
+
+/**
+ * Builds a structured digest with the given number of stories
+ *
+ * @param {number} count - Number of stories
+ * @param {Object} [fields] - Digest fields to override
+ * @returns {Object} Digest
+ */
+function digestOf(count, fields = {}) {
+  return {
+    kind: 'daily',
+    profile: 'default',
+    channel: 'CTEST',
+    title: 'Techmeme Top Digest',
+    date: 'Wednesday, January 28, 2026',
+    publishedAt: '2026-01-28T16:00:00.000Z',
+    generatedBy: 'stub',
+    staleSince: null,
+    stories: Array.from({ length: count }, (_, index) => ({
+      rank: index + 1,
+      emoji: '🤖',
+      title: `Story *${index + 1}* <raises> $40M`,
+      summary: 'The deal was announced on Tuesday.',
+      whyItMatters: 'It changes the market.',
+      sourceUrl: `https://example.com/${index + 1}`,
+      category: 'AI'
+    })),
+    sections: [],
+    ...fields
+  };
+}
+
+test('Markdown, text and feed renderings escape stories and keep one entry per day', async () => {
+  const digest = digestOf(2, {
+    sections: [{ title: '🏢 Companies', entries: [{ title: 'Amazon', detail: '2', text: 'Cut jobs' }] }]
+  });
+  const markdown = renderMarkdown(digest);
+  assert.match(markdown, /^# 📰 Techmeme Top Digest/);
+  assert.match(markdown, /\[Story \\\*1\\\* \\<raises\\> \$40M\]\(https:\/\/example\.com\/1\)/);
+  assert.match(markdown, /\*\*Amazon\*\* \(2\): Cut jobs/);
+  assert.match(renderText(digest), /https:\/\/example\.com\/2/);
+
+  const dir = scratchDir('techmeme-publishers-');
+  const markdownPublisher = createMarkdownPublisher({ dir: path.join(dir, 'digests') });
+  const { file } = await markdownPublisher.publish(digest);
+  assert.strictEqual(path.basename(file), '2026-01-28-default.md');
+  const week = await markdownPublisher.publish({ ...digest, kind: 'week' });
+  assert.strictEqual(path.basename(week.file), '2026-01-28-default-week.md');
+
+  const rss = createFeedPublisher({ file: path.join(dir, 'feed.xml'), maxEntries: 2 });
+  await rss.publish(digest);
+  await rss.publish({ ...digest, title: 'Rerun' });
+  let result = await rss.publish({ ...digest, publishedAt: '2026-01-29T16:00:00.000Z' });
+  assert.strictEqual(result.entries, 2);
+  const xml = fs.readFileSync(path.join(dir, 'feed.xml'), 'utf8');
+  assert.match(xml, /<rss version="2.0"/);
+  assert.strictEqual((xml.match(/<item>/g) || []).length, 2);
+  assert.match(xml, /Rerun - Wednesday/);
+  assert.match(xml, /&amp;lt;raises&amp;gt;/);
+  assert.ok(fs.existsSync(path.join(dir, 'feed.json')));
+
+  const atom = createFeedPublisher({ file: path.join(dir, 'atom.xml'), format: 'atom', url: 'https://example.com/atom.xml' });
+  result = await atom.publish(digest);
+  assert.match(fs.readFileSync(result.file, 'utf8'), /<feed xmlns="http:\/\/www.w3.org\/2005\/Atom">[\s\S]*<entry>/);
+  assert.throws(() => createFeedPublisher({ file: path.join(dir, 'x.xml'), format: 'json' }), /Unknown feed format/);
+});
+
+test('Teams, Discord and email get the same digest in their own format', async () => {
+  const collector = await createResponseCollector();
+  try {
+    const teams = createTeamsPublisher({ url: collector.url, retryPolicy: NO_RETRY });
+    await teams.publish(digestOf(3));
+    const card = collector.messages[0].attachments[0].content;
+    assert.strictEqual(card.type, 'AdaptiveCard');
+    assert.strictEqual(card.body.filter(block => block.type === 'Container').length, 3);
+
+    const discord = createDiscordPublisher({ url: collector.url, retryPolicy: NO_RETRY });
+    const { messages } = await discord.publish(digestOf(12));
+    assert.strictEqual(messages, 2);
+    await collector.waitFor(3);
+    const [first, second] = collector.messages.slice(1);
+    assert.match(first.content, /Techmeme Top Digest/);
+    assert.strictEqual(first.embeds.length, 10);
+    assert.strictEqual(second.embeds.length, 2);
+    assert.strictEqual(second.content, undefined);
+    assert.deepStrictEqual(first.allowed_mentions, { parse: [] });
+  } finally {
+    await collector.close();
+  }
+
+  const email = createEmailPublisher({
+    transport: nodemailer.createTransport({ jsonTransport: true }),
+    from: 'digest@example.com',
+    to: ['a@example.com', 'b@example.com'],
+    retryPolicy: NO_RETRY
+  });
+  const result = await email.publish(digestOf(2));
+  assert.strictEqual(result.recipients, 2);
+  assert.ok(result.messageId);
+
+  assert.deepStrictEqual(publisherNames({ PUBLISHERS: 'Slack, feed' }), ['slack', 'feed']);
+  assert.throws(() => publisherNames({ PUBLISHERS: 'fax' }), /Unknown publisher "fax"/);
+  const loaded = loadPublishers({ PUBLISHERS: 'email,teams,markdown' }, { dataDir: os.tmpdir() });
+  assert.deepStrictEqual(loaded.map(publisher => publisher.name), ['markdown']);
+});
+
+test('a failing destination is reported and the others still get the digest', async () => {
+  const ok = { name: 'ok', label: 'OK', publish: async () => ({ done: true }) };
+  const broken = { name: 'broken', label: 'Broken', publish: async () => { throw new Error('boom'); } };
+
+  const { results, failures } = await publishDigest([broken, ok], digestOf(1));
+  assert.deepStrictEqual(results, { ok: { done: true } });
+  assert.deepStrictEqual(failures.map(failure => failure.publisher), ['broken']);
+  await assert.rejects(publishDigest([broken, { ...broken, name: 'other' }], digestOf(1)), /Every destination failed/);
+  await assert.rejects(publishDigest([broken], digestOf(1)), /boom/);
+
+  // A full run without Slack: the dead Discord webhook doesn't stop the files
+  const dir = scratchDir('techmeme-publishers-e2e-');
+  const run = runBot(['--fixture', FIXTURE_HTML, '--llm-fixture', FIXTURE_LLM], {
+    PUBLISHERS: 'markdown,feed,discord',
+    DISCORD_WEBHOOK_URL: 'http://127.0.0.1:9/webhook',
+    RETRY_COUNT: '0',
+    LAST_DIGEST_FILE: path.join(dir, 'data', 'last-digest.json'),
+    ARCHIVE_DIR: path.join(dir, 'data', 'archive'),
+    SNAPSHOT_DIR: path.join(dir, 'data', 'snapshots'),
+    MARKDOWN_DIR: path.join(dir, 'digests'),
+    FEED_FILE: path.join(dir, 'feed.xml')
+  }, { dir });
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.strictEqual(fs.readdirSync(path.join(dir, 'digests')).length, 1);
+  assert.strictEqual((fs.readFileSync(path.join(dir, 'feed.xml'), 'utf8').match(/<item>/g) || []).length, 1);
+  assert.match(run.stdout + run.stderr, /Publisher "discord" failed for profile "default"/);
+  assert.ok(!fs.existsSync(path.join(dir, 'data', 'last-digest.json')));
+});
+
+test('Slack credits the digest\'s sources and reports the parts it posted before failing', async () => {
+  const payloads = [];
+  const client = {
+    chat: {
+      postMessage: async payload => {
+        payloads.push(payload);
+        if (payloads.length === 2) throw Object.assign(new Error('An API error occurred: fatal_error'), { data: { error: 'fatal_error' } });
+        return { ok: true, channel: payload.channel, ts: `1.${payloads.length}` };
+      }
+    }
+  };
+  const slack = createSlackPublisher({ client, retryPolicy: NO_RETRY });
+
+  // One message: the footer links every source
+  const sources = ['https://techmeme.com/', 'https://news.ycombinator.com/'];
+  assert.deepStrictEqual(await slack.publish(digestOf(2, { sources })), { channel: 'CTEST', ts: '1.1' });
+  const footer = payloads[0].blocks[payloads[0].blocks.length - 1].elements[0].text;
+  assert.strictEqual(footer, 'Summarized by stub from <https://techmeme.com/|techmeme.com>, <https://news.ycombinator.com/|news.ycombinator.com>');
+  assert.match(renderMarkdown(digestOf(1, { sources })), /from \[techmeme\.com\]\(https:\/\/techmeme\.com\/\), \[news\.ycombinator\.com\]/);
+  assert.match(renderText(digestOf(1)), /Summarized by stub from techmeme\.com \(https:\/\/techmeme\.com\/\)\n$/);
+
+  // Two messages: the second fails after the first was posted
+  payloads.length = 0;
+  const digest = digestOf(40);
+  const error = await slack.publish(digest).then(() => null, failure => failure);
+  assert.match(error.message, /^Posted 1 of 2 Slack messages, then failed: An API error occurred: fatal_error$/);
+  assert.strictEqual(payloads.length, 2);
+  const posted = partiallyPublished(error);
+  assert.deepStrictEqual([posted.channel, posted.ts], ['CTEST', '1.1']);
+  assert.ok(posted.stories.length > 0 && posted.stories.length < 40);
+  assert.deepStrictEqual(posted.stories, digest.stories.slice(0, posted.stories.length));
+
+  // Also when another destination failed too
+  payloads.length = 0;
+  const broken = { name: 'broken', label: 'Broken', publish: async () => { throw new Error('boom'); } };
+  const everyFailure = await publishDigest([slack, broken], digestOf(40)).then(() => null, failure => failure);
+  assert.match(everyFailure.message, /Every destination failed/);
+  assert.strictEqual(partiallyPublished(everyFailure).stories.length, posted.stories.length);
+  assert.strictEqual(partiallyPublished(new Error('boom')), null);
+});
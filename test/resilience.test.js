@@ -0,0 +1,113 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 RETRY AND SNAPSHOT FALLBACK TESTS (OFFLINE)
+// ═══════════════════════════════════════════════════════════════════════════
+// Checks which errors are retried, how long we wait, and that an
+// unreachable River site falls back to its cached snapshot.
+//
+// Usage: npm test
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { isRetryableError, retryAfterMs, backoffDelay, withRetry, DEFAULT_RETRY_POLICY } = require('../lib/retry');
+const { createSnapshotCache } = require('../lib/snapshots');
+const { fetchRiverContent } = require('../lib/sources/river');
+const { staleSince } = require('../lib/sources');
+const { scratchDir, removeScratchDirs } = require('./helpers/scratch');
+
+after(removeScratchDirs);
+
+const FIXTURE_HTML = path.join(__dirname, 'fixtures', 'techmeme.html');
+
+// Nothing listens on the discard port, so connections are refused at once
+const UNREACHABLE_SITE = { name: 'techmeme', label: 'Techmeme', url: 'http://127.0.0.1:9/' };
+
+/**
+ * Builds an error shaped like an axios HTTP error
+ *
+ * @param {number} status - HTTP status
+ * @param {Object} [headers] - Response headers
+ * @returns {Error} Error with a `response`
+ */
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+test('only transient errors are retried', () => {
+  assert.strictEqual(isRetryableError(httpError(503)), true);
+  assert.strictEqual(isRetryableError(httpError(429)), true);
+  assert.strictEqual(isRetryableError(httpError(404)), false);
+  assert.strictEqual(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.strictEqual(isRetryableError(Object.assign(new Error('[429 Too Many Requests]'), { status: 429 })), true);
+  assert.strictEqual(isRetryableError(Object.assign(new Error('not_in_channel'), { code: 'slack_webapi_platform_error' })), false);
+  assert.strictEqual(isRetryableError(Object.assign(new Error('ratelimited'), { code: 'slack_webapi_rate_limited_error', retryAfter: 3 })), true);
+});
+
+test('Retry-After is read from HTTP, Slack and Gemini errors', () => {
+  const now = Date.parse('2026-01-28T16:00:00Z');
+  assert.strictEqual(retryAfterMs(httpError(429, { 'retry-after': '7' })), 7000);
+  assert.strictEqual(retryAfterMs(httpError(503, { 'retry-after': 'Wed, 28 Jan 2026 16:00:30 GMT' }), now), 30000);
+  assert.strictEqual(retryAfterMs({ retryAfter: 2 }), 2000);
+  assert.strictEqual(retryAfterMs({ errorDetails: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '37s' }] }), 37000);
+  assert.strictEqual(retryAfterMs(httpError(500)), null);
+});
+
+test('backoff grows exponentially with jitter and a cap', () => {
+  const policy = { ...DEFAULT_RETRY_POLICY, baseDelayMs: 1000, maxDelayMs: 5000 };
+  assert.strictEqual(backoffDelay(1, policy, () => 0), 500);
+  assert.strictEqual(backoffDelay(1, policy, () => 0.999999), 1000);
+  assert.strictEqual(backoffDelay(3, policy, () => 0.999999), 4000);
+  assert.strictEqual(backoffDelay(10, policy, () => 0.999999), 5000);
+});
+
+test('withRetry waits as asked and gives up on permanent errors', async () => {
+  const waits = [];
+  const sleep = async ms => { waits.push(ms); };
+
+  let calls = 0;
+  const result = await withRetry(async () => {
+    calls++;
+    if (calls < 3) throw httpError(429, { 'retry-after': '2' });
+    return 'ok';
+  }, { sleep });
+  assert.strictEqual(result, 'ok');
+  assert.deepStrictEqual(waits, [2000, 2000]);
+
+  calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw httpError(404);
+  }, { sleep }), /404/);
+  assert.strictEqual(calls, 1);
+
+  // A server asking for a very long pause is not worth waiting for
+  calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw httpError(429, { 'retry-after': '3600' });
+  }, { sleep }), /429/);
+  assert.strictEqual(calls, 1);
+});
+
+test('an unreachable River site falls back to its last good snapshot', async () => {
+  const dir = scratchDir('techmeme-snapshots-');
+  const snapshots = createSnapshotCache(dir);
+  const retryPolicy = { ...DEFAULT_RETRY_POLICY, retries: 0 };
+
+  // Without a snapshot the outage is an error
+  await assert.rejects(fetchRiverContent(UNREACHABLE_SITE, { snapshots, retryPolicy, timeout: 2000 }));
+
+  snapshots.save('techmeme', fs.readFileSync(FIXTURE_HTML, 'utf8'));
+  const items = await fetchRiverContent(UNREACHABLE_SITE, { snapshots, retryPolicy, timeout: 2000 });
+  assert.strictEqual(items.length, 5);
+  assert.ok(items.every(item => item.stale));
+  assert.strictEqual(staleSince(items), snapshots.load('techmeme').fetchedAt);
+
+  // Snapshots past their maximum age are not used
+  const oldSnapshots = createSnapshotCache(dir, { maxAgeHours: 1 });
+  assert.strictEqual(oldSnapshots.load('techmeme', Date.now() + 2 * 3600000), null);
+});
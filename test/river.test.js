@@ -0,0 +1,103 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 RIVER PARSER TESTS (OFFLINE)
+// ═══════════════════════════════════════════════════════════════════════════
+// Checks how a River page is parsed into story clusters, the fallback for
+// changed markup, and which scraped pages replace the snapshot.
+//
+// Usage: npm test
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { RIVER_SITES, parseRiverPage, fetchRiverContent } = require('../lib/sources/river');
+const { createSnapshotCache } = require('../lib/snapshots');
+const { DEFAULT_RETRY_POLICY } = require('../lib/retry');
+const { scratchDir, removeScratchDirs } = require('./helpers/scratch');
+
+after(removeScratchDirs);
+
+const FIXTURE_HTML = fs.readFileSync(path.join(__dirname, 'fixtures', 'techmeme.html'), 'utf8');
+
+// Techmeme after a redesign: headlines without the '.ii' class
+const CHANGED_HTML = '<html><body><p><strong><a href="/story">Techmeme moved its headlines into new markup today</a></strong></p>'
+  + '<p><strong>Too short</strong></p></body></html>';
+
+test('each cluster becomes one item with its cite line, permalink and links', () => {
+  const { items, usedFallback } = parseRiverPage(FIXTURE_HTML, RIVER_SITES.techmeme);
+  assert.strictEqual(usedFallback, false);
+  assert.strictEqual(items.length, 5);
+  assert.deepStrictEqual(items.map(item => item.rank), [1, 2, 3, 4, 5]);
+
+  const amazon = items[0];
+  assert.strictEqual(amazon.source, 'techmeme');
+  assert.strictEqual(amazon.headline, 'Amazon plans to cut ~16,000 corporate roles as part of a push to reduce layers of management');
+  assert.strictEqual(amazon.summary, 'Amazon is laying off about 16,000 corporate employees, the company said on Wednesday, its second major round of cuts in three months.');
+  assert.strictEqual(amazon.url, 'https://www.cnbc.com/2026/01/28/amazon-layoffs-corporate.html');
+  assert.strictEqual(amazon.author, 'Annie Palmer');
+  assert.strictEqual(amazon.publisher, 'CNBC');
+  assert.strictEqual(amazon.permalink, 'https://techmeme.com/260128/p1#a260128p1');
+
+  // "More:" links are related coverage, the other headings are discussion
+  assert.deepStrictEqual(amazon.related.map(link => link.publisher), ['About Amazon', 'Reuters', 'The Verge', 'GeekWire']);
+  assert.strictEqual(amazon.relatedCount, 4);
+  assert.deepStrictEqual(amazon.discussion, [
+    { platform: 'X', author: '@annierpalmer', url: 'https://x.com/annierpalmer/status/1' },
+    { platform: 'X', author: '@jasondelrey', url: 'https://x.com/jasondelrey/status/2' },
+    { platform: 'LinkedIn', author: 'Beth Galetti', url: 'https://www.linkedin.com/posts/bethgaletti_1' }
+  ]);
+  assert.deepStrictEqual(items[4].discussion, [{ platform: 'Forums', author: 'Hacker News', url: 'https://news.ycombinator.com/item?id=1' }]);
+
+  // A cite line without an author, and a cluster without any extra links
+  assert.strictEqual(items[2].author, undefined);
+  assert.strictEqual(items[2].publisher, 'Nvidia');
+  assert.deepStrictEqual(items[3].related, []);
+  assert.deepStrictEqual(items[3].discussion, []);
+
+  // Without a permalink anchor, the permalink is built from the item id
+  assert.strictEqual(items[3].permalink, 'https://techmeme.com/260128/p4#a260128p4');
+
+  assert.strictEqual(parseRiverPage(FIXTURE_HTML, RIVER_SITES.techmeme, { maxItems: 2 }).items.length, 2);
+});
+
+test('a page without the .ii markup is parsed from its <strong> headlines', () => {
+  const { items, usedFallback } = parseRiverPage(CHANGED_HTML, RIVER_SITES.techmeme);
+  assert.strictEqual(usedFallback, true);
+  assert.deepStrictEqual(items, [{
+    text: 'Techmeme moved its headlines into new markup today',
+    url: 'https://techmeme.com/story',
+    source: 'techmeme',
+    rank: 1,
+    headline: 'Techmeme moved its headlines into new markup today',
+    related: [],
+    discussion: [],
+    relatedCount: 0
+  }]);
+});
+
+test('only a page the .ii selector parsed replaces the snapshot', async () => {
+  let page = FIXTURE_HTML;
+  const server = http.createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'text/html' });
+    response.end(page);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const site = { name: 'techmeme', label: 'Techmeme', url: `http://127.0.0.1:${server.address().port}/` };
+
+  try {
+    const snapshots = createSnapshotCache(scratchDir('techmeme-snapshots-'));
+    const options = { snapshots, retryPolicy: { ...DEFAULT_RETRY_POLICY, retries: 0 }, timeout: 2000 };
+
+    assert.strictEqual((await fetchRiverContent(site, options)).length, 5);
+    assert.strictEqual(snapshots.load('techmeme').html, FIXTURE_HTML);
+
+    // Changed markup still yields items, but keeps the last good snapshot
+    page = CHANGED_HTML;
+    assert.strictEqual((await fetchRiverContent(site, options)).length, 1);
+    assert.strictEqual(snapshots.load('techmeme').html, FIXTURE_HTML);
+  } finally {
+    server.close();
+  }
+});
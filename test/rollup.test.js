@@ -0,0 +1,42 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 ROLL-UP TIMELINE TESTS (OFFLINE)
+// ═══════════════════════════════════════════════════════════════════════════
+// Checks how archived items are grouped into one timeline per story across
+// the days of a roll-up.
+//
+// Usage: npm test
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildTimelines } = require('../lib/rollup');
+
+test('a story is followed across days, and same-day clusters stay apart', () => {
+  const nvidia = (url, text, rank) => ({ text, url, source: 'techmeme', sources: ['techmeme'], rank, related: [] });
+  const days = [
+    {
+      date: '2026-01-27',
+      digests: {},
+      items: [
+        nvidia('https://example.com/nvidia-enfabrica', 'Nvidia agrees to acquire Enfabrica for $900M in cash and stock', 1),
+        nvidia('https://example.com/nvidia-earnings', 'Nvidia agrees to acquire more chip capacity for $900M in cash', 2)
+      ]
+    },
+    {
+      date: '2026-01-28',
+      digests: {},
+      items: [nvidia('https://example.org/enfabrica-deal', 'Nvidia agrees to acquire Enfabrica for $900M in cash', 1)]
+    }
+  ];
+
+  const timelines = buildTimelines(days);
+  assert.strictEqual(timelines.length, 2);
+
+  // The next day's reworded headline joins the first timeline it matches
+  const [followed, other] = timelines;
+  assert.deepStrictEqual(followed.appearances.map(appearance => appearance.date), ['2026-01-27', '2026-01-28']);
+  assert.strictEqual(followed.item.url, 'https://example.org/enfabrica-deal');
+  assert.deepStrictEqual(followed.item.alsoOn, [{ source: 'earlier', url: 'https://example.com/nvidia-enfabrica' }]);
+  assert.strictEqual(other.item.url, 'https://example.com/nvidia-earnings');
+  assert.deepStrictEqual(other.appearances.map(appearance => appearance.date), ['2026-01-27']);
+});
@@ -0,0 +1,129 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 SCHEDULER TESTS (OFFLINE)
+// ═══════════════════════════════════════════════════════════════════════════
+// Checks cron parsing and next-run times across daylight saving changes,
+// then drives the scheduler with a fake clock and fake runs to check
+// overlap prevention, catch-up of missed runs and the run log.
+//
+// Usage: npm test
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseCron, nextRun, lastRunBetween } = require('../lib/cron');
+const { loadSchedules, createScheduler } = require('../lib/scheduler');
+const { recordRun, queryRuns } = require('../lib/run-log');
+const { scratchDir, removeScratchDirs } = require('./helpers/scratch');
+
+after(removeScratchDirs);
+
+test('cron expressions are parsed and follow local time through DST', () => {
+  assert.throws(() => parseCron('0 8 * *'), /expected 5 fields/);
+  assert.throws(() => parseCron('0 25 * * *'), /hour 25 is out of range/);
+  assert.deepStrictEqual([...parseCron('*/20 8-10/2 * jan mon-wed,7').minute], [0, 20, 40]);
+  assert.deepStrictEqual([...parseCron('* * * * mon-wed,7').dayOfWeek].sort(), [0, 1, 2, 3]);
+
+  // 8 AM in Los Angeles is 16:00 UTC in winter and 15:00 UTC in summer
+  const la = 'America/Los_Angeles';
+  assert.strictEqual(nextRun('0 8 * * *', new Date('2026-03-07T20:00:00Z'), la).toISOString(), '2026-03-08T15:00:00.000Z');
+  assert.strictEqual(nextRun('0 8 * * *', new Date('2026-03-06T20:00:00Z'), la).toISOString(), '2026-03-07T16:00:00.000Z');
+
+  // 02:30 doesn't exist when New York springs forward, 01:30 happens twice when it falls back
+  const ny = 'America/New_York';
+  assert.strictEqual(nextRun('30 2 * * *', new Date('2026-03-08T00:00:00Z'), ny).toISOString(), '2026-03-09T06:30:00.000Z');
+  assert.strictEqual(nextRun('30 1 * * *', new Date('2026-11-01T05:31:00Z'), ny).toISOString(), '2026-11-02T06:30:00.000Z');
+
+  // Day of month or day of week, when both are restricted
+  assert.strictEqual(nextRun('0 0 13 * fri', new Date('2026-10-19T00:00:00Z')).toISOString(), '2026-10-23T00:00:00.000Z');
+  assert.strictEqual(nextRun('0 0 31 2 *', new Date('2026-10-19T00:00:00Z')), null);
+
+  assert.strictEqual(
+    lastRunBetween('0 8 * * *', new Date('2026-10-15T00:00:00Z'), new Date('2026-10-19T12:00:00Z')).toISOString(),
+    '2026-10-19T08:00:00.000Z'
+  );
+});
+
+test('schedules are validated', () => {
+  const dir = scratchDir('techmeme-schedules-');
+  const file = path.join(dir, 'schedules.json');
+
+  assert.deepStrictEqual(loadSchedules(file, { timezone: 'Europe/Paris' }).map(schedule => [schedule.name, schedule.timezone]), [['daily-digest', 'Europe/Paris']]);
+
+  const write = schedules => fs.writeFileSync(file, JSON.stringify({ timezone: 'Asia/Tokyo', schedules }));
+  write([{ name: 'digest', cron: '0 8 * * *' }, { name: 'weekly', cron: '0 9 * * 5', timezone: 'UTC', args: ['--rollup', 'week'] }]);
+  const schedules = loadSchedules(file);
+  assert.deepStrictEqual(schedules.map(schedule => schedule.timezone), ['Asia/Tokyo', 'UTC']);
+  assert.deepStrictEqual(schedules[1].args, ['--rollup', 'week']);
+
+  write([{ name: 'digest', cron: '0 8 * * *' }, { name: 'digest', cron: '0 9 * * *' }]);
+  assert.throws(() => loadSchedules(file), /Duplicate schedule name/);
+  write([{ name: 'digest', cron: '0 8 * * *', timezone: 'Mars/Olympus' }]);
+  assert.throws(() => loadSchedules(file), /unknown time zone/);
+  write([{ name: 'digest', cron: '0 0 31 2 *' }]);
+  assert.throws(() => loadSchedules(file), /never runs/);
+});
+
+test('runs never overlap, missed runs are caught up and everything is logged', async () => {
+  const runLogFile = path.join(scratchDir('techmeme-runs-'), 'run-log.json');
+  const [digest, hourly, stale] = [
+    { name: 'digest', cron: parseCron('0 8 * * *'), timezone: 'UTC', args: [], catchUp: true, timeoutMinutes: 30 },
+    { name: 'hourly', cron: parseCron('0 * * * *'), timezone: 'UTC', args: [], catchUp: true, timeoutMinutes: 30 },
+    { name: 'stale', cron: parseCron('0 1 * * *'), timezone: 'UTC', args: [], catchUp: true, timeoutMinutes: 30 }
+  ];
+
+  // The scheduler was down since yesterday: digest and stale missed a run
+  const yesterday = '2026-10-18T10:00:00.000Z';
+  [digest, hourly, stale].forEach(schedule => {
+    recordRun(runLogFile, { id: `${schedule.name}-old`, schedule: schedule.name, scheduledFor: yesterday, status: 'succeeded' }, { now: new Date(yesterday) });
+  });
+
+  let clock = new Date('2026-10-19T14:30:00Z');
+  const started = [];
+  const finishers = [];
+  const runTask = schedule => new Promise(resolve => {
+    started.push(schedule.name);
+    finishers.push(resolve);
+  });
+
+  const scheduler = createScheduler({ schedules: [digest, hourly, stale], runLogFile, runTask, catchUpHours: 12, now: () => clock });
+  try {
+    scheduler.start();
+
+    // Digest (08:00) and hourly (14:00) are caught up one after the other;
+    // stale's 01:00 run is more than 12 hours old
+    assert.deepStrictEqual(started, ['digest']);
+    assert.strictEqual(queryRuns(runLogFile, { schedule: 'stale' })[0].status, 'skipped');
+
+    // hourly comes due at 15:00 while its catch-up run is still waiting
+    clock = new Date('2026-10-19T15:00:10Z');
+    scheduler.tick();
+    assert.match(queryRuns(runLogFile, { status: 'skipped', schedule: 'hourly' })[0].error, /still going/);
+
+    finishers.shift()({ exitCode: 0 });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(started, ['digest', 'hourly']);
+
+    finishers.shift()({ exitCode: 1 });
+    await scheduler.idle();
+
+    const runs = queryRuns(runLogFile, { limit: 10 });
+    const latest = name => runs.find(run => run.schedule === name && run.status !== 'skipped');
+    assert.strictEqual(latest('digest').status, 'succeeded');
+    assert.strictEqual(latest('digest').scheduledFor, '2026-10-19T08:00:00.000Z');
+    assert.strictEqual(latest('digest').catchUp, true);
+    assert.strictEqual(latest('hourly').status, 'failed');
+    assert.strictEqual(latest('hourly').error, 'Exited with code 1');
+
+    // On time, a run isn't a catch-up
+    clock = new Date('2026-10-19T16:00:05Z');
+    scheduler.tick();
+    assert.deepStrictEqual(started, ['digest', 'hourly', 'hourly']);
+    finishers.shift()({ exitCode: 0 });
+    await scheduler.idle();
+    assert.strictEqual(queryRuns(runLogFile, { schedule: 'hourly', limit: 1 })[0].catchUp, false);
+  } finally {
+    await scheduler.stop();
+  }
+});
@@ -0,0 +1,103 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 SLACK FORMATTING TESTS (OFFLINE)
+// ═══════════════════════════════════════════════════════════════════════════
+// Checks that model text is escaped for Slack mrkdwn and that a digest too
+// big for one message is split into parts within Slack's limits.
+//
+// Usage: npm test
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  MAX_BLOCKS_PER_MESSAGE,
+  MAX_CHARS_PER_MESSAGE,
+  renderSlackText,
+  renderSlackBlocks
+} = require('../lib/slack-format');
+
+/**
+ * Builds a validated story
+ *
+ * @param {number} rank - Story rank
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} Story
+ */
+function story(rank, fields = {}) {
+  return {
+    rank,
+    emoji: '🤖',
+    title: `Story number ${rank}`,
+    summary: 'One sentence.',
+    whyItMatters: 'One more sentence.',
+    sourceUrl: `https://example.com/story-${rank}?a=1&b=2`,
+    category: 'AI',
+    ...fields
+  };
+}
+
+/**
+ * Returns the Read-button URLs of a message, i.e. the stories it carries
+ *
+ * @param {{blocks: Array<Object>}} message - Rendered message
+ * @returns {string[]} Story URLs
+ */
+function storyUrls(message) {
+  return message.blocks.filter(block => block.accessory).map(block => block.accessory.url);
+}
+
+test('model text is escaped, links are not', () => {
+  const risky = story(1, {
+    title: 'Cats & dogs <!channel>',
+    summary: 'A <b>bold</b> claim',
+    whyItMatters: '1 > 0 & <@U123>'
+  });
+
+  const text = renderSlackText([risky]);
+  assert.match(text, /\*Cats &amp; dogs &lt;!channel&gt;\*/);
+  assert.match(text, /A &lt;b&gt;bold&lt;\/b&gt; claim/);
+  assert.match(text, /1 &gt; 0 &amp; &lt;@U123&gt; <https:\/\/example\.com\/story-1\?a=1&b=2\|Read more>/);
+
+  const [message] = renderSlackBlocks([risky], { title: 'R&D <Digest>', date: 'Today' });
+  assert.strictEqual(message.blocks[0].text.text, '📰 R&D <Digest>');
+  assert.strictEqual(message.blocks[3].text.text, '🤖 *Cats &amp; dogs &lt;!channel&gt;*\nA &lt;b&gt;bold&lt;/b&gt; claim\n_Why it matters:_ 1 &gt; 0 &amp; &lt;@U123&gt;');
+  assert.strictEqual(message.blocks[3].accessory.url, 'https://example.com/story-1?a=1&b=2');
+  assert.match(message.text, /^\*R&amp;D &lt;Digest&gt; - Today\* :newspaper:/);
+});
+
+test('a digest over the block limit is split between stories', () => {
+  const stories = Array.from({ length: 30 }, (_, index) => story(index + 1));
+  const messages = renderSlackBlocks(stories, { title: 'Digest', date: 'Today', footer: 'The footer' });
+
+  assert.strictEqual(messages.length, 2);
+  messages.forEach(message => assert.ok(message.blocks.length <= MAX_BLOCKS_PER_MESSAGE));
+
+  // Every story once, in order, with its context line in the same part
+  assert.deepStrictEqual(messages.flatMap(storyUrls), stories.map(entry => entry.sourceUrl));
+  messages.forEach(message => message.blocks.forEach((block, index) => {
+    if (block.accessory) assert.strictEqual(message.blocks[index + 1].type, 'context');
+  }));
+
+  // The header opens the first part and the footer closes the last one
+  assert.strictEqual(messages[0].blocks[0].type, 'header');
+  assert.ok(!messages[0].blocks.some(block => block.type === 'context' && block.elements[0].text === 'The footer'));
+  assert.strictEqual(messages[1].blocks[0].elements[0].text, '*Digest* (part 2/2)');
+  assert.strictEqual(messages[1].blocks[messages[1].blocks.length - 1].elements[0].text, 'The footer');
+  assert.match(messages[0].text, /^\*Digest - Today\* \(part 1\/2\)/);
+  assert.match(messages[1].text, /Story number 30/);
+  assert.doesNotMatch(messages[1].text, /Story number 1\*/);
+});
+
+test('a digest over the size limit is split between stories', () => {
+  const stories = Array.from({ length: 10 }, (_, index) => story(index + 1, { summary: `${index + 1} `.repeat(1000) }));
+  const messages = renderSlackBlocks(stories, { title: 'Digest', date: 'Today', footer: 'The footer' });
+
+  assert.ok(messages.length > 1);
+  assert.deepStrictEqual(messages.flatMap(storyUrls), stories.map(entry => entry.sourceUrl));
+
+  // Besides the "continued" line of later parts, each part fits the limit
+  messages.forEach((message, index) => {
+    const blocks = index > 0 ? message.blocks.slice(1) : message.blocks;
+    assert.ok(JSON.stringify(blocks).length <= MAX_CHARS_PER_MESSAGE, `part ${index + 1} is too long`);
+  });
+});
@@ -0,0 +1,283 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 SLASH COMMAND SERVER TESTS (OFFLINE)
+// ═══════════════════════════════════════════════════════════════════════════
+// Checks Slack request verification and command parsing, then drives
+// server.js with signed fake Slack requests (slash commands, thread
+// replies and subscriptions) against the saved Techmeme page and recorded model responses.
+//
+// Usage: npm test
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { verifySlackSignature, parseSlashCommand, parseStoryReference } = require('../lib/slack-server');
+const { saveLastDigest } = require('../lib/last-digest');
+const { signRequest, sendSlashCommand, sendEvent, createResponseCollector } = require('./helpers/fake-slack');
+const { scratchDir, removeScratchDirs } = require('./helpers/scratch');
+
+after(removeScratchDirs);
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURE_HTML = path.join(__dirname, 'fixtures', 'techmeme.html');
+const FIXTURE_LLM = path.join(__dirname, 'fixtures', 'llm-response.json');
+const SIGNING_SECRET = 'test-signing-secret';
+
+/**
+ * Starts server.js on a free port and waits until it listens
+ *
+ * @param {Object} env
+ * @param {string[]} [env.args] - Extra command-line arguments
+ * @param {Object} [env.vars] - Extra environment variables
+ * @param {string} [env.dir] - Working directory (default: a new scratch directory)
+ * @returns {Promise<{baseUrl: string, stop: Function}>} Server URL and a stop function
+ */
+function startServer(env) {
+  const dir = env.dir || scratchDir('techmeme-server-');
+  const child = spawn(process.execPath, [
+    path.join(ROOT, 'server.js'), '--port', '0', '--fixture', FIXTURE_HTML, ...(env.args || [])
+  ], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      SLACK_SIGNING_SECRET: SIGNING_SECRET,
+      LAST_DIGEST_FILE: path.join(dir, 'last-digest.json'),
+      SUBSCRIPTIONS_FILE: path.join(dir, 'subscriptions.json'),
+      ...env.vars
+    }
+  });
+
+  let output = '';
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`server.js did not start:\n${output}`));
+    }, 10000);
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      const match = output.match(/listening on port (\d+)/);
+      if (match) {
+        clearTimeout(timer);
+        resolve({
+          baseUrl: `http://127.0.0.1:${match[1]}`,
+          stop: () => new Promise(done => {
+            child.once('exit', done);
+            child.kill('SIGTERM');
+          })
+        });
+      }
+    });
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`server.js exited with code ${code}:\n${output}`));
+    });
+  });
+}
+
+test('Slack signatures are checked for validity and age', () => {
+  const body = 'command=%2Ftechmeme&text=now';
+  const now = Date.now();
+  const headers = signRequest(SIGNING_SECRET, body, Math.floor(now / 1000));
+  const request = {
+    signingSecret: SIGNING_SECRET,
+    timestamp: headers['X-Slack-Request-Timestamp'],
+    signature: headers['X-Slack-Signature'],
+    body,
+    now
+  };
+
+  assert.strictEqual(verifySlackSignature(request), true);
+  assert.strictEqual(verifySlackSignature({ ...request, body: `${body}%20ai` }), false);
+  assert.strictEqual(verifySlackSignature({ ...request, signingSecret: 'wrong' }), false);
+  assert.strictEqual(verifySlackSignature({ ...request, now: now + 10 * 60 * 1000 }), false);
+  assert.strictEqual(verifySlackSignature({ ...request, signature: undefined }), false);
+});
+
+test('slash command text is parsed into actions', () => {
+  assert.deepStrictEqual(parseSlashCommand(''), { action: 'help' });
+  assert.deepStrictEqual(parseSlashCommand('now'), { action: 'now' });
+  assert.deepStrictEqual(parseSlashCommand('top 5 ai'), { action: 'top', count: 5, topics: ['ai'] });
+  assert.deepStrictEqual(parseSlashCommand('TOP security'), { action: 'top', count: 5, topics: ['security'] });
+  assert.deepStrictEqual(parseSlashCommand('explain 3'), { action: 'explain', story: 3 });
+  assert.strictEqual(parseSlashCommand('explain').action, 'invalid');
+  assert.strictEqual(parseSlashCommand('top 50').action, 'invalid');
+  assert.deepStrictEqual(parseSlashCommand('weather today'), { action: 'unknown', text: 'weather today' });
+});
+
+test('thread replies name stories by number', () => {
+  assert.strictEqual(parseStoryReference("what's the competitive angle on #3?"), 3);
+  assert.strictEqual(parseStoryReference('More on story 2 please'), 2);
+  assert.strictEqual(parseStoryReference('no. 4'), 4);
+  assert.strictEqual(parseStoryReference('Why does this matter for 2026?'), null);
+});
+
+test('the server rejects unsigned requests and answers /techmeme now and explain', async () => {
+  // The first recorded response is the digest, the second the explanation
+  const dir = scratchDir('techmeme-server-');
+  const llmFixture = path.join(dir, 'llm-responses.json');
+  fs.writeFileSync(llmFixture, JSON.stringify({
+    responses: [
+      { provider: 'replay', model: 'test', text: fs.readFileSync(FIXTURE_LLM, 'utf8') },
+      { provider: 'replay', model: 'test', text: 'SoftBank would lead the round. Background follows.' }
+    ]
+  }));
+
+  const server = await startServer({ args: ['--llm-fixture', llmFixture] });
+  const collector = await createResponseCollector();
+  try {
+    const forged = await sendSlashCommand(server.baseUrl, { signingSecret: 'not-the-secret', text: 'now' });
+    assert.strictEqual(forged.status, 401);
+
+    const stale = await sendSlashCommand(server.baseUrl, {
+      signingSecret: SIGNING_SECRET,
+      text: 'now',
+      timestamp: Math.floor(Date.now() / 1000) - 3600
+    });
+    assert.strictEqual(stale.status, 401);
+
+    const help = await sendSlashCommand(server.baseUrl, { signingSecret: SIGNING_SECRET, text: 'help' });
+    assert.strictEqual(help.status, 200);
+    assert.match(help.body.text, /\/techmeme explain 3/);
+
+    const now = await sendSlashCommand(server.baseUrl, { signingSecret: SIGNING_SECRET, text: 'now', responseUrl: collector.url });
+    assert.strictEqual(now.status, 200);
+    assert.strictEqual(now.body.response_type, 'ephemeral');
+
+    const [digest] = await collector.waitFor(1);
+    assert.strictEqual(digest.response_type, 'ephemeral');
+    assert.match(digest.blocks[0].text.text, /Techmeme Top 3 Right Now/);
+    assert.match(digest.text, /OpenAI in talks to raise/);
+
+    await sendSlashCommand(server.baseUrl, { signingSecret: SIGNING_SECRET, text: 'explain 1', responseUrl: collector.url });
+    const [, explanation] = await collector.waitFor(2);
+    assert.strictEqual(explanation.response_type, 'ephemeral');
+    assert.match(explanation.text, /OpenAI in talks to raise/);
+    assert.match(explanation.text, /SoftBank would lead the round/);
+
+    await sendSlashCommand(server.baseUrl, { signingSecret: SIGNING_SECRET, text: 'explain 9', responseUrl: collector.url });
+    const [, , outOfRange] = await collector.waitFor(3);
+    assert.match(outOfRange.text, /only has 3 stories/);
+  } finally {
+    await collector.close();
+    await server.stop();
+  }
+});
+
+test('a reply in a digest thread is answered in that thread', async () => {
+  const dir = scratchDir('techmeme-server-');
+  const llmFixture = path.join(dir, 'llm-responses.json');
+  fs.writeFileSync(llmFixture, JSON.stringify({
+    responses: [{ provider: 'replay', model: 'test', text: 'Anthropic and Google are raising too.' }]
+  }));
+
+  // A posted digest whose article can't be fetched (nothing listens on port 9)
+  const [story] = JSON.parse(fs.readFileSync(FIXTURE_LLM, 'utf8')).stories;
+  const sourceUrl = 'http://127.0.0.1:9/openai-round';
+  saveLastDigest(path.join(dir, 'last-digest.json'), {
+    channel: 'CTEST',
+    ts: '1700000000.000100',
+    stories: [{ ...story, sourceUrl }],
+    items: [{ text: story.title, url: sourceUrl, related: [{ publisher: 'Reuters', url: 'https://www.reuters.com/openai' }] }]
+  });
+
+  const collector = await createResponseCollector();
+  const server = await startServer({
+    dir,
+    args: ['--llm-fixture', llmFixture],
+    vars: { SLACK_BOT_TOKEN: 'xoxb-test', SLACK_API_URL: collector.apiUrl, RETRY_COUNT: '0' }
+  });
+  try {
+    const challenge = await sendEvent(server.baseUrl, {
+      signingSecret: SIGNING_SECRET,
+      payload: { type: 'url_verification', challenge: 'abc123' }
+    });
+    assert.deepStrictEqual(challenge.body, { challenge: 'abc123' });
+
+    // Signed JSON that isn't an object is rejected instead of crashing the server
+    for (const payload of [null, 42, ['event_callback']]) {
+      const rejected = await sendEvent(server.baseUrl, { signingSecret: SIGNING_SECRET, payload });
+      assert.strictEqual(rejected.status, 400);
+      assert.deepStrictEqual(rejected.body, { error: 'invalid_payload' });
+    }
+
+    // Replies outside a digest thread, and the bot's own messages, are ignored
+    const message = { type: 'message', channel: 'CTEST', user: 'UTEST', ts: '1700000100.000200' };
+    await sendEvent(server.baseUrl, { signingSecret: SIGNING_SECRET, event: { ...message, thread_ts: '1600000000.000000', text: '#1?' } });
+    await sendEvent(server.baseUrl, { signingSecret: SIGNING_SECRET, event: { ...message, thread_ts: '1700000000.000100', bot_id: 'BTEST', text: '#1?' } });
+
+    const reply = await sendEvent(server.baseUrl, {
+      signingSecret: SIGNING_SECRET,
+      event: { ...message, thread_ts: '1700000000.000100', text: "What's the competitive angle on #1?" }
+    });
+    assert.strictEqual(reply.status, 200);
+
+    const [answer] = await collector.waitFor(1);
+    assert.strictEqual(answer.channel, 'CTEST');
+    assert.strictEqual(answer.thread_ts, '1700000000.000100');
+    assert.match(answer.text, /Anthropic and Google are raising too/);
+    assert.match(answer.text, /Answered by replay\/test from the headline and related coverage/);
+    assert.strictEqual(collector.messages.length, 1);
+  } finally {
+    await collector.close();
+    await server.stop();
+  }
+});
+
+test('subscribers get their digest and company alerts by DM', async () => {
+  const dir = scratchDir('techmeme-server-');
+  // Due right away (00:00 has always passed), watching a company in the fixture headlines
+  fs.writeFileSync(path.join(dir, 'subscriptions.json'), JSON.stringify({
+    users: {
+      UDM: {
+        topics: [],
+        companies: ['Nvidia'],
+        storyCount: 3,
+        deliveryTime: '00:00',
+        timezone: 'UTC',
+        lastDeliveredDate: null,
+        alerted: {}
+      }
+    }
+  }));
+
+  const collector = await createResponseCollector();
+  const server = await startServer({
+    dir,
+    args: ['--llm-fixture', FIXTURE_LLM],
+    vars: { SLACK_BOT_TOKEN: 'xoxb-test', SLACK_API_URL: collector.apiUrl, RETRY_COUNT: '0' }
+  });
+  try {
+    await collector.waitFor(2);
+    const [digest, alert] = collector.messages;
+    assert.strictEqual(digest.channel, 'UDM');
+    assert.match(digest.text, /Your Techmeme Top 3/);
+    assert.match(digest.text, /OpenAI in talks to raise/);
+    assert.strictEqual(alert.channel, 'UDM');
+    assert.match(alert.text, /\*Nvidia\* is on Techmeme/);
+
+    // Subscribing answers right away and refreshes the App Home tab
+    const subscribe = await sendSlashCommand(server.baseUrl, { signingSecret: SIGNING_SECRET, text: 'subscribe ai, chips', userId: 'UNEW' });
+    assert.match(subscribe.body.text, /Subscribed!/);
+    assert.match(subscribe.body.text, /Topics: ai, chips/);
+    const invalid = await sendSlashCommand(server.baseUrl, { signingSecret: SIGNING_SECRET, text: 'set time noon', userId: 'UNEW' });
+    assert.match(invalid.body.text, /24-hour clock/);
+
+    await sendEvent(server.baseUrl, { signingSecret: SIGNING_SECRET, event: { type: 'app_home_opened', user: 'UNEW', tab: 'home' } });
+    const views = () => collector.messages.filter(message => message.view);
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.strictEqual(views().length, 2);
+    assert.strictEqual(views()[1].user_id, 'UNEW');
+    assert.match(JSON.stringify(views()[1].view), /Delivery: every day at 08:00 \(UTC\)/);
+
+    // The delivery and the alerts were recorded, so neither is sent twice
+    const stored = JSON.parse(fs.readFileSync(path.join(dir, 'subscriptions.json'), 'utf8')).users.UDM;
+    assert.strictEqual(stored.lastDeliveredDate, new Date().toISOString().slice(0, 10));
+    assert.ok(Object.keys(stored.alerted).length > 0);
+  } finally {
+    await collector.close();
+    await server.stop();
+  }
+});
@@ -0,0 +1,73 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 SOURCE MERGING TESTS (OFFLINE)
+// ═══════════════════════════════════════════════════════════════════════════
+// Checks how items from several sources are matched and merged into one
+// deduplicated list.
+//
+// Usage: npm test
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isSameStory, mergeItems } = require('../lib/sources');
+const { HACKER_NEWS_URL } = require('../lib/sources/hackernews');
+const { findItemByUrl } = require('../lib/digest-schema');
+
+test('the same story on several sources is merged into the first source\'s item', () => {
+  const techmeme = [
+    { text: 'Nvidia agrees to acquire Enfabrica for $900M in cash and stock', url: 'https://example.com/nvidia', source: 'techmeme', rank: 1 },
+    { text: 'OpenAI raises $40B at a $300B valuation', url: 'https://example.com/openai?utm_source=techmeme', source: 'techmeme', rank: 2 }
+  ];
+  const hackernews = [
+    { text: 'OpenAI raises $40B', url: 'https://example.com/openai', source: 'hackernews', rank: 1 },
+    { text: 'Nvidia to acquire Enfabrica for $900M', url: 'https://news.example.org/nvidia-enfabrica', source: 'hackernews', rank: 2 },
+    { text: 'Show HN: A tiny text editor', url: 'https://example.net/editor', source: 'hackernews', rank: 3 }
+  ];
+
+  assert.ok(isSameStory(techmeme[0], hackernews[1]));
+  assert.ok(!isSameStory(techmeme[0], hackernews[2]));
+
+  const merged = mergeItems([techmeme, hackernews]);
+  assert.strictEqual(merged.length, 3);
+  assert.deepStrictEqual(merged[0].sources, ['techmeme', 'hackernews']);
+  assert.deepStrictEqual(merged[0].alsoOn, [{ source: 'hackernews', url: 'https://news.example.org/nvidia-enfabrica' }]);
+  assert.strictEqual(merged[0].url, 'https://example.com/nvidia');
+
+  // Same URL once tracking parameters are dropped: no extra link
+  assert.deepStrictEqual(merged[1].sources, ['techmeme', 'hackernews']);
+  assert.deepStrictEqual(merged[1].alsoOn, []);
+  assert.deepStrictEqual(merged[2].sources, ['hackernews']);
+});
+
+test('similar headlines from the same source stay separate stories', () => {
+  const techmeme = [
+    { text: 'Apple announces new iPhone 17 lineup with faster chips', url: 'https://example.com/iphone-17', source: 'techmeme', rank: 1 },
+    { text: 'Apple iPhone 17 lineup review: faster chips, same design', url: 'https://example.com/iphone-17-review', source: 'techmeme', rank: 2 }
+  ];
+  const hackernews = [
+    { text: 'Apple announces iPhone 17 lineup with faster chips', url: 'https://news.example.org/iphone', source: 'hackernews', rank: 1 }
+  ];
+
+  const merged = mergeItems([techmeme, hackernews]);
+  assert.deepStrictEqual(merged.map(item => item.url), ['https://example.com/iphone-17', 'https://example.com/iphone-17-review']);
+  assert.deepStrictEqual(merged[0].sources, ['techmeme', 'hackernews']);
+  assert.deepStrictEqual(merged[1].sources, ['techmeme']);
+});
+
+test('Hacker News self-posts are told apart by their item id', () => {
+  const selfPost = (id, text, rank) => ({ text, url: new URL(`item?id=${id}`, HACKER_NEWS_URL).href, source: 'hackernews', rank });
+  const hackernews = [
+    selfPost(41, 'Ask HN: What are you working on this month?', 1),
+    selfPost(42, 'Show HN: Pocketbase, a tiny backend written in Go', 2)
+  ];
+  const rss = [
+    { text: 'Pocketbase: a tiny open source backend', url: 'https://news.ycombinator.com/item?id=42&utm_source=rss', source: 'rss', rank: 1 }
+  ];
+
+  assert.ok(!isSameStory(hackernews[0], hackernews[1]));
+
+  const merged = mergeItems([hackernews, rss]);
+  assert.deepStrictEqual(merged.map(item => item.sources), [['hackernews'], ['hackernews', 'rss']]);
+  assert.strictEqual(findItemByUrl(merged, 'https://news.ycombinator.com/item?id=41'), merged[0]);
+  assert.strictEqual(findItemByUrl(merged, 'https://news.ycombinator.com/item?id=42'), merged[1]);
+});
@@ -0,0 +1,125 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 SUBSCRIPTION TESTS (OFFLINE)
+// ═══════════════════════════════════════════════════════════════════════════
+// Checks settings parsing, delivery times across time zones, company watch
+// matching and the subscription file round-trip.
+//
+// Usage: npm test
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  parseList,
+  parseSetting,
+  isDeliveryDue,
+  createSubscriptionStore,
+  profileForSubscription,
+  findWatchAlerts
+} = require('../lib/subscriptions');
+const { parseSlashCommand } = require('../lib/slack-server');
+const { scratchDir, removeScratchDirs } = require('./helpers/scratch');
+
+after(removeScratchDirs);
+
+test('subscription commands and settings are parsed and validated', () => {
+  assert.deepStrictEqual(parseSlashCommand('subscribe AI, electric vehicles'), { action: 'subscribe', topics: ['AI', 'electric vehicles'] });
+  assert.deepStrictEqual(parseSlashCommand('set timezone Europe/Paris'), { action: 'set', setting: 'timezone', value: 'Europe/Paris' });
+  assert.deepStrictEqual(parseSlashCommand('watch Scale AI'), { action: 'watch', company: 'Scale AI' });
+  assert.strictEqual(parseSlashCommand('set colour blue').action, 'invalid');
+  assert.strictEqual(parseSlashCommand('watch').action, 'invalid');
+
+  assert.deepStrictEqual(parseList('ai chips'), ['ai', 'chips']);
+  assert.deepStrictEqual(parseSetting('time', '8:30'), { field: 'deliveryTime', value: '08:30' });
+  assert.deepStrictEqual(parseSetting('count', '7'), { field: 'storyCount', value: 7 });
+  assert.deepStrictEqual(parseSetting('topics', 'all'), { field: 'topics', value: [] });
+  assert.throws(() => parseSetting('time', '25:00'), /24-hour clock/);
+  assert.throws(() => parseSetting('timezone', 'Mars/Olympus'), /Unknown time zone/);
+  assert.throws(() => parseSetting('count', '0'), /between 1 and/);
+});
+
+test('digests are due once the local delivery time has passed, once a day', () => {
+  // 13:30 UTC is 08:30 in New York (EST) and 22:30 in Tokyo
+  const now = new Date('2026-01-28T13:30:00Z');
+  const subscription = { deliveryTime: '08:00', timezone: 'America/New_York', lastDeliveredDate: null };
+
+  assert.strictEqual(isDeliveryDue(subscription, now), true);
+  assert.strictEqual(isDeliveryDue({ ...subscription, deliveryTime: '09:00' }, now), false);
+  assert.strictEqual(isDeliveryDue({ ...subscription, lastDeliveredDate: '2026-01-28' }, now), false);
+  // Already sent on the 28th in Tokyo, where it's still the 28th
+  assert.strictEqual(isDeliveryDue({ ...subscription, timezone: 'Asia/Tokyo', lastDeliveredDate: '2026-01-28' }, now), false);
+  // A late check still delivers the same day
+  assert.strictEqual(isDeliveryDue({ ...subscription, lastDeliveredDate: '2026-01-27' }, new Date('2026-01-28T23:00:00Z')), true);
+});
+
+test('failed digests are retried with a growing delay, three times a day at most', () => {
+  const store = createSubscriptionStore(path.join(scratchDir('techmeme-subs-'), 'subscriptions.json'));
+  store.subscribe('U1', { timezone: 'America/New_York' });
+  const at = minutes => new Date(Date.parse('2026-01-28T13:30:00Z') + minutes * 60000);
+
+  assert.deepStrictEqual(store.markDeliveryFailed('U1', at(0)), { attempts: 1, retryAt: at(15).toISOString() });
+  assert.strictEqual(isDeliveryDue(store.get('U1'), at(1)), false);
+  assert.strictEqual(isDeliveryDue(store.get('U1'), at(15)), true);
+
+  assert.deepStrictEqual(store.markDeliveryFailed('U1', at(15)), { attempts: 2, retryAt: at(45).toISOString() });
+  assert.strictEqual(isDeliveryDue(store.get('U1'), at(44)), false);
+  assert.deepStrictEqual(store.markDeliveryFailed('U1', at(45)), { attempts: 3, retryAt: null });
+  assert.strictEqual(isDeliveryDue(store.get('U1'), at(600)), false);
+
+  // A new local day starts over, and a delivery clears the failures
+  const nextDay = new Date('2026-01-29T13:30:00Z');
+  assert.strictEqual(isDeliveryDue(store.get('U1'), nextDay), true);
+  store.markDelivered('U1', nextDay);
+  assert.strictEqual(store.get('U1').failedDelivery, undefined);
+});
+
+test('a user who unsubscribes while their digest is sent is not retried', () => {
+  const store = createSubscriptionStore(path.join(scratchDir('techmeme-subs-'), 'subscriptions.json'));
+  store.subscribe('U1', { timezone: 'America/New_York' });
+  store.subscribe('U2', { timezone: 'America/New_York' });
+  const now = new Date('2026-01-28T13:30:00Z');
+  const due = store.list().filter(({ subscription }) => isDeliveryDue(subscription, now));
+  assert.strictEqual(due.length, 2);
+
+  // U1's DM fails after they unsubscribed; U2's still gets recorded
+  store.unsubscribe('U1');
+  assert.strictEqual(store.markDeliveryFailed('U1', now), null);
+  store.markDelivered('U1', now);
+  assert.strictEqual(store.get('U1'), null);
+  assert.deepStrictEqual(store.markDeliveryFailed('U2', now), { attempts: 1, retryAt: new Date(Date.parse(now) + 15 * 60000).toISOString() });
+});
+
+test('the store round-trips subscriptions and watch alerts are sent once', () => {
+  const file = path.join(scratchDir('techmeme-subs-'), 'subscriptions.json');
+  const store = createSubscriptionStore(file);
+
+  assert.throws(() => store.watch('U1', 'Nvidia'), /not subscribed/);
+  store.subscribe('U1', { topics: ['AI'], timezone: 'Not/AZone' });
+  store.set('U1', 'count', '3');
+  store.watch('U1', 'Nvidia');
+  store.watch('U1', 'nvidia');
+
+  const subscription = createSubscriptionStore(file).get('U1');
+  assert.strictEqual(subscription.timezone, 'UTC');
+  assert.strictEqual(subscription.storyCount, 3);
+  assert.deepStrictEqual(subscription.companies, ['Nvidia']);
+  assert.deepStrictEqual(profileForSubscription('U1', subscription).includeTopics, ['AI', 'Nvidia']);
+
+  const items = [
+    { text: 'Nvidia buys Enfabrica', url: 'https://example.com/nvidia', sources: ['techmeme'] },
+    { text: 'Nvidia shares climb', url: 'https://example.com/hn', sources: ['hackernews'] },
+    { text: 'Invidia is not a company', url: 'https://example.com/other', sources: ['techmeme'] }
+  ];
+  const alerts = findWatchAlerts(items, subscription);
+  assert.deepStrictEqual(alerts.map(alert => alert.item.url), ['https://example.com/nvidia']);
+
+  store.markAlerted('U1', alerts.map(alert => alert.item.url));
+  assert.deepStrictEqual(findWatchAlerts(items, store.get('U1')), []);
+
+  store.markDelivered('U1', new Date('2026-01-28T13:30:00Z'));
+  assert.strictEqual(store.get('U1').lastDeliveredDate, '2026-01-28');
+  assert.strictEqual(store.unsubscribe('U1'), true);
+  assert.deepStrictEqual(store.list(), []);
+});
@@ -0,0 +1,117 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// 🧪 TELEMETRY TESTS (OFFLINE)
+// ═══════════════════════════════════════════════════════════════════════════
+// Checks stage tagging, LLM metrics and the ops alert, then runs index.js
+// on the fixtures with JSON logs, on a page whose markup changed with a
+// model that never returns a valid digest, and with a bad configuration.
+//
+// Usage: npm test
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createTelemetry, renderOpsAlert } = require('../lib/telemetry');
+const { scratchDir, removeScratchDirs } = require('./helpers/scratch');
+const { runBot } = require('./helpers/run-bot');
+
+after(removeScratchDirs);
+
+const FIXTURE_HTML = path.join(__dirname, 'fixtures', 'techmeme.html');
+const FIXTURE_LLM = path.join(__dirname, 'fixtures', 'llm-response.json');
+
+test('stages tag their errors and model calls are measured', async () => {
+  const telemetry = createTelemetry({ runId: 'run-1' });
+  const provider = telemetry.wrapProvider({
+    name: 'fake',
+    model: 'fake-1',
+    generate: async () => ({ text: '{}', usage: { inputTokens: 1200, outputTokens: 300 } })
+  });
+
+  await telemetry.stage('summarize', () => provider.generate('prompt'), { profile: 'ai' });
+  await assert.rejects(
+    telemetry.stage('slack', async () => { throw new Error('channel_not_found <#C1>'); }),
+    error => error.stage === 'slack'
+  );
+  telemetry.fail(Object.assign(new Error('channel_not_found <#C1>'), { stage: 'slack' }), { profile: 'ai' });
+  telemetry.record('scrape', { source: 'techmeme', items: 0, usedFallback: true });
+
+  const summary = telemetry.summary({ ok: false });
+  assert.strictEqual(summary.runId, 'run-1');
+  assert.deepStrictEqual(summary.stages.map(stage => [stage.stage, stage.ok]), [['summarize', true], ['slack', false]]);
+  assert.strictEqual(summary.stages[0].profile, 'ai');
+  assert.deepStrictEqual(summary.llm.map(call => [call.stage, call.provider, call.inputTokens, call.outputTokens]), [['summarize', 'fake', 1200, 300]]);
+  assert.strictEqual(summary.totals.inputTokens, 1200);
+  assert.strictEqual(summary.totals.scrapedItems, 0);
+
+  const alert = renderOpsAlert(summary);
+  assert.match(alert.text, /^❌ \*Techmeme digest failed\* at stage `slack`\n• ai: channel_not_found &lt;#C1&gt;/);
+  assert.match(alert.blocks[1].elements[0].text, /^Run run-1 · /);
+
+  // Nothing to report for a clean run
+  assert.strictEqual(renderOpsAlert(createTelemetry().summary()), null);
+});
+
+test('LOG_FORMAT=json writes one JSON line per log with the run id and metrics', () => {
+  const { status, stdout, stderr } = runBot(['--dry-run', '--fixture', FIXTURE_HTML, '--llm-fixture', FIXTURE_LLM], {
+    LOG_FORMAT: 'json',
+    RUN_ID: 'daily-digest-test'
+  });
+  assert.strictEqual(status, 0, stderr);
+
+  const lines = stdout.trim().split('\n').map(line => JSON.parse(line));
+  assert.ok(lines.every(line => line.runId === 'daily-digest-test' && line.time && line.level === 'info'));
+  assert.ok(lines.some(line => line.msg === '✅ WORKFLOW COMPLETED SUCCESSFULLY!'));
+  assert.ok(!lines.some(line => /^═+$/.test(line.msg || '')));
+
+  const metric = kind => lines.find(line => line.event === 'metric' && line.kind === kind);
+  assert.deepStrictEqual(
+    [metric('scrape').source, metric('scrape').items, metric('scrape').usedFallback, metric('scrape').stage],
+    ['techmeme', 5, false, 'scrape']
+  );
+  assert.strictEqual(metric('llm').stage, 'summarize');
+  assert.ok(metric('llm').latencyMs >= 0);
+  assert.strictEqual(metric('slack').channel, 'CTEST');
+  assert.ok(metric('slack').bytes > metric('slack').characters);
+
+  const run = lines.find(line => line.event === 'run');
+  assert.strictEqual(run.status, 'succeeded');
+  assert.deepStrictEqual(run.stages.map(stage => stage.stage), ['scrape', 'summarize', 'slack']);
+  assert.strictEqual(run.totals.slackMessages, 1);
+});
+
+test('a failed run alerts the ops channel with the failing stage and markup warning', () => {
+  const dir = scratchDir('techmeme-telemetry-');
+  const page = path.join(dir, 'changed.html');
+  fs.writeFileSync(page, '<html><body><p><strong><a href="https://example.com/story">Techmeme moved its headlines into new markup today</a></strong></p></body></html>');
+  const invalid = path.join(dir, 'invalid.json');
+  fs.writeFileSync(invalid, JSON.stringify({ stories: [] }));
+
+  const { status, stdout } = runBot(['--dry-run', '--fixture', page, '--llm-fixture', invalid], { OPS_CHANNEL_ID: 'COPS' });
+  assert.strictEqual(status, 1);
+  assert.match(stdout, /scrape {2}techmeme: 1 items, fallback selector/);
+
+  const alertJson = stdout.split('🧪 DRY RUN - ops alert (not posted):\n')[1];
+  const alert = JSON.parse(alertJson.substring(0, alertJson.indexOf('\n}') + 2));
+  assert.strictEqual(alert.channel, 'COPS');
+  assert.match(alert.text, /❌ \*Techmeme digest failed\* at stage `summarize`/);
+  assert.match(alert.text, /• default: The LLM did not return a valid digest/);
+  assert.match(alert.text, /⚠️ `scrape` The '\.ii' selector found no items on Techmeme/);
+});
+
+test('a run stopped by its configuration alerts the ops channel', () => {
+  const failed = runBot(['--dry-run', '--fixture', FIXTURE_HTML, '--llm-fixture', FIXTURE_LLM], { PUBLISHERS: 'fax', OPS_CHANNEL_ID: 'COPS' });
+  assert.strictEqual(failed.status, 1);
+  assert.match(failed.stderr, /Unknown publisher "fax"/);
+
+  const alertJson = failed.stdout.split('🧪 DRY RUN - ops alert (not posted):\n')[1];
+  const alert = JSON.parse(alertJson.substring(0, alertJson.indexOf('\n}') + 2));
+  assert.strictEqual(alert.channel, 'COPS');
+  assert.match(alert.text, /❌ \*Techmeme digest failed\* at stage `config`/);
+
+  // Without a token the alert could never be sent, so the run doesn't start
+  const untokened = runBot(['--fixture', FIXTURE_HTML, '--llm-fixture', FIXTURE_LLM], { PUBLISHERS: 'markdown', OPS_CHANNEL_ID: 'COPS' });
+  assert.strictEqual(untokened.status, 1);
+  assert.match(untokened.stderr, /OPS_CHANNEL_ID is set but SLACK_BOT_TOKEN is not/);
+});